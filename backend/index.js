@@ -3,41 +3,125 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const taskRoutes = require('./src/routes/taskRoutes');
+const authRoutes = require('./src/routes/authRoutes');
+const activityRoutes = require('./src/routes/activityRoutes');
+const projectRoutes = require('./src/routes/projectRoutes');
+const eventRoutes = require('./src/routes/eventRoutes');
+const notificationRoutes = require('./src/routes/notificationRoutes');
+const webhookRoutes = require('./src/routes/webhookRoutes');
+const workflowRoutes = require('./src/routes/workflowRoutes');
+const workspaceRoutes = require('./src/routes/workspaceRoutes');
+const docsRoutes = require('./src/routes/docsRoutes');
+const healthRoutes = require('./src/routes/healthRoutes');
+const { getTaskRepository, TASK_STORE } = require('./src/repositories/taskRepository');
+const { usesMongo, DATA_STORE } = require('./src/repositories/documentRepository');
+const { supportsTransactions } = require('./src/repositories/mongoTaskRepository');
+const { protect, protectEventStream } = require('./src/middleware/authMiddleware');
+const { loadWorkspace } = require('./src/middleware/workspaceMiddleware');
+const { requestId, requestLogger } = require('./src/middleware/requestLogger');
+const { corsOptions, securityHeaders, CORS_ORIGINS } = require('./src/middleware/security');
+const { tasksRateLimit } = require('./src/middleware/rateLimit');
+const { notFound, errorHandler, JSON_BODY_LIMIT } = require('./src/middleware/errorHandler');
+const { registerGracefulShutdown } = require('./src/utils/shutdown');
+const { logger } = require('./src/utils/logger');
+const { startTrashPurgeJob } = require('./src/jobs/purgeTrash');
+const { startDueReminderJob } = require('./src/jobs/dueReminders');
+const { startWebhookDeliveryJob } = require('./src/jobs/webhookDeliveries');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI;
 
+// Behind a reverse proxy or load balancer, set TRUST_PROXY (e.g. "1" for one hop, "true", or "loopback") so req.ip
+// is the client's address for rate limiting and logs, and req.secure reflects the original HTTPS request.
+const parseTrustProxy = (value) => {
+    if (value === undefined || value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// Tokens cannot be signed or verified without a secret
+if (!process.env.JWT_SECRET) {
+    logger.error('JWT_SECRET is not set. Add it to your .env file.');
+    process.exit(1);
+}
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+app.disable('x-powered-by');
+
 // --- Middleware Setup ---
-// 1. CORS: Allows your frontend (running on a different port) to access the backend API
-app.use(cors());
+// 1. Request ids and structured request logs (one JSON line per request, see src/middleware/requestLogger.js)
+app.use(requestId);
+app.use(requestLogger);
+
+// 2. Security headers, and CORS for the browser origins listed in CORS_ORIGINS (src/middleware/security.js)
+app.use(securityHeaders);
+app.use(cors(corsOptions));
 
-// 2. Body Parser: Reads JSON data sent in request bodies
-app.use(express.json());
+// 3. Body Parser: Reads JSON data sent in request bodies, up to JSON_BODY_LIMIT (2mb by default, enough for task imports)
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 
-// 3. API Routes: Mount the task routes
-app.use('/api/tasks', taskRoutes);
+// 4. Health Checks: GET /healthz (process is up) and GET /readyz (MongoDB reachable when it is used), also GET /
+app.use(healthRoutes);
 
-// 4. Root Route (Health Check)
-app.get('/', (req, res) => {
-    res.send('Taskify API is running!');
-});
+// 5. API Routes: Public auth routes, then task routes behind the auth middleware.
+// Workspace content (tasks, activity, projects, workflow, webhooks) also loads the workspace picked by the X-Workspace-Id header.
+// /api/tasks is rate limited per IP (RATE_LIMIT_MAX requests per RATE_LIMIT_WINDOW_MS), before authentication.
+app.use('/api/auth', authRoutes);
+app.use('/api/docs', docsRoutes); // OpenAPI document and interactive explorer (public; "Try it out" needs a token)
+app.use('/api/tasks', tasksRateLimit, protect, loadWorkspace, taskRoutes);
+app.use('/api/activity', protect, loadWorkspace, activityRoutes);
+app.use('/api/projects', protect, loadWorkspace, projectRoutes);
+app.use('/api/workspaces', protect, workspaceRoutes); // Shared workspaces and their members
+app.use('/api/notifications', protect, notificationRoutes);
+app.use('/api/webhooks', protect, loadWorkspace, webhookRoutes); // Outgoing webhooks for the workspace's task events
+app.use('/api/workflows', protect, loadWorkspace, workflowRoutes); // Task statuses and the allowed moves between them
+app.use('/api/events', protectEventStream, eventRoutes); // Real-time task updates (Server-Sent Events)
+
+// 6. Errors: JSON 404 for unknown API paths, then the central error handler (must be registered last)
+app.use('/api', notFound);
+app.use(errorHandler);
 
 // --- Database Connection ---
+// Only needed when TASK_STORE or DATA_STORE is mongo: with memory or json stores Taskify runs without MongoDB
 const connectDB = async () => {
+    if (!usesMongo()) return;
     try {
         await mongoose.connect(MONGO_URI);
-        console.log('MongoDB connected successfully.');
+        logger.info('MongoDB connected successfully.');
+        if (TASK_STORE === 'mongo' && !await supportsTransactions()) {
+            logger.warn('MongoDB is a standalone server without transactions: writes to several tasks are not all-or-nothing. Run it as a replica set (a single node is enough).');
+        }
     } catch (err) {
-        console.error('MongoDB connection failed:', err.message);
+        logger.error('MongoDB connection failed', { error: err.message });
         process.exit(1); // Exit process with failure
     }
 };
 
 // Start the server only after successful database connection
 connectDB().then(() => {
-    app.listen(PORT, () => {
-        console.log(`Server is running on port ${PORT}`);
-        console.log(`Access the API at http://localhost:${PORT}/api/tasks`);
+    // Tasks live in the store chosen with TASK_STORE, the other collections in the one chosen with DATA_STORE
+    getTaskRepository();
+    logger.info('Data stores ready', { taskStore: TASK_STORE, dataStore: DATA_STORE });
+
+    const jobTimers = [
+        // Background job: permanently delete tasks that outlived the trash retention period
+        startTrashPurgeJob(),
+        // Background job: due-date reminders and overdue notices (in-app, plus email when SMTP is configured)
+        startDueReminderJob(),
+        // Background job: retry webhook deliveries that failed (first attempts are sent as soon as they are queued)
+        startWebhookDeliveryJob(),
+    ];
+
+    const server = app.listen(PORT, () => {
+        logger.info('Server is running', {
+            port: Number(PORT),
+            api: `http://localhost:${PORT}/api/tasks`,
+            docs: `http://localhost:${PORT}/api/docs`,
+            corsOrigins: CORS_ORIGINS,
+        });
     });
+
+    // SIGTERM/SIGINT: finish in-flight requests, then close the MongoDB connection (src/utils/shutdown.js)
+    registerGracefulShutdown(server, jobTimers);
 });
\ No newline at end of file
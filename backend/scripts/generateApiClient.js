@@ -0,0 +1,205 @@
+// Generates the frontend's typed task API client from the OpenAPI document (src/docs/openapi.js).
+// Run after changing the task routes or their schemas: npm run generate:client
+// The client is plain JavaScript with JSDoc types, so editors and TypeScript's checkJs can check calls against the API.
+const fs = require('fs');
+const path = require('path');
+const { buildOpenApiDocument } = require('../src/docs/openapi');
+
+const OUTPUT_FILE = path.join(__dirname, '../../frondend/taskify/src/taskApi.js');
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const document = buildOpenApiDocument();
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+const refName = (schemaRef) => schemaRef.split('/').pop();
+const resolve = (object, section) => (object && object.$ref ? document.components[section][refName(object.$ref)] : object);
+
+// --- JSON Schema to JSDoc types ---
+
+// Object literal key, quoted unless it is a plain identifier (e.g. 'In Progress')
+const toPropertyKey = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`);
+
+const toJsDocType = (schema) => {
+    if (!schema || Object.keys(schema).length === 0) return '*';
+    if (schema.$ref) return refName(schema.$ref);
+
+    let type;
+    if (schema.allOf) {
+        type = schema.allOf.map(toJsDocType).join(' & ');
+    } else if (schema.anyOf) {
+        type = schema.anyOf.map(toJsDocType).join('|');
+    } else if (schema.enum) {
+        type = schema.enum.map(value => (typeof value === 'string' ? `'${value}'` : String(value))).join('|');
+    } else if (schema.type === 'string') {
+        type = 'string';
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+        type = 'number';
+    } else if (schema.type === 'boolean') {
+        type = 'boolean';
+    } else if (schema.type === 'array') {
+        type = `Array<${toJsDocType(schema.items)}>`;
+    } else if (schema.type === 'object' && schema.properties) {
+        const required = schema.required || [];
+        const fields = Object.entries(schema.properties)
+            .map(([name, property]) => `${toPropertyKey(name)}${required.includes(name) ? '' : '?'}: ${toJsDocType(property)}`);
+        type = `{ ${fields.join(', ')} }`;
+    } else if (schema.type === 'object' && schema.additionalProperties) {
+        type = `Object<string, ${toJsDocType(schema.additionalProperties)}>`;
+    } else if (schema.type === 'object') {
+        type = 'Object';
+    } else {
+        type = '*';
+    }
+    return schema.nullable ? `(${type}|null)` : type;
+};
+
+// A named @typedef with one @property line per field
+const toTypedef = (name, schema, description) => {
+    const required = schema.required || [];
+    const lines = ['/**'];
+    if (description) lines.push(` * ${description}`);
+    if (!schema.properties) {
+        lines.push(` * @typedef {${toJsDocType(schema)}} ${name}`, ' */');
+        return lines.join('\n');
+    }
+    lines.push(` * @typedef {Object} ${name}`);
+    Object.entries(schema.properties).forEach(([field, property]) => {
+        const fieldName = required.includes(field) ? field : `[${field}]`;
+        lines.push(` * @property {${toJsDocType(property)}} ${fieldName}${property.description ? ` - ${property.description}` : ''}`);
+    });
+    lines.push(' */');
+    return lines.join('\n');
+};
+
+// --- Operations ---
+
+// The JSON schema of an operation's success response ('void' when it has no body)
+const toResponseType = (operation) => {
+    const [, response] = Object.entries(operation.responses).find(([status]) => status.startsWith('2'));
+    const content = resolve(response, 'responses').content;
+    if (!content) return 'void';
+    return toJsDocType((content['application/json'] || Object.values(content)[0]).schema);
+};
+
+const toMethod = (urlPath, method, operation, queryTypedefs) => {
+    const parameters = operation.parameters || [];
+    const pathParams = parameters.filter(param => param.in === 'path');
+    const queryParams = parameters.filter(param => param.in === 'query');
+    const bodyContent = operation.requestBody && operation.requestBody.content;
+    const isMultipart = Boolean(bodyContent && bodyContent['multipart/form-data']); // File uploads take a FormData body
+    const bodySchema = bodyContent && (bodyContent['application/json'] || bodyContent['multipart/form-data']).schema;
+
+    // The single request argument: path params by name, plus query, body and headers
+    const argTypes = pathParams.map(param => `${param.name}: string`);
+    const argNames = pathParams.map(param => param.name);
+    const sendOptions = [];
+    if (queryParams.length > 0) {
+        const queryType = `${capitalize(operation.operationId)}Query`;
+        queryTypedefs.push(toTypedef(queryType, {
+            type: 'object',
+            required: queryParams.filter(param => param.required).map(param => param.name),
+            properties: Object.fromEntries(queryParams.map(param => [param.name, { ...param.schema, description: param.description }])),
+        }, `Query parameters for ${operation.operationId}`));
+        argTypes.push(`query?: ${queryType}|URLSearchParams`);
+        argNames.push('query');
+        sendOptions.push('query');
+    }
+    if (bodySchema) {
+        argTypes.push(`body: ${isMultipart ? 'FormData' : toJsDocType(bodySchema)}`);
+        argNames.push('body');
+        sendOptions.push('body');
+    }
+    argTypes.push('headers?: Object<string, string>');
+    argNames.push('headers');
+    sendOptions.push('headers');
+
+    const hasRequired = pathParams.length > 0 || Boolean(bodySchema);
+    const url = pathParams.length > 0
+        ? `\`${urlPath.replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(${name})}`)}\``
+        : `'${urlPath}'`;
+    const docLines = [
+        `${method.toUpperCase()} ${urlPath} - ${operation.summary}`,
+        ...(operation.description ? [operation.description] : []),
+        `@param {{ ${argTypes.join(', ')} }} ${hasRequired ? 'request' : '[request]'}`,
+        `@returns {Promise<ApiResponse<${toResponseType(operation)}>>}`,
+    ];
+
+    return [
+        '        /**',
+        ...docLines.map(line => `         * ${line}`),
+        '         */',
+        `        ${operation.operationId}: ({ ${argNames.join(', ')} }${hasRequired ? '' : ' = {}'}) => send('${method.toUpperCase()}', ${url}, { ${sendOptions.join(', ')} }),`,
+    ].join('\n');
+};
+
+// --- Output ---
+
+const queryTypedefs = [];
+const methods = [];
+Object.entries(document.paths).forEach(([urlPath, pathItem]) => {
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+        methods.push(toMethod(urlPath, method, pathItem[method], queryTypedefs));
+    });
+});
+
+const schemaTypedefs = Object.entries(document.components.schemas).map(([name, schema]) => toTypedef(name, schema));
+
+const source = `// Typed client for the ${document.info.title} (version ${document.info.version}).
+// GENERATED by backend/scripts/generateApiClient.js from the OpenAPI document - do not edit by hand.
+// Regenerate with \`npm run generate:client\` in backend/. The interactive docs are served at /api/docs.
+
+${schemaTypedefs.join('\n\n')}
+
+${queryTypedefs.join('\n\n')}
+
+/**
+ * A fetch Response whose JSON body has a known shape
+ * @template T
+ * @typedef {Omit<Response, 'json'> & { json(): Promise<T> }} ApiResponse
+ */
+
+/**
+ * Build "?a=1&b=2" from an object (skipping empty values) or URLSearchParams
+ * @param {Object<string, *>|URLSearchParams} [query]
+ */
+const toQueryString = (query) => {
+    if (!query) return '';
+    const params = query instanceof URLSearchParams
+        ? query
+        : new URLSearchParams(Object.entries(query)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([name, value]) => [name, String(value)]));
+    const queryString = params.toString();
+    return queryString ? \`?\${queryString}\` : '';
+};
+
+/**
+ * Create a task API client. Every method resolves to the raw Response (for status codes, ETags and
+ * non-JSON bodies) and rejects only when the request could not be sent.
+ * @param {{ baseUrl: string, fetch?: (url: string, options: RequestInit) => Promise<Response> }} options
+ *   baseUrl is the server origin, e.g. http://localhost:5000; pass a fetch wrapper to add auth headers
+ */
+export const createTaskApi = ({ baseUrl, fetch: fetchImpl = (url, options) => fetch(url, options) }) => {
+    /**
+     * @param {string} method
+     * @param {string} path
+     * @param {{ query?: Object<string, *>|URLSearchParams, body?: *, headers?: Object<string, string> }} [options]
+     */
+    const send = (method, path, { query, body, headers } = {}) => {
+        // FormData bodies go as-is: the browser sets the multipart Content-Type with its boundary
+        const isJson = body !== undefined && !(body instanceof FormData);
+        return fetchImpl(\`\${baseUrl}\${path}\${toQueryString(query)}\`, {
+            method,
+            headers: isJson ? { 'Content-Type': 'application/json', ...headers } : headers,
+            ...(body !== undefined && { body: isJson ? JSON.stringify(body) : body }),
+        });
+    };
+
+    return {
+${methods.join('\n\n')}
+    };
+};
+`;
+
+fs.writeFileSync(OUTPUT_FILE, source);
+console.log(`Wrote ${methods.length} operations to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
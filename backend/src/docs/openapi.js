@@ -0,0 +1,1065 @@
+const Task = require('../models/taskModel');
+const { schemas } = require('../routes/taskRoutes');
+const { schemas: commentSchemas } = require('../routes/commentRoutes');
+const { schemas: attachmentSchemas, MAX_ATTACHMENT_BYTES, ALLOWED_MIME_TYPES } = require('../routes/attachmentRoutes');
+const { schemas: workflowSchemas } = require('../routes/workflowRoutes');
+const { schemas: dependencySchemas } = require('../routes/dependencyRoutes');
+const { schemas: checklistSchemas } = require('../routes/checklistRoutes');
+const { schemas: workspaceSchemas } = require('../routes/workspaceRoutes');
+const { WORKSPACE_HEADER } = require('../middleware/workspaceMiddleware');
+
+// OpenAPI 3 description of the task API (/api/tasks and /api/workflows), served at /api/docs (routes/docsRoutes.js).
+// Path, query and body parameters are converted from the validate() schemas in the route files, so they always
+// match what the API accepts; responses and the Task schema are described here and must be kept in step by hand.
+// The frontend client (frondend/taskify/src/taskApi.js) is generated from this document: npm run generate:client
+
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', example: '665f1c2e8a1b2c3d4e5f6a7b' };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+const jsonResponse = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const jsonBody = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+
+// --- validate() rules to JSON Schema ---
+
+// Convert one validate() rule into an OpenAPI 3.0 schema
+const toJsonSchema = (rule) => {
+    let schema;
+    switch (rule.type) {
+        case 'string':
+            schema = { type: 'string' };
+            break;
+        case 'integer':
+        case 'number':
+            schema = { type: rule.type };
+            break;
+        case 'boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'date':
+            schema = { ...DATE_TIME };
+            break;
+        case 'objectId':
+            schema = { ...OBJECT_ID };
+            break;
+        case 'array':
+            schema = { type: 'array', items: rule.items ? toJsonSchema(rule.items) : {} };
+            break;
+        case 'list': {
+            const options = rule.items && rule.items.enum ? ` of: ${rule.items.enum.join(', ')}` : '';
+            schema = { type: 'string', description: `Comma-separated list${options}` };
+            break;
+        }
+        case 'object':
+            schema = rule.properties ? toObjectSchema(rule.properties, rule.strict) : { type: 'object' };
+            break;
+        default:
+            schema = rule.enum ? { type: typeof rule.enum[0] } : {};
+    }
+
+    if (rule.enum) schema.enum = rule.enum;
+    if (rule.ignoreCase) schema.description = 'Case-insensitive';
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+    if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+    if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+    if (rule.minItems !== undefined) schema.minItems = rule.minItems;
+    if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+    if (rule.nullable) schema.nullable = true;
+
+    // Extra accepted values (e.g. project=none) make it "either the typed value or one of these"
+    if (rule.allow && !rule.enum) return { anyOf: [schema, { type: 'string', enum: rule.allow }] };
+    return schema;
+};
+
+const toObjectSchema = (fields, strict = false) => {
+    const required = Object.keys(fields).filter(name => fields[name].required);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(fields).map(([name, rule]) => [name, toJsonSchema(rule)])),
+        ...(required.length > 0 && { required }),
+        ...(strict && { additionalProperties: false }),
+    };
+};
+
+// A body schema with extra properties the validate() schema leaves to the handler
+const extendBody = (fields, extraProperties) => {
+    const schema = toObjectSchema(fields);
+    return { ...schema, properties: { ...schema.properties, ...extraProperties } };
+};
+
+// Parameter objects for a schema's params or query fields (descriptions: optional text per field)
+const toParameters = (location, fields = {}, descriptions = {}) => Object.entries(fields).map(([name, rule]) => ({
+    name,
+    in: location,
+    required: location === 'path' || Boolean(rule.required),
+    schema: toJsonSchema(rule),
+    ...(descriptions[name] && { description: descriptions[name] }),
+}));
+
+// Everything an operation takes from one route schema: { parameters, requestBody }
+const fromRouteSchema = ({ params, query, body, strictBody = false }, descriptions) => ({
+    parameters: [...toParameters('path', params, descriptions), ...toParameters('query', query, descriptions)],
+    ...(body && { requestBody: jsonBody(toObjectSchema(body, strictBody)) }),
+});
+
+const QUERY_DESCRIPTIONS = {
+    id: 'Task id',
+    status: 'Exact status match',
+    q: 'Full-text search over title and description',
+    dueBefore: 'Due on or before this date',
+    dueAfter: 'Due on or after this date',
+    overdue: 'Only tasks due in the past that are not in the workflow\'s done status',
+    priority: 'Any of these priority levels',
+    tags: 'Tasks that have all of these tags',
+    project: 'Project id, or "none" for tasks without a project',
+    assignee: 'User id, "me" for tasks assigned to you, or "none" for unassigned tasks',
+    sort: 'Sort field, prefixed with "-" for descending (default: -createdAt)',
+    page: '1-based page number',
+    limit: 'Page size (default 20, max 100)',
+    count: 'Number of occurrences to list (default 5, max 50)',
+    format: 'File format (default: json)',
+    interval: 'Bucket size of the created-vs-completed series (default: day)',
+    periods: 'Number of buckets, ending with the current day or week (default 30 days / 12 weeks)',
+    timezone: 'IANA timezone the days and weeks are counted in (default: UTC)',
+    itemId: 'Checklist item id',
+    commentId: 'Comment id',
+    attachmentId: 'Attachment id',
+    blockerId: 'Id of the blocking task',
+    ids: 'Task ids (default: every task that has dependencies or dependents)',
+    ignoreBlockers: 'Move tasks even if tasks they are blocked by are not done yet',
+};
+
+const WORKSPACE_DESCRIPTIONS = { ...QUERY_DESCRIPTIONS, id: 'Workspace id', userId: 'User id of the member' };
+
+const IF_MATCH = {
+    name: 'If-Match',
+    in: 'header',
+    required: false,
+    description: 'ETag of the version being changed; the request fails with 412 if the task has changed since',
+    schema: { type: 'string', example: '"3"' },
+};
+
+const WORKSPACE_ID = {
+    name: WORKSPACE_HEADER,
+    in: 'header',
+    required: false,
+    description: 'Workspace to act on (see listWorkspaces); default: your own',
+    schema: OBJECT_ID,
+};
+
+
+const ETAG_HEADER = { ETag: { description: 'Current task version, for If-Match', schema: { type: 'string' } } };
+
+// --- Components ---
+
+const componentSchemas = {
+    Task: {
+        type: 'object',
+        required: ['_id', 'title', 'description', 'status', 'priority', 'tags', 'reminderOffsets', 'position', 'checklist', 'owner', 'createdAt', 'version'],
+        properties: {
+            _id: OBJECT_ID,
+            title: { type: 'string' },
+            description: { type: 'string' },
+            status: { type: 'string', description: 'One of the workspace\'s workflow statuses (see listWorkflows)' },
+            dueDate: { ...DATE_TIME, nullable: true },
+            priority: { type: 'string', enum: Task.PRIORITY_LEVELS },
+            project: { ...OBJECT_ID, nullable: true },
+            tags: { type: 'array', items: { type: 'string' }, description: 'Lower-cased labels' },
+            assignees: { type: 'array', items: OBJECT_ID, description: 'Workspace members the task is assigned to' },
+            reminderOffsets: {
+                type: 'array',
+                items: { type: 'integer' },
+                description: 'Minutes before dueDate at which the assignees (or the workspace owner) are reminded (0 = when it falls due)',
+            },
+            position: { type: 'integer', description: 'Order within the status column on the board' },
+            checklist: { type: 'array', items: ref('ChecklistItem') },
+            blockedBy: {
+                type: 'array',
+                items: OBJECT_ID,
+                description: 'Tasks that must be done before this one can start (see the Dependencies operations)',
+            },
+            progress: { type: 'integer', nullable: true, description: 'Percentage of checklist items done (null without a checklist)' },
+            completeWhenChecklistDone: { type: 'boolean' },
+            recurrence: { allOf: [ref('Recurrence')], nullable: true },
+            completedAt: { ...DATE_TIME, nullable: true, description: 'When the task last moved to the workflow\'s done status' },
+            deletedAt: { ...DATE_TIME, nullable: true, description: 'Set while the task is in the trash' },
+            owner: { ...OBJECT_ID, description: 'Owner of the task\'s workspace' },
+            createdAt: DATE_TIME,
+            updatedAt: DATE_TIME,
+            version: { type: 'integer', description: 'Incremented on every write; sent as the ETag' },
+        },
+    },
+    ChecklistItem: {
+        type: 'object',
+        required: ['_id', 'text', 'done'],
+        properties: {
+            _id: OBJECT_ID,
+            text: { type: 'string' },
+            done: { type: 'boolean' },
+            createdAt: DATE_TIME,
+        },
+    },
+    Recurrence: {
+        type: 'object',
+        required: ['frequency'],
+        properties: {
+            ...toObjectSchema(schemas.createTask.body.recurrence.properties).properties,
+            startDate: { ...DATE_TIME, nullable: true, description: 'Series anchor (server-managed)' },
+            nextTaskId: { ...OBJECT_ID, nullable: true, description: 'The generated next occurrence (server-managed)' },
+        },
+    },
+    TaskCreate: toObjectSchema(schemas.createTask.body),
+    TaskUpdate: toObjectSchema(schemas.updateTask.body, schemas.updateTask.strictBody),
+    TaskPage: {
+        type: 'object',
+        required: ['tasks', 'page', 'limit', 'total', 'totalPages', 'hasMore'],
+        properties: {
+            tasks: { type: 'array', items: ref('Task') },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            totalPages: { type: 'integer' },
+            hasMore: { type: 'boolean' },
+        },
+    },
+    BulkResult: {
+        type: 'object',
+        properties: {
+            action: { type: 'string' },
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' },
+            results: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'ok'],
+                    properties: {
+                        id: { type: 'string' },
+                        ok: { type: 'boolean' },
+                        skipped: { type: 'boolean', description: 'Valid, but not applied because other ids failed' },
+                        error: { type: 'string' },
+                    },
+                },
+            },
+        },
+    },
+    ImportResult: {
+        type: 'object',
+        properties: {
+            format: { type: 'string' },
+            dryRun: { type: 'boolean' },
+            imported: { type: 'integer' },
+            valid: { type: 'integer' },
+            failed: { type: 'integer' },
+            results: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['row', 'ok'],
+                    properties: {
+                        row: { type: 'integer', description: 'Row in the file (CSV data starts at 2)' },
+                        ok: { type: 'boolean' },
+                        title: { type: 'string' },
+                        taskId: OBJECT_ID,
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: { field: { type: 'string', nullable: true }, message: { type: 'string' } },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    HistoryEntry: {
+        type: 'object',
+        properties: {
+            _id: OBJECT_ID,
+            task: OBJECT_ID,
+            taskTitle: { type: 'string' },
+            actor: { ...OBJECT_ID, nullable: true },
+            actorName: { type: 'string' },
+            action: { type: 'string', enum: ['created', 'updated', 'deleted', 'restored', 'purged'] },
+            changes: {
+                type: 'array',
+                items: { type: 'object', properties: { field: { type: 'string' }, before: {}, after: {} } },
+            },
+            createdAt: DATE_TIME,
+        },
+    },
+    TaskStats: {
+        type: 'object',
+        required: ['total', 'byStatus', 'overdue', 'completionRate', 'averageCompletionMs', 'series'],
+        properties: {
+            total: { type: 'integer', description: 'Tasks outside the trash' },
+            byStatus: {
+                type: 'object',
+                additionalProperties: { type: 'integer' },
+                description: 'Every workflow status in board order, then statuses tasks have that the workflow no longer lists',
+            },
+            overdue: { type: 'integer', description: 'Due in the past and not in the done status' },
+            completionRate: { type: 'number', nullable: true, description: 'Share of tasks in the done status (0-1; null without tasks)' },
+            averageCompletionMs: { type: 'integer', nullable: true, description: 'Average time from creation to completion' },
+            series: {
+                type: 'object',
+                required: ['interval', 'timezone', 'buckets'],
+                properties: {
+                    interval: { type: 'string', enum: ['day', 'week'] },
+                    timezone: { type: 'string' },
+                    buckets: {
+                        type: 'array',
+                        description: 'Oldest first, ending with the current day or week',
+                        items: {
+                            type: 'object',
+                            required: ['start', 'created', 'completed'],
+                            properties: {
+                                start: { type: 'string', format: 'date', description: 'First day of the bucket (weeks start on Monday)' },
+                                created: { type: 'integer' },
+                                completed: { type: 'integer' },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    Occurrences: {
+        type: 'object',
+        properties: { occurrences: { type: 'array', items: DATE_TIME } },
+    },
+    Comment: {
+        type: 'object',
+        required: ['_id', 'task', 'owner', 'author', 'authorName', 'body', 'createdAt'],
+        properties: {
+            _id: OBJECT_ID,
+            task: OBJECT_ID,
+            owner: OBJECT_ID,
+            author: OBJECT_ID,
+            authorName: { type: 'string', description: 'Author name when the comment was written' },
+            body: { type: 'string' },
+            editedAt: { ...DATE_TIME, nullable: true, description: 'Set when the author changed the text' },
+            createdAt: DATE_TIME,
+        },
+    },
+    Attachment: {
+        type: 'object',
+        required: ['_id', 'task', 'owner', 'uploadedBy', 'uploadedByName', 'fileName', 'mimeType', 'size', 'createdAt'],
+        properties: {
+            _id: OBJECT_ID,
+            task: OBJECT_ID,
+            owner: OBJECT_ID,
+            uploadedBy: OBJECT_ID,
+            uploadedByName: { type: 'string' },
+            fileName: { type: 'string', description: 'Original file name' },
+            mimeType: { type: 'string' },
+            size: { type: 'integer', description: 'Bytes' },
+            createdAt: DATE_TIME,
+        },
+    },
+    WorkflowStatus: {
+        type: 'object',
+        required: ['name', 'color', 'next'],
+        properties: {
+            name: { type: 'string' },
+            color: { type: 'string', description: 'Hex color, e.g. #16a34a' },
+            next: { type: 'array', items: { type: 'string' }, description: 'Statuses a task may move to from this one' },
+        },
+    },
+    Workflow: {
+        type: 'object',
+        required: ['_id', 'name', 'statuses', 'doneStatus', 'owner', 'createdAt'],
+        properties: {
+            _id: OBJECT_ID,
+            name: { type: 'string' },
+            statuses: { type: 'array', items: ref('WorkflowStatus'), description: 'In board order; new tasks start in the first one' },
+            doneStatus: { type: 'string', description: 'The status that counts as done (stamps completedAt, completes recurring tasks)' },
+            owner: OBJECT_ID,
+            createdAt: DATE_TIME,
+            updatedAt: DATE_TIME,
+        },
+    },
+    DependencySummary: {
+        type: 'object',
+        required: ['_id', 'title', 'status', 'done'],
+        properties: {
+            _id: OBJECT_ID,
+            title: { type: 'string' },
+            status: { type: 'string' },
+            dueDate: { ...DATE_TIME, nullable: true },
+            done: { type: 'boolean', description: 'In the workflow\'s done status' },
+        },
+    },
+    Dependencies: {
+        type: 'object',
+        required: ['blockedBy', 'blocking'],
+        properties: {
+            blockedBy: { type: 'array', items: ref('DependencySummary'), description: 'Tasks this one waits for, in the order they were added' },
+            blocking: { type: 'array', items: ref('DependencySummary'), description: 'Tasks waiting for this one' },
+        },
+    },
+    DependencyGraph: {
+        type: 'object',
+        required: ['nodes', 'edges', 'criticalPath'],
+        properties: {
+            nodes: {
+                type: 'array',
+                items: {
+                    allOf: [ref('DependencySummary'), {
+                        type: 'object',
+                        required: ['blockedBy', 'blocked', 'level'],
+                        properties: {
+                            blockedBy: { type: 'array', items: OBJECT_ID, description: 'Blockers that are part of the graph' },
+                            blocked: { type: 'boolean', description: 'At least one blocker is not done' },
+                            level: { type: 'integer', description: 'Open tasks that must be done before this one, along its longest chain' },
+                        },
+                    }],
+                },
+            },
+            edges: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['from', 'to'],
+                    properties: { from: { ...OBJECT_ID, description: 'The blocker' }, to: { ...OBJECT_ID, description: 'The blocked task' } },
+                },
+            },
+            criticalPath: {
+                type: 'array',
+                items: OBJECT_ID,
+                description: 'Longest chain of open tasks, first to do first',
+            },
+        },
+    },
+    DependencyCycle: {
+        type: 'object',
+        required: ['message', 'cycle'],
+        properties: {
+            message: { type: 'string' },
+            cycle: {
+                type: 'array',
+                description: 'The task, then each task blocking the previous one, back to the new blocker',
+                items: { type: 'object', properties: { _id: OBJECT_ID, title: { type: 'string' } } },
+            },
+        },
+    },
+    UserSummary: {
+        type: 'object',
+        required: ['_id', 'name', 'email'],
+        properties: {
+            _id: OBJECT_ID,
+            name: { type: 'string' },
+            email: { type: 'string' },
+        },
+    },
+    Workspace: {
+        type: 'object',
+        required: ['_id', 'name', 'owner', 'members', 'role', 'createdAt'],
+        properties: {
+            _id: OBJECT_ID,
+            name: { type: 'string' },
+            owner: ref('UserSummary'),
+            members: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['user', 'role', 'addedAt'],
+                    properties: {
+                        user: ref('UserSummary'),
+                        role: { type: 'string', enum: ['editor', 'viewer'] },
+                        addedAt: DATE_TIME,
+                    },
+                },
+            },
+            role: {
+                type: 'string',
+                enum: ['owner', 'editor', 'viewer'],
+                description: 'Your role: viewers read, editors also change tasks and projects, the owner manages members and the workflow',
+            },
+            createdAt: DATE_TIME,
+            updatedAt: DATE_TIME,
+        },
+    },
+    ErrorResponse: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+            message: { type: 'string' },
+            error: { type: 'string', description: 'Underlying error, when there is one' },
+            requestId: { type: 'string', description: 'Id of the request in the server logs (unexpected errors), also sent as X-Request-Id' },
+        },
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['message', 'code', 'errors'],
+        properties: {
+            message: { type: 'string', example: 'Validation failed' },
+            code: { type: 'string', enum: ['VALIDATION_FAILED'] },
+            errors: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['location', 'field', 'code', 'message'],
+                    properties: {
+                        location: { type: 'string', enum: ['params', 'query', 'body', 'header'] },
+                        field: { type: 'string', nullable: true, description: 'Dotted path, e.g. recurrence.interval or tags[2]' },
+                        code: {
+                            type: 'string',
+                            enum: ['required', 'invalid_type', 'invalid_value', 'invalid_format', 'too_small', 'too_large', 'too_short',
+                                'too_long', 'too_few_items', 'too_many_items', 'unknown_field', 'not_found', 'invalid_transition', 'blocked'],
+                        },
+                        message: { type: 'string' },
+                    },
+                },
+            },
+        },
+    },
+    PreconditionFailed: {
+        type: 'object',
+        required: ['message', 'currentTask'],
+        properties: {
+            message: { type: 'string' },
+            currentTask: ref('Task'),
+        },
+    },
+};
+
+const responses = {
+    ValidationFailed: jsonResponse('The request failed validation', ref('ValidationError')),
+    Unauthorized: jsonResponse('Missing, invalid or expired token', ref('ErrorResponse')),
+    Forbidden: jsonResponse('Your role in the workspace does not allow this', ref('ErrorResponse')),
+    NotFound: jsonResponse('No such task (or it belongs to someone else)', ref('ErrorResponse')),
+    PreconditionFailed: {
+        ...jsonResponse('The task changed since the If-Match version; the body carries the current copy', ref('PreconditionFailed')),
+        headers: ETAG_HEADER,
+    },
+    TaskWithETag: { ...jsonResponse('The task', ref('Task')), headers: ETAG_HEADER },
+    Conflict: jsonResponse('The task changed while the request was applied; reload it and try again', ref('ErrorResponse')),
+    TooManyRequests: {
+        ...jsonResponse('Too many requests from this address; retry after the number of seconds in Retry-After', ref('ErrorResponse')),
+        headers: { 'Retry-After': { description: 'Seconds until the rate limit resets', schema: { type: 'integer' } } },
+    },
+};
+
+// --- Paths ---
+
+// One operation. Every task route answers 401 without a valid token and 400 when validation fails.
+// Operations on workspace content (inWorkspace) take the X-Workspace-Id header and answer 403 when the role is too low.
+const operation = ({
+    operationId, tag = operationId.includes('Item') ? 'Checklist' : 'Tasks', summary, description, routeSchema,
+    parameters = [], requestBody, responses: operationResponses, inWorkspace = true, descriptions = QUERY_DESCRIPTIONS,
+}) => {
+    const fromSchema = routeSchema ? fromRouteSchema(routeSchema, descriptions) : { parameters: [] };
+    return {
+        operationId,
+        tags: [tag],
+        summary,
+        ...(description && { description }),
+        parameters: [...fromSchema.parameters, ...parameters, ...(inWorkspace ? [WORKSPACE_ID] : [])],
+        ...((requestBody || fromSchema.requestBody) && { requestBody: requestBody || fromSchema.requestBody }),
+        responses: {
+            ...operationResponses,
+            400: responseRef('ValidationFailed'),
+            401: responseRef('Unauthorized'),
+            ...(inWorkspace && { 403: responseRef('Forbidden') }),
+        },
+    };
+};
+
+const TASK_ID_PARAM = toParameters('path', schemas.taskId.params, QUERY_DESCRIPTIONS);
+const COMMENT_ID_PARAM = toParameters('path', commentSchemas.commentId.params, QUERY_DESCRIPTIONS);
+const ATTACHMENT_ID_PARAM = toParameters('path', attachmentSchemas.attachmentId.params, QUERY_DESCRIPTIONS);
+const BLOCKER_ID_PARAM = toParameters('path', dependencySchemas.blockerId.params, QUERY_DESCRIPTIONS);
+const ITEM_ID_PARAM = toParameters('path', checklistSchemas.itemId.params, QUERY_DESCRIPTIONS);
+const WORKFLOW_NOT_FOUND = jsonResponse('No such workflow (or it belongs to someone else)', ref('ErrorResponse'));
+const WORKSPACE_NOT_FOUND = jsonResponse('No such workspace (or you are not a member)', ref('ErrorResponse'));
+const MEMBER_NOT_FOUND = jsonResponse('No such workspace, or the user is not a member of it', ref('ErrorResponse'));
+
+const paths = {
+    '/api/tasks': {
+        get: operation({
+            operationId: 'listTasks',
+            summary: 'List tasks with filtering, search, sorting and pagination',
+            routeSchema: schemas.listTasks,
+            responses: { 200: jsonResponse('One page of tasks', ref('TaskPage')) },
+        }),
+        post: operation({
+            operationId: 'createTask',
+            summary: 'Create a task',
+            description: 'Only editable fields are read; the task goes to the bottom of its board column.',
+            requestBody: jsonBody(ref('TaskCreate')),
+            responses: { 201: jsonResponse('The created task', ref('Task')) },
+        }),
+    },
+    '/api/tasks/reorder': {
+        put: operation({
+            operationId: 'reorderTasks',
+            summary: 'Move and reorder tasks on the board',
+            description: 'Typically sends every task in the affected columns. Moves carrying a version only apply while the task '
+                + 'is still at that version (409 otherwise, and nothing is moved). Status changes must be allowed by the workflow, '
+                + 'and blocked tasks may only move to its first status unless ignoreBlockers=true.',
+            routeSchema: schemas.reorderTasks,
+            responses: {
+                200: jsonResponse('The moved tasks with their new versions', { type: 'array', items: ref('Task') }),
+                404: responseRef('NotFound'),
+                409: responseRef('Conflict'),
+            },
+        }),
+    },
+    '/api/tasks/bulk': {
+        post: operation({
+            operationId: 'bulkTasks',
+            summary: 'Apply one action to many tasks',
+            description: 'value is a status for setStatus, a date or null for setDueDate and a tag (up to 50 characters) for addTag. '
+                + 'Every id gets a result entry (setStatus fails for tasks the workflow does not allow to move there, '
+                + 'and for blocked tasks unless ignoreBlockers=true). Nothing is applied if any id fails (400), unless atomic is false; '
+                + 'then the rest are applied. A task changed meanwhile fails the whole request (409).',
+            parameters: toParameters('query', schemas.bulkTasks.query, QUERY_DESCRIPTIONS),
+            requestBody: jsonBody(extendBody(schemas.bulkTasks.body, {
+                ids: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: schemas.bulkTasks.body.ids.maxItems },
+                value: { nullable: true, description: 'Depends on action' },
+            })),
+            responses: { 200: jsonResponse('Per-id results', ref('BulkResult')), 409: responseRef('Conflict') },
+        }),
+    },
+    '/api/tasks/export': {
+        get: operation({
+            operationId: 'exportTasks',
+            summary: 'Download tasks as CSV, JSON or iCalendar',
+            description: 'Takes the same filters and sort as listTasks, without paging (up to 10000 tasks).',
+            routeSchema: schemas.exportTasks,
+            responses: {
+                200: {
+                    description: 'The file (named in Content-Disposition)',
+                    headers: { 'Content-Disposition': { schema: { type: 'string' } } },
+                    content: {
+                        'text/csv': { schema: { type: 'string' } },
+                        'application/json': { schema: { type: 'array', items: ref('Task') } },
+                        'text/calendar': { schema: { type: 'string' } },
+                    },
+                },
+            },
+        }),
+    },
+    '/api/tasks/import': {
+        post: operation({
+            operationId: 'importTasks',
+            summary: 'Create tasks from a CSV or JSON file',
+            description: 'Every row is validated and gets a result entry. dryRun: true only validates; '
+                + 'with atomic: true nothing is created if any row fails (400).',
+            requestBody: jsonBody(extendBody(schemas.importTasks.body, {
+                content: { type: 'string', description: 'The file text' },
+                tasks: { type: 'array', items: { type: 'object' }, description: 'JSON imports may send the tasks instead of content' },
+            })),
+            responses: { 200: jsonResponse('Per-row results', ref('ImportResult')) },
+        }),
+    },
+    '/api/tasks/trash': {
+        get: operation({
+            operationId: 'listTrash',
+            summary: 'List deleted tasks, most recently deleted first',
+            responses: { 200: jsonResponse('Tasks in the trash', { type: 'array', items: ref('Task') }) },
+        }),
+    },
+    '/api/tasks/stats': {
+        get: operation({
+            operationId: 'getTaskStats',
+            summary: 'Dashboard statistics',
+            description: 'Counts by status, overdue count, completion rate, average time to completion and '
+                + 'tasks created vs completed per day or week. Tasks in the trash are not counted.',
+            routeSchema: schemas.taskStats,
+            responses: { 200: jsonResponse('Statistics', ref('TaskStats')) },
+        }),
+    },
+    '/api/tasks/dependencies': {
+        get: operation({
+            operationId: 'getDependencyGraph',
+            tag: 'Dependencies',
+            summary: 'Dependency graph and critical path',
+            description: 'Covers the given tasks and every task they transitively depend on. The critical path is the longest '
+                + 'chain of tasks that are not done yet, which bounds how soon the last of them can be finished.',
+            routeSchema: schemas.dependencyGraph,
+            responses: { 200: jsonResponse('The graph', ref('DependencyGraph')) },
+        }),
+    },
+    '/api/tasks/trash/{id}': {
+        delete: operation({
+            operationId: 'purgeTask',
+            summary: 'Permanently delete a task that is in the trash (workspace owner only)',
+            routeSchema: schemas.taskId,
+            responses: { 204: { description: 'Deleted' }, 404: responseRef('NotFound') },
+        }),
+    },
+    '/api/tasks/recurrence/preview': {
+        post: operation({
+            operationId: 'previewRecurrence',
+            summary: 'Preview the dates a recurrence rule produces',
+            routeSchema: schemas.previewRecurrence,
+            responses: { 200: jsonResponse('Upcoming dates, starting at startDate when it is part of the series', ref('Occurrences')) },
+        }),
+    },
+    '/api/tasks/{id}': {
+        get: operation({
+            operationId: 'getTask',
+            summary: 'Get one task',
+            routeSchema: schemas.taskId,
+            responses: { 200: responseRef('TaskWithETag'), 404: responseRef('NotFound') },
+        }),
+        patch: operation({
+            operationId: 'updateTask',
+            summary: 'Update a task',
+            description: 'Send only the fields that change; unknown fields are rejected. PUT is accepted as a synonym. '
+                + 'Status changes the workflow does not allow fail with code invalid_transition. A task blocked by unfinished '
+                + 'tasks may only move to the workflow\'s first status; other moves fail with code blocked unless ignoreBlockers=true.',
+            parameters: [...TASK_ID_PARAM, ...toParameters('query', schemas.updateTask.query, QUERY_DESCRIPTIONS), IF_MATCH],
+            requestBody: jsonBody(ref('TaskUpdate')),
+            responses: {
+                200: responseRef('TaskWithETag'),
+                404: responseRef('NotFound'),
+                409: responseRef('Conflict'),
+                412: responseRef('PreconditionFailed'),
+            },
+        }),
+        delete: operation({
+            operationId: 'deleteTask',
+            summary: 'Move a task to the trash',
+            routeSchema: schemas.taskId,
+            parameters: [IF_MATCH],
+            responses: { 204: { description: 'Moved to the trash' }, 404: responseRef('NotFound'), 412: responseRef('PreconditionFailed') },
+        }),
+    },
+    '/api/tasks/{id}/restore': {
+        post: operation({
+            operationId: 'restoreTask',
+            summary: 'Restore a task from the trash',
+            routeSchema: schemas.taskId,
+            responses: { 200: responseRef('TaskWithETag'), 404: responseRef('NotFound') },
+        }),
+    },
+    '/api/tasks/{id}/history': {
+        get: operation({
+            operationId: 'getTaskHistory',
+            summary: 'Audit trail for one task, newest first',
+            routeSchema: schemas.taskId,
+            responses: { 200: jsonResponse('History entries', { type: 'array', items: ref('HistoryEntry') }) },
+        }),
+    },
+    '/api/tasks/{id}/occurrences': {
+        get: operation({
+            operationId: 'getTaskOccurrences',
+            summary: 'Upcoming occurrences of a recurring task',
+            routeSchema: schemas.taskOccurrences,
+            responses: { 200: jsonResponse('Upcoming dates (empty when the task does not repeat)', ref('Occurrences')), 404: responseRef('NotFound') },
+        }),
+    },
+    '/api/tasks/{id}/items': {
+        post: operation({
+            operationId: 'addChecklistItem',
+            summary: 'Append a checklist item',
+            parameters: TASK_ID_PARAM,
+            routeSchema: checklistSchemas.addItem,
+            responses: { 201: responseRef('TaskWithETag'), 404: responseRef('NotFound'), 409: responseRef('Conflict') },
+        }),
+    },
+    '/api/tasks/{id}/items/order': {
+        put: operation({
+            operationId: 'reorderChecklistItems',
+            summary: 'Reorder checklist items',
+            description: 'itemIds must list every item id exactly once.',
+            parameters: TASK_ID_PARAM,
+            routeSchema: checklistSchemas.reorderItems,
+            responses: { 200: responseRef('TaskWithETag'), 404: responseRef('NotFound'), 409: responseRef('Conflict') },
+        }),
+    },
+    '/api/tasks/{id}/items/{itemId}': {
+        patch: operation({
+            operationId: 'updateChecklistItem',
+            summary: 'Rename a checklist item or toggle it',
+            parameters: [...TASK_ID_PARAM, ...ITEM_ID_PARAM],
+            routeSchema: { body: checklistSchemas.updateItem.body, strictBody: true },
+            responses: { 200: responseRef('TaskWithETag'), 404: responseRef('NotFound'), 409: responseRef('Conflict') },
+        }),
+        delete: operation({
+            operationId: 'deleteChecklistItem',
+            summary: 'Remove a checklist item',
+            parameters: [...TASK_ID_PARAM, ...ITEM_ID_PARAM],
+            responses: { 200: responseRef('TaskWithETag'), 404: responseRef('NotFound'), 409: responseRef('Conflict') },
+        }),
+    },
+    '/api/tasks/{id}/comments': {
+        get: operation({
+            operationId: 'listComments',
+            tag: 'Comments',
+            summary: 'The task\'s comments, oldest first',
+            parameters: TASK_ID_PARAM,
+            responses: { 200: jsonResponse('Comments', { type: 'array', items: ref('Comment') }), 404: responseRef('NotFound') },
+        }),
+        post: operation({
+            operationId: 'addComment',
+            tag: 'Comments',
+            summary: 'Add a comment as the signed-in user',
+            parameters: TASK_ID_PARAM,
+            routeSchema: commentSchemas.createComment,
+            responses: { 201: jsonResponse('The new comment', ref('Comment')), 404: responseRef('NotFound') },
+        }),
+    },
+    '/api/tasks/{id}/comments/{commentId}': {
+        patch: operation({
+            operationId: 'updateComment',
+            tag: 'Comments',
+            summary: 'Edit a comment (author only)',
+            parameters: [...TASK_ID_PARAM, ...COMMENT_ID_PARAM],
+            routeSchema: { body: commentSchemas.updateComment.body, strictBody: true },
+            responses: {
+                200: jsonResponse('The edited comment', ref('Comment')),
+                403: jsonResponse('The comment was written by someone else', ref('ErrorResponse')),
+                404: responseRef('NotFound'),
+            },
+        }),
+        delete: operation({
+            operationId: 'deleteComment',
+            tag: 'Comments',
+            summary: 'Delete a comment',
+            parameters: [...TASK_ID_PARAM, ...COMMENT_ID_PARAM],
+            responses: { 204: { description: 'Deleted' }, 404: responseRef('NotFound') },
+        }),
+    },
+    '/api/tasks/{id}/attachments': {
+        get: operation({
+            operationId: 'listAttachments',
+            tag: 'Attachments',
+            summary: 'The task\'s attachments (metadata), oldest first',
+            parameters: TASK_ID_PARAM,
+            responses: { 200: jsonResponse('Attachments', { type: 'array', items: ref('Attachment') }), 404: responseRef('NotFound') },
+        }),
+        post: operation({
+            operationId: 'uploadAttachment',
+            tag: 'Attachments',
+            summary: 'Upload a file',
+            description: `One file in the "file" field, at most ${MAX_ATTACHMENT_BYTES} bytes, of type: ${ALLOWED_MIME_TYPES.join(', ')}.`,
+            parameters: TASK_ID_PARAM,
+            requestBody: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: { type: 'object', required: ['file'], properties: { file: { type: 'string', format: 'binary' } } },
+                    },
+                },
+            },
+            responses: { 201: jsonResponse('The new attachment', ref('Attachment')), 404: responseRef('NotFound') },
+        }),
+    },
+    '/api/tasks/{id}/attachments/{attachmentId}': {
+        delete: operation({
+            operationId: 'deleteAttachment',
+            tag: 'Attachments',
+            summary: 'Delete an attachment and its file',
+            parameters: [...TASK_ID_PARAM, ...ATTACHMENT_ID_PARAM],
+            responses: { 204: { description: 'Deleted' }, 404: responseRef('NotFound') },
+        }),
+    },
+    '/api/tasks/{id}/attachments/{attachmentId}/download': {
+        get: operation({
+            operationId: 'downloadAttachment',
+            tag: 'Attachments',
+            summary: 'Download the file',
+            parameters: [...TASK_ID_PARAM, ...ATTACHMENT_ID_PARAM],
+            responses: {
+                200: {
+                    description: 'The file, sent with Content-Disposition: attachment',
+                    content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } },
+                },
+                404: responseRef('NotFound'),
+            },
+        }),
+    },
+    '/api/tasks/{id}/dependencies': {
+        get: operation({
+            operationId: 'listDependencies',
+            tag: 'Dependencies',
+            summary: 'Tasks this one is blocked by and tasks it blocks',
+            parameters: TASK_ID_PARAM,
+            responses: { 200: jsonResponse('Active tasks on both sides', ref('Dependencies')), 404: responseRef('NotFound') },
+        }),
+        post: operation({
+            operationId: 'addDependency',
+            tag: 'Dependencies',
+            summary: 'Mark the task as blocked by another task',
+            description: 'Adding a dependency that already exists returns the task unchanged (200).',
+            parameters: TASK_ID_PARAM,
+            routeSchema: { body: dependencySchemas.addDependency.body, strictBody: true },
+            responses: {
+                200: responseRef('TaskWithETag'),
+                201: responseRef('TaskWithETag'),
+                404: responseRef('NotFound'),
+                409: jsonResponse('The dependency would create a cycle, or the task changed meanwhile', {
+                    oneOf: [ref('DependencyCycle'), ref('ErrorResponse')],
+                }),
+            },
+        }),
+    },
+    '/api/tasks/{id}/dependencies/{blockerId}': {
+        delete: operation({
+            operationId: 'removeDependency',
+            tag: 'Dependencies',
+            summary: 'Remove a dependency',
+            parameters: [...TASK_ID_PARAM, ...BLOCKER_ID_PARAM],
+            responses: { 200: responseRef('TaskWithETag'), 404: responseRef('NotFound'), 409: responseRef('Conflict') },
+        }),
+    },
+    '/api/workflows': {
+        get: operation({
+            operationId: 'listWorkflows',
+            tag: 'Workflows',
+            summary: 'The workspace\'s workflows',
+            description: 'Every workspace has one, created from the default (Pending, In Progress, Completed) on first use.',
+            responses: { 200: jsonResponse('Workflows', { type: 'array', items: ref('Workflow') }) },
+        }),
+    },
+    '/api/workflows/{id}': {
+        get: operation({
+            operationId: 'getWorkflow',
+            tag: 'Workflows',
+            summary: 'Retrieve a workflow',
+            routeSchema: workflowSchemas.workflowId,
+            responses: { 200: jsonResponse('The workflow', ref('Workflow')), 404: WORKFLOW_NOT_FOUND },
+        }),
+        put: operation({
+            operationId: 'replaceWorkflow',
+            tag: 'Workflows',
+            summary: 'Replace the statuses, transitions and done status',
+            description: 'Workspace owner only. A status sent with previousName renames that status, and its tasks move along. '
+                + 'Statuses left out are removed, which fails with 409 while tasks (trash included) still have them. '
+                + 'It also fails with 409 if a task being renamed changes meanwhile.',
+            routeSchema: workflowSchemas.replaceWorkflow,
+            responses: {
+                200: jsonResponse('The updated workflow', ref('Workflow')),
+                404: WORKFLOW_NOT_FOUND,
+                409: jsonResponse('A removed status is still in use, or a renamed task changed meanwhile', ref('ErrorResponse')),
+            },
+        }),
+    },
+    '/api/workspaces': {
+        get: operation({
+            operationId: 'listWorkspaces',
+            tag: 'Workspaces',
+            summary: 'Your own workspace, then the ones you were added to',
+            description: 'Your own workspace is created on first use. Send a workspace id as the X-Workspace-Id header to work in it.',
+            inWorkspace: false,
+            responses: { 200: jsonResponse('Workspaces', { type: 'array', items: ref('Workspace') }) },
+        }),
+    },
+    '/api/workspaces/{id}': {
+        get: operation({
+            operationId: 'getWorkspace',
+            tag: 'Workspaces',
+            summary: 'Retrieve a workspace with its members',
+            routeSchema: workspaceSchemas.workspaceId,
+            descriptions: WORKSPACE_DESCRIPTIONS,
+            inWorkspace: false,
+            responses: { 200: jsonResponse('The workspace', ref('Workspace')), 404: WORKSPACE_NOT_FOUND },
+        }),
+        patch: operation({
+            operationId: 'renameWorkspace',
+            tag: 'Workspaces',
+            summary: 'Rename the workspace (owner only)',
+            routeSchema: workspaceSchemas.renameWorkspace,
+            descriptions: WORKSPACE_DESCRIPTIONS,
+            inWorkspace: false,
+            responses: {
+                200: jsonResponse('The updated workspace', ref('Workspace')),
+                403: responseRef('Forbidden'),
+                404: WORKSPACE_NOT_FOUND,
+            },
+        }),
+    },
+    '/api/workspaces/{id}/members': {
+        post: operation({
+            operationId: 'addWorkspaceMember',
+            tag: 'Workspaces',
+            summary: 'Add a user to the workspace by their email (owner only)',
+            description: 'The role defaults to editor. The new member gets a notification.',
+            routeSchema: workspaceSchemas.addMember,
+            descriptions: WORKSPACE_DESCRIPTIONS,
+            inWorkspace: false,
+            responses: {
+                201: jsonResponse('The updated workspace', ref('Workspace')),
+                403: responseRef('Forbidden'),
+                404: WORKSPACE_NOT_FOUND,
+                409: jsonResponse('The user is already in the workspace', ref('ErrorResponse')),
+            },
+        }),
+    },
+    '/api/workspaces/{id}/members/{userId}': {
+        patch: operation({
+            operationId: 'updateWorkspaceMember',
+            tag: 'Workspaces',
+            summary: 'Change a member\'s role (owner only)',
+            routeSchema: workspaceSchemas.updateMember,
+            descriptions: WORKSPACE_DESCRIPTIONS,
+            inWorkspace: false,
+            responses: {
+                200: jsonResponse('The updated workspace', ref('Workspace')),
+                403: responseRef('Forbidden'),
+                404: MEMBER_NOT_FOUND,
+            },
+        }),
+        delete: operation({
+            operationId: 'removeWorkspaceMember',
+            tag: 'Workspaces',
+            summary: 'Remove a member, or leave the workspace',
+            description: 'The owner can remove anyone; members can remove themselves. The member is unassigned from the workspace\'s tasks.',
+            routeSchema: workspaceSchemas.memberId,
+            descriptions: WORKSPACE_DESCRIPTIONS,
+            inWorkspace: false,
+            responses: {
+                204: { description: 'Removed' },
+                403: jsonResponse('Only the owner can remove other members', ref('ErrorResponse')),
+                404: MEMBER_NOT_FOUND,
+            },
+        }),
+    },
+};
+
+// /api/tasks and everything under it is rate limited per client IP (middleware/rateLimit.js)
+Object.entries(paths)
+    .filter(([path]) => path.startsWith('/api/tasks'))
+    .forEach(([, pathItem]) => Object.values(pathItem).forEach(pathOperation => {
+        pathOperation.responses[429] = responseRef('TooManyRequests');
+    }));
+
+// The complete document (built once per process; nothing in it changes at runtime)
+const buildOpenApiDocument = () => ({
+    openapi: '3.0.3',
+    info: {
+        title: 'Taskify Task API',
+        version: require('../../package.json').version,
+        description: 'Tasks, their checklists, comments, attachments and dependencies, trash, history, recurrence and import/export, '
+            + 'the workflows that define task statuses, and the workspaces that share them with other users. '
+            + 'Sign in with POST /api/auth/login and send the token as "Authorization: Bearer <token>". '
+            + 'Requests act on your own workspace unless X-Workspace-Id names another one you are a member of. '
+            + 'Writes return an ETag; send it back as If-Match to avoid overwriting someone else\'s change.',
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    tags: [
+        { name: 'Tasks', description: 'Task CRUD, board ordering, bulk actions, trash and import/export' },
+        { name: 'Checklist', description: 'Subtasks inside a task; each change returns the whole task' },
+        { name: 'Comments', description: 'Discussion thread on a task' },
+        { name: 'Attachments', description: 'Files attached to a task' },
+        { name: 'Dependencies', description: 'Tasks blocked by other tasks, and the dependency graph' },
+        { name: 'Workflows', description: 'Task statuses, their order and the allowed moves between them' },
+        { name: 'Workspaces', description: 'Shared task pools, their members and roles' },
+    ],
+    paths,
+    components: {
+        securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+        schemas: componentSchemas,
+        responses,
+    },
+});
+
+module.exports = { buildOpenApiDocument };
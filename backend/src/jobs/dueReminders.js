@@ -0,0 +1,120 @@
+const Task = require('../models/taskModel');
+const User = require('../models/userModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { getWorkflows, isDoneStatus } = require('../utils/workflows');
+const { deliverNotification } = require('../utils/notificationChannels');
+const { logger } = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// How often the scheduler looks for due reminders, and how far back a missed due date still gets an overdue notice
+// (so the first run does not notify about every long-overdue task)
+const REMINDER_INTERVAL_MS = Number(process.env.REMINDER_INTERVAL_MS) || MINUTE_MS;
+const OVERDUE_LOOKBACK_DAYS = Number(process.env.OVERDUE_LOOKBACK_DAYS) || 7;
+
+// Due dates are stored as dates without a time of day (midnight UTC)
+const formatDueDate = (date) => date.toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+});
+
+// "in 2 days", "in 3 hours", "now"
+const describeLeadTime = (ms) => {
+    const minutes = Math.round(ms / MINUTE_MS);
+    if (minutes < 1) return 'now';
+    const [amount, unit] = minutes >= 24 * 60 ? [Math.round(minutes / (24 * 60)), 'day']
+        : minutes >= 60 ? [Math.round(minutes / 60), 'hour']
+            : [minutes, 'minute'];
+    return `in ${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+// Which notification a task is owed right now, as { keys, notification }, or null.
+// Keys identify reminders per due date, so moving the due date re-arms them.
+// Reminders whose time has passed are sent together as one notification about the nearest due time.
+const getPendingReminder = (task, now) => {
+    const dueTime = task.dueDate.getTime();
+    const sent = new Set(task.remindersSent);
+
+    if (dueTime <= now) {
+        const key = `overdue@${dueTime}`;
+        if (sent.has(key)) return null;
+        return {
+            keys: [key],
+            notification: {
+                type: 'overdue',
+                task,
+                title: `Overdue: ${task.title}`,
+                message: `"${task.title}" was due on ${formatDueDate(task.dueDate)} and is not completed yet.`,
+            },
+        };
+    }
+
+    const keys = task.reminderOffsets
+        .filter(offset => dueTime - offset * MINUTE_MS <= now)
+        .map(offset => `${offset}@${dueTime}`)
+        .filter(key => !sent.has(key));
+    if (keys.length === 0) return null;
+
+    const leadTime = describeLeadTime(dueTime - now);
+    return {
+        keys,
+        notification: {
+            type: 'reminder',
+            task,
+            title: `Reminder: ${task.title} is due ${leadTime}`,
+            message: `"${task.title}" is due ${leadTime} (${formatDueDate(task.dueDate)}).`,
+        },
+    };
+};
+
+// Find open tasks (not in their workspace's done status) with a reminder or overdue notice to send, and deliver each one
+// once: to the task's assignees, or to the workspace owner when nobody is assigned. Returns the number of notifications sent.
+const sendDueReminders = async (now = Date.now()) => {
+    const taskRepository = getTaskRepository();
+    const tasks = await taskRepository.find({
+        dueAfter: new Date(now - OVERDUE_LOOKBACK_DAYS * DAY_MS),
+        dueBefore: new Date(now + Task.MAX_REMINDER_OFFSET * MINUTE_MS),
+    }, { withReminders: true });
+    if (tasks.length === 0) return 0;
+
+    const recipientIdsOf = (task) => (task.assignees.length > 0 ? task.assignees : [task.owner]).map(id => id.toString());
+    const ownerIds = [...new Set(tasks.map(task => task.owner.toString()))];
+    const userIds = [...new Set(tasks.flatMap(recipientIdsOf))];
+    const [users, workflows] = await Promise.all([
+        getRepository(User).find({ _id: { $in: userIds } }, { select: 'name email' }),
+        getWorkflows(ownerIds),
+    ]);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    let sentCount = 0;
+    for (const task of tasks) {
+        const recipients = recipientIdsOf(task).map(id => usersById.get(id)).filter(Boolean);
+        if (recipients.length === 0 || isDoneStatus(workflows.get(task.owner.toString()), task.status)) continue;
+        const pending = getPendingReminder(task, now);
+        if (!pending) continue;
+
+        // Claim the reminders before delivering, so a second API instance running this job cannot send them too
+        if (!await taskRepository.claimReminders(task._id, pending.keys)) continue;
+
+        for (const recipient of recipients) {
+            await deliverNotification(recipient, pending.notification);
+            sentCount += 1;
+        }
+    }
+    if (sentCount > 0) {
+        logger.info('Due reminders sent', { notifications: sentCount });
+    }
+    return sentCount;
+};
+
+// Run once now, then on a fixed interval. Returns the timer so callers can stop it.
+const startDueReminderJob = () => {
+    const run = () => sendDueReminders().catch(err => logger.error('Due reminders failed', { error: err.message }));
+    run();
+    const timer = setInterval(run, REMINDER_INTERVAL_MS);
+    timer.unref(); // Never keep the process alive just for reminders
+    return timer;
+};
+
+module.exports = { sendDueReminders, startDueReminderJob };
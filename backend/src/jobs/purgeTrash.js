@@ -0,0 +1,41 @@
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { recordTaskHistory } = require('../utils/taskHistory');
+const { TASK_EVENTS, publishTaskEvents } = require('../utils/taskEvents');
+const { enqueueTaskWebhooks } = require('../utils/webhooks');
+const { deleteTaskRelations } = require('../utils/taskRelations');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long deleted tasks stay restorable, and how often the purge runs
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000; // Hourly
+
+// Permanently delete tasks that have been in the trash longer than the retention period
+const purgeExpiredTasks = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+    const expiredTasks = await getTaskRepository().removeMany({ deletedBefore: cutoff });
+    if (expiredTasks.length === 0) return 0;
+
+    await deleteTaskRelations(expiredTasks.map(task => task._id)); // Comments and attachments
+    // No actor: the history entry is attributed to "System"
+    await Promise.all(expiredTasks.map(task => recordTaskHistory({ action: 'purged', before: task })));
+    publishTaskEvents(TASK_EVENTS.deleted, expiredTasks);
+    // One at a time: expired tasks belong to different users
+    for (const task of expiredTasks) {
+        await enqueueTaskWebhooks(TASK_EVENTS.deleted, null, task);
+    }
+    logger.info('Trash purge deleted tasks permanently', { tasks: expiredTasks.length });
+    return expiredTasks.length;
+};
+
+// Run once now, then on a fixed interval. Returns the timer so callers can stop it.
+const startTrashPurgeJob = () => {
+    const run = () => purgeExpiredTasks().catch(err => logger.error('Trash purge failed', { error: err.message }));
+    run();
+    const timer = setInterval(run, TRASH_PURGE_INTERVAL_MS);
+    timer.unref(); // Never keep the process alive just for the purge
+    return timer;
+};
+
+module.exports = { purgeExpiredTasks, startTrashPurgeJob, TRASH_RETENTION_DAYS };
@@ -0,0 +1,17 @@
+const { processDueDeliveries } = require('../utils/webhooks');
+const { logger } = require('../utils/logger');
+
+// How often queued webhook retries are checked (new deliveries are sent right away when they are queued)
+const WEBHOOK_RETRY_INTERVAL_MS = Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 15 * 1000;
+
+// Run once now (catching up on anything queued before a restart), then on a fixed interval.
+// Returns the timer so callers can stop it.
+const startWebhookDeliveryJob = () => {
+    const run = () => processDueDeliveries().catch(err => logger.error('Webhook delivery failed', { error: err.message }));
+    run();
+    const timer = setInterval(run, WEBHOOK_RETRY_INTERVAL_MS);
+    timer.unref(); // Never keep the process alive just for webhook retries
+    return timer;
+};
+
+module.exports = { startWebhookDeliveryJob };
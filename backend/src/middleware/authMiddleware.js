@@ -0,0 +1,58 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/userModel');
+const { getRepository } = require('../repositories/documentRepository');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+// Issue a signed token carrying the user's id
+const signToken = (userId) => jwt.sign({ id: userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+// Verify a token and attach its user to req.user, or respond 401.
+// Only token problems are 401s: a failed user lookup, and anything thrown by later handlers, goes to the error handler.
+const authenticate = async (token, req, res, next) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return res.status(401).json({ message: 'Not authorized, invalid token', error: error.message });
+    }
+
+    let user;
+    try {
+        user = await getRepository(User).findOne({ _id: decoded.id });
+    } catch (error) {
+        return next(error);
+    }
+    if (!user) {
+        return res.status(401).json({ message: 'Not authorized, user no longer exists' });
+    }
+
+    req.user = user;
+    next();
+};
+
+// Protects routes: expects "Authorization: Bearer <token>" and attaches the user to req.user
+const protect = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ message: 'Not authorized, no token provided' });
+    }
+    return authenticate(token, req, res, next);
+};
+
+// Same as protect, but also accepts ?token=<token>.
+// Only for the event stream: the browser's EventSource API cannot send an Authorization header.
+const protectEventStream = async (req, res, next) => {
+    if (req.headers.authorization) return protect(req, res, next);
+
+    const { token } = req.query;
+    if (!token) {
+        return res.status(401).json({ message: 'Not authorized, no token provided' });
+    }
+    return authenticate(token, req, res, next);
+};
+
+module.exports = { protect, protectEventStream, signToken };
@@ -0,0 +1,43 @@
+const { logger } = require('../utils/logger');
+
+// Size limit for JSON request bodies (large enough for task imports, POST /api/tasks/import)
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '2mb';
+
+// Messages for the errors body-parser raises before a route runs (its err.type)
+const BODY_ERROR_MESSAGES = {
+    'entity.parse.failed': 'Request body is not valid JSON.',
+    'entity.too.large': `Request body is too large (limit ${JSON_BODY_LIMIT}).`,
+    'encoding.unsupported': 'Unsupported request body encoding.',
+    'charset.unsupported': 'Unsupported request body charset.',
+    'request.aborted': 'Request was aborted.',
+};
+
+// Unknown /api paths answer in JSON like the rest of the API instead of Express's HTML page
+const notFound = (req, res) => {
+    res.status(404).json({ message: `Route not found: ${req.method} ${req.originalUrl.split('?')[0]}` });
+};
+
+// Central error handler, mounted after every route. Routes handle their own expected errors; this catches what
+// reaches next(err) or is thrown synchronously: malformed or oversized bodies (4xx) and anything unexpected (500).
+// 500s are logged with the request id, which is also returned so users can quote it. The underlying error message
+// is only included outside production.
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        // Too late for a JSON response: let Express close the connection
+        return next(err);
+    }
+
+    const status = err.status || err.statusCode || 500;
+    if (status < 500) {
+        return res.status(status).json({ message: BODY_ERROR_MESSAGES[err.type] || err.message });
+    }
+
+    logger.error('Unhandled error', { requestId: req.id, method: req.method, path: req.originalUrl.split('?')[0], error: err.message, stack: err.stack });
+    res.status(status).json({
+        message: 'Internal server error',
+        requestId: req.id,
+        ...(process.env.NODE_ENV !== 'production' && { error: err.message }),
+    });
+};
+
+module.exports = { notFound, errorHandler, JSON_BODY_LIMIT };
@@ -0,0 +1,52 @@
+const { logger } = require('../utils/logger');
+
+// Fixed-window rate limiting per client IP, kept in this process's memory (like the event hub, every API instance
+// counts its own requests). Behind a proxy, set TRUST_PROXY so req.ip is the client's address rather than the proxy's.
+//
+// Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset (seconds until the window resets);
+// requests over the limit get 429 with Retry-After.
+const createRateLimiter = ({ windowMs, max, name }) => {
+    const hits = new Map(); // ip -> { count, resetAt }
+
+    // Forget finished windows so the map does not grow with every address ever seen
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, ip) => {
+            if (entry.resetAt <= now) hits.delete(ip);
+        });
+    }, windowMs);
+    sweep.unref(); // Never keep the process alive just for the cleanup
+
+    return (req, res, next) => {
+        const now = Date.now();
+        let entry = hits.get(req.ip);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(req.ip, entry);
+        }
+        entry.count += 1;
+
+        const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(max - entry.count, 0)),
+            'RateLimit-Reset': String(resetSeconds),
+        });
+
+        if (entry.count > max) {
+            if (entry.count === max + 1) logger.warn('Rate limit exceeded', { limiter: name, ip: req.ip, requestId: req.id });
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ message: 'Too many requests, please try again later.' });
+        }
+        next();
+    };
+};
+
+// /api/tasks (and the routes nested under it): RATE_LIMIT_MAX requests per RATE_LIMIT_WINDOW_MS per IP
+const tasksRateLimit = createRateLimiter({
+    name: 'tasks',
+    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+    max: Number(process.env.RATE_LIMIT_MAX) || 300,
+});
+
+module.exports = { createRateLimiter, tasksRateLimit };
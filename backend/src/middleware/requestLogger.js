@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+// Header carrying the request id. An id sent by a proxy or client is kept (so logs can be correlated across
+// services), otherwise one is generated. It is echoed on the response either way.
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Health probes run every few seconds, so only their failures are logged
+const QUIET_PATHS = ['/healthz', '/readyz'];
+
+// Attach req.id and the X-Request-Id response header
+const requestId = (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+    next();
+};
+
+// Log one JSON line per request once the response is sent (or the client disconnects first).
+// Only the path is logged: query strings may carry search terms or the event stream's token.
+const requestLogger = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    let logged = false;
+    const log = () => {
+        if (logged) return;
+        logged = true;
+
+        const path = req.originalUrl.split('?')[0];
+        const aborted = !res.writableFinished;
+        if (QUIET_PATHS.includes(path) && res.statusCode < 400 && !aborted) return;
+
+        let level = 'info';
+        if (res.statusCode >= 500) level = 'error';
+        else if (res.statusCode >= 400 || aborted) level = 'warn';
+
+        logger[level]('request', {
+            requestId: req.id,
+            method: req.method,
+            path,
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10, // 0.1 ms precision
+            bytes: Number(res.get('Content-Length')) || undefined,
+            userId: req.user?._id?.toString(),
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            aborted: aborted || undefined,
+        });
+    };
+
+    res.on('finish', log);
+    res.on('close', log);
+    next();
+};
+
+module.exports = { requestId, requestLogger, REQUEST_ID_HEADER };
@@ -0,0 +1,41 @@
+// Security-related middleware: CORS allowlist and response headers.
+
+// Browser origins allowed to call the API, comma-separated (e.g. "https://taskify.example.com,http://localhost:5173").
+// "*" allows any origin. Defaults to the Vite dev server. Requests without an Origin header (curl, server-to-server)
+// are not affected by CORS.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+// Options for the cors package. Origins outside the allowlist get no CORS headers, so browsers block the response.
+// ETag is exposed so browser clients can read task versions for If-Match requests, Content-Disposition for export
+// file names and X-Request-Id so errors can be reported with the id found in the server logs.
+const corsOptions = {
+    origin: (origin, callback) => callback(null, CORS_ORIGINS.includes('*') || !origin || CORS_ORIGINS.includes(origin)),
+    exposedHeaders: ['ETag', 'Content-Disposition', 'X-Request-Id'],
+    maxAge: 600, // Let browsers cache preflight results for 10 minutes
+};
+
+// The API only returns JSON, files and event streams, none of which should load anything or be framed.
+// The docs explorer sets its own, looser policy (routes/docsRoutes.js).
+const API_CONTENT_SECURITY_POLICY = "default-src 'none'; frame-ancestors 'none'";
+
+// Conservative headers for every response. HSTS is only sent over HTTPS (set TRUST_PROXY behind a TLS-terminating proxy).
+const securityHeaders = (req, res, next) => {
+    res.set({
+        'Content-Security-Policy': API_CONTENT_SECURITY_POLICY,
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'no-referrer',
+        'Cross-Origin-Opener-Policy': 'same-origin',
+        'X-DNS-Prefetch-Control': 'off',
+        'X-Permitted-Cross-Domain-Policies': 'none',
+    });
+    if (req.secure) {
+        res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains'); // 180 days
+    }
+    next();
+};
+
+module.exports = { corsOptions, securityHeaders, CORS_ORIGINS };
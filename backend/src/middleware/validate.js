@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+// --- Schema-driven request validation ---
+// A schema maps field names to rules. Supported rule keys:
+//   type       'string' | 'integer' | 'number' | 'boolean' | 'date' | 'objectId' | 'array' | 'object' | 'list'
+//              ('list' is a comma-separated query string whose parts are checked against `items`)
+//   required   the field must be present (and, for strings, not blank)
+//   nullable   null is accepted (for dates and ids an empty string too, meaning "clear")
+//   enum       allowed values (ignoreCase: true compares strings case-insensitively); allow: extra accepted values
+//   min/max    number bounds; minLength/maxLength string lengths; minItems/maxItems array sizes
+//   items      rule for every array/list element; properties: schema for an object's fields
+//   strict     objects/schemas only: reject fields not listed in the schema
+//   label      human-readable name used in messages (defaults to the field name)
+//
+// Query and route parameters arrive as strings, so numbers and booleans are parsed there before checking.
+// Failures respond 400 with one entry per problem:
+//   { message: 'Validation failed', code: 'VALIDATION_FAILED', errors: [{ location, field, code, message }] }
+// Error codes: required, invalid_type, invalid_value, invalid_format, too_small, too_large, too_short, too_long,
+// too_few_items, too_many_items, unknown_field (handlers add not_found for references to missing records)
+
+// Parse a string from the query or route params into the type a rule expects
+const fromString = (value, type) => {
+    if (typeof value !== 'string') return value;
+    if (type === 'integer' || type === 'number') return value.trim() === '' ? value : Number(value);
+    if (type === 'boolean') return value === 'true' ? true : value === 'false' ? false : value;
+    return value;
+};
+
+const matchesEnum = (value, rule) => {
+    const allowed = [...rule.enum, ...(rule.allow || [])];
+    if (rule.ignoreCase && typeof value === 'string') {
+        return allowed.some(option => String(option).toLowerCase() === value.toLowerCase());
+    }
+    return allowed.includes(value);
+};
+
+// Check one value against its rule; pushes { field, code, message } entries onto errors
+const checkValue = (value, rule, field, errors, fromQuery) => {
+    const label = rule.label || field;
+    const fail = (code, message) => errors.push({ field, code, message });
+
+    if (value === undefined) {
+        if (rule.required) fail('required', `${label} is required.`);
+        return;
+    }
+    if (value === null || (value === '' && ['date', 'objectId'].includes(rule.type))) {
+        if (!rule.nullable) fail(rule.required ? 'required' : 'invalid_type', `${label} ${rule.required ? 'is required' : 'cannot be empty'}.`);
+        return;
+    }
+
+    const parsed = fromQuery ? fromString(value, rule.type) : value;
+    if (rule.allow && rule.allow.includes(parsed)) return;
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof parsed !== 'string') return fail('invalid_type', `${label} must be a string.`);
+            if (rule.required && parsed.trim() === '') return fail('required', `${label} is required.`);
+            if (rule.minLength !== undefined && parsed.trim().length < rule.minLength) {
+                return fail('too_short', `${label} must be at least ${rule.minLength} characters long.`);
+            }
+            if (rule.maxLength !== undefined && parsed.length > rule.maxLength) {
+                return fail('too_long', `${label} cannot exceed ${rule.maxLength} characters.`);
+            }
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof parsed !== 'number' || Number.isNaN(parsed) || (rule.type === 'integer' && !Number.isInteger(parsed))) {
+                return fail('invalid_type', `${label} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}.`);
+            }
+            if (rule.min !== undefined && parsed < rule.min) return fail('too_small', `${label} must be at least ${rule.min}.`);
+            if (rule.max !== undefined && parsed > rule.max) return fail('too_large', `${label} cannot exceed ${rule.max}.`);
+            break;
+        case 'boolean':
+            if (typeof parsed !== 'boolean') return fail('invalid_type', `${label} must be true or false.`);
+            break;
+        case 'date':
+            if ((typeof parsed !== 'string' && typeof parsed !== 'number') || Number.isNaN(new Date(parsed).getTime())) {
+                return fail('invalid_format', `${label} must be a valid date.`);
+            }
+            break;
+        case 'objectId':
+            if (typeof parsed !== 'string' || !mongoose.isValidObjectId(parsed)) {
+                return fail('invalid_format', `${label} must be a valid id.`);
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(parsed)) return fail('invalid_type', `${label} must be an array.`);
+            if (rule.minItems !== undefined && parsed.length < rule.minItems) {
+                return fail('too_few_items', `${label} must contain at least ${rule.minItems} item(s).`);
+            }
+            if (rule.maxItems !== undefined && parsed.length > rule.maxItems) {
+                return fail('too_many_items', `${label} cannot contain more than ${rule.maxItems} items.`);
+            }
+            if (rule.items) parsed.forEach((item, index) => checkValue(item, rule.items, `${field}[${index}]`, errors, false));
+            return;
+        case 'list':
+            if (typeof parsed !== 'string') return fail('invalid_type', `${label} must be a comma-separated list.`);
+            if (rule.items) {
+                parsed.split(',').map(part => part.trim()).filter(Boolean)
+                    .forEach(part => checkValue(part, { label, ...rule.items }, field, errors, true));
+            }
+            return;
+        case 'object':
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return fail('invalid_type', `${label} must be an object.`);
+            if (rule.properties) checkObject(parsed, rule.properties, `${field}.`, errors, rule.strict);
+            return;
+        default:
+            break; // No type: any value
+    }
+
+    if (rule.enum && !matchesEnum(parsed, rule)) {
+        fail('invalid_value', `${label} must be one of: ${[...rule.enum, ...(rule.allow || [])].join(', ')}.`);
+    }
+};
+
+// Check every field of an object against a schema (checkValue and checkObject call each other for nested objects)
+const checkObject = (object, schema, prefix, errors, strict, fromQuery = false) => {
+    Object.entries(schema).forEach(([name, rule]) => checkValue(object[name], rule, `${prefix}${name}`, errors, fromQuery));
+    if (strict) {
+        Object.keys(object).filter(name => !schema[name]).forEach(name => {
+            errors.push({ field: `${prefix}${name}`, code: 'unknown_field', message: `${name} is not an accepted field.` });
+        });
+    }
+};
+
+// Validate a plain object against a schema. Returns a list of { field, code, message } (empty when valid).
+const validateObject = (object, schema, { strict = false, fromQuery = false } = {}) => {
+    const errors = [];
+    checkObject(object || {}, schema, '', errors, strict, fromQuery);
+    return errors;
+};
+
+const sendValidationError = (res, errors) => res.status(400).json({
+    message: 'Validation failed',
+    code: 'VALIDATION_FAILED',
+    errors,
+});
+
+// Middleware factory: validate({ params, query, body, strictBody }) checks each listed part of the request
+const validate = ({ params, query, body, strictBody = false }) => (req, res, next) => {
+    const errors = [
+        ...(params ? validateObject(req.params, params, { fromQuery: true }).map(error => ({ location: 'params', ...error })) : []),
+        ...(query ? validateObject(req.query, query, { fromQuery: true }).map(error => ({ location: 'query', ...error })) : []),
+    ];
+    if (body) {
+        const payload = req.body;
+        if (payload !== undefined && (payload === null || typeof payload !== 'object' || Array.isArray(payload))) {
+            errors.push({ location: 'body', field: null, code: 'invalid_type', message: 'Request body must be a JSON object.' });
+        } else {
+            errors.push(...validateObject(payload, body, { strict: strictBody }).map(error => ({ location: 'body', ...error })));
+        }
+    }
+
+    if (errors.length > 0) return sendValidationError(res, errors);
+    next();
+};
+
+// Turn a Mongoose ValidationError or CastError raised while saving into the same error entries,
+// or return null for any other error. Lets handlers report schema-level failures in the common envelope.
+const toValidationErrors = (error) => {
+    if (error instanceof mongoose.Error.ValidationError) {
+        return Object.values(error.errors).map(err => ({
+            location: 'body',
+            field: err.path,
+            code: err.kind === 'required' ? 'required' : err.name === 'CastError' ? 'invalid_type' : 'invalid_value',
+            message: err.message,
+        }));
+    }
+    if (error instanceof mongoose.Error.CastError) {
+        return [{ location: 'body', field: error.path, code: 'invalid_type', message: `${error.path} has an invalid value.` }];
+    }
+    return null;
+};
+
+module.exports = { validate, validateObject, sendValidationError, toValidationErrors };
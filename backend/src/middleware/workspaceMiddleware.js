@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { getOwnWorkspace, findWorkspace, roleOf, hasRole } = require('../utils/workspaces');
+
+// Clients pick the workspace a request acts on with this header; without it, the user's own workspace is used
+const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+// Runs after protect: attaches the selected workspace to req.workspace and the user's role in it to req.workspaceRole.
+// Routes scope tasks, projects and the workflow by req.workspace.owner and keep req.user as the one acting.
+const loadWorkspace = async (req, res, next) => {
+    try {
+        const id = req.get(WORKSPACE_HEADER);
+        if (id === undefined || id === '') {
+            req.workspace = await getOwnWorkspace(req.user);
+        } else if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ message: `Invalid ${WORKSPACE_HEADER} header` });
+        } else {
+            req.workspace = await findWorkspace(id, req.user._id);
+            if (!req.workspace) {
+                return res.status(404).json({ message: 'Workspace not found' });
+            }
+        }
+        req.workspaceRole = roleOf(req.workspace, req.user._id);
+    } catch (error) {
+        return next(error);
+    }
+    next(); // Outside the try, so errors from later handlers are not caught here
+};
+
+// Only lets the request through when the user's role in the workspace is at least `minimum`
+// ('viewer' reads, 'editor' also writes, 'owner' manages the workspace). Responds 403 otherwise.
+const requireRole = (minimum) => (req, res, next) => {
+    if (hasRole(req.workspaceRole, minimum)) return next();
+    res.status(403).json({ message: `Your role in this workspace (${req.workspaceRole}) does not allow this.` });
+};
+
+module.exports = { loadWorkspace, requireRole, WORKSPACE_HEADER };
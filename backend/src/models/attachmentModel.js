@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// File attached to a task. Only the metadata lives here; the bytes are kept by the
+// attachment storage adapter (utils/attachmentStorage.js) under storageKey.
+const AttachmentSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true,
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true, // The task's owner; scopes every query like the task itself
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    uploadedByName: {
+        type: String, // Snapshot, like Comment.authorName
+        default: '',
+    },
+    fileName: {
+        type: String, // Original name as uploaded, used for Content-Disposition on download
+        required: true,
+        trim: true,
+    },
+    mimeType: {
+        type: String,
+        required: true,
+    },
+    size: {
+        type: Number, // Bytes
+        required: true,
+    },
+    storageKey: {
+        type: String, // Generated by the server, never derived from fileName
+        required: true,
+        select: false,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+    },
+}, {
+    // Never expose where the bytes are stored, even on documents that were just created
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.storageKey;
+            return ret;
+        },
+    },
+});
+
+// A task's attachments, oldest first
+AttachmentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Comment in a task's discussion thread (GET/POST /api/tasks/:id/comments)
+const CommentSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true,
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true, // The task's owner; scopes every query like the task itself
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    authorName: {
+        type: String, // Snapshot, so the thread stays readable if the author account goes away
+        default: '',
+    },
+    body: {
+        type: String,
+        required: [true, 'Comment text is required.'],
+        trim: true,
+    },
+    editedAt: {
+        type: Date,
+        default: null, // Set when the author changes the text
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+    },
+});
+
+// A task's thread, oldest first
+CommentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
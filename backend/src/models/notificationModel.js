@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown in the user's inbox (the bell in the app header)
+const NotificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['reminder', 'overdue', 'assigned', 'invited'],
+    },
+    // The task this is about. Not populated: the title is copied so the message survives the task being purged.
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null,
+    },
+    title: {
+        type: String,
+        required: true,
+    },
+    message: {
+        type: String,
+        default: '',
+    },
+    readAt: {
+        type: Date,
+        default: null, // null = unread
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+    },
+});
+
+// Inbox listing (newest first) and unread counts
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
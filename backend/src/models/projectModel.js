@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const ProjectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Project name is required.'],
+        trim: true,
+        maxlength: [60, 'Project name cannot exceed 60 characters.'],
+    },
+    color: {
+        type: String,
+        default: '#6366f1', // Indigo, matches the app's accent color
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #6366f1.'],
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+    },
+});
+
+// Project names are unique per user
+ProjectSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Project', ProjectSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One field-level change inside a history entry
+const FieldChangeSchema = new mongoose.Schema({
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+// Audit log entry: who did what to which task, and when
+const TaskHistorySchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true,
+    },
+    taskTitle: {
+        type: String, // Snapshot, so the feed stays readable after the task is purged
+        default: '',
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true, // Scopes the activity feed
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null, // null for background jobs
+    },
+    actorName: {
+        type: String,
+        default: 'System',
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: ['created', 'updated', 'deleted', 'restored', 'purged'],
+    },
+    changes: {
+        type: [FieldChangeSchema],
+        default: [],
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+    },
+});
+
+// Per-task timeline and per-owner activity feed, newest first
+TaskHistorySchema.index({ task: 1, createdAt: -1 });
+TaskHistorySchema.index({ owner: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TaskHistory', TaskHistorySchema);
@@ -1,5 +1,79 @@
 const mongoose = require('mongoose');
 
+// Priority levels from least to most urgent (the index is the sort rank)
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+// Due-date reminders: minutes before dueDate at which the owner is notified (0 = when it falls due)
+const DEFAULT_REMINDER_OFFSETS = [24 * 60]; // One day before
+const MAX_REMINDER_OFFSET = 30 * 24 * 60; // 30 days
+const MAX_REMINDERS = 5;
+
+// Dependencies: tasks that must be done before this one can start (see utils/taskDependencies.js)
+const MAX_BLOCKERS = 20;
+
+// Workspace members responsible for a task (see utils/workspaces.js)
+const MAX_ASSIGNEES = 10;
+
+// Checklist size limits
+const MAX_CHECKLIST_ITEMS = 100;
+const MAX_CHECKLIST_ITEM_LENGTH = 500;
+
+// Checklist item (subtask) embedded inside a task
+const ChecklistItemSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: [true, 'Checklist item text is required.'],
+        trim: true,
+        maxlength: [MAX_CHECKLIST_ITEM_LENGTH, `Checklist item text cannot exceed ${MAX_CHECKLIST_ITEM_LENGTH} characters.`],
+    },
+    done: {
+        type: Boolean,
+        default: false,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+    },
+});
+
+// Recurrence rule (RRULE-style): repeat every `interval` days/weeks/months/years,
+// optionally on specific weekdays, until a date or for a fixed number of occurrences.
+const RecurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        required: [true, 'Recurrence frequency is required.'],
+        enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    },
+    interval: {
+        type: Number,
+        default: 1,
+        min: [1, 'Recurrence interval must be at least 1.'],
+        max: [365, 'Recurrence interval cannot exceed 365.'],
+    },
+    byWeekday: {
+        type: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday ... 6 = Saturday (weekly only)
+        default: [],
+    },
+    count: {
+        type: Number,
+        default: null, // End after this many occurrences in the series
+        min: [1, 'Recurrence count must be at least 1.'],
+    },
+    until: {
+        type: Date,
+        default: null, // End after this date
+    },
+    startDate: {
+        type: Date,
+        default: null, // Series anchor, set server-side when the next occurrence is generated
+    },
+    nextTaskId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null, // Set once the next occurrence has been generated
+    },
+}, { _id: false });
+
 const TaskSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -12,18 +86,182 @@ const TaskSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        required: true,
-        default: 'Pending',
-        enum: ['Pending', 'In Progress', 'Completed'], // Possible values
+        required: [true, 'Status is required.'],
+        trim: true,
+        maxlength: [40, 'Status cannot exceed 40 characters.'], // One of the owner's workflow statuses (checked by the routes, see utils/workflows.js)
     },
     dueDate: {
         type: Date,
         default: null, // Optional
     },
+    priority: {
+        type: String,
+        default: 'medium',
+        enum: PRIORITY_LEVELS,
+    },
+    priorityRank: {
+        type: Number,
+        default: PRIORITY_LEVELS.indexOf('medium'), // Kept in sync with priority so it sorts by urgency, not alphabetically
+        select: false,
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null, // Optional
+    },
+    tags: {
+        type: [{ type: String, trim: true, lowercase: true }],
+        default: [], // Free-form labels
+    },
+    reminderOffsets: {
+        type: [{
+            type: Number,
+            min: [0, 'Reminder offsets cannot be negative.'],
+            max: [MAX_REMINDER_OFFSET, 'Reminders can be at most 30 days before the due date.'],
+        }],
+        default: () => [...DEFAULT_REMINDER_OFFSETS],
+        validate: {
+            validator: offsets => offsets.length <= MAX_REMINDERS,
+            message: `A task can have at most ${MAX_REMINDERS} reminders.`,
+        },
+    },
+    remindersSent: {
+        type: [String], // Reminders already delivered, as "<offset>@<due time>" / "overdue@<due time>" (see jobs/dueReminders)
+        default: [],
+        select: false,
+    },
+    position: {
+        type: Number,
+        default: 0, // Manual ordering within a status column on the board
+    },
+    checklist: {
+        type: [ChecklistItemSchema],
+        default: [], // Ordered list of subtasks
+        validate: {
+            validator: items => items.length <= MAX_CHECKLIST_ITEMS,
+            message: `A task can have at most ${MAX_CHECKLIST_ITEMS} checklist items.`,
+        },
+    },
+    completeWhenChecklistDone: {
+        type: Boolean,
+        default: false, // When true, checking off the last item moves the task to the workflow's done status
+    },
+    recurrence: {
+        type: RecurrenceSchema,
+        default: null, // null = does not repeat
+    },
+    blockedBy: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+        default: [], // Tasks that must reach the done status first; managed through /api/tasks/:id/dependencies
+        validate: {
+            validator: ids => ids.length <= MAX_BLOCKERS,
+            message: `A task can be blocked by at most ${MAX_BLOCKERS} tasks.`,
+        },
+    },
+    assignees: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        default: [], // Members of the task's workspace; they get its reminders instead of the owner
+        validate: {
+            validator: ids => ids.length <= MAX_ASSIGNEES,
+            message: `A task can have at most ${MAX_ASSIGNEES} assignees.`,
+        },
+    },
+    completedAt: {
+        type: Date,
+        default: null, // When the task last reached the workflow's done status; cleared when it is reopened (used by GET /api/tasks/stats)
+    },
+    deletedAt: {
+        type: Date,
+        default: null, // Set when the task is moved to the trash (soft delete)
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true, // The owner of the task's workspace; every task query is scoped by it
+    },
     createdAt: {
         type: Date,
         default: Date.now, // Automatically set
     },
+}, {
+    // Let Mongoose maintain updatedAt on save and on every update query
+    timestamps: { createdAt: false, updatedAt: 'updatedAt' },
+    // Exposed as "version" (instead of __v) and used for optimistic concurrency (ETag / If-Match)
+    versionKey: 'version',
+    // Include computed virtuals (e.g. progress) in API responses
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    id: false, // _id is enough; don't add a duplicate "id" virtual to responses
 });
 
-module.exports = mongoose.model('Task', TaskSchema);
\ No newline at end of file
+// Percentage of checklist items that are done (null when the task has no checklist)
+TaskSchema.virtual('progress').get(function () {
+    if (!this.checklist || this.checklist.length === 0) return null;
+    const doneCount = this.checklist.filter(item => item.done).length;
+    return Math.round((doneCount / this.checklist.length) * 100);
+});
+
+// Soft delete: trashed tasks have deletedAt set and are hidden from every query unless
+// the filter mentions deletedAt itself (e.g. the trash listing and the purge job)
+// or the query opts out with .setOptions({ withDeleted: true }).
+TaskSchema.pre(
+    ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'countDocuments', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'],
+    function () {
+        if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+        this.where({ deletedAt: null });
+    }
+);
+
+// Keep the fields derived from others in step: priorityRank follows priority. Runs before every save;
+// the in-memory task stores call it directly (repositories/memoryTaskRepository.js).
+// completedAt depends on the owner's workflow, so the routes set it along with the status (see utils/workflows.js).
+TaskSchema.methods.syncDerivedFields = function () {
+    if (this.isModified('priority')) {
+        this.priorityRank = PRIORITY_LEVELS.indexOf(this.priority);
+    }
+};
+
+TaskSchema.pre('save', function () {
+    this.syncDerivedFields();
+});
+
+// Keep priorityRank in sync with priority on update queries
+TaskSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    const update = this.getUpdate() || {};
+    const priority = update.priority !== undefined ? update.priority : (update.$set || {}).priority;
+    if (PRIORITY_LEVELS.includes(priority)) {
+        this.set('priorityRank', PRIORITY_LEVELS.indexOf(priority));
+    }
+});
+
+// Trash listing and purge look tasks up by deletedAt
+TaskSchema.index({ owner: 1, deletedAt: 1 });
+
+// Board columns are read per owner, ordered by position
+TaskSchema.index({ owner: 1, status: 1, position: 1 });
+
+// The reminder scheduler scans open tasks by due date
+TaskSchema.index({ dueDate: 1, status: 1 });
+
+// Dependents of a task are looked up by blocker (trash purge, dependency listing)
+TaskSchema.index({ owner: 1, blockedBy: 1 });
+
+// "My tasks" (GET /api/tasks?assignee=me)
+TaskSchema.index({ owner: 1, assignees: 1 });
+
+// Completion time series for GET /api/tasks/stats
+TaskSchema.index({ owner: 1, completedAt: 1 });
+
+// Full-text search over title and description (used by GET /api/tasks?q=...)
+TaskSchema.index({ title: 'text', description: 'text' });
+
+module.exports = mongoose.model('Task', TaskSchema);
+module.exports.PRIORITY_LEVELS = PRIORITY_LEVELS;
+module.exports.MAX_REMINDER_OFFSET = MAX_REMINDER_OFFSET;
+module.exports.MAX_REMINDERS = MAX_REMINDERS;
+module.exports.MAX_BLOCKERS = MAX_BLOCKERS;
+module.exports.MAX_ASSIGNEES = MAX_ASSIGNEES;
+module.exports.MAX_CHECKLIST_ITEMS = MAX_CHECKLIST_ITEMS;
+module.exports.MAX_CHECKLIST_ITEM_LENGTH = MAX_CHECKLIST_ITEM_LENGTH;
+
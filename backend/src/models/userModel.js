@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const UserSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required.'],
+        trim: true,
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required.'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address.'],
+    },
+    password: {
+        type: String,
+        required: [true, 'Password is required.'],
+        minlength: [6, 'Password must be at least 6 characters long.'],
+        select: false, // Never returned by queries unless explicitly requested
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+    },
+});
+
+// Passwords are stored hashed: validate the plain-text fields, then store hashPassword(password) instead.
+// Done by the caller rather than a save hook, so it works the same with every data store.
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+// Compare a plain-text candidate against a user's stored hash (the user must be loaded with '+password')
+const matchPassword = (user, candidate) => bcrypt.compare(candidate, user.password);
+
+module.exports = mongoose.model('User', UserSchema);
+module.exports.hashPassword = hashPassword;
+module.exports.matchPassword = matchPassword;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// How long delivery logs are kept
+const DELIVERY_RETENTION_DAYS = Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+// One HTTP attempt at delivering a webhook payload. Only the status code is kept, never the response body.
+const DeliveryAttemptSchema = new mongoose.Schema({
+    at: {
+        type: Date,
+        default: Date.now,
+    },
+    statusCode: {
+        type: Number,
+        default: null, // null when no response was received (timeout, DNS or connection error)
+    },
+    error: {
+        type: String,
+        default: null,
+    },
+    durationMs: Number,
+}, { _id: false });
+
+// One event queued for one webhook, with its retry state and attempt log
+const WebhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true,
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    event: {
+        type: String,
+        required: true,
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed, // The exact JSON body that is sent (and signed)
+        required: true,
+    },
+    status: {
+        type: String,
+        default: 'pending',
+        enum: ['pending', 'succeeded', 'failed'], // failed = gave up after the last retry
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lastStatusCode: {
+        type: Number,
+        default: null,
+    },
+    log: {
+        type: [DeliveryAttemptSchema],
+        default: [],
+    },
+    deliveredAt: {
+        type: Date,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+        expires: DELIVERY_RETENTION_DAYS * 24 * 60 * 60, // MongoDB removes old logs (TTL index)
+    },
+});
+
+// The delivery worker picks pending deliveries that are due, oldest first
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Delivery log per webhook, newest first
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { isPublicHttpUrl } = require('../utils/webhookTargets');
+
+// Task lifecycle events a webhook can subscribe to (task.status_changed fires alongside task.updated)
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.status_changed', 'task.deleted'];
+
+// Outgoing webhook subscription of a workspace: task events for its tasks are POSTed to url, signed with secret.
+// owner is the workspace owner's id, like on tasks. Host names are resolved and checked too when the webhook is
+// saved through the API and on every delivery (utils/webhookTargets.js).
+const WebhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'Webhook URL is required.'],
+        trim: true,
+        validate: [isPublicHttpUrl, 'Webhook URL must be a valid http(s) URL to a public address.'],
+    },
+    events: {
+        type: [{ type: String, enum: WEBHOOK_EVENTS }],
+        validate: [events => events.length > 0, 'Subscribe to at least one event.'],
+    },
+    secret: {
+        type: String,
+        required: true,
+        minlength: [16, 'Webhook secret must be at least 16 characters long.'],
+        select: false, // Only returned once, when the webhook is created
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: [200, 'Description cannot exceed 200 characters.'],
+    },
+    active: {
+        type: Boolean,
+        default: true, // Inactive webhooks keep their settings but receive nothing
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+    },
+});
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
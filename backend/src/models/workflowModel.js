@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const MAX_STATUSES = 12;
+
+// Case-insensitive name comparison: statuses are matched that way in filters, so names must differ by more than case
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// One column of a workflow. next lists the statuses a task may move to from this one.
+const WorkflowStatusSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Status name is required.'],
+        trim: true,
+        maxlength: [40, 'Status names cannot exceed 40 characters.'],
+    },
+    color: {
+        type: String,
+        default: '#6b7280', // Gray
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #6366f1.'],
+    },
+    next: {
+        type: [{ type: String, trim: true }],
+        default: [],
+    },
+}, { _id: false });
+
+// A user's task workflow: the statuses in board order, which of them means "done", and the allowed moves between them.
+// New tasks start in the first status. Reaching doneStatus stamps completedAt and completes a recurring task's occurrence.
+const WorkflowSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true,
+        default: 'Default',
+        maxlength: [60, 'Workflow name cannot exceed 60 characters.'],
+    },
+    statuses: {
+        type: [WorkflowStatusSchema],
+        validate: [
+            {
+                validator: statuses => statuses.length >= 2 && statuses.length <= MAX_STATUSES,
+                message: `A workflow needs 2 to ${MAX_STATUSES} statuses.`,
+            },
+            {
+                validator: statuses => statuses.every((status, index) => statuses.findIndex(other => sameName(other.name, status.name)) === index),
+                message: 'Status names must be unique.',
+            },
+            {
+                validator: statuses => statuses.every(status => status.next.every(name => !sameName(name, status.name)
+                    && statuses.some(other => other.name === name))),
+                message: 'Transitions must name other statuses of the workflow.',
+            },
+        ],
+    },
+    doneStatus: {
+        type: String,
+        required: [true, 'Choose the status that counts as done.'],
+        trim: true,
+        validate: {
+            validator: function (name) {
+                return this.statuses.some(status => status.name === name);
+            },
+            message: 'The done status must be one of the workflow\'s statuses.',
+        },
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true, // One workflow per user
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+    },
+}, {
+    timestamps: { createdAt: false, updatedAt: 'updatedAt' },
+});
+
+module.exports = mongoose.model('Workflow', WorkflowSchema);
+module.exports.MAX_STATUSES = MAX_STATUSES;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Roles from most to least access. The owner manages members and the workflow, editors change tasks and projects,
+// viewers only read. Every route checks the caller's role (middleware/workspaceMiddleware.js).
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+const MEMBER_ROLES = ['editor', 'viewer']; // The owner is not stored as a member
+const MAX_MEMBERS = 50;
+
+const WorkspaceMemberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    role: {
+        type: String,
+        enum: {
+            values: MEMBER_ROLES,
+            message: `Role must be one of: ${MEMBER_ROLES.join(', ')}.`,
+        },
+        default: 'editor',
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// A user's workspace: their tasks, projects and workflow, shared with the members they invite.
+// Every user owns exactly one (created on first use, see utils/workspaces.js) and can be a member of others.
+// Tasks, projects and the workflow keep the owner's id in their owner field, so a workspace is scoped by its owner.
+const WorkspaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Workspace name is required.'],
+        trim: true,
+        maxlength: [60, 'Workspace name cannot exceed 60 characters.'],
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true, // One workspace per user
+    },
+    members: {
+        type: [WorkspaceMemberSchema],
+        validate: [
+            {
+                validator: members => members.length <= MAX_MEMBERS,
+                message: `A workspace can have at most ${MAX_MEMBERS} members.`,
+            },
+            {
+                validator: members => members.every((member, index) => members.findIndex(other => other.user.equals(member.user)) === index),
+                message: 'A user can only be a member once.',
+            },
+            {
+                validator: function (members) {
+                    return members.every(member => !member.user.equals(this.owner));
+                },
+                message: 'The owner cannot also be a member.',
+            },
+        ],
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now, // Automatically set
+    },
+}, {
+    timestamps: { createdAt: false, updatedAt: 'updatedAt' },
+});
+
+// Workspaces a user was invited to
+WorkspaceSchema.index({ 'members.user': 1 });
+
+module.exports = mongoose.model('Workspace', WorkspaceSchema);
+module.exports.WORKSPACE_ROLES = WORKSPACE_ROLES;
+module.exports.MEMBER_ROLES = MEMBER_ROLES;
+module.exports.MAX_MEMBERS = MAX_MEMBERS;
@@ -0,0 +1,91 @@
+// MongoDB-style filters, sorts and updates evaluated in process, for the in-memory stores
+// (the subset described in documentRepository.js).
+
+const isMissing = (value) => value === undefined || value === null;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Order like MongoDB: missing values first, then dates, ids and strings by value
+const compareValues = (a, b) => {
+    if (isMissing(a) || isMissing(b)) return Number(!isMissing(a)) - Number(!isMissing(b));
+    const left = a instanceof Date ? a.getTime() : typeof a === 'object' ? String(a) : a;
+    const right = b instanceof Date ? b.getTime() : typeof b === 'object' ? String(b) : b;
+    if (left < right) return -1;
+    return left > right ? 1 : 0;
+};
+
+// Equality as a filter sees it: ids match their string form, dates match by time, null matches a missing field
+const sameValue = (a, b) => (isMissing(a) || isMissing(b) ? isMissing(a) && isMissing(b) : compareValues(a, b) === 0);
+
+// Values at a dotted path, looking into arrays on the way (e.g. 'members.user' gives every member's user)
+const valuesAt = (record, path) => path.split('.').reduce((values, key) => values
+    .flatMap(value => (Array.isArray(value) ? value : [value]))
+    .map(value => (isMissing(value) ? undefined : value[key])), [record]);
+
+// What a condition is checked against: each value and, for arrays, each of their elements
+const candidatesAt = (record, path) => valuesAt(record, path).flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const isOperatorObject = (condition) => isPlainObject(condition)
+    && Object.keys(condition).length > 0
+    && Object.keys(condition).every(key => key.startsWith('$'));
+
+const OPERATORS = {
+    $in: (candidates, list) => candidates.some(value => list.some(item => sameValue(value, item))),
+    $nin: (candidates, list) => !OPERATORS.$in(candidates, list),
+    $ne: (candidates, operand) => !candidates.some(value => sameValue(value, operand)),
+    $lt: (candidates, operand) => candidates.some(value => !isMissing(value) && compareValues(value, operand) < 0),
+    $lte: (candidates, operand) => candidates.some(value => !isMissing(value) && compareValues(value, operand) <= 0),
+    $gt: (candidates, operand) => candidates.some(value => !isMissing(value) && compareValues(value, operand) > 0),
+    $gte: (candidates, operand) => candidates.some(value => !isMissing(value) && compareValues(value, operand) >= 0),
+    $exists: (candidates, operand) => candidates.some(value => value !== undefined) === Boolean(operand),
+};
+
+// Whether a plain record matches a filter
+const matches = (record, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(part => matches(record, part));
+    if (key === '$and') return condition.every(part => matches(record, part));
+
+    const candidates = candidatesAt(record, key);
+    if (!isOperatorObject(condition)) return candidates.some(value => sameValue(value, condition));
+    return Object.entries(condition).every(([operator, operand]) => {
+        if (!OPERATORS[operator]) throw new Error(`Unsupported filter operator ${operator}`);
+        return OPERATORS[operator](candidates, operand);
+    });
+});
+
+// Records in sort order ({ field: 1 | -1, ... }); ties keep their order
+const sortRecords = (records, sort = {}) => {
+    const fields = Object.entries(sort);
+    if (fields.length === 0) return records;
+    return [...records].sort((a, b) => {
+        for (const [field, direction] of fields) {
+            const order = compareValues(valuesAt(a, field)[0], valuesAt(b, field)[0]);
+            if (order !== 0) return order * direction;
+        }
+        return 0;
+    });
+};
+
+// Field values to set are shorthand for $set, as in MongoDB
+const toUpdateOperators = (update) => (Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update });
+
+// Apply an update to a Mongoose document (validation is left to the caller)
+const applyUpdate = (doc, update) => {
+    const { $set = {}, $inc = {}, $push = {}, $pull = {}, ...unsupported } = toUpdateOperators(update);
+    const [operator] = Object.keys(unsupported);
+    if (operator) throw new Error(`Unsupported update operator ${operator}`);
+
+    Object.entries($set).forEach(([path, value]) => doc.set(path, value));
+    Object.entries($inc).forEach(([path, amount]) => doc.set(path, (doc.get(path) || 0) + amount));
+    Object.entries($push).forEach(([path, value]) => doc.set(path, [...doc.get(path), value]));
+    Object.entries($pull).forEach(([path, condition]) => doc.set(path, doc.get(path).filter(item => {
+        const plain = typeof item.toObject === 'function' ? item.toObject() : item;
+        return isOperatorObject(condition) || !isPlainObject(condition)
+            ? !matches({ item: plain }, { item: condition })
+            : !matches(plain, condition);
+    })));
+};
+
+// Fields the schema marks select: false (returned only when asked for with '+field')
+const hiddenFieldsOf = (Model) => Object.keys(Model.schema.paths).filter(field => Model.schema.paths[field].options.select === false);
+
+module.exports = { compareValues, sameValue, valuesAt, matches, sortRecords, toUpdateOperators, applyUpdate, hiddenFieldsOf };
@@ -0,0 +1,68 @@
+// Stores for every collection besides tasks (users, workspaces, workflows, projects, history, comments, attachments,
+// notifications, webhooks and their deliveries), one repository per Mongoose model. Tasks have their own, richer
+// interface (taskRepository.js). Chosen with DATA_STORE, which defaults to TASK_STORE:
+//   mongo            MongoDB through the Mongoose model (repositories/mongoDocumentRepository.js)
+//   memory           in-process only, lost on restart
+//   json             in memory, each collection saved to DATA_STORE_DIR/<collection>.json (default: backend/data)
+// With TASK_STORE and DATA_STORE both memory or json, Taskify runs without MongoDB.
+//
+// A document repository implements:
+//   find(filter, { sort, skip, limit, select })  matching documents
+//   findOne(filter, { sort, select })            the first match, or null
+//   count(filter)
+//   exists(filter)                               true when a document matches
+//   create(fields)                               the new document
+//   insertMany([fields])                         the new documents; none are stored when one fails validation
+//   updateOne(filter, update, { sort, select })  updates the first match; the updated document, or null
+//   updateMany(filter, update)                   the number of updated documents
+//   deleteOne(filter, { select })                the removed document, or null
+//   deleteMany(filter)                           the number of removed documents
+// All methods are async. Documents are plain objects shaped like the model's toObject(); fields marked select: false
+// are left out unless select asks for them ('+password'), and select can also name the only fields to return
+// ('name email'). Writes are checked against the whole document through the schema (failures throw Mongoose
+// ValidationErrors), unique indexes are enforced (duplicates throw an error with code 11000) and schema timestamps kept.
+//
+// Filters use MongoDB syntax: field values (dotted paths into arrays allowed, e.g. 'members.user'), $in, $nin, $ne,
+// $lt, $lte, $gt, $gte, $exists, $or and $and. Updates are field values to set, or $set, $inc, $push and $pull
+// ($pull takes a filter for the array elements to remove). Sort is { field: 1 | -1, ... }.
+
+const path = require('path');
+const { TASK_STORE } = require('./taskRepository');
+
+const DATA_STORES = ['mongo', 'memory', 'json'];
+const DEFAULT_DATA_STORE_DIR = path.join(__dirname, '../../data');
+
+const createRepository = (store, Model) => {
+    switch (store) {
+        case 'memory':
+            return require('./memoryDocumentRepository').createMemoryDocumentRepository(Model);
+        case 'json':
+            return require('./jsonDocumentRepository').createJsonDocumentRepository(
+                Model,
+                path.join(process.env.DATA_STORE_DIR || DEFAULT_DATA_STORE_DIR, `${Model.collection.collectionName}.json`)
+            );
+        case 'mongo':
+            return require('./mongoDocumentRepository').createMongoDocumentRepository(Model);
+        default:
+            throw new Error(`Unknown DATA_STORE "${store}". Use one of: ${DATA_STORES.join(', ')}.`);
+    }
+};
+
+const DATA_STORE = process.env.DATA_STORE || TASK_STORE;
+const repositories = new Map();
+
+// The configured repository for a model, created on first use
+const getRepository = (Model) => {
+    if (!repositories.has(Model.modelName)) repositories.set(Model.modelName, createRepository(DATA_STORE, Model));
+    return repositories.get(Model.modelName);
+};
+
+// Swap in another repository for a model (e.g. a fresh in-memory one per test)
+const setRepository = (Model, repository) => {
+    repositories.set(Model.modelName, repository);
+};
+
+// Whether the configured stores keep anything in MongoDB (the server only connects when they do)
+const usesMongo = () => TASK_STORE === 'mongo' || DATA_STORE === 'mongo';
+
+module.exports = { getRepository, setRepository, createRepository, usesMongo, DATA_STORE, DATA_STORES };
@@ -0,0 +1,12 @@
+const { createMemoryDocumentRepository } = require('./memoryDocumentRepository');
+const { createJsonFile } = require('./jsonFile');
+
+// JSON file document store (DATA_STORE=json): the in-memory store for one collection, loaded from its file
+// at startup and written back after every change. Single process only, like the JSON task store.
+
+const createJsonDocumentRepository = (Model, filePath) => {
+    const file = createJsonFile(filePath);
+    return createMemoryDocumentRepository(Model, { records: file.load(), onChange: file.save });
+};
+
+module.exports = { createJsonDocumentRepository };
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// File behind a JSON store (TASK_STORE=json, DATA_STORE=json): an array of records, loaded once at startup
+// and rewritten whole after every change. Single process only.
+
+// A store file: load() reads the saved records ([] when the file does not exist yet), save(records) replaces them
+const createJsonFile = (filePath) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const load = () => {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new Error(`Could not read the store file ${filePath}: ${error.message}`);
+        }
+    };
+
+    // Writes go to a temporary file that replaces the store file, so a crash never leaves it half-written.
+    // They are chained so an older snapshot can never overwrite a newer one.
+    let pendingWrite = Promise.resolve();
+    const save = (records) => {
+        const json = JSON.stringify(records, null, 2);
+        pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+            const tempFile = `${filePath}.tmp`;
+            await fs.promises.writeFile(tempFile, json);
+            await fs.promises.rename(tempFile, filePath);
+        });
+        return pendingWrite;
+    };
+
+    return { load, save };
+};
+
+module.exports = { createJsonFile };
@@ -0,0 +1,13 @@
+const { createMemoryTaskRepository } = require('./memoryTaskRepository');
+const { createJsonFile } = require('./jsonFile');
+
+// JSON file task store (TASK_STORE=json): the in-memory store, loaded from a file at startup and
+// written back after every change. Single process only; the file is rewritten whole, so it suits
+// development and small self-hosted setups rather than large task lists.
+
+const createJsonTaskRepository = (filePath) => {
+    const file = createJsonFile(filePath);
+    return createMemoryTaskRepository({ records: file.load(), onChange: file.save });
+};
+
+module.exports = { createJsonTaskRepository };
@@ -0,0 +1,146 @@
+const { sameValue, valuesAt, matches, sortRecords, applyUpdate, hiddenFieldsOf } = require('./documentQueries');
+
+// In-memory document store (DATA_STORE=memory, and the base of the JSON file store).
+// Interface, filters and updates are described in documentRepository.js.
+// Documents go through the Mongoose model for casting, defaults and validation, so they come out exactly as
+// MongoDB would store them. Every method runs synchronously up to onChange, so writes cannot interleave and
+// multi-document writes are all-or-nothing. TTL indexes (e.g. on webhook deliveries) are not applied.
+
+// Plain record of a document, as stored
+const toRecord = (doc) => doc.toObject({ virtuals: false });
+
+// Throw the schema's ValidationError, as a MongoDB save would
+const validateDoc = (doc) => {
+    const error = doc.validateSync();
+    if (error) throw error;
+};
+
+// records: initial documents (plain objects, e.g. parsed JSON; they are cast through the schema)
+// onChange: called with every record after each write and awaited before the write resolves
+const createMemoryDocumentRepository = (Model, { records: initialRecords = [], onChange = async () => {} } = {}) => {
+    const hiddenFields = hiddenFieldsOf(Model);
+    const uniqueIndexes = Model.schema.indexes().filter(([, options]) => options.unique).map(([fields]) => Object.keys(fields));
+    const { timestamps } = Model.schema.options;
+    const updatedAtField = timestamps && (timestamps === true ? 'updatedAt' : timestamps.updatedAt);
+
+    const records = new Map(initialRecords.map(raw => {
+        const record = toRecord(new Model(raw));
+        return [String(record._id), record];
+    }));
+
+    const changed = () => onChange([...records.values()]);
+
+    const select = (filter, sort) => sortRecords([...records.values()].filter(record => matches(record, filter)), sort);
+
+    // Copy of a record as handed out: hidden fields only when select asks for them ('+field'),
+    // only the named fields (and _id) when select lists some
+    const toDocument = (record, fields = '') => {
+        const tokens = String(fields).split(/\s+/).filter(Boolean);
+        const shown = tokens.filter(token => token.startsWith('+')).map(token => token.slice(1));
+        const picked = tokens.filter(token => !token.startsWith('+') && !token.startsWith('-'));
+
+        const doc = Model.hydrate(record).toObject();
+        hiddenFields.filter(field => !shown.includes(field)).forEach(field => delete doc[field]);
+        if (picked.length === 0) return doc;
+        return Object.fromEntries(Object.entries(doc).filter(([field]) => field === '_id' || picked.includes(field)));
+    };
+
+    // Throw MongoDB's duplicate key error when a record collides with another on a unique index
+    const checkUnique = (record, others) => {
+        uniqueIndexes.forEach(fields => {
+            const clash = others.find(other => !sameValue(other._id, record._id)
+                && fields.every(field => sameValue(valuesAt(other, field)[0], valuesAt(record, field)[0])));
+            if (clash) {
+                throw Object.assign(new Error(`E11000 duplicate key error collection: ${Model.collection.collectionName} index: ${fields.join('_')}`), {
+                    code: 11000,
+                    keyValue: Object.fromEntries(fields.map(field => [field, valuesAt(record, field)[0]])),
+                });
+            }
+        });
+    };
+
+    // A validated record for new fields (not stored yet)
+    const build = (fields) => {
+        const doc = new Model(fields);
+        if (updatedAtField) doc.set(updatedAtField, new Date());
+        validateDoc(doc);
+        return toRecord(doc);
+    };
+
+    // A validated, changed copy of a stored record (not stored yet)
+    const applyChanges = (record, update) => {
+        const doc = Model.hydrate(record);
+        applyUpdate(doc, update);
+        if (updatedAtField) doc.set(updatedAtField, new Date());
+        validateDoc(doc);
+        return toRecord(doc);
+    };
+
+    // Store several new or changed records at once, after all of them validated and none collides
+    const commit = async (changedRecords) => {
+        const ids = new Set(changedRecords.map(record => String(record._id)));
+        const untouched = [...records.values()].filter(record => !ids.has(String(record._id)));
+        changedRecords.forEach((record, index) => checkUnique(record, [...untouched, ...changedRecords.slice(0, index)]));
+        changedRecords.forEach(record => records.set(String(record._id), record));
+        await changed();
+    };
+
+    return {
+        find: async (filter, { sort, skip = 0, limit = 0, select: fields } = {}) => select(filter, sort)
+            .slice(skip, limit > 0 ? skip + limit : undefined)
+            .map(record => toDocument(record, fields)),
+
+        findOne: async (filter, { sort, select: fields } = {}) => {
+            const [record] = select(filter, sort);
+            return record ? toDocument(record, fields) : null;
+        },
+
+        count: async (filter) => select(filter).length,
+
+        exists: async (filter) => select(filter).length > 0,
+
+        create: async (fields) => {
+            const record = build(fields);
+            await commit([record]);
+            return toDocument(record);
+        },
+
+        insertMany: async (list) => {
+            const created = list.map(build);
+            await commit(created);
+            return created.map(record => toDocument(record));
+        },
+
+        updateOne: async (filter, update, { sort, select: fields } = {}) => {
+            const [record] = select(filter, sort);
+            if (!record) return null;
+            const updated = applyChanges(record, update);
+            await commit([updated]);
+            return toDocument(updated, fields);
+        },
+
+        updateMany: async (filter, update) => {
+            const updated = select(filter).map(record => applyChanges(record, update));
+            if (updated.length > 0) await commit(updated);
+            return updated.length;
+        },
+
+        deleteOne: async (filter, { select: fields } = {}) => {
+            const [record] = select(filter);
+            if (!record) return null;
+            records.delete(String(record._id));
+            await changed();
+            return toDocument(record, fields);
+        },
+
+        deleteMany: async (filter) => {
+            const removed = select(filter);
+            if (removed.length === 0) return 0;
+            removed.forEach(record => records.delete(String(record._id)));
+            await changed();
+            return removed.length;
+        },
+    };
+};
+
+module.exports = { createMemoryDocumentRepository };
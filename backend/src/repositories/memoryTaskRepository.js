@@ -0,0 +1,218 @@
+const Task = require('../models/taskModel');
+const { DEFAULT_SORT } = require('./taskRepository');
+const { compareValues } = require('./documentQueries');
+const { toBucketKey } = require('../utils/dateBuckets');
+
+// In-memory task store (TASK_STORE=memory, and the base of the JSON file store).
+// Interface and criteria are described in taskRepository.js.
+// Tasks go through Mongoose documents for casting, defaults, validation and derived fields, so they come out
+// exactly as the MongoDB store would save them. Every method runs synchronously up to onChange, so writes
+// cannot interleave and multi-task writes are all-or-nothing.
+// Full-text search approximates MongoDB's $text: a task matches when its title or description contains
+// any of the search words (case-insensitive; no stemming or stop words).
+
+// Stored on every record, but only returned on request (like select: false in the schema)
+const HIDDEN_FIELDS = ['priorityRank', 'remindersSent'];
+
+// Sort fields backed by a different stored field (priority sorts by severity, not alphabetically)
+const SORT_FIELD_MAP = { priority: 'priorityRank' };
+
+const sameId = (a, b) => String(a) === String(b);
+const isMissing = (value) => value === undefined || value === null;
+
+// Plain record of a document, as stored
+const toRecord = (doc) => doc.toObject({ virtuals: false });
+
+// Copy of a record as handed out: virtuals added, hidden fields removed
+const toTask = (record, { withReminders = false } = {}) => {
+    const task = Task.hydrate(record).toObject();
+    HIDDEN_FIELDS.forEach(field => {
+        if (!(withReminders && field === 'remindersSent')) delete task[field];
+    });
+    return task;
+};
+
+const matchesText = (record, q) => {
+    const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+    const text = `${record.title} ${record.description}`.toLowerCase();
+    return words.some(word => text.includes(word));
+};
+
+const matches = (record, criteria = {}) => {
+    const { owner, ids, trashed = false, deletedBefore, version, status, statusNot, q, dueBefore, dueAfter, overdue, priorities, tags, project, blockedBy, hasBlockers, assignee } = criteria;
+    const isTrashed = !isMissing(record.deletedAt);
+
+    if (owner !== undefined && !sameId(record.owner, owner)) return false;
+    if (ids && !ids.some(id => sameId(id, record._id))) return false;
+    if (trashed === true || deletedBefore) {
+        if (!isTrashed || (deletedBefore && record.deletedAt > deletedBefore)) return false;
+    } else if (trashed === false && isTrashed) {
+        return false;
+    }
+    if (version !== undefined && record.version !== version) return false;
+    if (status && record.status.toLowerCase() !== status.toLowerCase()) return false;
+    if (statusNot && record.status === statusNot) return false;
+    if (q && q.trim() && !matchesText(record, q)) return false;
+    if (dueBefore && !(record.dueDate && record.dueDate <= dueBefore)) return false;
+    if (dueAfter && !(record.dueDate && record.dueDate >= dueAfter)) return false;
+    if (overdue && !(record.dueDate && record.dueDate < new Date())) return false;
+    if (priorities && !priorities.includes(record.priority)) return false;
+    if (tags && !tags.every(tag => record.tags.includes(tag))) return false;
+    if (project !== undefined && (project === null ? !isMissing(record.project) : !sameId(record.project, project))) return false;
+    if (blockedBy && !record.blockedBy.some(blocker => blockedBy.some(id => sameId(id, blocker)))) return false;
+    if (hasBlockers && record.blockedBy.length === 0) return false;
+    if (assignee !== undefined && (assignee === null ? record.assignees.length > 0 : !record.assignees.some(id => sameId(id, assignee)))) return false;
+    return true;
+};
+
+// Throw the schema's ValidationError, as a MongoDB save would
+const validateDoc = (doc) => {
+    doc.syncDerivedFields();
+    const error = doc.validateSync();
+    if (error) throw error;
+};
+
+// A changed copy of a stored record (not stored yet). Version and updatedAt are bumped unless bookkeeping is set.
+const applyChanges = (record, changes, { bookkeeping = false } = {}) => {
+    const doc = Task.hydrate(record);
+    doc.set(changes);
+    validateDoc(doc);
+    if (!bookkeeping) {
+        doc.set('version', record.version + 1);
+        doc.set('updatedAt', new Date());
+    }
+    return toRecord(doc);
+};
+
+// A validated record for a new task (not stored yet)
+const build = (fields) => {
+    const doc = new Task(fields);
+    validateDoc(doc);
+    doc.set({ version: 0, updatedAt: new Date() });
+    return toRecord(doc);
+};
+
+// records: initial tasks (plain objects, e.g. parsed JSON; they are cast through the schema)
+// onChange: called with every record after each write and awaited before the write resolves
+const createMemoryTaskRepository = ({ records: initialRecords = [], onChange = async () => {} } = {}) => {
+    const records = new Map(initialRecords.map(raw => {
+        const record = toRecord(new Task(raw));
+        return [String(record._id), record];
+    }));
+
+    const changed = () => onChange([...records.values()]);
+
+    const select = (criteria) => [...records.values()].filter(record => matches(record, criteria));
+
+    // Store changed copies of several records at once, after all of them validated
+    const commit = async (updates) => {
+        const before = updates.map(({ record }) => toTask(record));
+        const afterRecords = updates.map(({ record, changes }) => applyChanges(record, changes));
+        afterRecords.forEach(record => records.set(String(record._id), record));
+        await changed();
+        return { before, after: afterRecords.map(record => toTask(record)) };
+    };
+
+    return {
+        find: async (criteria, { sort = DEFAULT_SORT, skip = 0, limit = 0, withReminders = false } = {}) => {
+            const field = SORT_FIELD_MAP[sort.field] || sort.field;
+            const sorted = select(criteria).sort((a, b) => sort.direction * (compareValues(a[field], b[field]) || compareValues(a._id, b._id)));
+            return sorted.slice(skip, limit > 0 ? skip + limit : undefined).map(record => toTask(record, { withReminders }));
+        },
+
+        count: async (criteria) => select(criteria).length,
+
+        findById: async (id, criteria = {}) => {
+            const [record] = select({ ...criteria, ids: [id] });
+            return record ? toTask(record) : null;
+        },
+
+        nextPosition: async (owner, status) => {
+            const positions = select({ owner, status }).map(record => record.position);
+            return positions.length > 0 ? Math.max(...positions) + 1 : 0;
+        },
+
+        countByProject: async (owner) => {
+            const counts = new Map();
+            select({ owner }).filter(record => !isMissing(record.project)).forEach(record => {
+                const projectId = String(record.project);
+                counts.set(projectId, (counts.get(projectId) || 0) + 1);
+            });
+            return counts;
+        },
+
+        summarizeTasks: async (owner, { project, doneStatus, interval, timezone, since, now }) => {
+            const tasks = select(project === undefined ? { owner } : { owner, project });
+            const completed = tasks.filter(record => record.status === doneStatus && record.completedAt);
+            const countByBucket = (dates) => dates.filter(date => date >= since).reduce((counts, date) => {
+                const key = toBucketKey(date, interval, timezone);
+                return counts.set(key, (counts.get(key) || 0) + 1);
+            }, new Map());
+
+            return {
+                byStatus: tasks.reduce((counts, record) => ({ ...counts, [record.status]: (counts[record.status] || 0) + 1 }), {}),
+                overdue: tasks.filter(record => record.dueDate && record.dueDate < now && record.status !== doneStatus).length,
+                averageCompletionMs: completed.length > 0
+                    ? completed.reduce((sum, record) => sum + (record.completedAt - record.createdAt), 0) / completed.length
+                    : null,
+                created: countByBucket(tasks.map(record => record.createdAt)),
+                completed: countByBucket(completed.map(record => record.completedAt)),
+            };
+        },
+
+        create: async (fields) => {
+            const record = build(fields);
+            records.set(String(record._id), record);
+            await changed();
+            return toTask(record);
+        },
+
+        createMany: async (list) => {
+            const created = list.map(build);
+            created.forEach(record => records.set(String(record._id), record));
+            await changed();
+            return created.map(record => toTask(record));
+        },
+
+        update: async (id, changes, criteria = {}) => {
+            const [record] = select({ ...criteria, ids: [id] });
+            if (!record) return null;
+            const { before, after } = await commit([{ record, changes }]);
+            return { before: before[0], after: after[0] };
+        },
+
+        updateMany: (criteria, changes) => commit(select(criteria).map(record => ({ record, changes }))),
+
+        updateEach: async (updates, criteria = {}) => {
+            const matched = updates.map(({ id, changes, version }) => ({ record: select({ ...criteria, ids: [id], version })[0], changes }));
+            if (matched.some(({ record }) => !record)) return null;
+            return commit(matched);
+        },
+
+        remove: async (id, criteria = {}) => {
+            const [record] = select({ ...criteria, ids: [id] });
+            if (!record) return null;
+            records.delete(String(record._id));
+            await changed();
+            return toTask(record);
+        },
+
+        removeMany: async (criteria) => {
+            const removed = select(criteria);
+            if (removed.length === 0) return [];
+            removed.forEach(record => records.delete(String(record._id)));
+            await changed();
+            return removed.map(record => toTask(record));
+        },
+
+        claimReminders: async (id, keys) => {
+            const [record] = select({ ids: [id] });
+            if (!record || keys.some(key => record.remindersSent.includes(key))) return false;
+            records.set(String(record._id), applyChanges(record, { remindersSent: [...record.remindersSent, ...keys] }, { bookkeeping: true }));
+            await changed();
+            return true;
+        },
+    };
+};
+
+module.exports = { createMemoryTaskRepository };
@@ -0,0 +1,73 @@
+const { applyUpdate, toUpdateOperators, hiddenFieldsOf } = require('./documentQueries');
+
+// MongoDB document store (DATA_STORE=mongo). Interface, filters and updates are described in documentRepository.js.
+
+const toDocument = (doc) => doc.toObject();
+
+const createMongoDocumentRepository = (Model) => {
+    const hiddenFields = hiddenFieldsOf(Model);
+    const allFields = hiddenFields.map(field => `+${field}`).join(' ');
+
+    // Created documents come back whole; leave out what queries would not return
+    const withoutHidden = (doc) => {
+        const plain = toDocument(doc);
+        hiddenFields.forEach(field => delete plain[field]);
+        return plain;
+    };
+
+    return {
+        find: async (filter, { sort, skip = 0, limit = 0, select } = {}) => (
+            await Model.find(filter).sort(sort).skip(skip).limit(limit).select(select)
+        ).map(toDocument),
+
+        findOne: async (filter, { sort, select } = {}) => {
+            const doc = await Model.findOne(filter).sort(sort).select(select);
+            return doc && toDocument(doc);
+        },
+
+        count: (filter) => Model.countDocuments(filter),
+
+        exists: async (filter) => Boolean(await Model.exists(filter)),
+
+        create: async (fields) => withoutHidden(await Model.create(fields)),
+
+        // Mongoose validates every document before inserting any of them
+        insertMany: async (list) => (await Model.insertMany(list)).map(withoutHidden),
+
+        // Update validators only see the changed fields, so the whole updated document is validated first
+        // (some validators compare fields). It is then written only if it still matches the filter; when another
+        // write got there first, the next match is tried.
+        updateOne: async (filter, update, { sort, select } = {}) => {
+            for (;;) {
+                const current = await Model.findOne(filter).sort(sort).select(allFields);
+                if (!current) return null;
+                applyUpdate(current, update);
+                await current.validate();
+
+                const updated = await Model.findOneAndUpdate(
+                    { $and: [filter, { _id: current._id }] },
+                    toUpdateOperators(update),
+                    { new: true }
+                ).select(select);
+                if (updated) return toDocument(updated);
+            }
+        },
+
+        updateMany: async (filter, update) => {
+            const { modifiedCount } = await Model.updateMany(filter, update, { runValidators: true });
+            return modifiedCount;
+        },
+
+        deleteOne: async (filter, { select } = {}) => {
+            const doc = await Model.findOneAndDelete(filter).select(select);
+            return doc && toDocument(doc);
+        },
+
+        deleteMany: async (filter) => {
+            const { deletedCount } = await Model.deleteMany(filter);
+            return deletedCount;
+        },
+    };
+};
+
+module.exports = { createMongoDocumentRepository };
@@ -0,0 +1,270 @@
+const mongoose = require('mongoose');
+const Task = require('../models/taskModel');
+const { DEFAULT_SORT } = require('./taskRepository');
+
+// MongoDB task store (TASK_STORE=mongo). Interface and criteria are described in taskRepository.js.
+// On a replica set or sharded cluster, writes to several tasks run in a transaction, so they are all-or-nothing and
+// cannot interleave with other writes to the same tasks. A standalone server has no transactions: the writes then run
+// one by one, still pinned to the versions they were checked at, and imports delete the tasks they already created
+// when a later one fails. Startup logs a warning and GET /readyz reports transactions: false in that case.
+
+// Sort fields backed by a different stored field (priority sorts by severity, not alphabetically)
+const SORT_FIELD_MAP = { priority: 'priorityRank' };
+
+// Escape user input before embedding it in a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Criteria to a MongoDB filter
+const toFilter = (criteria = {}) => {
+    const { owner, ids, trashed = false, deletedBefore, version, status, statusNot, q, dueBefore, dueAfter, overdue, priorities, tags, project, blockedBy, hasBlockers, assignee } = criteria;
+    const filter = {};
+
+    if (owner !== undefined) filter.owner = owner;
+    if (ids) filter._id = { $in: ids };
+
+    // Naming deletedAt switches off the soft delete middleware; 'any' opts out with withDeleted instead (see withOptions)
+    if (trashed === true || deletedBefore) {
+        filter.deletedAt = deletedBefore ? { $ne: null, $lte: deletedBefore } : { $ne: null };
+    } else if (trashed === false) {
+        filter.deletedAt = null;
+    }
+
+    if (version !== undefined) filter.version = version;
+
+    if (status) {
+        // Case-insensitive status filtering
+        filter.status = { $regex: new RegExp(`^${escapeRegex(status)}$`, 'i') };
+    }
+    if (statusNot) filter.status = { ...filter.status, $ne: statusNot };
+
+    if (q && q.trim()) {
+        filter.$text = { $search: q.trim() };
+    }
+
+    // Due-date range filters
+    if (dueBefore || dueAfter) {
+        filter.dueDate = {};
+        if (dueBefore) filter.dueDate.$lte = dueBefore;
+        if (dueAfter) filter.dueDate.$gte = dueAfter;
+    }
+
+    if (overdue) {
+        filter.dueDate = { ...filter.dueDate, $lt: new Date() };
+    }
+
+    if (priorities) filter.priority = { $in: priorities };
+    if (tags) filter.tags = { $all: tags };
+    if (project !== undefined) filter.project = project;
+    if (blockedBy) filter.blockedBy = { $in: blockedBy };
+    if (hasBlockers) filter['blockedBy.0'] = { $exists: true };
+    if (assignee !== undefined) filter.assignees = assignee === null ? { $size: 0 } : assignee;
+
+    return filter;
+};
+
+// Query options the criteria need on top of the filter
+const withOptions = (query, criteria = {}) => (criteria.trashed === 'any' ? query.setOptions({ withDeleted: true }) : query);
+
+// Sort spec with _id as a tie-breaker for stable pages
+const toSortSpec = ({ field, direction }) => ({ [SORT_FIELD_MAP[field] || field]: direction, _id: direction });
+
+const toTask = (doc) => doc.toObject();
+
+// Thrown inside a transaction to abort it when a task no longer matches (not retried, unlike write conflicts)
+class TaskMismatch extends Error {}
+
+// Whether the connected deployment supports transactions (replica sets and sharded clusters do, standalone servers
+// do not). Asked once; a failed check is asked again next time.
+let transactionSupport = null;
+const supportsTransactions = () => {
+    if (!transactionSupport) {
+        transactionSupport = Task.db.db.admin().command({ hello: 1 })
+            .then(hello => Boolean(hello.setName) || hello.msg === 'isdbgrid')
+            .catch(error => {
+                transactionSupport = null;
+                throw error;
+            });
+    }
+    return transactionSupport;
+};
+
+// Run work(session) in a transaction; the driver retries it on transient errors such as write conflicts.
+// Without transaction support work runs directly, with a null session.
+const inTransaction = async (work) => ((await supportsTransactions()) ? Task.db.transaction(work) : work(null));
+
+const createMongoTaskRepository = () => {
+    const find = async (criteria, { sort = DEFAULT_SORT, skip = 0, limit = 0, withReminders = false, session = null } = {}) => {
+        let query = withOptions(Task.find(toFilter(criteria)), criteria).sort(toSortSpec(sort)).skip(skip).limit(limit).session(session);
+        if (withReminders) query = query.select('+remindersSent');
+        return (await query).map(toTask);
+    };
+
+    // Re-read tasks after a write, wherever it left them (including the trash)
+    const reload = async (ids, session = null) => (
+        await Task.find({ _id: { $in: ids } }).setOptions({ withDeleted: true }).session(session)
+    ).map(toTask);
+
+    // Apply one update to every matching task. The matching tasks are read and written in one transaction,
+    // so the update applies to exactly the copies returned as before.
+    const updateMatching = (criteria, update) => inTransaction(async (session) => {
+        const before = await find(criteria, { session });
+        if (before.length === 0) return { before, after: [] };
+
+        const ids = before.map(task => task._id);
+        await Task.updateMany({ _id: { $in: ids } }, { ...update, $inc: { version: 1 } }, { runValidators: true, session })
+            .setOptions({ withDeleted: true });
+        return { before, after: await reload(ids, session) };
+    });
+
+    return {
+        find,
+
+        count: (criteria) => withOptions(Task.countDocuments(toFilter(criteria)), criteria),
+
+        findById: async (id, criteria = {}) => {
+            const task = await withOptions(Task.findOne(toFilter({ ...criteria, ids: [id] })), criteria);
+            return task && toTask(task);
+        },
+
+        nextPosition: async (owner, status) => {
+            const lastInColumn = await Task.findOne({ owner, status }).sort({ position: -1 });
+            return lastInColumn ? lastInColumn.position + 1 : 0;
+        },
+
+        countByProject: async (owner) => {
+            // Aggregation bypasses the soft delete middleware, so exclude trashed tasks explicitly
+            const counts = await Task.aggregate([
+                { $match: { owner, project: { $ne: null }, deletedAt: null } },
+                { $group: { _id: '$project', count: { $sum: 1 } } },
+            ]);
+            return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+        },
+
+        // Buckets are computed by MongoDB with $dateTrunc, which needs MongoDB 5.0+
+        summarizeTasks: async (owner, { project, doneStatus, interval, timezone, since, now }) => {
+            const toBucketKey = (field) => ({
+                $dateToString: {
+                    format: '%Y-%m-%d',
+                    timezone,
+                    date: { $dateTrunc: { date: field, unit: interval, timezone, startOfWeek: 'monday' } },
+                },
+            });
+
+            // Aggregation bypasses the soft delete middleware, so exclude trashed tasks explicitly
+            const match = { owner, deletedAt: null };
+            if (project !== undefined) match.project = project === null ? null : new mongoose.Types.ObjectId(project);
+
+            const [facets] = await Task.aggregate([
+                { $match: match },
+                {
+                    $facet: {
+                        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+                        overdue: [
+                            { $match: { dueDate: { $lt: now }, status: { $ne: doneStatus } } },
+                            { $count: 'count' },
+                        ],
+                        completionTime: [
+                            { $match: { status: doneStatus, completedAt: { $ne: null } } },
+                            { $group: { _id: null, averageMs: { $avg: { $subtract: ['$completedAt', '$createdAt'] } } } },
+                        ],
+                        created: [
+                            { $match: { createdAt: { $gte: since } } },
+                            { $group: { _id: toBucketKey('$createdAt'), count: { $sum: 1 } } },
+                        ],
+                        completed: [
+                            { $match: { status: doneStatus, completedAt: { $gte: since } } },
+                            { $group: { _id: toBucketKey('$completedAt'), count: { $sum: 1 } } },
+                        ],
+                    },
+                },
+            ]);
+
+            return {
+                byStatus: Object.fromEntries(facets.byStatus.map(entry => [entry._id, entry.count])),
+                overdue: facets.overdue.length > 0 ? facets.overdue[0].count : 0,
+                averageCompletionMs: facets.completionTime.length > 0 ? facets.completionTime[0].averageMs : null,
+                created: new Map(facets.created.map(entry => [entry._id, entry.count])),
+                completed: new Map(facets.completed.map(entry => [entry._id, entry.count])),
+            };
+        },
+
+        create: async (fields) => toTask(await new Task(fields).save()),
+
+        createMany: (list) => inTransaction(async (session) => {
+            const created = [];
+            try {
+                for (const fields of list) created.push(toTask(await new Task(fields).save({ session })));
+            } catch (error) {
+                // Without a transaction, take back the tasks created so far
+                if (!session && created.length > 0) await Task.deleteMany({ _id: { $in: created.map(task => task._id) } });
+                throw error;
+            }
+            return created;
+        }),
+
+        update: async (id, changes, criteria = {}) => {
+            // Every successful write bumps the version. The previous copy is returned for the history diff.
+            const previous = await withOptions(Task.findOneAndUpdate(
+                toFilter({ ...criteria, ids: [id] }),
+                { $set: changes, $inc: { version: 1 } },
+                { new: false, runValidators: true }
+            ), criteria);
+            if (!previous) return null;
+
+            const [after] = await reload([previous._id]);
+            return { before: toTask(previous), after };
+        },
+
+        updateMany: (criteria, changes) => updateMatching(criteria, { $set: changes }),
+
+        updateEach: async (updates, criteria = {}) => {
+            const ids = updates.map(({ id }) => id);
+            try {
+                return await inTransaction(async (session) => {
+                    const before = await find({ ...criteria, ids }, { session });
+                    if (before.length !== new Set(ids.map(String)).size) throw new TaskMismatch();
+                    const beforeById = new Map(before.map(task => [task._id.toString(), task]));
+                    if (updates.some(({ id, version }) => version !== undefined && beforeById.get(String(id)).version !== version)) {
+                        throw new TaskMismatch();
+                    }
+
+                    const { matchedCount } = await Task.bulkWrite(updates.map(({ id, changes, version }) => ({
+                        updateOne: {
+                            filter: toFilter({ ...criteria, ids: [id], version }),
+                            update: { $set: changes, $inc: { version: 1 } },
+                        },
+                    })), { session });
+                    if (matchedCount !== updates.length) throw new TaskMismatch();
+                    return { before, after: await reload(ids, session) };
+                });
+            } catch (error) {
+                if (error instanceof TaskMismatch) return null;
+                throw error;
+            }
+        },
+
+        remove: async (id, criteria = {}) => {
+            const removed = await withOptions(Task.findOneAndDelete(toFilter({ ...criteria, ids: [id] })), criteria);
+            return removed && toTask(removed);
+        },
+
+        removeMany: async (criteria) => {
+            const tasks = await find(criteria);
+            if (tasks.length === 0) return [];
+            await withOptions(Task.deleteMany(toFilter({ ...criteria, ids: tasks.map(task => task._id) })), criteria);
+            return tasks;
+        },
+
+        // updatedAt is left alone: this is bookkeeping, not an edit
+        claimReminders: async (id, keys) => {
+            const { modifiedCount } = await Task.updateOne(
+                { _id: id, remindersSent: { $nin: keys } },
+                { $addToSet: { remindersSent: { $each: keys } } },
+                { timestamps: false }
+            );
+            return modifiedCount > 0;
+        },
+    };
+};
+
+module.exports = { createMongoTaskRepository, supportsTransactions };
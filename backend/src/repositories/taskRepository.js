@@ -0,0 +1,90 @@
+// Task store used by the routes, jobs and utils (nothing else talks to the Task model's collection directly).
+// Chosen with TASK_STORE:
+//   mongo  (default) MongoDB through the Mongoose Task model (repositories/mongoTaskRepository.js); writes to
+//                    several tasks are only all-or-nothing on a replica set (a single-node one is enough)
+//   memory           in-process only, lost on restart; for local development, demos and tests
+//   json             in memory, saved to TASK_STORE_FILE (default: backend/data/tasks.json) after every write
+// Every store validates against the same Task schema, so validation, filtering and sorting behave alike.
+// Other collections have their own stores, chosen with DATA_STORE (see documentRepository.js).
+//
+// A task repository implements:
+//   find(criteria, { sort, skip, limit, withReminders })  matching tasks; withReminders adds remindersSent
+//   count(criteria)
+//   findById(id, criteria)                 the task, or null when it does not match the criteria
+//   nextPosition(owner, status)            position for a task appended to the bottom of a board column
+//   countByProject(owner)                  Map of project id -> number of active tasks
+//   summarizeTasks(owner, { project, doneStatus, interval, timezone, since, now })
+//                                          raw numbers behind GET /api/tasks/stats (see utils/taskStats.js):
+//                                          { byStatus, overdue, averageCompletionMs, created, completed } where
+//                                          created/completed are Maps of bucket key -> count since `since`
+//                                          (completed: tasks in doneStatus, by completedAt)
+//   create(fields)                         the new task
+//   createMany([fields])                   the new tasks; none are stored when one fails validation
+//   update(id, changes, criteria)          { before, after }, or null when no task matches
+//   updateMany(criteria, changes)          { before: [...], after: [...] }
+//   updateEach([{ id, changes, version }], criteria)
+//                                          different changes per task (board moves), each optionally pinned to a
+//                                          version; { before, after }, or null (and nothing written) when one of
+//                                          the ids does not match
+//   remove(id, criteria)                   deletes permanently; the removed task, or null
+//   removeMany(criteria)                   the removed tasks
+//   claimReminders(id, keys)               records sent reminders; false when one of the keys was already recorded
+// All methods are async. Tasks are plain objects shaped like the Task model's toObject() (with the progress virtual).
+// Changes are plain field values (dotted paths allowed). Writes are checked against the Task schema (failures throw
+// Mongoose ValidationErrors), bump version and updatedAt, and keep priorityRank in step. Status changes do not touch
+// completedAt: it depends on the owner's workflow, so callers pass it along (see utils/workflows.js).
+// claimReminders is bookkeeping and leaves version and updatedAt alone.
+//
+// Criteria (all optional, combined with AND):
+//   owner                   tasks of this user's workspace only
+//   ids                     these task ids only
+//   trashed                 false (default): active tasks; true: tasks in the trash; 'any': both
+//   deletedBefore           moved to the trash on or before this date
+//   version                 at exactly this version (optimistic concurrency)
+//   status / statusNot      exact status (case-insensitive) / any other status
+//   q                       full-text search over title and description
+//   dueBefore / dueAfter    due date range (Dates, inclusive)
+//   overdue                 true: due in the past (pair with statusNot to leave out done tasks)
+//   priorities              any of these priority levels
+//   tags                    all of these tags
+//   project                 project id, or null for tasks without one
+//   blockedBy               blocked by any of these task ids (their dependents)
+//   hasBlockers             true: blocked by at least one task
+//   assignee                user id among the assignees, or null for unassigned tasks
+// Sort: { field, direction } (direction 1 or -1), field one of SORTABLE_FIELDS; ties are broken by _id.
+
+const path = require('path');
+
+const SORTABLE_FIELDS = ['dueDate', 'title', 'status', 'priority', 'createdAt', 'position', 'deletedAt'];
+const DEFAULT_SORT = { field: 'createdAt', direction: -1 };
+const TASK_STORES = ['mongo', 'memory', 'json'];
+const DEFAULT_TASK_STORE_FILE = path.join(__dirname, '../../data/tasks.json');
+
+const createTaskRepository = (store) => {
+    switch (store) {
+        case 'memory':
+            return require('./memoryTaskRepository').createMemoryTaskRepository();
+        case 'json':
+            return require('./jsonTaskRepository').createJsonTaskRepository(process.env.TASK_STORE_FILE || DEFAULT_TASK_STORE_FILE);
+        case 'mongo':
+            return require('./mongoTaskRepository').createMongoTaskRepository();
+        default:
+            throw new Error(`Unknown TASK_STORE "${store}". Use one of: ${TASK_STORES.join(', ')}.`);
+    }
+};
+
+const TASK_STORE = process.env.TASK_STORE || 'mongo';
+let repository = null;
+
+// The configured repository, created on first use
+const getTaskRepository = () => {
+    if (!repository) repository = createTaskRepository(TASK_STORE);
+    return repository;
+};
+
+// Swap in another repository (e.g. a fresh in-memory one per test)
+const setTaskRepository = (taskRepository) => {
+    repository = taskRepository;
+};
+
+module.exports = { getTaskRepository, setTaskRepository, createTaskRepository, TASK_STORE, TASK_STORES, SORTABLE_FIELDS, DEFAULT_SORT };
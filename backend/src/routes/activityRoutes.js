@@ -0,0 +1,49 @@
+const express = require('express');
+const TaskHistory = require('../models/taskHistoryModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { requireRole } = require('../middleware/workspaceMiddleware');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// --- Controller Logic ---
+
+// 1. GET /api/activity (Activity feed across all of the workspace's tasks, newest first)
+// Query parameters:
+//   limit  - page size (default 50, max 200)
+//   before - cursor: only entries created before this ISO timestamp (use nextCursor from the previous page)
+// Response: { entries, nextCursor } - nextCursor is null on the last page
+const getActivityFeed = async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+        const filter = { owner: req.workspace.owner };
+
+        if (req.query.before) {
+            const before = new Date(req.query.before);
+            if (Number.isNaN(before.getTime())) {
+                return res.status(400).json({ message: 'before must be a valid date' });
+            }
+            filter.createdAt = { $lt: before };
+        }
+
+        // Fetch one extra entry to know whether another page exists
+        const entries = await getRepository(TaskHistory).find(filter, { sort: { createdAt: -1 }, limit: limit + 1 });
+        const hasMore = entries.length > limit;
+        const page = entries.slice(0, limit);
+
+        res.status(200).json({
+            entries: page,
+            nextCursor: hasMore ? page[page.length - 1].createdAt.toISOString() : null,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+// --- Define Routes ---
+router.get('/', requireRole('viewer'), getActivityFeed); // GET /api/activity
+
+module.exports = router;
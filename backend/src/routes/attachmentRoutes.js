@@ -0,0 +1,191 @@
+const express = require('express');
+const multer = require('multer');
+const { getTaskRepository } = require('../repositories/taskRepository');
+const Attachment = require('../models/attachmentModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { validate, sendValidationError } = require('../middleware/validate');
+const { createStorageKey, getAttachmentStorage } = require('../utils/attachmentStorage');
+const { requireRole } = require('../middleware/workspaceMiddleware');
+
+// mergeParams gives access to :id from the parent /api/tasks/:id/attachments mount
+const router = express.Router({ mergeParams: true });
+
+// Upload limits
+const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024; // 10 MB
+const MAX_ATTACHMENTS_PER_TASK = 20;
+const ALLOWED_MIME_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf',
+    'text/plain', 'text/csv', 'text/markdown', 'application/json',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+// --- Helpers ---
+
+// The parent task, scoped to the current workspace (trashed tasks are not found)
+const findOwnedTask = (req) => getTaskRepository().findById(req.params.id, { owner: req.workspace.owner });
+
+// Multipart parser for one file in the "file" field, kept in memory until it is handed to the storage adapter
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 },
+    fileFilter: (req, file, callback) => {
+        const allowed = ALLOWED_MIME_TYPES.includes(file.mimetype);
+        if (!allowed) req.rejectedFileType = file.mimetype; // Reported by parseUpload
+        callback(null, allowed);
+    },
+}).single('file');
+
+// Run the multipart parser and report its failures (size, type, missing file) in the validation envelope
+const parseUpload = (req, res, next) => {
+    upload(req, res, (err) => {
+        const fail = (code, message) => sendValidationError(res, [{ location: 'body', field: 'file', code, message }]);
+
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return fail('too_large', `File cannot exceed ${Math.round(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB.`);
+            }
+            return fail('invalid_value', err.code === 'LIMIT_UNEXPECTED_FILE' ? 'Send exactly one file in the "file" field.' : err.message);
+        }
+        if (err) return next(err);
+        if (req.rejectedFileType) {
+            return fail('invalid_value', `Files of type ${req.rejectedFileType} are not allowed. Allowed types: ${ALLOWED_MIME_TYPES.join(', ')}.`);
+        }
+        if (!req.file) return fail('required', 'file is required.');
+        next();
+    });
+};
+
+// --- Request Schemas ---
+
+const attachmentParams = { attachmentId: { type: 'objectId', required: true, label: 'Attachment id' } };
+
+const schemas = {
+    attachmentId: { params: attachmentParams },
+};
+
+// --- Controller Logic ---
+
+// 1. GET /api/tasks/:id/attachments (The task's attachments, oldest first; metadata only)
+const getAttachments = async (req, res, next) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const attachments = await getRepository(Attachment).find({ task: task._id, owner: req.workspace.owner }, { sort: { createdAt: 1 } });
+        res.status(200).json(attachments);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 2. POST /api/tasks/:id/attachments (Upload a file)
+// Body: multipart/form-data with one file in the "file" field (at most MAX_ATTACHMENT_BYTES, one of ALLOWED_MIME_TYPES)
+const addAttachment = async (req, res) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const count = await getRepository(Attachment).count({ task: task._id, owner: req.workspace.owner });
+        if (count >= MAX_ATTACHMENTS_PER_TASK) {
+            return sendValidationError(res, [{
+                location: 'body',
+                field: 'file',
+                code: 'too_many_items',
+                message: `A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments.`,
+            }]);
+        }
+
+        const storageKey = createStorageKey();
+        await getAttachmentStorage().save(storageKey, req.file.buffer);
+        try {
+            const attachment = await getRepository(Attachment).create({
+                task: task._id,
+                owner: task.owner,
+                uploadedBy: req.user._id,
+                uploadedByName: req.user.name,
+                fileName: req.file.originalname,
+                mimeType: req.file.mimetype,
+                size: req.file.size,
+                storageKey,
+            });
+            res.status(201).json(attachment);
+        } catch (error) {
+            await getAttachmentStorage().remove(storageKey); // Don't leave an orphaned file behind
+            throw error;
+        }
+    } catch (error) {
+        res.status(400).json({ message: 'Failed to upload attachment', error: error.message });
+    }
+};
+
+// 3. GET /api/tasks/:id/attachments/:attachmentId/download (The file itself, as a download)
+const downloadAttachment = async (req, res, next) => {
+    try {
+        const attachment = await getRepository(Attachment).findOne(
+            { _id: req.params.attachmentId, task: req.params.id, owner: req.workspace.owner },
+            { select: '+storageKey' }
+        );
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+
+        const stream = getAttachmentStorage().createReadStream(attachment.storageKey);
+        stream.once('error', (error) => {
+            if (res.headersSent) return res.destroy(error);
+            const statusCode = error.code === 'ENOENT' ? 404 : 500;
+            res.status(statusCode).json({ message: statusCode === 404 ? 'Attachment file not found' : 'Failed to download attachment', error: error.message });
+        });
+        stream.once('open', () => {
+            res.set({
+                'Content-Type': attachment.mimeType,
+                'Content-Length': attachment.size,
+                'X-Content-Type-Options': 'nosniff', // Never let the browser reinterpret an upload (e.g. as HTML)
+            });
+            res.attachment(attachment.fileName); // Content-Disposition: attachment; filename="..."
+            stream.pipe(res);
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 4. DELETE /api/tasks/:id/attachments/:attachmentId (Delete an attachment and its file)
+const deleteAttachment = async (req, res, next) => {
+    try {
+        const attachment = await getRepository(Attachment).deleteOne(
+            { _id: req.params.attachmentId, task: req.params.id, owner: req.workspace.owner },
+            { select: '+storageKey' }
+        );
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
+
+        await getAttachmentStorage().remove(attachment.storageKey);
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+// --- Define Routes ---
+router.get('/', requireRole('viewer'), getAttachments); // GET /api/tasks/:id/attachments
+router.post('/', requireRole('editor'), parseUpload, addAttachment); // POST /api/tasks/:id/attachments (multipart/form-data)
+router.get('/:attachmentId/download', requireRole('viewer'), validate(schemas.attachmentId), downloadAttachment); // GET /api/tasks/:id/attachments/:attachmentId/download
+router.delete('/:attachmentId', requireRole('editor'), validate(schemas.attachmentId), deleteAttachment); // DELETE /api/tasks/:id/attachments/:attachmentId
+
+module.exports = router;
+// Request schemas, also used to generate the OpenAPI document (docs/openapi.js)
+module.exports.schemas = schemas;
+module.exports.MAX_ATTACHMENT_BYTES = MAX_ATTACHMENT_BYTES;
+module.exports.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
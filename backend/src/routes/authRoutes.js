@@ -0,0 +1,69 @@
+const express = require('express');
+const User = require('../models/userModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { protect, signToken } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Shape of the user object returned to clients (never includes the password hash)
+const toPublicUser = (user) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+});
+
+// --- Controller Logic ---
+
+// 1. POST /api/auth/register (Create an account and return a token)
+const register = async (req, res) => {
+    try {
+        const { name, email, password } = req.body;
+
+        const userRepository = getRepository(User);
+        const existingUser = await userRepository.findOne({ email: String(email || '').toLowerCase() });
+        if (existingUser) {
+            return res.status(409).json({ message: 'An account with this email already exists' });
+        }
+
+        // The password rules apply to the plain text; only its hash is stored
+        await new User({ name, email, password }).validate();
+        const user = await userRepository.create({ name, email, password: await User.hashPassword(password) });
+        res.status(201).json({ token: signToken(user._id), user: toPublicUser(user) });
+    } catch (error) {
+        // Handle validation errors (e.g., missing name/email, short password)
+        res.status(400).json({ message: 'Failed to register', error: error.message });
+    }
+};
+
+// 2. POST /api/auth/login (Verify credentials and return a token)
+const login = async (req, res, next) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ message: 'Email and password are required' });
+        }
+
+        const user = await getRepository(User).findOne({ email: String(email).toLowerCase() }, { select: '+password' });
+        if (!user || !(await User.matchPassword(user, password))) {
+            return res.status(401).json({ message: 'Invalid email or password' });
+        }
+
+        res.status(200).json({ token: signToken(user._id), user: toPublicUser(user) });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 3. GET /api/auth/me (Return the currently authenticated user)
+const getMe = (req, res) => {
+    res.status(200).json(toPublicUser(req.user));
+};
+
+
+// --- Define Routes ---
+router.post('/register', register); // POST /api/auth/register
+router.post('/login', login); // POST /api/auth/login
+router.get('/me', protect, getMe); // GET /api/auth/me
+
+module.exports = router;
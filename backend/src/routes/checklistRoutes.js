@@ -0,0 +1,187 @@
+const express = require('express');
+const Task = require('../models/taskModel');
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { recordTaskHistory } = require('../utils/taskHistory');
+const { spawnNextOccurrence } = require('../utils/recurrence');
+const { TASK_EVENTS, publishTaskEvent } = require('../utils/taskEvents');
+const { enqueueTaskWebhooks } = require('../utils/webhooks');
+const { getWorkflow, checkTransition, completionFields } = require('../utils/workflows');
+const { findOpenBlockers, checkBlocked } = require('../utils/taskDependencies');
+const { validate, sendValidationError, toValidationErrors } = require('../middleware/validate');
+const { requireRole } = require('../middleware/workspaceMiddleware');
+
+// mergeParams gives access to :id from the parent /api/tasks/:id/items mount
+const router = express.Router({ mergeParams: true });
+
+// --- Helpers ---
+
+// Load the parent task, scoped to the current workspace
+const findOwnedTask = (req) => getTaskRepository().findById(req.params.id, { owner: req.workspace.owner });
+
+const findItem = (task, itemId) => task.checklist.find(item => item._id.toString() === String(itemId));
+
+// Save a task's new checklist: bump the task version and optionally auto-complete the task
+// (moving it to the workflow's done status, when the workflow allows that move from its current status
+// and no unfinished dependency blocks the task).
+// The write only applies if the task is still at the version it was read at (409 otherwise).
+// Responds with the whole task so clients get the updated checklist and progress in one round trip.
+const saveChecklist = async (req, res, task, checklist, statusCode = 200) => {
+    const workflow = await getWorkflow(req.workspace.owner);
+    const changes = { checklist };
+    const allDone = checklist.length > 0 && checklist.every(item => item.done);
+    if (task.completeWhenChecklistDone && allDone && !checkTransition(workflow, task.status, workflow.doneStatus)) {
+        const openBlockers = (await findOpenBlockers(req.workspace.owner, [task], workflow)).get(task._id.toString());
+        if (!checkBlocked(workflow, task, workflow.doneStatus, openBlockers)) {
+            Object.assign(changes, { status: workflow.doneStatus }, completionFields(workflow, task, workflow.doneStatus));
+        }
+    }
+
+    const tasks = getTaskRepository();
+    const result = await tasks.update(task._id, changes, { owner: req.workspace.owner, version: task.version });
+    if (!result) {
+        return res.status(409).json({ message: 'Task was modified by someone else. Reload it and try again.' });
+    }
+    await recordTaskHistory({ action: 'updated', before: task, after: result.after, actor: req.user });
+
+    // Auto-completing a recurring task generates its next occurrence
+    const nextTask = await spawnNextOccurrence(task, result.after, req.user, workflow);
+    const responseTask = nextTask ? await tasks.findById(task._id) : result.after;
+    publishTaskEvent(TASK_EVENTS.updated, responseTask);
+    await enqueueTaskWebhooks(TASK_EVENTS.updated, responseTask, task);
+
+    res.set('ETag', `"${responseTask.version}"`);
+    res.status(statusCode).json(responseTask);
+};
+
+// --- Request Schemas ---
+
+const itemParams = { itemId: { type: 'objectId', required: true, label: 'Checklist item id' } };
+const itemText = { type: 'string', maxLength: Task.MAX_CHECKLIST_ITEM_LENGTH, label: 'Checklist item text' };
+
+const schemas = {
+    addItem: { body: { text: { ...itemText, required: true } }, strictBody: true },
+    updateItem: {
+        params: itemParams,
+        body: {
+            text: { ...itemText, minLength: 1 },
+            done: { type: 'boolean', label: 'done' },
+        },
+        strictBody: true,
+    },
+    reorderItems: {
+        body: { itemIds: { type: 'array', required: true, maxItems: Task.MAX_CHECKLIST_ITEMS, items: { type: 'objectId' }, label: 'itemIds' } },
+        strictBody: true,
+    },
+    itemId: { params: itemParams },
+};
+
+// --- Controller Logic ---
+
+// 1. POST /api/tasks/:id/items (Append a checklist item)
+const addItem = async (req, res, next) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        await saveChecklist(req, res, task, [...task.checklist, { text: req.body.text }], 201);
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 2. PATCH /api/tasks/:id/items/:itemId (Rename an item or toggle its done flag)
+const updateItem = async (req, res, next) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const item = findItem(task, req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ message: 'Checklist item not found' });
+        }
+
+        const { text, done } = req.body;
+        if (text === undefined && done === undefined) {
+            return sendValidationError(res, [{ location: 'body', field: null, code: 'required', message: 'Provide at least one of: text, done.' }]);
+        }
+        const updatedItem = { ...item };
+        if (text !== undefined) updatedItem.text = text;
+        if (done !== undefined) updatedItem.done = done;
+
+        await saveChecklist(req, res, task, task.checklist.map(entry => (entry === item ? updatedItem : entry)));
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 3. PUT /api/tasks/:id/items/order (Reorder items)
+// Body: { itemIds: [...] } - must contain every existing item id exactly once.
+const reorderItems = async (req, res, next) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const { itemIds } = req.body;
+        const currentIds = task.checklist.map(item => item._id.toString());
+        const isPermutation = itemIds.length === currentIds.length
+            && new Set(itemIds).size === itemIds.length
+            && itemIds.every(itemId => currentIds.includes(String(itemId)));
+
+        if (!isPermutation) {
+            return sendValidationError(res, [{ location: 'body', field: 'itemIds', code: 'invalid_value', message: 'itemIds must list every checklist item id exactly once.' }]);
+        }
+
+        await saveChecklist(req, res, task, itemIds.map(itemId => findItem(task, itemId)));
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 4. DELETE /api/tasks/:id/items/:itemId (Remove an item)
+const deleteItem = async (req, res, next) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const item = findItem(task, req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ message: 'Checklist item not found' });
+        }
+
+        await saveChecklist(req, res, task, task.checklist.filter(entry => entry !== item));
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+// --- Define Routes ---
+router.post('/', requireRole('editor'), validate(schemas.addItem), addItem); // POST /api/tasks/:id/items
+router.put('/order', requireRole('editor'), validate(schemas.reorderItems), reorderItems); // PUT /api/tasks/:id/items/order
+router.patch('/:itemId', requireRole('editor'), validate(schemas.updateItem), updateItem); // PATCH /api/tasks/:id/items/:itemId
+router.delete('/:itemId', requireRole('editor'), validate(schemas.itemId), deleteItem); // DELETE /api/tasks/:id/items/:itemId
+
+module.exports = router;
+
+// Request schemas, also used to generate the OpenAPI document (docs/openapi.js)
+module.exports.schemas = schemas;
@@ -0,0 +1,127 @@
+const express = require('express');
+const { getTaskRepository } = require('../repositories/taskRepository');
+const Comment = require('../models/commentModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { validate, sendValidationError, toValidationErrors } = require('../middleware/validate');
+const { requireRole } = require('../middleware/workspaceMiddleware');
+
+// mergeParams gives access to :id from the parent /api/tasks/:id/comments mount
+const router = express.Router({ mergeParams: true });
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// --- Helpers ---
+
+// The parent task, scoped to the current workspace (trashed tasks are not found)
+const findOwnedTask = (req) => getTaskRepository().findById(req.params.id, { owner: req.workspace.owner });
+
+// --- Request Schemas ---
+
+const commentBody = { body: { type: 'string', required: true, maxLength: MAX_COMMENT_LENGTH, label: 'Comment' } };
+const commentParams = { commentId: { type: 'objectId', required: true, label: 'Comment id' } };
+
+const schemas = {
+    createComment: { body: commentBody, strictBody: true },
+    updateComment: { params: commentParams, body: commentBody, strictBody: true },
+    commentId: { params: commentParams },
+};
+
+// --- Controller Logic ---
+
+// 1. GET /api/tasks/:id/comments (The task's discussion thread, oldest first)
+const getComments = async (req, res, next) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const comments = await getRepository(Comment).find({ task: task._id, owner: req.workspace.owner }, { sort: { createdAt: 1 } });
+        res.status(200).json(comments);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 2. POST /api/tasks/:id/comments (Add a comment as the current user)
+// Body: { body }
+const addComment = async (req, res, next) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const comment = await getRepository(Comment).create({
+            task: task._id,
+            owner: task.owner,
+            author: req.user._id,
+            authorName: req.user.name,
+            body: req.body.body,
+        });
+        res.status(201).json(comment);
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 3. PATCH /api/tasks/:id/comments/:commentId (Edit a comment; authors only)
+// Body: { body }
+const updateComment = async (req, res, next) => {
+    try {
+        const commentRepository = getRepository(Comment);
+        const comment = await commentRepository.findOne({ _id: req.params.commentId, task: req.params.id, owner: req.workspace.owner });
+        if (!comment) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+        if (!comment.author.equals(req.user._id)) {
+            return res.status(403).json({ message: 'Only the author can edit a comment' });
+        }
+
+        const updated = await commentRepository.updateOne({ _id: comment._id }, { body: req.body.body, editedAt: new Date() });
+        if (!updated) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+        res.status(200).json(updated);
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 4. DELETE /api/tasks/:id/comments/:commentId (Delete a comment; its author or the workspace owner)
+const deleteComment = async (req, res, next) => {
+    try {
+        const commentRepository = getRepository(Comment);
+        const comment = await commentRepository.findOne({ _id: req.params.commentId, task: req.params.id, owner: req.workspace.owner });
+        if (!comment) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+        if (!comment.author.equals(req.user._id) && req.workspaceRole !== 'owner') {
+            return res.status(403).json({ message: 'Only the author or the workspace owner can delete a comment' });
+        }
+
+        await commentRepository.deleteOne({ _id: comment._id });
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+// --- Define Routes ---
+router.get('/', requireRole('viewer'), getComments); // GET /api/tasks/:id/comments
+router.post('/', requireRole('editor'), validate(schemas.createComment), addComment); // POST /api/tasks/:id/comments
+router.patch('/:commentId', requireRole('editor'), validate(schemas.updateComment), updateComment); // PATCH /api/tasks/:id/comments/:commentId
+router.delete('/:commentId', requireRole('editor'), validate(schemas.commentId), deleteComment); // DELETE /api/tasks/:id/comments/:commentId
+
+module.exports = router;
+// Request schemas, also used to generate the OpenAPI document (docs/openapi.js)
+module.exports.schemas = schemas;
@@ -0,0 +1,180 @@
+const express = require('express');
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { recordTaskHistory } = require('../utils/taskHistory');
+const { TASK_EVENTS, publishTaskEvent } = require('../utils/taskEvents');
+const { enqueueTaskWebhooks } = require('../utils/webhooks');
+const { getWorkflow } = require('../utils/workflows');
+const { summarizeTask, findBlockingChain } = require('../utils/taskDependencies');
+const { validate, sendValidationError, toValidationErrors } = require('../middleware/validate');
+const { requireRole } = require('../middleware/workspaceMiddleware');
+
+// mergeParams gives access to :id from the parent /api/tasks/:id/dependencies mount
+const router = express.Router({ mergeParams: true });
+
+// --- Helpers ---
+
+// The task whose dependencies are managed, scoped to the current workspace (trashed tasks are not found)
+const findOwnedTask = (req) => getTaskRepository().findById(req.params.id, { owner: req.workspace.owner });
+
+// Write a task's new blockedBy list. Like checklist changes, the write only applies if the task is still
+// at the version it was read at. Returns the updated task, or null when it changed meanwhile.
+const writeBlockedBy = async (req, task, blockedBy) => {
+    const result = await getTaskRepository().update(task._id, { blockedBy }, { owner: req.workspace.owner, version: task.version });
+    return result && result.after;
+};
+
+const sendModified = (res) => res.status(409).json({ message: 'Task was modified by someone else. Reload it and try again.' });
+
+// Record and announce a blockedBy change; responds with the whole task and its ETag
+const sendBlockedBy = async (req, res, task, updatedTask, statusCode = 200) => {
+    await recordTaskHistory({ action: 'updated', before: task, after: updatedTask, actor: req.user });
+    publishTaskEvent(TASK_EVENTS.updated, updatedTask);
+    await enqueueTaskWebhooks(TASK_EVENTS.updated, updatedTask, task);
+
+    res.set('ETag', `"${updatedTask.version}"`);
+    res.status(statusCode).json(updatedTask);
+};
+
+// Take a just-added blocker out of a task's blockedBy again, whatever else changed on the task since
+const undoDependency = async (req, taskId, blockerId) => {
+    const taskRepository = getTaskRepository();
+    for (;;) {
+        const current = await taskRepository.findById(taskId, { owner: req.workspace.owner, trashed: 'any' });
+        if (!current || !current.blockedBy.some(id => id.toString() === blockerId.toString())) return;
+        const blockedBy = current.blockedBy.filter(id => id.toString() !== blockerId.toString());
+        if (await taskRepository.update(taskId, { blockedBy }, { owner: req.workspace.owner, trashed: 'any', version: current.version })) return;
+    }
+};
+
+// 409 naming the tasks of the cycle that adding "task blocked by chain[0]" closes
+const sendCycle = (res, task, chain) => {
+    const cycle = [task, ...chain];
+    return res.status(409).json({
+        message: `This would create a dependency cycle: ${cycle.map(entry => `"${entry.title}"`).join(', which is blocked by ')}.`,
+        cycle: cycle.map(entry => ({ _id: entry._id, title: entry.title })),
+    });
+};
+
+// --- Request Schemas ---
+
+const schemas = {
+    addDependency: { body: { taskId: { type: 'objectId', required: true, label: 'taskId' } }, strictBody: true },
+    blockerId: { params: { blockerId: { type: 'objectId', required: true, label: 'Blocker id' } } },
+};
+
+// --- Controller Logic ---
+
+// 1. GET /api/tasks/:id/dependencies (What blocks the task and what it blocks)
+// Response: { blockedBy: [summary], blocking: [summary] } with active tasks only; summaries are { _id, title, status, dueDate, done }
+const getDependencies = async (req, res, next) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const taskRepository = getTaskRepository();
+        const [workflow, blockers, dependents] = await Promise.all([
+            getWorkflow(req.workspace.owner),
+            task.blockedBy.length > 0 ? taskRepository.find({ owner: req.workspace.owner, ids: task.blockedBy }) : [],
+            taskRepository.find({ owner: req.workspace.owner, blockedBy: [task._id] }),
+        ]);
+
+        // Blockers keep the order they were added in
+        const blockerById = new Map(blockers.map(blocker => [blocker._id.toString(), blocker]));
+        res.status(200).json({
+            blockedBy: task.blockedBy.map(id => blockerById.get(id.toString())).filter(Boolean).map(blocker => summarizeTask(blocker, workflow)),
+            blocking: dependents.map(dependent => summarizeTask(dependent, workflow)),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 2. POST /api/tasks/:id/dependencies (Mark the task as blocked by another one)
+// Body: { taskId } - the blocking task. Adding a dependency that would close a loop is refused with 409,
+// naming the tasks in the cycle. Adding one that already exists changes nothing.
+const addDependency = async (req, res, next) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const { taskId } = req.body;
+        if (taskId === task._id.toString()) {
+            return sendValidationError(res, [{ location: 'body', field: 'taskId', code: 'invalid_value', message: 'A task cannot block itself.' }]);
+        }
+        if (task.blockedBy.some(id => id.toString() === taskId)) {
+            res.set('ETag', `"${task.version}"`);
+            return res.status(200).json(task);
+        }
+
+        const blocker = await getTaskRepository().findById(taskId, { owner: req.workspace.owner });
+        if (!blocker) {
+            return sendValidationError(res, [{ location: 'body', field: 'taskId', code: 'not_found', message: 'Blocking task not found' }]);
+        }
+
+        // The new edge closes a cycle if the blocker already (transitively) waits for this task
+        const chain = await findBlockingChain(req.workspace.owner, blocker, task);
+        if (chain) {
+            return sendCycle(res, task, chain);
+        }
+
+        const updatedTask = await writeBlockedBy(req, task, [...task.blockedBy, blocker._id]);
+        if (!updatedTask) {
+            return sendModified(res);
+        }
+
+        // Checked again after the write: a concurrent request may have added the reverse path meanwhile. Whichever
+        // write lands last sees the cycle and is undone, so no cycle survives.
+        const currentBlocker = await getTaskRepository().findById(blocker._id, { owner: req.workspace.owner, trashed: 'any' });
+        const raceChain = currentBlocker && await findBlockingChain(req.workspace.owner, currentBlocker, updatedTask);
+        if (raceChain) {
+            await undoDependency(req, task._id, blocker._id);
+            return sendCycle(res, task, raceChain);
+        }
+
+        await sendBlockedBy(req, res, task, updatedTask, 201);
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 3. DELETE /api/tasks/:id/dependencies/:blockerId (Remove a dependency)
+const removeDependency = async (req, res, next) => {
+    try {
+        const task = await findOwnedTask(req);
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        const blockedBy = task.blockedBy.filter(id => id.toString() !== req.params.blockerId);
+        if (blockedBy.length === task.blockedBy.length) {
+            return res.status(404).json({ message: 'Dependency not found' });
+        }
+
+        const updatedTask = await writeBlockedBy(req, task, blockedBy);
+        if (!updatedTask) {
+            return sendModified(res);
+        }
+        await sendBlockedBy(req, res, task, updatedTask);
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+// --- Define Routes ---
+router.get('/', requireRole('viewer'), getDependencies); // GET /api/tasks/:id/dependencies
+router.post('/', requireRole('editor'), validate(schemas.addDependency), addDependency); // POST /api/tasks/:id/dependencies
+router.delete('/:blockerId', requireRole('editor'), validate(schemas.blockerId), removeDependency); // DELETE /api/tasks/:id/dependencies/:blockerId
+
+module.exports = router;
+
+// Request schemas, also used to generate the OpenAPI document (docs/openapi.js)
+module.exports.schemas = schemas;
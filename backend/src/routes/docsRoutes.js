@@ -0,0 +1,32 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { buildOpenApiDocument } = require('../docs/openapi');
+
+const router = express.Router();
+
+const openApiDocument = buildOpenApiDocument();
+
+// The explorer page loads its own scripts and styles (some inline) and calls the API from the same origin,
+// so it replaces the strict policy the rest of the API sends (middleware/security.js)
+const DOCS_CONTENT_SECURITY_POLICY = "default-src 'self'; style-src 'self' 'unsafe-inline'; img-src 'self' data:; frame-ancestors 'none'";
+
+// --- Controller Logic ---
+
+// 1. GET /api/docs/openapi.json (The OpenAPI document, for code generators and API tools)
+const getOpenApiDocument = (req, res) => {
+    res.status(200).json(openApiDocument);
+};
+
+// --- Define Routes ---
+router.use((req, res, next) => {
+    res.set('Content-Security-Policy', DOCS_CONTENT_SECURITY_POLICY);
+    next();
+});
+router.get('/openapi.json', getOpenApiDocument); // GET /api/docs/openapi.json
+// 2. GET /api/docs (Interactive explorer; "Authorize" takes the token returned by POST /api/auth/login)
+router.use('/', swaggerUi.serve, swaggerUi.setup(openApiDocument, {
+    customSiteTitle: 'Taskify API',
+    swaggerOptions: { persistAuthorization: true },
+}));
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const { subscribe } = require('../utils/taskEvents');
+const { listWorkspaces } = require('../utils/workspaces');
+
+const router = express.Router();
+
+// Tell a reconnecting EventSource how long to wait (ms) before its next attempt
+const CLIENT_RETRY_MS = 3000;
+
+// --- Controller Logic ---
+
+// 1. GET /api/events (Server-Sent Events stream of task changes in the user's workspaces, and their notifications)
+// Events: task.created / task.updated ({ task }), task.deleted ({ taskId }) and notification.created ({ notification }).
+// Task events cover every workspace the user is in; clients tell them apart by task.owner (the workspace owner).
+// The stream stays open until the client disconnects; there is no replay, so clients refetch after reconnecting.
+const streamEvents = async (req, res, next) => {
+    let workspaces;
+    try {
+        workspaces = await listWorkspaces(req.user);
+    } catch (error) {
+        return next(error);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable response buffering in nginx-style proxies
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+    const unsubscribe = subscribe(req.user._id, res, workspaces.map(workspace => workspace.owner));
+    req.on('close', unsubscribe);
+};
+
+
+// --- Define Routes ---
+router.get('/', streamEvents); // GET /api/events
+
+module.exports = router;
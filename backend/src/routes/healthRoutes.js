@@ -0,0 +1,77 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { TASK_STORE } = require('../repositories/taskRepository');
+const { usesMongo, DATA_STORE } = require('../repositories/documentRepository');
+const { supportsTransactions } = require('../repositories/mongoTaskRepository');
+const { isShuttingDown } = require('../utils/shutdown');
+
+const router = express.Router();
+
+// How long the readiness check waits for MongoDB to answer a ping
+const DB_PING_TIMEOUT_MS = 2000;
+
+// --- Helpers ---
+
+// 'connected' when MongoDB answers a ping, otherwise the connection's state ('disconnected', 'connecting', ...).
+// 'not used' when neither store is MongoDB.
+const checkDatabase = async () => {
+    if (!usesMongo()) return 'not used';
+    const { connection } = mongoose;
+    if (connection.readyState !== mongoose.ConnectionStates.connected) {
+        return mongoose.ConnectionStates[connection.readyState];
+    }
+    let timer;
+    try {
+        await Promise.race([
+            connection.db.admin().ping(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('ping timed out')), DB_PING_TIMEOUT_MS);
+            }),
+        ]);
+        return 'connected';
+    } catch {
+        return 'unresponsive';
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Whether multi-task writes run in transactions: null unless tasks are kept in a connected MongoDB
+const checkTransactions = async (database) => {
+    if (TASK_STORE !== 'mongo' || database !== 'connected') return null;
+    try {
+        return await supportsTransactions();
+    } catch {
+        return null;
+    }
+};
+
+// --- Controller Logic ---
+// Probes for process managers and load balancers; no authentication.
+
+// 1. GET /healthz (Liveness: the process is up and serving requests, whatever the database state)
+const getHealth = (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+};
+
+// 2. GET /readyz and GET / (Readiness: 200 when MongoDB is connected or not used, 503 when it is not reachable or the server is shutting down)
+// Response: { status: 'ready' | 'unavailable', database, transactions, taskStore, dataStore, shuttingDown }
+// transactions is false on a standalone MongoDB server, where writes to several tasks are not all-or-nothing.
+const getReadiness = async (req, res) => {
+    const database = await checkDatabase();
+    const transactions = await checkTransactions(database);
+    const shuttingDown = isShuttingDown();
+    const ready = ['connected', 'not used'].includes(database) && !shuttingDown;
+
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', database, transactions, taskStore: TASK_STORE, dataStore: DATA_STORE, shuttingDown });
+};
+
+
+// --- Define Routes ---
+router.get('/healthz', getHealth); // GET /healthz
+router.get('/readyz', getReadiness); // GET /readyz
+router.get('/', getReadiness); // GET / (kept for existing uptime checks)
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const Notification = require('../models/notificationModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// --- Request Schemas ---
+
+const schemas = {
+    notificationId: { params: { id: { type: 'objectId', required: true, label: 'Notification id' } } },
+};
+
+// --- Controller Logic ---
+
+// 1. GET /api/notifications (The user's inbox, newest first)
+// Query parameters: limit (default 20, max 100), unread=true to list unread notifications only
+// Response: { notifications, unreadCount }
+const getNotifications = async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+        const filter = { user: req.user._id };
+        if (req.query.unread === 'true') filter.readAt = null;
+
+        const notificationRepository = getRepository(Notification);
+        const [notifications, unreadCount] = await Promise.all([
+            notificationRepository.find(filter, { sort: { createdAt: -1 }, limit }),
+            notificationRepository.count({ user: req.user._id, readAt: null }),
+        ]);
+        res.status(200).json({ notifications, unreadCount });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 2. PATCH /api/notifications/:id/read (Mark one notification as read)
+const markNotificationRead = async (req, res, next) => {
+    try {
+        const notificationRepository = getRepository(Notification);
+        const filter = { _id: req.params.id, user: req.user._id };
+        // Already read notifications keep their readAt
+        const notification = await notificationRepository.updateOne({ ...filter, readAt: null }, { readAt: new Date() })
+            || await notificationRepository.findOne(filter);
+        if (!notification) {
+            return res.status(404).json({ message: 'Notification not found' });
+        }
+        res.status(200).json(notification);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 3. POST /api/notifications/read-all (Mark every unread notification as read)
+const markAllNotificationsRead = async (req, res, next) => {
+    try {
+        const updated = await getRepository(Notification).updateMany(
+            { user: req.user._id, readAt: null },
+            { readAt: new Date() }
+        );
+        res.status(200).json({ updated });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+// --- Define Routes ---
+router.get('/', getNotifications); // GET /api/notifications
+router.post('/read-all', markAllNotificationsRead); // POST /api/notifications/read-all
+router.patch('/:id/read', validate(schemas.notificationId), markNotificationRead); // PATCH /api/notifications/:id/read
+
+module.exports = router;
+
+// Request schemas
+module.exports.schemas = schemas;
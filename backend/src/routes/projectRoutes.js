@@ -0,0 +1,137 @@
+const express = require('express');
+const Project = require('../models/projectModel');
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { getRepository } = require('../repositories/documentRepository');
+const { TASK_EVENTS, publishTaskEvents } = require('../utils/taskEvents');
+const { enqueueManyTaskWebhooks } = require('../utils/webhooks');
+const { requireRole } = require('../middleware/workspaceMiddleware');
+const { validate, sendValidationError, toValidationErrors } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Fields a client may set on a project
+const pickProjectFields = (body = {}) => {
+    const fields = {};
+    ['name', 'color'].forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+};
+
+// Duplicate key errors mean the workspace already has a project with that name
+const isDuplicateName = (error) => error && error.code === 11000;
+
+// --- Request Schemas ---
+
+const schemas = {
+    projectId: { params: { id: { type: 'objectId', required: true, label: 'Project id' } } },
+};
+
+// --- Controller Logic ---
+
+// 1. GET /api/projects (List the workspace's projects with their active task counts)
+const getAllProjects = async (req, res, next) => {
+    try {
+        const [projects, countById] = await Promise.all([
+            getRepository(Project).find({ owner: req.workspace.owner }, { sort: { name: 1 } }),
+            getTaskRepository().countByProject(req.workspace.owner),
+        ]);
+
+        res.status(200).json(projects.map(project => ({
+            ...project,
+            taskCount: countById.get(project._id.toString()) || 0,
+        })));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 2. POST /api/projects (Create a project)
+const createProject = async (req, res, next) => {
+    try {
+        const project = await getRepository(Project).create({ ...pickProjectFields(req.body), owner: req.workspace.owner });
+        res.status(201).json(project);
+    } catch (error) {
+        if (isDuplicateName(error)) {
+            return res.status(409).json({ message: 'A project with this name already exists' });
+        }
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 3. GET /api/projects/:id (Retrieve a single project)
+const getProjectById = async (req, res, next) => {
+    try {
+        const project = await getRepository(Project).findOne({ _id: req.params.id, owner: req.workspace.owner });
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        res.status(200).json(project);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 4. PATCH /api/projects/:id (Rename or recolor a project)
+const updateProject = async (req, res, next) => {
+    try {
+        const project = await getRepository(Project).updateOne(
+            { _id: req.params.id, owner: req.workspace.owner },
+            pickProjectFields(req.body)
+        );
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+        res.status(200).json(project);
+    } catch (error) {
+        if (isDuplicateName(error)) {
+            return res.status(409).json({ message: 'A project with this name already exists' });
+        }
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 5. DELETE /api/projects/:id (Delete a project; its tasks are kept and become unassigned)
+const deleteProject = async (req, res, next) => {
+    try {
+        const project = await getRepository(Project).deleteOne({ _id: req.params.id, owner: req.workspace.owner });
+        if (!project) {
+            return res.status(404).json({ message: 'Project not found' });
+        }
+
+        const { before, after } = await getTaskRepository().updateMany(
+            { owner: req.workspace.owner, project: project._id, trashed: 'any' },
+            { project: null }
+        );
+
+        // Trashed tasks are unassigned too, but only active ones are pushed to open clients and webhooks
+        const updatedTasks = after.filter(task => !task.deletedAt);
+        publishTaskEvents(TASK_EVENTS.updated, updatedTasks);
+        await enqueueManyTaskWebhooks(TASK_EVENTS.updated, updatedTasks, before);
+
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+// --- Define Routes ---
+router.get('/', requireRole('viewer'), getAllProjects); // GET /api/projects
+router.post('/', requireRole('editor'), createProject); // POST /api/projects
+router.get('/:id', requireRole('viewer'), validate(schemas.projectId), getProjectById); // GET /api/projects/:id
+router.patch('/:id', requireRole('editor'), validate(schemas.projectId), updateProject); // PATCH /api/projects/:id
+router.delete('/:id', requireRole('editor'), validate(schemas.projectId), deleteProject); // DELETE /api/projects/:id
+
+module.exports = router;
+
+// Request schemas
+module.exports.schemas = schemas;
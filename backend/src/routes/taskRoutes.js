@@ -1,91 +1,1062 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Task = require('../models/taskModel');
+const Project = require('../models/projectModel');
+const TaskHistory = require('../models/taskHistoryModel');
+const { getTaskRepository, SORTABLE_FIELDS } = require('../repositories/taskRepository');
+const { getRepository } = require('../repositories/documentRepository');
+const checklistRoutes = require('./checklistRoutes');
+const commentRoutes = require('./commentRoutes');
+const attachmentRoutes = require('./attachmentRoutes');
+const dependencyRoutes = require('./dependencyRoutes');
+const { recordTaskHistory, recordManyTaskHistory } = require('../utils/taskHistory');
+const { TASK_EVENTS, publishTaskEvent, publishTaskEvents } = require('../utils/taskEvents');
+const { enqueueTaskWebhooks, enqueueManyTaskWebhooks } = require('../utils/webhooks');
+const { deleteTaskRelations } = require('../utils/taskRelations');
+const { toCsv, parseCsvRecords, toIcs } = require('../utils/taskFormats');
+const { sanitizeRule, listOccurrences, previewTaskOccurrences, spawnNextOccurrence, MAX_PREVIEW } = require('../utils/recurrence');
+const { getTaskStats, isValidTimezone, STATS_INTERVALS, MAX_PERIODS } = require('../utils/taskStats');
+const { validate, validateObject, sendValidationError, toValidationErrors } = require('../middleware/validate');
+const { getWorkflow, statusNames, initialStatus, isDoneStatus, matchStatusName, checkStatus, checkTransition, completionFields } = require('../utils/workflows');
+const { findOpenBlockers, checkBlocked, buildDependencyGraph, MAX_GRAPH_TASKS } = require('../utils/taskDependencies');
+const { checkAssignees, notifyNewAssignees } = require('../utils/workspaces');
+const { requireRole } = require('../middleware/workspaceMiddleware');
 
 const router = express.Router();
 
 // --- Controller Logic (Simulates RESTful API) ---
+// NOTE: All routes are mounted behind the auth and workspace middleware, so req.user (who is acting) and
+// req.workspace are always set. Tasks are scoped by req.workspace.owner; every route requires a role in it.
 
-// 1. GET /api/tasks (Retrieve all tasks - includes filtering by status)
+// Clients sort by one of SORTABLE_FIELDS (?sort=dueDate or ?sort=-dueDate for descending)
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields a client is allowed to set (owner, createdAt, updatedAt, etc. are server-managed)
+const EDITABLE_FIELDS = ['title', 'description', 'status', 'priority', 'project', 'dueDate', 'tags', 'assignees', 'reminderOffsets', 'completeWhenChecklistDone', 'recurrence'];
+
+// Bulk actions accepted by POST /api/tasks/bulk
+const BULK_ACTIONS = ['delete', 'setStatus', 'setDueDate', 'addTag'];
+const MAX_BULK_IDS = 500;
+
+// Export formats for GET /api/tasks/export, and the import limits for POST /api/tasks/import
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ics: 'text/calendar; charset=utf-8',
+};
+const MAX_EXPORT = 10000;
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 1000;
+
+// Parse a positive integer query value, falling back to a default
+const toPositiveInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 1 ? fallback : parsed;
+};
+
+// Reminder offsets are stored sorted and without duplicates (invalid values are left for schema validation)
+const normalizeReminderOffsets = (offsets) => (Array.isArray(offsets)
+    ? [...new Set(offsets.map(Number))].sort((a, b) => a - b)
+    : offsets);
+
+// Copy only the editable fields that are present in a request body
+// (a recurrence rule is reduced to its client-settable fields)
+const pickEditableFields = (body = {}) => {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    if (fields.recurrence !== undefined) fields.recurrence = sanitizeRule(fields.recurrence);
+    if (fields.reminderOffsets !== undefined) fields.reminderOffsets = normalizeReminderOffsets(fields.reminderOffsets);
+    if (fields.assignees !== undefined) fields.assignees = [...new Set(fields.assignees)];
+    return fields;
+};
+
+// Make sure a project being assigned exists and belongs to the workspace.
+// Returns an error message, or null when the assignment is valid (null/empty clears the project).
+const checkProjectAssignment = async (fields, owner) => {
+    if (fields.project === undefined) return null;
+    if (fields.project === null || fields.project === '') {
+        fields.project = null;
+        return null;
+    }
+    if (!mongoose.isValidObjectId(fields.project)) return 'Project not found';
+    const exists = await getRepository(Project).exists({ _id: fields.project, owner });
+    return exists ? null : 'Project not found';
+};
+
+// Split a comma-separated query value into trimmed, non-empty parts
+const toList = (value) => String(value).split(',').map(part => part.trim()).filter(Boolean);
+
+// Turn one imported record (a CSV row or a JSON object) into task fields.
+// Only client-settable fields are read, so ids, owners and versions in the file are ignored.
+// projectIds maps project ids and lower-cased project names to ids; statuses are matched against the workflow's
+// names in any case. Returns { fields, errors } (fields is null for non-objects).
+const toImportFields = (record, projectIds, workflow) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { fields: null, errors: [{ field: null, message: 'Row must be an object' }] };
+    }
+
+    // CSV headers arrive lower-cased; JSON keys keep their case
+    const read = (field) => (record[field] !== undefined ? record[field] : record[field.toLowerCase()]);
+    const isBlank = (value) => value === undefined || value === null || value === '';
+    const fields = {};
+    const errors = [];
+
+    fields.title = read('title');
+    fields.description = read('description');
+
+    const status = read('status');
+    fields.status = isBlank(status) ? initialStatus(workflow) : matchStatusName(workflow, status) || String(status);
+    const statusProblem = checkStatus(workflow, fields.status);
+    if (statusProblem) errors.push({ field: 'status', message: statusProblem.message });
+
+    const priority = read('priority');
+    if (!isBlank(priority)) fields.priority = String(priority).toLowerCase();
+
+    const tags = read('tags');
+    if (!isBlank(tags)) fields.tags = Array.isArray(tags) ? tags : toList(String(tags).replace(/;/g, ','));
+
+    const dueDate = read('dueDate');
+    fields.dueDate = isBlank(dueDate) ? null : dueDate; // Invalid dates are reported by schema validation
+
+    const project = read('project');
+    if (!isBlank(project)) {
+        const key = String(project);
+        fields.project = projectIds.get(key) || projectIds.get(key.trim().toLowerCase()) || null;
+        if (!fields.project) errors.push({ field: 'project', message: `Unknown project "${key}"` });
+    }
+
+    // JSON exports also carry these
+    const checklist = read('checklist');
+    if (Array.isArray(checklist)) {
+        fields.checklist = checklist.map(item => ({ text: item && item.text, done: Boolean(item && item.done) }));
+    }
+    const completeWhenChecklistDone = read('completeWhenChecklistDone');
+    if (typeof completeWhenChecklistDone === 'boolean') fields.completeWhenChecklistDone = completeWhenChecklistDone;
+    const recurrence = read('recurrence');
+    if (recurrence && typeof recurrence === 'object') fields.recurrence = sanitizeRule(recurrence);
+    const reminderOffsets = read('reminderOffsets');
+    if (Array.isArray(reminderOffsets)) fields.reminderOffsets = normalizeReminderOffsets(reminderOffsets);
+
+    return { fields, errors };
+};
+
+// Generate the next occurrence for every task in `afterTasks` that just reached the workflow's done status
+const spawnNextOccurrences = async (beforeTasks, afterTasks, actor, workflow) => {
+    const beforeById = new Map(beforeTasks.map(task => [task._id.toString(), task]));
+    for (const after of afterTasks) {
+        await spawnNextOccurrence(beforeById.get(after._id.toString()), after, actor, workflow);
+    }
+};
+
+// ETag for a task is its version number, e.g. "3"
+const toETag = (task) => `"${task.version}"`;
+
+// Read the version a client expects from its If-Match header.
+// Returns null when there is no precondition (header absent or "*"), NaN when it is malformed.
+const parseIfMatch = (req) => {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return null;
+    return parseInt(header.trim().replace(/^W\//, '').replace(/"/g, ''), 10);
+};
+
+const IF_MATCH_ERROR = { location: 'header', field: 'If-Match', code: 'invalid_format', message: 'If-Match must be an ETag such as "3".' };
+
+// Respond 412 with the current server copy so the client can show the conflict
+const sendPreconditionFailed = (res, currentTask) => {
+    res.set('ETag', toETag(currentTask));
+    res.status(412).json({
+        message: 'Task was modified by someone else. Reload it and try again.',
+        currentTask,
+    });
+};
+
+// Parse a date query value; returns null when it is not a valid date
+const toDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Build the task store criteria and sort for a task listing from query parameters (already checked against listQuery).
+// Shared by getAllTasks and exportTasks. Returns { criteria, sort }.
+// Overdue tasks are those due in the past and not in the workflow's done status.
+// assignee=me is resolved to userId, the one asking.
+const buildTaskQuery = (owner, query, workflow, userId) => {
+    // Users only ever see the tasks of the selected workspace
+    const criteria = { owner };
+    const { status, q, dueBefore, dueAfter, overdue, priority, tags, project, assignee, sort = '-createdAt' } = query;
+
+    if (status) criteria.status = status;
+    if (q) criteria.q = q;
+    if (dueBefore) criteria.dueBefore = toDate(dueBefore);
+    if (dueAfter) criteria.dueAfter = toDate(dueAfter);
+    if (overdue === 'true') Object.assign(criteria, { overdue: true, statusNot: workflow.doneStatus });
+    if (priority) criteria.priorities = toList(priority).map(level => level.toLowerCase());
+    if (tags) criteria.tags = toList(tags).map(tag => tag.toLowerCase());
+    if (project) criteria.project = project === 'none' ? null : project;
+    if (assignee === 'me') criteria.assignee = userId;
+    else if (assignee === 'none') criteria.assignee = null;
+    else if (assignee) criteria.assignee = assignee;
+
+    // The field is one of SORTABLE_FIELDS
+    return {
+        criteria,
+        sort: { field: sort.replace(/^-/, ''), direction: sort.startsWith('-') ? -1 : 1 },
+    };
+};
+
+// --- Request Schemas (checked by the validate middleware before the handlers run) ---
+
+// Statuses come from the workspace's workflow, so requests only check their shape here and the handlers check the name
+const statusName = { type: 'string', maxLength: 40 };
+const tagName = { type: 'string', maxLength: 50 };
+
+const idParams = { id: { type: 'objectId', required: true, label: 'Task id' } };
+
+// Lets a status change move tasks that are blocked by unfinished dependencies
+const blockerQuery = { ignoreBlockers: { type: 'boolean', label: 'ignoreBlockers' } };
+
+const recurrenceRule = {
+    type: 'object',
+    nullable: true, // null stops the series
+    label: 'Recurrence',
+    properties: {
+        frequency: { enum: Task.schema.path('recurrence').schema.path('frequency').enumValues, required: true, label: 'Repeat frequency' },
+        interval: { type: 'integer', min: 1, max: 365, label: 'Repeat interval' },
+        byWeekday: { type: 'array', maxItems: 7, items: { type: 'integer', min: 0, max: 6, label: 'Weekday' }, label: 'Weekdays' },
+        count: { type: 'integer', min: 1, nullable: true, label: 'Number of occurrences' },
+        until: { type: 'date', nullable: true, label: 'End date' },
+    },
+};
+
+// Editable task fields; required only when creating
+const taskFields = (isCreate) => ({
+    title: { type: 'string', required: isCreate, maxLength: 200, label: 'Title' },
+    description: { type: 'string', required: isCreate, maxLength: 10000, label: 'Description' },
+    status: { ...statusName, label: 'Status' },
+    priority: { enum: Task.PRIORITY_LEVELS, label: 'Priority' },
+    project: { type: 'objectId', nullable: true, label: 'Project' },
+    dueDate: { type: 'date', nullable: true, label: 'Due date' },
+    tags: { type: 'array', maxItems: 50, items: { ...tagName, label: 'Tag' }, label: 'Tags' },
+    assignees: { type: 'array', maxItems: Task.MAX_ASSIGNEES, items: { type: 'objectId', label: 'Assignee' }, label: 'Assignees' }, // Workspace members
+    reminderOffsets: {
+        type: 'array',
+        maxItems: Task.MAX_REMINDERS,
+        items: { type: 'integer', min: 0, max: Task.MAX_REMINDER_OFFSET, label: 'Reminder' },
+        label: 'Reminders',
+    },
+    completeWhenChecklistDone: { type: 'boolean', label: 'completeWhenChecklistDone' },
+    recurrence: recurrenceRule,
+});
+
+// Filter and sort parameters shared by GET /api/tasks and GET /api/tasks/export
+const listQuery = {
+    status: { ...statusName, label: 'status' },
+    q: { type: 'string', maxLength: 200, label: 'q' },
+    dueBefore: { type: 'date', label: 'dueBefore' },
+    dueAfter: { type: 'date', label: 'dueAfter' },
+    overdue: { type: 'boolean', label: 'overdue' },
+    priority: { type: 'list', items: { enum: Task.PRIORITY_LEVELS, ignoreCase: true }, label: 'priority' },
+    tags: { type: 'list', items: tagName, label: 'tags' },
+    project: { type: 'objectId', allow: ['none'], label: 'project' },
+    assignee: { type: 'objectId', allow: ['me', 'none'], label: 'assignee' },
+    sort: { enum: SORTABLE_FIELDS.flatMap(field => [field, `-${field}`]), label: 'sort' },
+};
+
+const schemas = {
+    listTasks: {
+        query: {
+            ...listQuery,
+            page: { type: 'integer', min: 1, label: 'page' },
+            limit: { type: 'integer', min: 1, label: 'limit' }, // Values above MAX_LIMIT are capped
+        },
+    },
+    createTask: { body: taskFields(true) },
+    updateTask: { params: idParams, query: blockerQuery, body: taskFields(false), strictBody: true },
+    taskId: { params: idParams },
+    reorderTasks: {
+        query: blockerQuery,
+        body: {
+            moves: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                label: 'moves',
+                items: {
+                    type: 'object',
+                    label: 'Move',
+                    properties: {
+                        _id: { type: 'objectId', required: true, label: 'Task id' },
+                        status: { ...statusName, required: true, label: 'Status' },
+                        position: { type: 'integer', min: 0, required: true, label: 'Position' },
+                        version: { type: 'integer', min: 0, label: 'Version' },
+                    },
+                },
+            },
+        },
+    },
+    // Individual ids are checked by the handler, so one bad id fails only its own result entry
+    bulkTasks: {
+        query: blockerQuery,
+        body: {
+            ids: { type: 'array', required: true, minItems: 1, maxItems: MAX_BULK_IDS, label: 'ids' },
+            action: { enum: BULK_ACTIONS, required: true, label: 'action' },
+            atomic: { type: 'boolean', label: 'atomic' },
+        },
+    },
+    // The bulk value's type depends on the action, so bulkTasks checks it against this for addTag
+    addTagValue: { body: { value: { ...tagName, required: true, label: 'value' } } },
+    previewRecurrence: {
+        body: {
+            recurrence: { ...recurrenceRule, nullable: false, required: true },
+            startDate: { type: 'date', label: 'startDate' },
+            count: { type: 'integer', min: 1, label: 'count' }, // Capped at MAX_PREVIEW
+        },
+    },
+    taskOccurrences: { params: idParams, query: { count: { type: 'integer', min: 1, label: 'count' } } },
+    exportTasks: { query: { ...listQuery, format: { enum: Object.keys(EXPORT_FORMATS), ignoreCase: true, label: 'format' } } },
+    importTasks: {
+        body: {
+            format: { enum: IMPORT_FORMATS, required: true, label: 'format' },
+            dryRun: { type: 'boolean', label: 'dryRun' },
+            atomic: { type: 'boolean', label: 'atomic' },
+        },
+    },
+    taskStats: {
+        query: {
+            interval: { enum: Object.keys(STATS_INTERVALS), label: 'interval' },
+            periods: { type: 'integer', min: 1, max: MAX_PERIODS, label: 'periods' },
+            timezone: { type: 'string', maxLength: 64, label: 'timezone' }, // Checked against the IANA database by the handler
+            project: listQuery.project,
+        },
+    },
+    dependencyGraph: {
+        query: { ids: { type: 'list', items: { type: 'objectId' }, label: 'ids' } }, // Up to MAX_GRAPH_TASKS
+    },
+};
+
+// 1. GET /api/tasks (Retrieve tasks - filtering, search, sorting and pagination)
 // Advanced Requirement: Implements query parameter filtering (e.g., /api/tasks?status=Completed)
-const getAllTasks = async (req, res) => {
+// Supported query parameters:
+//   status            - exact status match (case-insensitive)
+//   q                 - full-text search over title and description
+//   dueBefore/dueAfter - due-date range (ISO dates, inclusive)
+//   overdue=true      - due date in the past and not yet completed
+//   priority          - comma-separated priority levels (any of)
+//   tags              - comma-separated tags (task must have all of them)
+//   project           - project id, or "none" for tasks without a project
+//   assignee          - user id, "me" for the tasks assigned to the current user, or "none" for unassigned tasks
+//   sort              - one of SORTABLE_FIELDS, prefixed with "-" for descending (default: -createdAt)
+//   page/limit        - 1-based page number and page size (max 100)
+// Response: { tasks, page, limit, total, totalPages, hasMore }
+const getAllTasks = async (req, res, next) => {
     try {
-        let filter = {};
-        const { status } = req.query; // Check for status query parameter
+        const workflow = await getWorkflow(req.workspace.owner);
+        const { criteria, sort } = buildTaskQuery(req.workspace.owner, req.query, workflow, req.user._id);
 
-        if (status) {
-            // Case-insensitive status filtering
-            filter.status = { $regex: new RegExp(`^${status}$`, 'i') };
-        }
+        // Pagination
+        const limit = Math.min(toPositiveInt(req.query.limit, DEFAULT_LIMIT), MAX_LIMIT);
+        const page = toPositiveInt(req.query.page, 1);
 
-        const tasks = await Task.find(filter).sort({ createdAt: -1 });
-        res.status(200).json(tasks);
+        const taskRepository = getTaskRepository();
+        const [tasks, total] = await Promise.all([
+            taskRepository.find(criteria, { sort, skip: (page - 1) * limit, limit }),
+            taskRepository.count(criteria),
+        ]);
+
+        const totalPages = Math.ceil(total / limit);
+        res.status(200).json({ tasks, page, limit, total, totalPages, hasMore: page < totalPages });
     } catch (error) {
-        res.status(500).json({ message: 'Failed to fetch tasks', error: error.message });
+        next(error);
     }
 };
 
 // 2. POST /api/tasks (Create a new task)
-const createTask = async (req, res) => {
+// The status defaults to the first status of the workspace's workflow.
+const createTask = async (req, res, next) => {
     try {
-        const newTask = new Task(req.body);
-        const savedTask = await newTask.save();
+        // Only editable fields are taken from the client; the rest is server-managed
+        const fields = pickEditableFields(req.body);
+        const projectError = await checkProjectAssignment(fields, req.workspace.owner);
+        if (projectError) {
+            return sendValidationError(res, [{ location: 'body', field: 'project', code: 'not_found', message: projectError }]);
+        }
+        const assigneeProblem = fields.assignees && checkAssignees(req.workspace, fields.assignees);
+        if (assigneeProblem) {
+            return sendValidationError(res, [{ location: 'body', field: 'assignees', ...assigneeProblem }]);
+        }
+
+        const workflow = await getWorkflow(req.workspace.owner);
+        if (fields.status === undefined) fields.status = initialStatus(workflow);
+        const statusProblem = checkStatus(workflow, fields.status);
+        if (statusProblem) {
+            return sendValidationError(res, [{ location: 'body', field: 'status', ...statusProblem }]);
+        }
+        Object.assign(fields, completionFields(workflow, null, fields.status));
+
+        // New tasks go to the bottom of their board column
+        const taskRepository = getTaskRepository();
+        const position = await taskRepository.nextPosition(req.workspace.owner, fields.status);
+        const savedTask = await taskRepository.create({ ...fields, position, owner: req.workspace.owner });
+        await recordTaskHistory({ action: 'created', after: savedTask, actor: req.user });
+        publishTaskEvent(TASK_EVENTS.created, savedTask);
+        await enqueueTaskWebhooks(TASK_EVENTS.created, savedTask);
+        await notifyNewAssignees(null, savedTask, req.user);
         res.status(201).json(savedTask);
     } catch (error) {
-        // Handle validation errors (e.g., missing title/description)
-        res.status(400).json({ message: 'Failed to create task', error: error.message });
+        // Mongoose schema errors are reported in the same envelope as the request schema's
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
     }
 };
 
 // 3. GET /api/tasks/:id (Retrieve a single task)
-const getTaskById = async (req, res) => {
+const getTaskById = async (req, res, next) => {
     try {
-        const task = await Task.findById(req.params.id);
+        const task = await getTaskRepository().findById(req.params.id, { owner: req.workspace.owner });
         if (!task) {
             return res.status(404).json({ message: 'Task not found' });
         }
+        res.set('ETag', toETag(task));
         res.status(200).json(task);
     } catch (error) {
-        res.status(500).json({ message: 'Failed to retrieve task', error: error.message });
+        next(error);
     }
 };
 
-// 4. PUT /api/tasks/:id (Update an existing task)
-const updateTask = async (req, res) => {
+// 4. PUT/PATCH /api/tasks/:id (Update an existing task)
+// Only EDITABLE_FIELDS are accepted; any other field in the body is rejected with 400 (unknown_field).
+// Send "If-Match: <ETag>" to update only if the task is still at that version (412 otherwise).
+// Status changes must be allowed by the workspace's workflow (400 invalid_transition otherwise), and a task blocked by
+// unfinished dependencies may only move to the workflow's first status (400 blocked) unless ?ignoreBlockers=true.
+const updateTask = async (req, res, next) => {
     try {
-        const updatedTask = await Task.findByIdAndUpdate(req.params.id, req.body, {
-            new: true, // return the new document
-            runValidators: true, // run Mongoose validation checks
-        });
+        const expectedVersion = parseIfMatch(req);
+        if (Number.isNaN(expectedVersion)) {
+            return sendValidationError(res, [IF_MATCH_ERROR]);
+        }
 
-        if (!updatedTask) {
+        const updates = pickEditableFields(req.body);
+        if (Object.keys(updates).length === 0) {
+            return sendValidationError(res, [{ location: 'body', field: null, code: 'required', message: `Provide at least one of: ${EDITABLE_FIELDS.join(', ')}.` }]);
+        }
+
+        const projectError = await checkProjectAssignment(updates, req.workspace.owner);
+        if (projectError) {
+            return sendValidationError(res, [{ location: 'body', field: 'project', code: 'not_found', message: projectError }]);
+        }
+        const assigneeProblem = updates.assignees && checkAssignees(req.workspace, updates.assignees);
+        if (assigneeProblem) {
+            return sendValidationError(res, [{ location: 'body', field: 'assignees', ...assigneeProblem }]);
+        }
+
+        const taskRepository = getTaskRepository();
+        const workflow = await getWorkflow(req.workspace.owner);
+        const criteria = { owner: req.workspace.owner };
+        if (expectedVersion !== null) criteria.version = expectedVersion;
+
+        // A status change is checked against the task's current status, so the write is pinned to the version it was checked at
+        let checkedTask = null;
+        if (updates.status !== undefined) {
+            checkedTask = await taskRepository.findById(req.params.id, { owner: req.workspace.owner });
+            if (!checkedTask) {
+                return res.status(404).json({ message: 'Task not found' });
+            }
+            if (expectedVersion !== null && checkedTask.version !== expectedVersion) {
+                return sendPreconditionFailed(res, checkedTask);
+            }
+            const transitionProblem = checkTransition(workflow, checkedTask.status, updates.status);
+            if (transitionProblem) {
+                return sendValidationError(res, [{ location: 'body', field: 'status', ...transitionProblem }]);
+            }
+            if (req.query.ignoreBlockers !== 'true') {
+                const openBlockers = (await findOpenBlockers(req.workspace.owner, [checkedTask], workflow)).get(checkedTask._id.toString());
+                const blockedProblem = checkBlocked(workflow, checkedTask, updates.status, openBlockers);
+                if (blockedProblem) {
+                    return sendValidationError(res, [{ location: 'body', field: 'status', ...blockedProblem }]);
+                }
+            }
+            Object.assign(updates, completionFields(workflow, checkedTask, updates.status));
+            criteria.version = checkedTask.version;
+        }
+
+        // Every successful write bumps the version. The previous copy is kept for the history diff.
+        const result = await taskRepository.update(req.params.id, updates, criteria);
+
+        if (!result) {
+            // Distinguish a stale version from a missing task
+            const currentTask = criteria.version !== undefined && await taskRepository.findById(req.params.id, { owner: req.workspace.owner });
+            if (currentTask && expectedVersion !== null) {
+                return sendPreconditionFailed(res, currentTask);
+            }
+            if (currentTask) {
+                return res.status(409).json({ message: 'Task was modified by someone else. Reload it and try again.' });
+            }
             return res.status(404).json({ message: 'Task not found' });
         }
+
+        const { before: previousTask } = result;
+        let updatedTask = result.after;
+        await recordTaskHistory({ action: 'updated', before: previousTask, after: updatedTask, actor: req.user });
+
+        // Completing a recurring task generates its next occurrence (and links it, so re-read)
+        if (await spawnNextOccurrence(previousTask, updatedTask, req.user, workflow)) {
+            updatedTask = await taskRepository.findById(previousTask._id);
+        }
+
+        publishTaskEvent(TASK_EVENTS.updated, updatedTask);
+        await enqueueTaskWebhooks(TASK_EVENTS.updated, updatedTask, previousTask);
+        await notifyNewAssignees(previousTask, updatedTask, req.user);
+        res.set('ETag', toETag(updatedTask));
         res.status(200).json(updatedTask);
     } catch (error) {
-        res.status(400).json({ message: 'Failed to update task', error: error.message });
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
     }
 };
 
-// 5. DELETE /api/tasks/:id (Delete a task)
-const deleteTask = async (req, res) => {
+// 5. DELETE /api/tasks/:id (Move a task to the trash)
+// Soft delete: the task gets a deletedAt timestamp and can be restored until the purge job removes it.
+// Honors If-Match the same way as updateTask.
+const deleteTask = async (req, res, next) => {
     try {
-        const deletedTask = await Task.findByIdAndDelete(req.params.id);
+        const expectedVersion = parseIfMatch(req);
+        if (Number.isNaN(expectedVersion)) {
+            return sendValidationError(res, [IF_MATCH_ERROR]);
+        }
+
+        const taskRepository = getTaskRepository();
+        const criteria = { owner: req.workspace.owner };
+        if (expectedVersion !== null) criteria.version = expectedVersion;
 
-        if (!deletedTask) {
+        // The pre-delete copy is the "before" side of the history entry
+        const result = await taskRepository.update(req.params.id, { deletedAt: new Date() }, criteria);
+
+        if (!result) {
+            const currentTask = expectedVersion !== null && await taskRepository.findById(req.params.id, { owner: req.workspace.owner });
+            if (currentTask) {
+                return sendPreconditionFailed(res, currentTask);
+            }
             return res.status(404).json({ message: 'Task not found' });
         }
-        res.status(204).send(); // 204 No Content is standard for successful deletion
+
+        const { before: deletedTask, after: trashedTask } = result;
+        await recordTaskHistory({ action: 'deleted', before: deletedTask, after: trashedTask, actor: req.user });
+        publishTaskEvent(TASK_EVENTS.deleted, trashedTask);
+        await enqueueTaskWebhooks(TASK_EVENTS.deleted, trashedTask, deletedTask);
+        res.status(204).send(); // 204 No Content is standard for successful deletion (the task stays restorable)
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 6. PUT /api/tasks/reorder (Bulk move/reorder for the board view)
+// Body: { moves: [{ _id, status, position, version }, ...] } - typically every task in the affected columns.
+// A move with a version only applies if the task is still at that version; otherwise nothing is moved (409, with the
+// current copies of the stale tasks). Moves to another column must be allowed by the workspace's workflow, and blocked
+// tasks may only move to its first column (unless ?ignoreBlockers=true); if one move is refused, nothing is moved.
+// Responds with the updated tasks (carrying their new versions).
+const reorderTasks = async (req, res, next) => {
+    try {
+        const { moves } = req.body;
+        const taskRepository = getTaskRepository();
+        const workflow = await getWorkflow(req.workspace.owner);
+
+        const ids = moves.map(move => move._id);
+        const currentTasks = await taskRepository.find({ owner: req.workspace.owner, ids });
+        if (currentTasks.length !== new Set(ids.map(String)).size) {
+            return res.status(404).json({ message: 'One or more tasks were not found' });
+        }
+
+        const currentById = new Map(currentTasks.map(task => [task._id.toString(), task]));
+        const staleTasks = moves
+            .filter(move => move.version !== undefined && currentById.get(String(move._id)).version !== move.version)
+            .map(move => currentById.get(String(move._id)));
+        if (staleTasks.length > 0) {
+            return res.status(409).json({ message: 'Some tasks were modified by someone else. Reload the board and try again.', currentTasks: staleTasks });
+        }
+
+        const openBlockers = req.query.ignoreBlockers === 'true' ? new Map() : await findOpenBlockers(req.workspace.owner, currentTasks, workflow);
+        const transitionErrors = [];
+        const updates = moves.map((move, index) => {
+            const task = currentById.get(String(move._id));
+            const transitionProblem = checkTransition(workflow, task.status, move.status)
+                || checkBlocked(workflow, task, move.status, openBlockers.get(task._id.toString()) || []);
+            if (transitionProblem) transitionErrors.push({ location: 'body', field: `moves[${index}].status`, ...transitionProblem });
+            // Pinned to the version the move was checked at, so a concurrent edit cannot slip in between
+            return {
+                id: move._id,
+                version: task.version,
+                changes: { status: move.status, position: move.position, ...completionFields(workflow, task, move.status) },
+            };
+        });
+        if (transitionErrors.length > 0) {
+            return sendValidationError(res, transitionErrors);
+        }
+
+        const result = await taskRepository.updateEach(updates, { owner: req.workspace.owner });
+        if (!result) {
+            return res.status(409).json({ message: 'Some tasks were modified by someone else. Reload the board and try again.' });
+        }
+
+        const { before: previousTasks } = result;
+        let updatedTasks = result.after;
+        await recordManyTaskHistory({ action: 'updated', beforeTasks: previousTasks, afterTasks: updatedTasks, actor: req.user });
+
+        // Tasks dropped into the done status may generate their next occurrence
+        if (updatedTasks.some(task => task.recurrence && isDoneStatus(workflow, task.status))) {
+            await spawnNextOccurrences(previousTasks, updatedTasks, req.user, workflow);
+            updatedTasks = await taskRepository.find({ owner: req.workspace.owner, ids: updatedTasks.map(task => task._id) });
+        }
+
+        publishTaskEvents(TASK_EVENTS.updated, updatedTasks);
+        await enqueueManyTaskWebhooks(TASK_EVENTS.updated, updatedTasks, previousTasks);
+        res.status(200).json(updatedTasks);
     } catch (error) {
-        res.status(500).json({ message: 'Failed to delete task', error: error.message });
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 7. POST /api/tasks/bulk (Apply one action to many tasks)
+// Body: { ids: [...], action: 'delete' | 'setStatus' | 'setDueDate' | 'addTag', value, atomic? }
+// Every id gets a result entry. Ids that are malformed, not in the workspace or (for setStatus) not allowed
+// to move to the status by the workflow or by their dependencies (see updateTask) fail.
+// By default (atomic: true) nothing is applied if any id fails; with atomic: false the rest are applied.
+// Either way the applied part is a single write, pinned to the task versions it was checked at (409 if one changed).
+const bulkTasks = async (req, res, next) => {
+    try {
+        const { ids, action, value, atomic = true } = req.body;
+        const workflow = await getWorkflow(req.workspace.owner);
+
+        // Validate the action's value once, up front (its type depends on the action)
+        let changes = null;
+        let tag = null;
+        if (action === 'setStatus') {
+            const statusProblem = checkStatus(workflow, value);
+            if (statusProblem) {
+                return sendValidationError(res, [{ location: 'body', field: 'value', code: statusProblem.code, message: `value must be one of: ${statusNames(workflow).join(', ')}.` }]);
+            }
+        } else if (action === 'setDueDate') {
+            const dueDate = value === null ? null : toDate(value);
+            if (value !== null && !dueDate) {
+                return sendValidationError(res, [{ location: 'body', field: 'value', code: 'invalid_format', message: 'value must be a valid date or null.' }]);
+            }
+            changes = { dueDate };
+        } else if (action === 'addTag') {
+            const tagErrors = validateObject(req.body, schemas.addTagValue.body);
+            if (tagErrors.length > 0) {
+                return sendValidationError(res, tagErrors.map(error => ({ location: 'body', ...error })));
+            }
+            tag = value.trim().toLowerCase();
+        }
+
+        // Resolve which ids can be acted on
+        const uniqueIds = [...new Set(ids.map(String))];
+        const validIds = uniqueIds.filter(id => mongoose.isValidObjectId(id));
+        const taskRepository = getTaskRepository();
+        const ownedTasks = await taskRepository.find({ owner: req.workspace.owner, ids: validIds });
+        const ownedIds = new Set(ownedTasks.map(task => task._id.toString()));
+
+        // Status moves the workflow or unfinished dependencies do not allow, by task id
+        const blockedMoves = new Map();
+        if (action === 'setStatus') {
+            const openBlockers = req.query.ignoreBlockers === 'true' ? new Map() : await findOpenBlockers(req.workspace.owner, ownedTasks, workflow);
+            ownedTasks.forEach(task => {
+                const problem = checkTransition(workflow, task.status, value)
+                    || checkBlocked(workflow, task, value, openBlockers.get(task._id.toString()) || []);
+                if (problem) blockedMoves.set(task._id.toString(), problem.message);
+            });
+        }
+        const targetTasks = ownedTasks.filter(task => !blockedMoves.has(task._id.toString()));
+
+        const results = uniqueIds.map(id => {
+            if (!mongoose.isValidObjectId(id)) return { id, ok: false, error: 'Invalid task id' };
+            if (!ownedIds.has(id)) return { id, ok: false, error: 'Task not found' };
+            if (blockedMoves.has(id)) return { id, ok: false, error: blockedMoves.get(id) };
+            return { id, ok: true };
+        });
+        const failedCount = results.filter(result => !result.ok).length;
+
+        if (atomic && failedCount > 0) {
+            return res.status(400).json({
+                message: 'No tasks were changed because some ids could not be processed',
+                action,
+                succeeded: 0,
+                failed: failedCount,
+                results: results.map(result => (result.ok ? { ...result, ok: false, skipped: true, error: 'Skipped (atomic request aborted)' } : result)),
+            });
+        }
+
+        const targetCriteria = { owner: req.workspace.owner, ids: targetTasks.map(task => task._id) };
+        if (targetTasks.length > 0) {
+            const now = new Date();
+            const changesFor = (task) => {
+                if (action === 'delete') return { deletedAt: now }; // Same soft delete as deleteTask
+                if (action === 'setStatus') return { status: value, ...completionFields(workflow, task, value) }; // completedAt depends on the current status
+                if (action === 'addTag') return { tags: task.tags.includes(tag) ? task.tags : [...task.tags, tag] };
+                return changes;
+            };
+            const result = await taskRepository.updateEach(targetTasks.map(task => ({
+                id: task._id,
+                version: task.version,
+                changes: changesFor(task),
+            })), { owner: req.workspace.owner });
+            if (!result) {
+                return res.status(409).json({ message: 'Some tasks were changed or deleted while the action was applied, so nothing was changed. Try again.' });
+            }
+            let afterTasks = result.after;
+
+            await recordManyTaskHistory({
+                action: action === 'delete' ? 'deleted' : 'updated',
+                beforeTasks: targetTasks,
+                afterTasks,
+                actor: req.user,
+            });
+
+            if (action === 'delete') {
+                publishTaskEvents(TASK_EVENTS.deleted, afterTasks);
+                await enqueueManyTaskWebhooks(TASK_EVENTS.deleted, afterTasks, targetTasks);
+            } else {
+                if (action === 'setStatus') {
+                    await spawnNextOccurrences(targetTasks, afterTasks, req.user, workflow);
+                    afterTasks = await taskRepository.find(targetCriteria); // Pick up links to new occurrences
+                }
+                publishTaskEvents(TASK_EVENTS.updated, afterTasks);
+                await enqueueManyTaskWebhooks(TASK_EVENTS.updated, afterTasks, targetTasks);
+            }
+        }
+
+        res.status(200).json({
+            action,
+            succeeded: results.length - failedCount,
+            failed: failedCount,
+            results,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 8. GET /api/tasks/trash (List the workspace's deleted tasks, most recently deleted first)
+const getTrash = async (req, res, next) => {
+    try {
+        const tasks = await getTaskRepository().find({ owner: req.workspace.owner, trashed: true }, { sort: { field: 'deletedAt', direction: -1 } });
+        res.status(200).json(tasks);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 9. POST /api/tasks/:id/restore (Bring a task back from the trash)
+const restoreTask = async (req, res, next) => {
+    try {
+        // The trashed copy is the "before" side of the history entry
+        const result = await getTaskRepository().update(req.params.id, { deletedAt: null }, { owner: req.workspace.owner, trashed: true });
+
+        if (!result) {
+            return res.status(404).json({ message: 'Task not found in trash' });
+        }
+
+        const { before: trashedTask, after: restoredTask } = result;
+        await recordTaskHistory({ action: 'restored', before: trashedTask, after: restoredTask, actor: req.user });
+        publishTaskEvent(TASK_EVENTS.updated, restoredTask); // Clients treat an unknown updated task as new
+        await enqueueTaskWebhooks(TASK_EVENTS.updated, restoredTask, trashedTask);
+        res.set('ETag', toETag(restoredTask));
+        res.status(200).json(restoredTask);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 10. DELETE /api/tasks/trash/:id (Permanently delete a task that is already in the trash; workspace owner only)
+const purgeTask = async (req, res, next) => {
+    try {
+        const purgedTask = await getTaskRepository().remove(req.params.id, { owner: req.workspace.owner, trashed: true });
+
+        if (!purgedTask) {
+            return res.status(404).json({ message: 'Task not found in trash' });
+        }
+        await deleteTaskRelations([purgedTask._id]); // Comments and attachments
+        await recordTaskHistory({ action: 'purged', before: purgedTask, actor: req.user });
+        publishTaskEvent(TASK_EVENTS.deleted, purgedTask);
+        await enqueueTaskWebhooks(TASK_EVENTS.deleted, null, purgedTask); // No "after" copy: deleted permanently
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 11. GET /api/tasks/:id/history (Audit trail for one task, newest first)
+// Works for trashed and purged tasks too, since entries are stored separately.
+const getTaskHistory = async (req, res, next) => {
+    try {
+        const entries = await getRepository(TaskHistory).find({ task: req.params.id, owner: req.workspace.owner }, { sort: { createdAt: -1 } });
+        res.status(200).json(entries);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 12. POST /api/tasks/recurrence/preview (Preview a rule before saving it)
+// Body: { recurrence: { frequency, interval, byWeekday, count, until }, startDate?, count? }
+// Response: { occurrences: [ISO dates] } - the first entry is startDate itself when it is part of the series
+const previewRecurrence = (req, res) => {
+    const { recurrence, startDate, count = 5 } = req.body;
+
+    // Also run the rule through the task schema, exactly as it would be saved
+    const candidate = new Task({ title: 'preview', description: 'preview', owner: req.workspace.owner, recurrence: sanitizeRule(recurrence) });
+    const validationError = candidate.validateSync(['recurrence']);
+    if (validationError) {
+        return sendValidationError(res, toValidationErrors(validationError));
+    }
+
+    const start = startDate ? toDate(startDate) : new Date();
+
+    const occurrences = listOccurrences({ ...candidate.recurrence.toObject(), startDate: start }, {
+        limit: Math.min(toPositiveInt(count, 5), MAX_PREVIEW),
+    });
+    res.status(200).json({ occurrences });
+};
+
+// 13. GET /api/tasks/:id/occurrences?count=5 (Upcoming occurrences of a saved recurring task)
+const getTaskOccurrences = async (req, res, next) => {
+    try {
+        const task = await getTaskRepository().findById(req.params.id, { owner: req.workspace.owner });
+        if (!task) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+        if (!task.recurrence) {
+            return res.status(200).json({ occurrences: [] });
+        }
+
+        const occurrences = previewTaskOccurrences(task, Math.min(toPositiveInt(req.query.count, 5), MAX_PREVIEW));
+        res.status(200).json({ occurrences });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 14. GET /api/tasks/export?format=csv|json|ics (Download tasks as a file)
+// Accepts the same filter and sort parameters as GET /api/tasks, without paging (up to MAX_EXPORT tasks).
+// ICS files contain a VTODO per task plus an all-day VEVENT on each due date.
+const exportTasks = async (req, res, next) => {
+    try {
+        const format = String(req.query.format || 'json').toLowerCase();
+        const workflow = await getWorkflow(req.workspace.owner);
+        const { criteria, sort } = buildTaskQuery(req.workspace.owner, req.query, workflow, req.user._id);
+
+        const tasks = await getTaskRepository().find(criteria, { sort, limit: MAX_EXPORT });
+
+        let body;
+        if (format === 'csv') {
+            // CSV rows name the project instead of referencing its id
+            const projects = await getRepository(Project).find({ owner: req.workspace.owner });
+            body = toCsv(tasks, new Map(projects.map(project => [project._id.toString(), project.name])));
+        } else if (format === 'ics') {
+            body = toIcs(tasks, workflow);
+        } else {
+            body = JSON.stringify(tasks, null, 2);
+        }
+
+        const filename = `taskify-tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.set({
+            'Content-Type': EXPORT_FORMATS[format],
+            'Content-Disposition': `attachment; filename="${filename}"`,
+        });
+        res.status(200).send(body);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 15. POST /api/tasks/import (Create tasks from a CSV or JSON file)
+// Body: { format: 'csv' | 'json', content: '<file text>', dryRun?, atomic? } (JSON may also be sent as tasks: [...])
+// Every row is validated against TaskSchema and gets a result entry with its errors.
+// dryRun: true only validates. Otherwise valid rows are created in one write; with atomic: true nothing is created
+// if any row fails.
+// Row numbers match the file: CSV data starts at row 2 (after the header), JSON at 1.
+const importTasks = async (req, res, next) => {
+    try {
+        const { format, content, dryRun = false, atomic = false } = req.body;
+        const contentError = (code, message) => sendValidationError(res, [{ location: 'body', field: 'content', code, message }]);
+
+        let records;
+        if (format === 'csv') {
+            if (typeof content !== 'string') {
+                return contentError('invalid_type', 'content must be the CSV file text.');
+            }
+            records = parseCsvRecords(content);
+        } else {
+            let parsed = req.body.tasks !== undefined ? req.body.tasks : content;
+            if (typeof parsed === 'string') {
+                try {
+                    parsed = JSON.parse(parsed);
+                } catch (parseError) {
+                    return contentError('invalid_format', `content is not valid JSON: ${parseError.message}`);
+                }
+            }
+            records = Array.isArray(parsed) ? parsed : parsed && parsed.tasks;
+            if (!Array.isArray(records)) {
+                return contentError('invalid_type', 'JSON imports must be an array of tasks or { "tasks": [...] }.');
+            }
+        }
+
+        if (records.length === 0 || records.length > MAX_IMPORT_ROWS) {
+            return contentError(records.length === 0 ? 'too_few_items' : 'too_many_items', `Imports must contain 1 to ${MAX_IMPORT_ROWS} tasks.`);
+        }
+
+        // Projects can be referenced by id or (case-insensitive) name
+        const projects = await getRepository(Project).find({ owner: req.workspace.owner });
+        const projectIds = new Map();
+        projects.forEach(project => {
+            projectIds.set(project._id.toString(), project._id);
+            projectIds.set(project.name.toLowerCase(), project._id);
+        });
+
+        const workflow = await getWorkflow(req.workspace.owner);
+        const firstRow = format === 'csv' ? 2 : 1;
+        const candidates = records.map((record, index) => {
+            const { fields, errors } = toImportFields(record, projectIds, workflow);
+            if (!fields) return { row: index + firstRow, task: null, errors };
+
+            const task = new Task({ ...fields, owner: req.workspace.owner });
+            const validationError = task.validateSync();
+            if (validationError) {
+                Object.values(validationError.errors).forEach(err => errors.push({ field: err.path, message: err.message }));
+            }
+            return { row: index + firstRow, task, errors };
+        });
+
+        const validCandidates = candidates.filter(candidate => candidate.errors.length === 0);
+        const failedCount = candidates.length - validCandidates.length;
+        const shouldWrite = !dryRun && !(atomic && failedCount > 0);
+
+        if (shouldWrite && validCandidates.length > 0) {
+            // Imported tasks go to the bottom of their board columns, in file order
+            const taskRepository = getTaskRepository();
+            const nextPosition = {};
+            const newTasks = [];
+            for (const candidate of validCandidates) {
+                const { status } = candidate.task;
+                if (nextPosition[status] === undefined) {
+                    nextPosition[status] = await taskRepository.nextPosition(req.workspace.owner, status);
+                }
+                // The validated candidate keeps its _id, so results can name the created task
+                newTasks.push({
+                    ...candidate.task.toObject({ virtuals: false }),
+                    ...completionFields(workflow, null, status),
+                    position: nextPosition[status]++,
+                });
+            }
+
+            // One write: either every row is created or none is
+            const createdTasks = await taskRepository.createMany(newTasks);
+            await recordManyTaskHistory({ action: 'created', beforeTasks: [], afterTasks: createdTasks, actor: req.user });
+            publishTaskEvents(TASK_EVENTS.created, createdTasks);
+            await enqueueManyTaskWebhooks(TASK_EVENTS.created, createdTasks);
+        }
+
+        const results = candidates.map(({ row, task, errors }) => {
+            if (errors.length > 0) return { row, ok: false, errors };
+            return shouldWrite ? { row, ok: true, title: task.title, taskId: task._id } : { row, ok: true, title: task.title };
+        });
+
+        res.status(atomic && failedCount > 0 ? 400 : 200).json({
+            format,
+            dryRun: Boolean(dryRun),
+            imported: shouldWrite ? validCandidates.length : 0,
+            valid: validCandidates.length,
+            failed: failedCount,
+            results,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 16. GET /api/tasks/stats (Dashboard numbers, computed by the task store)
+// Query parameters:
+//   interval - day | week (default day): bucket size of the created-vs-completed series
+//   periods  - number of buckets, ending with the current day or week (default 30 days / 12 weeks, max 366)
+//   timezone - IANA timezone the days and weeks are counted in (default UTC), e.g. Europe/Berlin
+//   project  - project id, or "none" for tasks without a project
+// Response: { total, byStatus, overdue, completionRate, averageCompletionMs, series: { interval, timezone, buckets: [{ start, created, completed }] } }
+const getStats = async (req, res, next) => {
+    try {
+        const { interval = 'day', periods, timezone = 'UTC', project } = req.query;
+        if (!isValidTimezone(timezone)) {
+            return sendValidationError(res, [{ location: 'query', field: 'timezone', code: 'invalid_value', message: 'timezone must be an IANA timezone name, e.g. Europe/Berlin.' }]);
+        }
+
+        const stats = await getTaskStats(req.workspace.owner, { interval, periods: toPositiveInt(periods, null), timezone, project });
+        res.status(200).json(stats);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 17. GET /api/tasks/dependencies?ids=a,b (Dependency graph and critical path)
+// Covers the listed tasks and everything they transitively depend on; without ids, every active task that has
+// dependencies or dependents. Response: { nodes, edges, criticalPath } (see utils/taskDependencies.js)
+const getDependencyGraph = async (req, res, next) => {
+    try {
+        const ids = req.query.ids ? [...new Set(toList(req.query.ids))] : undefined;
+        if (ids && ids.length > MAX_GRAPH_TASKS) {
+            return sendValidationError(res, [{ location: 'query', field: 'ids', code: 'too_many_items', message: `ids cannot contain more than ${MAX_GRAPH_TASKS} items.` }]);
+        }
+
+        const workflow = await getWorkflow(req.workspace.owner);
+        res.status(200).json(await buildDependencyGraph(req.workspace.owner, workflow, { ids }));
+    } catch (error) {
+        next(error);
     }
 };
 
 
 // --- Define Routes ---
-router.get('/', getAllTasks); // GET /api/tasks (all and filtered)
-router.post('/', createTask); // POST /api/tasks
-router.get('/:id', getTaskById); // GET /api/tasks/:id
-router.put('/:id', updateTask); // PUT /api/tasks/:id
-router.delete('/:id', deleteTask); // DELETE /api/tasks/:id
+// Viewers read, editors also change tasks, and only the workspace owner purges the trash.
+// The nested routers check roles themselves (reads need viewer, writes editor).
+router.get('/', requireRole('viewer'), validate(schemas.listTasks), getAllTasks); // GET /api/tasks (all and filtered)
+router.post('/', requireRole('editor'), validate(schemas.createTask), createTask); // POST /api/tasks
+router.put('/reorder', requireRole('editor'), validate(schemas.reorderTasks), reorderTasks); // PUT /api/tasks/reorder (must be registered before /:id)
+router.post('/bulk', requireRole('editor'), validate(schemas.bulkTasks), bulkTasks); // POST /api/tasks/bulk
+router.get('/export', requireRole('viewer'), validate(schemas.exportTasks), exportTasks); // GET /api/tasks/export
+router.post('/import', requireRole('editor'), validate(schemas.importTasks), importTasks); // POST /api/tasks/import
+router.get('/trash', requireRole('viewer'), getTrash); // GET /api/tasks/trash
+router.get('/stats', requireRole('viewer'), validate(schemas.taskStats), getStats); // GET /api/tasks/stats
+router.get('/dependencies', requireRole('viewer'), validate(schemas.dependencyGraph), getDependencyGraph); // GET /api/tasks/dependencies
+router.post('/recurrence/preview', requireRole('viewer'), validate(schemas.previewRecurrence), previewRecurrence); // POST /api/tasks/recurrence/preview
+router.delete('/trash/:id', requireRole('owner'), validate(schemas.taskId), purgeTask); // DELETE /api/tasks/trash/:id
+router.get('/:id', requireRole('viewer'), validate(schemas.taskId), getTaskById); // GET /api/tasks/:id
+router.put('/:id', requireRole('editor'), validate(schemas.updateTask), updateTask); // PUT /api/tasks/:id
+router.patch('/:id', requireRole('editor'), validate(schemas.updateTask), updateTask); // PATCH /api/tasks/:id (partial update of editable fields)
+router.delete('/:id', requireRole('editor'), validate(schemas.taskId), deleteTask); // DELETE /api/tasks/:id (soft delete)
+router.post('/:id/restore', requireRole('editor'), validate(schemas.taskId), restoreTask); // POST /api/tasks/:id/restore
+router.get('/:id/history', requireRole('viewer'), validate(schemas.taskId), getTaskHistory); // GET /api/tasks/:id/history
+router.get('/:id/occurrences', requireRole('viewer'), validate(schemas.taskOccurrences), getTaskOccurrences); // GET /api/tasks/:id/occurrences
+
+// Nested checklist routes: /api/tasks/:id/items
+router.use('/:id/items', validate(schemas.taskId), checklistRoutes);
+
+// Nested discussion routes: /api/tasks/:id/comments and /api/tasks/:id/attachments
+router.use('/:id/comments', validate(schemas.taskId), commentRoutes);
+router.use('/:id/attachments', validate(schemas.taskId), attachmentRoutes);
+
+// Nested dependency routes: /api/tasks/:id/dependencies
+router.use('/:id/dependencies', validate(schemas.taskId), dependencyRoutes);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+// Request schemas, also used to generate the OpenAPI document (docs/openapi.js)
+module.exports.schemas = schemas;
\ No newline at end of file
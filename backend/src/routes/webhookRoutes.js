@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const express = require('express');
+const Webhook = require('../models/webhookModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { checkWebhookUrl } = require('../utils/webhookTargets');
+const { requireRole } = require('../middleware/workspaceMiddleware');
+const { validate, sendValidationError, toValidationErrors } = require('../middleware/validate');
+
+const router = express.Router();
+
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+// Fields a client may set on a webhook
+const pickWebhookFields = (body = {}) => {
+    const fields = {};
+    ['url', 'events', 'secret', 'description', 'active'].forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+};
+
+// Used when the client does not supply a secret
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Respond 400 when a new URL resolves to a private address (the schema only catches those that do not need DNS)
+const rejectPrivateUrl = async (res, fields, message) => {
+    if (fields.url === undefined) return false;
+    const problem = await checkWebhookUrl(String(fields.url));
+    if (!problem) return false;
+    res.status(400).json({ message, error: problem });
+    return true;
+};
+
+// --- Request Schemas ---
+
+const schemas = {
+    webhookId: { params: { id: { type: 'objectId', required: true, label: 'Webhook id' } } },
+};
+
+// --- Controller Logic ---
+// Payload format, headers and signature scheme are described in utils/webhooks.js.
+// Webhooks belong to the workspace picked by the X-Workspace-Id header and receive events for all of its tasks.
+// Editors and the owner manage them; viewers have no access.
+
+// 1. GET /api/webhooks (List the workspace's webhooks; secrets are never listed)
+const getAllWebhooks = async (req, res, next) => {
+    try {
+        const webhooks = await getRepository(Webhook).find({ owner: req.workspace.owner }, { sort: { createdAt: -1 } });
+        res.status(200).json(webhooks);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 2. POST /api/webhooks (Register a webhook)
+// Body: { url, events: [...], secret?, description?, active? }. The response is the only one that includes the secret.
+const createWebhook = async (req, res, next) => {
+    try {
+        const fields = { secret: generateSecret(), ...pickWebhookFields(req.body) };
+        if (await rejectPrivateUrl(res, fields, 'Failed to create webhook')) return;
+        const webhook = await getRepository(Webhook).create({ ...fields, owner: req.workspace.owner });
+        res.status(201).json({ ...webhook, secret: fields.secret });
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 3. GET /api/webhooks/:id (Retrieve a single webhook)
+const getWebhookById = async (req, res, next) => {
+    try {
+        const webhook = await getRepository(Webhook).findOne({ _id: req.params.id, owner: req.workspace.owner });
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+        res.status(200).json(webhook);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 4. PATCH /api/webhooks/:id (Change the URL, events, secret, description or pause it with active: false)
+const updateWebhook = async (req, res, next) => {
+    try {
+        const fields = pickWebhookFields(req.body);
+        if (await rejectPrivateUrl(res, fields, 'Failed to update webhook')) return;
+        const webhook = await getRepository(Webhook).updateOne({ _id: req.params.id, owner: req.workspace.owner }, fields);
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+        res.status(200).json(webhook);
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 5. DELETE /api/webhooks/:id (Delete a webhook and its delivery log)
+const deleteWebhook = async (req, res, next) => {
+    try {
+        const webhook = await getRepository(Webhook).deleteOne({ _id: req.params.id, owner: req.workspace.owner });
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+        await getRepository(WebhookDelivery).deleteMany({ webhook: webhook._id });
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 6. GET /api/webhooks/:id/deliveries (Delivery log for one webhook, newest first)
+// Query parameters:
+//   limit  - page size (default 50, max 200)
+//   status - pending | succeeded | failed
+//   before - cursor: only deliveries created before this ISO timestamp (use nextCursor from the previous page)
+// Each delivery lists its attempts with their HTTP status codes. Response: { deliveries, nextCursor }
+const getWebhookDeliveries = async (req, res, next) => {
+    try {
+        const webhook = await getRepository(Webhook).findOne({ _id: req.params.id, owner: req.workspace.owner });
+        if (!webhook) {
+            return res.status(404).json({ message: 'Webhook not found' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_DELIVERY_LIMIT, MAX_DELIVERY_LIMIT);
+        const filter = { webhook: webhook._id };
+
+        if (req.query.status) {
+            const statuses = WebhookDelivery.schema.path('status').enumValues;
+            if (!statuses.includes(req.query.status)) {
+                return res.status(400).json({ message: `status must be one of: ${statuses.join(', ')}` });
+            }
+            filter.status = req.query.status;
+        }
+        if (req.query.before) {
+            const before = new Date(req.query.before);
+            if (Number.isNaN(before.getTime())) {
+                return res.status(400).json({ message: 'before must be a valid date' });
+            }
+            filter.createdAt = { $lt: before };
+        }
+
+        // Fetch one extra delivery to know whether another page exists
+        const deliveries = await getRepository(WebhookDelivery).find(filter, { sort: { createdAt: -1 }, limit: limit + 1 });
+        const hasMore = deliveries.length > limit;
+        const page = deliveries.slice(0, limit);
+
+        res.status(200).json({
+            deliveries: page,
+            nextCursor: hasMore ? page[page.length - 1].createdAt.toISOString() : null,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+// --- Define Routes ---
+router.get('/', requireRole('editor'), getAllWebhooks); // GET /api/webhooks
+router.post('/', requireRole('editor'), createWebhook); // POST /api/webhooks
+router.get('/:id', requireRole('editor'), validate(schemas.webhookId), getWebhookById); // GET /api/webhooks/:id
+router.patch('/:id', requireRole('editor'), validate(schemas.webhookId), updateWebhook); // PATCH /api/webhooks/:id
+router.delete('/:id', requireRole('editor'), validate(schemas.webhookId), deleteWebhook); // DELETE /api/webhooks/:id
+router.get('/:id/deliveries', requireRole('editor'), validate(schemas.webhookId), getWebhookDeliveries); // GET /api/webhooks/:id/deliveries
+
+module.exports = router;
+
+// Request schemas
+module.exports.schemas = schemas;
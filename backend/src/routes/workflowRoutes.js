@@ -0,0 +1,170 @@
+const express = require('express');
+const Workflow = require('../models/workflowModel');
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { getRepository } = require('../repositories/documentRepository');
+const { recordManyTaskHistory } = require('../utils/taskHistory');
+const { TASK_EVENTS, publishTaskEvents } = require('../utils/taskEvents');
+const { enqueueManyTaskWebhooks } = require('../utils/webhooks');
+const { getWorkflow, statusNames } = require('../utils/workflows');
+const { validate, sendValidationError, toValidationErrors } = require('../middleware/validate');
+const { requireRole } = require('../middleware/workspaceMiddleware');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// --- Helpers ---
+
+// Move the workspace's tasks (trash included) to renamed statuses, in one write per task so swapped names do not
+// collide. Returns the repository's { before, after }, or null when there was nothing to rename.
+// Throws an error with status 409 (answered as such by the error handler) when a task changed meanwhile.
+const renameTaskStatuses = async (owner, renames) => {
+    const taskRepository = getTaskRepository();
+    const criteria = { owner, trashed: 'any' };
+    const tasks = [];
+    for (const previous of renames.keys()) {
+        tasks.push(...(await taskRepository.find({ ...criteria, status: previous })).filter(task => renames.has(task.status)));
+    }
+    if (tasks.length === 0) return null;
+    const result = await taskRepository.updateEach(tasks.map(task => ({ id: task._id, version: task.version, changes: { status: renames.get(task.status) } })), criteria);
+    if (!result) {
+        const error = new Error('Tasks changed while their statuses were renamed. Try again.');
+        error.status = 409;
+        throw error;
+    }
+    return result;
+};
+
+// --- Request Schemas ---
+
+const workflowParams = { id: { type: 'objectId', required: true, label: 'Workflow id' } };
+
+const workflowStatus = {
+    type: 'object',
+    strict: true,
+    properties: {
+        name: { type: 'string', required: true, maxLength: 40 },
+        color: { type: 'string' },
+        next: { type: 'array', items: { type: 'string' } },
+        previousName: { type: 'string' }, // Renames the status: its tasks move along with it
+    },
+};
+
+const schemas = {
+    workflowId: { params: workflowParams },
+    replaceWorkflow: {
+        params: workflowParams,
+        body: {
+            name: { type: 'string', maxLength: 60 },
+            statuses: { type: 'array', required: true, minItems: 2, maxItems: Workflow.MAX_STATUSES, items: workflowStatus },
+            doneStatus: { type: 'string', required: true },
+        },
+        strictBody: true,
+    },
+};
+
+// --- Controller Logic ---
+
+// 1. GET /api/workflows (List the workspace's workflows; each has exactly one, created from the default on first use)
+const getAllWorkflows = async (req, res, next) => {
+    try {
+        res.status(200).json([await getWorkflow(req.workspace.owner)]);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 2. GET /api/workflows/:id (Retrieve a single workflow)
+const getWorkflowById = async (req, res, next) => {
+    try {
+        const workflow = await getRepository(Workflow).findOne({ _id: req.params.id, owner: req.workspace.owner });
+        if (!workflow) {
+            return res.status(404).json({ message: 'Workflow not found' });
+        }
+        res.status(200).json(workflow);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 3. PUT /api/workflows/:id (Replace the statuses, transitions and done status; workspace owner only)
+// Body: { name?, statuses: [{ name, color?, next?, previousName? }], doneStatus }
+// A status with previousName renames an existing one, and its tasks (trash included) move to the new name.
+// Statuses left out are removed, which is refused with 409 while tasks (trash included) still have them.
+// Tasks are renamed before the workflow is saved, and renamed back if saving it fails, so no task is left in a
+// status the saved workflow lacks.
+const replaceWorkflow = async (req, res, next) => {
+    try {
+        const workflowRepository = getRepository(Workflow);
+        const workflow = await workflowRepository.findOne({ _id: req.params.id, owner: req.workspace.owner });
+        if (!workflow) {
+            return res.status(404).json({ message: 'Workflow not found' });
+        }
+
+        const { name, statuses, doneStatus } = req.body;
+        const previousNames = statusNames(workflow);
+
+        // Old name -> new name for the renamed statuses
+        const renames = new Map(statuses
+            .filter(status => status.previousName && status.previousName !== status.name && previousNames.includes(status.previousName))
+            .map(status => [status.previousName, status.name]));
+        const removedNames = previousNames.filter(previous => !renames.has(previous) && !statuses.some(status => status.name === previous));
+
+        const changes = { statuses: statuses.map(({ previousName, ...status }) => status), doneStatus };
+        if (name !== undefined) changes.name = name;
+        await Workflow.hydrate(workflow).set(changes).validate();
+
+        const taskRepository = getTaskRepository();
+        const inUse = [];
+        for (const removed of removedNames) {
+            const count = await taskRepository.count({ owner: req.workspace.owner, status: removed, trashed: 'any' });
+            if (count > 0) inUse.push(`${removed} (${count})`);
+        }
+        if (inUse.length > 0) {
+            return res.status(409).json({ message: `Move the tasks out of these statuses before removing them: ${inUse.join(', ')}.` });
+        }
+
+        const result = renames.size > 0 ? await renameTaskStatuses(req.workspace.owner, renames) : null;
+        let updated;
+        try {
+            updated = await workflowRepository.updateOne({ _id: workflow._id }, changes);
+            if (!updated) throw new Error('Workflow not found');
+        } catch (error) {
+            if (result) {
+                // A failed rollback is logged on its own so the original error is the one reported
+                const reverse = new Map([...renames].map(([previous, renamed]) => [renamed, previous]));
+                await renameTaskStatuses(req.workspace.owner, reverse).catch(rollbackError => {
+                    logger.error('Task status rollback failed', { workspaceId: req.workspace._id, error: rollbackError.message });
+                });
+            }
+            throw error;
+        }
+
+        if (result) {
+            await recordManyTaskHistory({ action: 'updated', beforeTasks: result.before, afterTasks: result.after, actor: req.user });
+
+            // Trashed tasks are renamed too, but only active ones are pushed to open clients and webhooks
+            const updatedTasks = result.after.filter(task => !task.deletedAt);
+            publishTaskEvents(TASK_EVENTS.updated, updatedTasks);
+            await enqueueManyTaskWebhooks(TASK_EVENTS.updated, updatedTasks, result.before);
+        }
+
+        res.status(200).json(updated);
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+
+// --- Define Routes ---
+router.get('/', requireRole('viewer'), getAllWorkflows); // GET /api/workflows
+router.get('/:id', requireRole('viewer'), validate(schemas.workflowId), getWorkflowById); // GET /api/workflows/:id
+router.put('/:id', requireRole('owner'), validate(schemas.replaceWorkflow), replaceWorkflow); // PUT /api/workflows/:id
+
+module.exports = router;
+
+// Request schemas, also used to generate the OpenAPI document (docs/openapi.js)
+module.exports.schemas = schemas;
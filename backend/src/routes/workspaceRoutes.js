@@ -0,0 +1,231 @@
+const express = require('express');
+const Workspace = require('../models/workspaceModel');
+const User = require('../models/userModel');
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { getRepository } = require('../repositories/documentRepository');
+const { recordManyTaskHistory } = require('../utils/taskHistory');
+const { TASK_EVENTS, publishTaskEvents, joinWorkspace, leaveWorkspace } = require('../utils/taskEvents');
+const { enqueueManyTaskWebhooks } = require('../utils/webhooks');
+const { deliverNotification } = require('../utils/notificationChannels');
+const { listWorkspaces, findWorkspace, roleOf } = require('../utils/workspaces');
+const { logger } = require('../utils/logger');
+const { validate, sendValidationError, toValidationErrors } = require('../middleware/validate');
+const { requireRole } = require('../middleware/workspaceMiddleware');
+
+const router = express.Router();
+
+// --- Helpers ---
+
+// Load the workspace in :id (one the user owns or is a member of) for requireRole, or respond 404
+const loadWorkspaceById = async (req, res, next) => {
+    try {
+        req.workspace = await findWorkspace(req.params.id, req.user._id);
+        if (!req.workspace) {
+            return res.status(404).json({ message: 'Workspace not found' });
+        }
+        req.workspaceRole = roleOf(req.workspace, req.user._id);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// A workspace as returned to clients: owner and members with their names and emails, plus the caller's role
+const toWorkspaceJson = async (workspace, userId) => {
+    const users = await getRepository(User).find(
+        { _id: { $in: [workspace.owner, ...workspace.members.map(member => member.user)] } },
+        { select: 'name email' }
+    );
+    const userById = (id) => users.find(user => user._id.equals(id)) || null;
+    return {
+        ...workspace,
+        owner: userById(workspace.owner),
+        members: workspace.members.map(member => ({ ...member, user: userById(member.user) })),
+        role: roleOf(workspace, userId),
+    };
+};
+
+// Take a user off every task of the workspace (trash included) when they leave it
+const unassignFromTasks = async (req, workspace, userId) => {
+    const taskRepository = getTaskRepository();
+    const criteria = { owner: workspace.owner, trashed: 'any' };
+    const tasks = await taskRepository.find({ ...criteria, assignee: userId });
+    if (tasks.length === 0) return;
+
+    const result = await taskRepository.updateEach(tasks.map(task => ({
+        id: task._id,
+        changes: { assignees: task.assignees.filter(id => !id.equals(userId)) },
+    })), criteria);
+    if (!result) return;
+
+    await recordManyTaskHistory({ action: 'updated', beforeTasks: result.before, afterTasks: result.after, actor: req.user });
+    const updatedTasks = result.after.filter(task => !task.deletedAt);
+    publishTaskEvents(TASK_EVENTS.updated, updatedTasks);
+    await enqueueManyTaskWebhooks(TASK_EVENTS.updated, updatedTasks, result.before);
+};
+
+// --- Request Schemas ---
+
+const workspaceParams = { id: { type: 'objectId', required: true, label: 'Workspace id' } };
+const memberParams = { ...workspaceParams, userId: { type: 'objectId', required: true, label: 'User id' } };
+const memberRole = { enum: Workspace.MEMBER_ROLES, label: 'Role' };
+
+const schemas = {
+    workspaceId: { params: workspaceParams },
+    renameWorkspace: {
+        params: workspaceParams,
+        body: { name: { type: 'string', required: true, maxLength: 60, label: 'Name' } },
+        strictBody: true,
+    },
+    addMember: {
+        params: workspaceParams,
+        body: {
+            email: { type: 'string', required: true, maxLength: 254, label: 'Email' },
+            role: memberRole, // Defaults to editor
+        },
+        strictBody: true,
+    },
+    updateMember: { params: memberParams, body: { role: { ...memberRole, required: true } }, strictBody: true },
+    memberId: { params: memberParams },
+};
+
+// --- Controller Logic ---
+// Workspace ids are sent as the X-Workspace-Id header to act on a workspace's tasks, projects and workflow.
+
+// 1. GET /api/workspaces (The user's own workspace first, then the ones they were added to, each with their role)
+const getAllWorkspaces = async (req, res, next) => {
+    try {
+        const workspaces = await listWorkspaces(req.user);
+        res.status(200).json(await Promise.all(workspaces.map(workspace => toWorkspaceJson(workspace, req.user._id))));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 2. GET /api/workspaces/:id (Retrieve a workspace with its members)
+const getWorkspaceById = async (req, res, next) => {
+    try {
+        res.status(200).json(await toWorkspaceJson(req.workspace, req.user._id));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 3. PATCH /api/workspaces/:id (Rename the workspace; owner only)
+// Body: { name }
+const renameWorkspace = async (req, res, next) => {
+    try {
+        const workspace = await getRepository(Workspace).updateOne({ _id: req.workspace._id }, { name: req.body.name });
+        if (!workspace) {
+            return res.status(404).json({ message: 'Workspace not found' });
+        }
+        res.status(200).json(await toWorkspaceJson(workspace, req.user._id));
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 4. POST /api/workspaces/:id/members (Add a user by their account email; owner only)
+// Body: { email, role? } - role is editor (default) or viewer. The new member is notified.
+const addMember = async (req, res, next) => {
+    try {
+        const user = await getRepository(User).findOne({ email: req.body.email.trim().toLowerCase() });
+        if (!user) {
+            return sendValidationError(res, [{ location: 'body', field: 'email', code: 'not_found', message: 'No user with that email' }]);
+        }
+
+        // Only added when they are not in the workspace yet, also when someone else adds them at the same time
+        const role = req.body.role || 'editor';
+        const workspace = await getRepository(Workspace).updateOne(
+            { _id: req.workspace._id, owner: { $ne: user._id }, 'members.user': { $ne: user._id } },
+            { $push: { members: { user: user._id, role } } }
+        );
+        if (!workspace) {
+            return res.status(409).json({ message: `${user.name} is already in this workspace` });
+        }
+        joinWorkspace(user._id, workspace.owner);
+
+        try {
+            await deliverNotification(user, {
+                type: 'invited',
+                task: null,
+                title: `Added to ${workspace.name}`,
+                message: `${req.user.name} added you to "${workspace.name}" as ${role === 'viewer' ? 'a viewer' : 'an editor'}.`,
+            });
+        } catch (error) {
+            logger.error('Invitation notification failed', { workspaceId: workspace._id, userId: user._id, error: error.message });
+        }
+
+        res.status(201).json(await toWorkspaceJson(workspace, req.user._id));
+    } catch (error) {
+        const validationErrors = toValidationErrors(error);
+        if (validationErrors) {
+            return sendValidationError(res, validationErrors);
+        }
+        next(error);
+    }
+};
+
+// 5. PATCH /api/workspaces/:id/members/:userId (Change a member's role; owner only)
+// Body: { role }
+const updateMember = async (req, res, next) => {
+    try {
+        const member = req.workspace.members.find(entry => entry.user.equals(req.params.userId));
+        if (!member) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        const workspace = await getRepository(Workspace).updateOne(
+            { _id: req.workspace._id, 'members.user': member.user },
+            { members: req.workspace.members.map(entry => (entry === member ? { ...entry, role: req.body.role } : entry)) }
+        );
+        if (!workspace) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+        res.status(200).json(await toWorkspaceJson(workspace, req.user._id));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 6. DELETE /api/workspaces/:id/members/:userId (Remove a member; the owner removes anyone, members can leave)
+// The member is taken off the workspace's tasks they were assigned to.
+const removeMember = async (req, res, next) => {
+    try {
+        const workspace = req.workspace;
+        const isSelf = req.user._id.equals(req.params.userId);
+        if (!isSelf && req.workspaceRole !== 'owner') {
+            return res.status(403).json({ message: 'Only the workspace owner can remove other members' });
+        }
+
+        const member = workspace.members.find(entry => entry.user.equals(req.params.userId));
+        if (!member) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        await unassignFromTasks(req, workspace, member.user);
+        await getRepository(Workspace).updateOne({ _id: workspace._id }, { $pull: { members: { user: member.user } } });
+        leaveWorkspace(member.user, workspace.owner);
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
+
+
+// --- Define Routes ---
+router.get('/', getAllWorkspaces); // GET /api/workspaces
+router.get('/:id', validate(schemas.workspaceId), loadWorkspaceById, getWorkspaceById); // GET /api/workspaces/:id
+router.patch('/:id', validate(schemas.renameWorkspace), loadWorkspaceById, requireRole('owner'), renameWorkspace); // PATCH /api/workspaces/:id
+router.post('/:id/members', validate(schemas.addMember), loadWorkspaceById, requireRole('owner'), addMember); // POST /api/workspaces/:id/members
+router.patch('/:id/members/:userId', validate(schemas.updateMember), loadWorkspaceById, requireRole('owner'), updateMember); // PATCH /api/workspaces/:id/members/:userId
+router.delete('/:id/members/:userId', validate(schemas.memberId), loadWorkspaceById, removeMember); // DELETE /api/workspaces/:id/members/:userId
+
+module.exports = router;
+
+// Request schemas, also used to generate the OpenAPI document (docs/openapi.js)
+module.exports.schemas = schemas;
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Storage for attachment bytes (metadata is in models/attachmentModel.js).
+// A storage adapter is an object with:
+//   save(key, buffer)      - store the bytes under key (async)
+//   createReadStream(key)  - readable stream of the bytes; emits an error with code 'ENOENT' when the key is missing
+//   remove(key)            - delete the bytes; missing keys are ignored (async)
+// The default adapter writes files to local disk under ATTACHMENT_DIR (default: backend/uploads).
+// To keep files elsewhere (e.g. object storage), pass another adapter to setAttachmentStorage() at startup.
+
+const DEFAULT_ATTACHMENT_DIR = path.join(__dirname, '../../uploads');
+
+// Keys are random so stored names never depend on user input (no path traversal, no collisions)
+const createStorageKey = () => crypto.randomUUID();
+
+const createLocalStorage = (rootDir) => {
+    const toPath = (key) => path.join(rootDir, path.basename(key));
+    return {
+        save: async (key, buffer) => {
+            await fs.promises.mkdir(rootDir, { recursive: true });
+            await fs.promises.writeFile(toPath(key), buffer);
+        },
+        createReadStream: (key) => fs.createReadStream(toPath(key)),
+        remove: (key) => fs.promises.rm(toPath(key), { force: true }),
+    };
+};
+
+let storage = createLocalStorage(process.env.ATTACHMENT_DIR || DEFAULT_ATTACHMENT_DIR);
+
+const getAttachmentStorage = () => storage;
+
+const setAttachmentStorage = (adapter) => {
+    storage = adapter;
+};
+
+module.exports = { createStorageKey, createLocalStorage, getAttachmentStorage, setAttachmentStorage };
@@ -0,0 +1,40 @@
+// Calendar days and weeks (starting on Monday) in a given IANA timezone, as YYYY-MM-DD keys.
+// Used by the task stats series (utils/taskStats.js) and the task stores that compute it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUCKET_DAYS = { day: 1, week: 7 }; // Bucket length in days
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Calendar date (YYYY-MM-DD) of an instant in a timezone
+const toDateKey = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(date);
+    const part = (type) => parts.find(entry => entry.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+// Date key arithmetic is done in UTC, so daylight saving changes never skip or repeat a day
+const addDays = (key, days) => new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const toMonday = (key) => addDays(key, -((new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+// Key of the day or week an instant falls in
+const toBucketKey = (date, interval, timezone) => {
+    const key = toDateKey(date, timezone);
+    return interval === 'week' ? toMonday(key) : key;
+};
+
+// Start keys of `periods` consecutive buckets, oldest first, ending with the one that contains now
+const listBucketKeys = (interval, periods, timezone, now) => {
+    const current = toBucketKey(now, interval, timezone);
+    return Array.from({ length: periods }, (_, index) => addDays(current, (index - periods + 1) * BUCKET_DAYS[interval]));
+};
+
+module.exports = { BUCKET_DAYS, isValidTimezone, toDateKey, toBucketKey, listBucketKeys };
@@ -0,0 +1,21 @@
+// Structured logging: one JSON object per line on stdout (errors on stderr), easy to ship to a log aggregator.
+// Entries carry time, level and message plus any fields passed along (e.g. the request id).
+// LOG_LEVEL (debug, info, warn or error; default info) hides entries below that level.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+const write = (level, message, fields = {}) => {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LOG_LEVEL)) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level, message, ...fields });
+    (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+};
+
+module.exports = { logger, LOG_LEVELS };
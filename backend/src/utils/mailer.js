@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email over SMTP, configured from the environment:
+//   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for implicit TLS, usually port 465),
+//   SMTP_USER / SMTP_PASS (omit for servers without auth), MAIL_FROM (sender address)
+// Any SMTP server works, including a local test server such as MailHog or smtp4dev (e.g. SMTP_HOST=localhost SMTP_PORT=1025).
+// Email is disabled when SMTP_HOST is not set.
+
+let transporter = null;
+
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const getTransporter = () => {
+    if (!transporter) {
+        const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } = process.env;
+        transporter = nodemailer.createTransport({
+            host: SMTP_HOST,
+            port: Number(SMTP_PORT) || 587,
+            secure: SMTP_SECURE === 'true',
+            auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+        });
+    }
+    return transporter;
+};
+
+// Send one plain-text email. Rejects when the SMTP server refuses or cannot be reached.
+const sendMail = ({ to, subject, text }) => getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'Taskify <no-reply@taskify.local>',
+    to,
+    subject,
+    text,
+});
+
+module.exports = { isMailConfigured, sendMail };
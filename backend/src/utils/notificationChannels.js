@@ -0,0 +1,62 @@
+const Notification = require('../models/notificationModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { NOTIFICATION_EVENT, publishToUser } = require('./taskEvents');
+const { isMailConfigured, sendMail } = require('./mailer');
+const { logger } = require('./logger');
+
+// Delivery channels for user notifications. Each channel is { name, isEnabled(), deliver(user, notification) }
+// where notification is { type, task, title, message }. New channels (chat, push, ...) are added with registerChannel.
+// NOTIFICATION_CHANNELS (comma-separated names, e.g. "inApp") limits delivery to the listed channels.
+
+// Stored in the user's inbox and pushed to their open tabs
+const inAppChannel = {
+    name: 'inApp',
+    isEnabled: () => true,
+    deliver: async (user, { type, task, title, message }) => {
+        const notification = await getRepository(Notification).create({ user: user._id, type, task: task ? task._id : null, title, message });
+        publishToUser(user._id, NOTIFICATION_EVENT, { notification });
+    },
+};
+
+// Plain-text email to the user's account address
+const emailChannel = {
+    name: 'email',
+    isEnabled: isMailConfigured,
+    deliver: async (user, { title, message }) => {
+        const appUrl = process.env.APP_URL ? `\n\nOpen Taskify: ${process.env.APP_URL}` : '';
+        await sendMail({
+            to: user.email,
+            subject: title,
+            text: `Hi ${user.name},\n\n${message}${appUrl}`,
+        });
+    },
+};
+
+const channels = [inAppChannel, emailChannel];
+
+const registerChannel = (channel) => {
+    channels.push(channel);
+};
+
+const isSelected = (channel) => {
+    const selected = process.env.NOTIFICATION_CHANNELS;
+    return !selected || selected.split(',').map(name => name.trim()).includes(channel.name);
+};
+
+// Deliver a notification on every enabled channel. One failing channel does not stop the others.
+// Returns [{ channel, ok, error? }].
+const deliverNotification = async (user, notification) => {
+    const results = [];
+    for (const channel of channels.filter(entry => isSelected(entry) && entry.isEnabled())) {
+        try {
+            await channel.deliver(user, notification);
+            results.push({ channel: channel.name, ok: true });
+        } catch (error) {
+            logger.error('Notification channel failed', { channel: channel.name, userId: user._id, error: error.message });
+            results.push({ channel: channel.name, ok: false, error: error.message });
+        }
+    }
+    return results;
+};
+
+module.exports = { registerChannel, deliverNotification };
@@ -0,0 +1,141 @@
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { recordTaskHistory } = require('./taskHistory');
+const { TASK_EVENTS, publishTaskEvent } = require('./taskEvents');
+const { enqueueTaskWebhooks } = require('./webhooks');
+const { initialStatus, isDoneStatus, completionFields } = require('./workflows');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITERATIONS = 10000; // Safety net for rules that can never produce another date
+const MAX_PREVIEW = 50;
+
+// Fields a client may set on a recurrence rule (startDate and nextTaskId are server-managed)
+const RULE_FIELDS = ['frequency', 'interval', 'byWeekday', 'count', 'until'];
+
+// Keep only client-settable rule fields. null/undefined clears the rule.
+const sanitizeRule = (input) => {
+    if (!input) return null;
+    const rule = {};
+    RULE_FIELDS.forEach(field => {
+        if (input[field] !== undefined && input[field] !== null && input[field] !== '') rule[field] = input[field];
+    });
+    return rule;
+};
+
+// Add whole months in UTC, clamping to the last day of shorter months (Jan 31 + 1 month = Feb 28/29)
+const addMonthsUTC = (date, months, dayOfMonth) => {
+    const result = new Date(date);
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(dayOfMonth, daysInMonth));
+    return result;
+};
+
+// Yield every occurrence date of a rule in order, starting with rule.startDate itself
+function* generateDates(rule) {
+    const start = new Date(rule.startDate);
+    const interval = rule.interval || 1;
+
+    if (rule.frequency === 'weekly' && rule.byWeekday && rule.byWeekday.length > 0) {
+        // Specific weekdays: walk every interval-th week (weeks start on Sunday)
+        const weekdays = [...new Set(rule.byWeekday)].sort((a, b) => a - b);
+        const weekStart = new Date(start.getTime() - start.getUTCDay() * DAY_MS);
+        for (let week = 0; ; week += interval) {
+            for (const weekday of weekdays) {
+                const date = new Date(weekStart.getTime() + (week * 7 + weekday) * DAY_MS);
+                if (date >= start) yield date;
+            }
+        }
+    }
+
+    for (let step = 0; ; step += 1) {
+        switch (rule.frequency) {
+            case 'daily':
+                yield new Date(start.getTime() + step * interval * DAY_MS);
+                break;
+            case 'weekly':
+                yield new Date(start.getTime() + step * interval * 7 * DAY_MS);
+                break;
+            case 'monthly':
+                yield addMonthsUTC(start, step * interval, start.getUTCDate());
+                break;
+            case 'yearly':
+                yield addMonthsUTC(start, step * interval * 12, start.getUTCDate());
+                break;
+            default:
+                return;
+        }
+    }
+}
+
+// Occurrence dates strictly after `after`, honoring the rule's end conditions (count and until).
+// count limits the whole series, counted from rule.startDate.
+const listOccurrences = (rule, { after, limit = 5 }) => {
+    const results = [];
+    const until = rule.until ? new Date(rule.until) : null;
+    let index = 0;
+
+    for (const date of generateDates(rule)) {
+        index += 1;
+        if (index > MAX_ITERATIONS) break;
+        if (rule.count && index > rule.count) break;
+        if (until && date > until) break;
+        if (after && date <= after) continue;
+
+        results.push(date);
+        if (results.length >= Math.min(limit, MAX_PREVIEW)) break;
+    }
+    return results;
+};
+
+// A task's rule with its series anchor filled in (first due date, or creation date when there is none)
+const resolveRule = (task) => {
+    const rule = typeof task.recurrence.toObject === 'function' ? task.recurrence.toObject() : { ...task.recurrence };
+    return { ...rule, startDate: rule.startDate || task.dueDate || task.createdAt };
+};
+
+// Upcoming occurrences after a task's current due date
+const previewTaskOccurrences = (task, limit) => {
+    const rule = resolveRule(task);
+    return listOccurrences(rule, { after: task.dueDate || task.createdAt, limit });
+};
+
+// When a recurring task reaches its workflow's done status, create the next occurrence (once per task)
+// in the workflow's first status. Returns the new task, or null when nothing was generated.
+const spawnNextOccurrence = async (before, after, actor, workflow) => {
+    if (!after || !after.recurrence || after.recurrence.nextTaskId) return null;
+    if (!isDoneStatus(workflow, after.status) || (before && isDoneStatus(workflow, before.status))) return null;
+
+    const rule = resolveRule(after);
+    const [nextDueDate] = listOccurrences(rule, { after: after.dueDate || after.createdAt, limit: 1 });
+    if (!nextDueDate) return null; // The series has ended
+
+    const tasks = getTaskRepository();
+    const status = initialStatus(workflow);
+    const nextTask = await tasks.create({
+        title: after.title,
+        description: after.description,
+        priority: after.priority,
+        project: after.project,
+        tags: after.tags,
+        assignees: after.assignees,
+        reminderOffsets: after.reminderOffsets,
+        checklist: after.checklist.map(item => ({ text: item.text, done: false })),
+        completeWhenChecklistDone: after.completeWhenChecklistDone,
+        dueDate: nextDueDate,
+        recurrence: { ...RULE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: rule[field] }), {}), startDate: rule.startDate },
+        status,
+        ...completionFields(workflow, null, status),
+        position: await tasks.nextPosition(after.owner, status),
+        owner: after.owner,
+    });
+
+    // Link the completed task to its successor so completing it again does not spawn a duplicate
+    await tasks.update(after._id, { 'recurrence.nextTaskId': nextTask._id }, { trashed: 'any' });
+    await recordTaskHistory({ action: 'created', after: nextTask, actor });
+    publishTaskEvent(TASK_EVENTS.created, nextTask);
+    await enqueueTaskWebhooks(TASK_EVENTS.created, nextTask);
+    return nextTask;
+};
+
+module.exports = { sanitizeRule, listOccurrences, previewTaskOccurrences, spawnNextOccurrence, MAX_PREVIEW };
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { closeAllStreams } = require('./taskEvents');
+const { logger } = require('./logger');
+
+// How long in-flight requests may take to finish after SIGTERM/SIGINT before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
+
+const IDLE_SWEEP_MS = 100;
+
+let shuttingDown = false;
+
+// True once shutdown has started; /readyz then reports 503 so load balancers stop sending traffic
+const isShuttingDown = () => shuttingDown;
+
+// On SIGTERM or SIGINT: stop the background jobs, stop accepting connections, close the event streams (they never
+// finish on their own), wait for in-flight requests, then close the MongoDB connection and exit.
+// timers are the background jobs' intervals.
+const registerGracefulShutdown = (server, timers = []) => {
+    const shutdown = async (signal) => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        logger.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+        const forceExit = setTimeout(() => {
+            logger.error('Shutdown timed out, exiting with requests still open');
+            process.exit(1);
+        }, SHUTDOWN_TIMEOUT_MS);
+        forceExit.unref();
+
+        try {
+            timers.forEach(timer => clearInterval(timer));
+            const closed = new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+            closeAllStreams();
+            // Keep-alive sockets would otherwise hold the server open: close them whenever they are between requests
+            server.closeIdleConnections();
+            const idleSweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+            await closed.finally(() => clearInterval(idleSweep));
+            await mongoose.connection.close();
+            logger.info('Shutdown complete');
+            process.exit(0);
+        } catch (error) {
+            logger.error('Shutdown failed', { error: error.message });
+            process.exit(1);
+        }
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+module.exports = { registerGracefulShutdown, isShuttingDown };
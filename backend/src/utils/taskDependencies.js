@@ -0,0 +1,137 @@
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { initialStatus, isDoneStatus } = require('./workflows');
+
+// Task dependencies: a task's blockedBy lists the tasks that must reach the workflow's done status before it can start.
+// While any of them is open (active and not done), the task is blocked and may only sit in the workflow's first status.
+// Trashed blockers do not block; purged ones are removed from blockedBy (utils/taskRelations.js).
+
+const MAX_GRAPH_TASKS = 500;
+
+const toId = (value) => value.toString();
+
+// Short form of a task used in dependency listings, errors and graph nodes
+const summarizeTask = (task, workflow) => ({
+    _id: task._id,
+    title: task.title,
+    status: task.status,
+    dueDate: task.dueDate,
+    done: isDoneStatus(workflow, task.status),
+});
+
+// Open blockers per task: Map of task id -> [blocking tasks], in blockedBy order (one read for all tasks)
+const findOpenBlockers = async (owner, tasks, workflow) => {
+    const blockerIds = [...new Set(tasks.flatMap(task => (task.blockedBy || []).map(toId)))];
+    const openBlockers = blockerIds.length > 0
+        ? await getTaskRepository().find({ owner, ids: blockerIds, statusNot: workflow.doneStatus })
+        : [];
+    const byId = new Map(openBlockers.map(task => [toId(task._id), task]));
+    return new Map(tasks.map(task => [
+        toId(task._id),
+        (task.blockedBy || []).map(id => byId.get(toId(id))).filter(Boolean),
+    ]));
+};
+
+// Problem ({ code, message }) when a blocked task moves to a status other than the workflow's first one, or null.
+// Staying put is always allowed, so a task that became blocked after it started can still be reordered.
+const checkBlocked = (workflow, task, status, openBlockers) => {
+    if (openBlockers.length === 0 || status === task.status || status === initialStatus(workflow)) return null;
+    return {
+        code: 'blocked',
+        message: `"${task.title}" is blocked by unfinished tasks: ${openBlockers.map(blocker => `"${blocker.title}"`).join(', ')}.`,
+    };
+};
+
+// The chain of tasks by which `from` is (transitively) blocked by `to`, as [from, ..., to], or null when it is not.
+// Adding "task blocked by blocker" creates a cycle exactly when findBlockingChain(owner, blocker, task) finds one.
+// Walks blockedBy one level per read; trashed tasks count, since restoring them brings their dependencies back.
+const findBlockingChain = async (owner, from, to) => {
+    const repository = getTaskRepository();
+    const reachedFrom = new Map([[toId(from._id), null]]); // task id -> the task it was reached from
+    const tasksById = new Map([[toId(from._id), from]]);
+    let frontier = [from];
+
+    while (frontier.length > 0) {
+        const nextIds = [];
+        for (const task of frontier) {
+            for (const blockerId of (task.blockedBy || []).map(toId)) {
+                if (reachedFrom.has(blockerId)) continue;
+                reachedFrom.set(blockerId, toId(task._id));
+                if (blockerId === toId(to._id)) {
+                    tasksById.set(blockerId, to);
+                    const chain = [];
+                    for (let id = blockerId; id !== null; id = reachedFrom.get(id)) chain.unshift(tasksById.get(id));
+                    return chain;
+                }
+                nextIds.push(blockerId);
+            }
+        }
+        frontier = nextIds.length > 0 ? await repository.find({ owner, ids: nextIds, trashed: 'any' }) : [];
+        frontier.forEach(task => tasksById.set(toId(task._id), task));
+    }
+    return null;
+};
+
+// Dependency graph for GET /api/tasks/dependencies: the requested tasks plus every active task they transitively
+// depend on. Without ids it covers the user's active tasks that have dependencies (up to MAX_GRAPH_TASKS, picked in
+// the query so tasks without any never crowd them out) and the tasks blocking them.
+// nodes:        task summaries with blockedBy (ids within the graph), blocked (has an open blocker) and level
+//               (open tasks that must be done before it, along its longest chain)
+// edges:        { from: blocker, to: blocked task }
+// criticalPath: the longest chain of open tasks, first to do first; it bounds how soon the last of them can be done
+const buildDependencyGraph = async (owner, workflow, { ids } = {}) => {
+    const repository = getTaskRepository();
+    const tasksById = new Map();
+    let batch = await repository.find(ids ? { owner, ids } : { owner, hasBlockers: true }, { limit: MAX_GRAPH_TASKS });
+
+    while (batch.length > 0) {
+        batch.forEach(task => tasksById.set(toId(task._id), task));
+        const missing = [...new Set(batch.flatMap(task => task.blockedBy.map(toId)))].filter(id => !tasksById.has(id));
+        batch = missing.length > 0 ? await repository.find({ owner, ids: missing }) : [];
+    }
+
+    const blockersOf = (task) => task.blockedBy.map(toId).filter(id => tasksById.has(id));
+    if (!ids) {
+        const blockerIds = new Set([...tasksById.values()].flatMap(blockersOf));
+        [...tasksById.values()]
+            .filter(task => blockersOf(task).length === 0 && !blockerIds.has(toId(task._id)))
+            .forEach(task => tasksById.delete(toId(task._id)));
+    }
+
+    const tasks = [...tasksById.values()];
+    const isOpen = (task) => !isDoneStatus(workflow, task.status);
+
+    // Longest chain of open tasks ending at each open task (memoized depth-first; cycles cannot be created, but stay safe)
+    const chains = new Map();
+    const chainTo = (task, visiting = new Set()) => {
+        const id = toId(task._id);
+        if (chains.has(id)) return chains.get(id);
+        visiting.add(id);
+        let longest = [];
+        blockersOf(task).map(blockerId => tasksById.get(blockerId))
+            .filter(blocker => isOpen(blocker) && !visiting.has(toId(blocker._id)))
+            .forEach(blocker => {
+                const chain = chainTo(blocker, visiting);
+                if (chain.length > longest.length) longest = chain;
+            });
+        visiting.delete(id);
+        const chain = [...longest, id];
+        chains.set(id, chain);
+        return chain;
+    };
+
+    const openTasks = tasks.filter(isOpen);
+    const criticalPath = openTasks.map(task => chainTo(task)).reduce((longest, chain) => (chain.length > longest.length ? chain : longest), []);
+
+    return {
+        nodes: tasks.map(task => ({
+            ...summarizeTask(task, workflow),
+            blockedBy: blockersOf(task),
+            blocked: blockersOf(task).some(id => isOpen(tasksById.get(id))),
+            level: isOpen(task) ? chainTo(task).length - 1 : 0,
+        })),
+        edges: tasks.flatMap(task => blockersOf(task).map(blockerId => ({ from: blockerId, to: toId(task._id) }))),
+        criticalPath,
+    };
+};
+
+module.exports = { summarizeTask, findOpenBlockers, checkBlocked, findBlockingChain, buildDependencyGraph, MAX_GRAPH_TASKS };
@@ -0,0 +1,111 @@
+// In-process hub for real-time task events (and new notifications), delivered to browsers over Server-Sent Events.
+// Each signed-in browser keeps one GET /api/events stream open. Task events reach everyone in the task's workspace
+// (its owner and members, see utils/workspaces.js); notifications only reach their user.
+// NOTE: subscribers live in this process's memory, so every API instance only reaches its own clients.
+
+const HEARTBEAT_MS = 25 * 1000; // Comment line that keeps proxies from closing idle streams
+
+// Event types sent to clients
+const TASK_EVENTS = {
+    created: 'task.created',
+    updated: 'task.updated',
+    deleted: 'task.deleted',
+};
+
+// Sent when a notification lands in the user's inbox ({ notification })
+const NOTIFICATION_EVENT = 'notification.created';
+
+const subscribersByUser = new Map(); // userId -> Set of open responses
+const workspacesByUser = new Map(); // userId -> Set of workspace owner ids, for users with open streams
+let lastEventId = 0;
+let heartbeatTimer = null;
+
+const writeEvent = (res, id, type, data) => {
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const startHeartbeat = () => {
+    if (heartbeatTimer) return;
+    heartbeatTimer = setInterval(() => {
+        subscribersByUser.forEach(subscribers => subscribers.forEach(res => res.write(': ping\n\n')));
+    }, HEARTBEAT_MS);
+    heartbeatTimer.unref(); // Never keep the process alive just for the heartbeat
+};
+
+const stopHeartbeatIfIdle = () => {
+    if (subscribersByUser.size === 0 && heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+};
+
+// Register an SSE response for a user, who also receives the task events of the given workspaces
+// (ids of their owners). Returns a function that removes it again.
+const subscribe = (userId, res, workspaceOwnerIds = [userId]) => {
+    const key = userId.toString();
+    if (!subscribersByUser.has(key)) subscribersByUser.set(key, new Set());
+    subscribersByUser.get(key).add(res);
+    workspacesByUser.set(key, new Set(workspaceOwnerIds.map(id => id.toString())));
+    startHeartbeat();
+
+    return () => {
+        const subscribers = subscribersByUser.get(key);
+        if (!subscribers) return;
+        subscribers.delete(res);
+        if (subscribers.size === 0) {
+            subscribersByUser.delete(key);
+            workspacesByUser.delete(key);
+        }
+        stopHeartbeatIfIdle();
+    };
+};
+
+// Start or stop sending a workspace's task events to a user's open streams (after they are invited or removed)
+const joinWorkspace = (userId, workspaceOwnerId) => {
+    const workspaces = workspacesByUser.get(userId.toString());
+    if (workspaces) workspaces.add(workspaceOwnerId.toString());
+};
+
+const leaveWorkspace = (userId, workspaceOwnerId) => {
+    const workspaces = workspacesByUser.get(userId.toString());
+    if (workspaces) workspaces.delete(workspaceOwnerId.toString());
+};
+
+// End every open stream (on shutdown, so the server can finish draining). Browsers reconnect on their own.
+const closeAllStreams = () => {
+    subscribersByUser.forEach(subscribers => subscribers.forEach(res => res.end()));
+};
+
+// Send one event to all of a user's open streams
+const publishToUser = (userId, type, data) => {
+    const subscribers = subscribersByUser.get(userId.toString());
+    if (!subscribers) return;
+
+    lastEventId += 1;
+    subscribers.forEach(res => writeEvent(res, lastEventId, type, data));
+};
+
+// Send one event about a task to the open streams of everyone in its workspace.
+// created/updated carry the full task; deleted only carries its id (trashed and purged tasks alike).
+const publishTaskEvent = (type, task) => {
+    if (!task) return;
+    const data = type === TASK_EVENTS.deleted ? { taskId: task._id } : { task };
+    const workspace = task.owner.toString();
+    workspacesByUser.forEach((workspaces, userId) => {
+        if (workspaces.has(workspace)) publishToUser(userId, type, data);
+    });
+};
+
+const publishTaskEvents = (type, tasks) => tasks.forEach(task => publishTaskEvent(type, task));
+
+module.exports = {
+    TASK_EVENTS,
+    NOTIFICATION_EVENT,
+    subscribe,
+    joinWorkspace,
+    leaveWorkspace,
+    closeAllStreams,
+    publishToUser,
+    publishTaskEvent,
+    publishTaskEvents,
+};
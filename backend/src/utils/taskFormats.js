@@ -0,0 +1,156 @@
+// Serialization of tasks for export (CSV, iCalendar) and parsing of CSV imports.
+// JSON needs no helpers: it is the API's own task representation.
+const { initialStatus, isDoneStatus } = require('./workflows');
+
+// Columns written by the CSV export, in order. Imports read the same names (case-insensitive) and ignore others.
+const CSV_COLUMNS = ['title', 'description', 'status', 'priority', 'project', 'tags', 'dueDate', 'createdAt'];
+
+// --- CSV ---
+
+// Spreadsheet apps run cells starting with these characters as formulas, so exported text is prefixed with '
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// tasks: task documents; projectNames: Map of project id -> name (the CSV stores names, not ids)
+const toCsv = (tasks, projectNames = new Map()) => {
+    const rows = tasks.map(task => [
+        task.title,
+        task.description,
+        task.status,
+        task.priority,
+        task.project ? projectNames.get(task.project.toString()) || '' : '',
+        (task.tags || []).join(', '),
+        task.dueDate ? task.dueDate.toISOString() : '',
+        task.createdAt ? task.createdAt.toISOString() : '',
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// RFC 4180 parser: quoted fields may contain commas, doubled quotes and line breaks.
+// Returns an array of rows, each an array of cell strings. Blank lines are skipped.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) endRow();
+    return rows;
+};
+
+// Parse CSV text into one plain object per data row, keyed by lower-cased header name.
+// Undoes the export's formula escaping so an exported file imports unchanged.
+const parseCsvRecords = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const keys = header.map(name => name.trim().toLowerCase());
+    return rows.map(row => Object.fromEntries(keys.map((key, index) => {
+        const value = (row[index] || '').trim();
+        return [key, /^'[=+\-@]/.test(value) ? value.slice(1) : value];
+    })));
+};
+
+// --- iCalendar (RFC 5545) ---
+
+const ICS_PRIORITY = { urgent: 1, high: 3, medium: 5, low: 9 }; // 1 = highest, 9 = lowest
+
+const escapeIcsText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldIcsLine = (line) => {
+    const chunks = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 75;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut -= 1;
+        chunks.push(rest.slice(0, cut));
+        rest = ` ${rest.slice(cut)}`;
+    }
+    chunks.push(rest);
+    return chunks.join('\r\n');
+};
+
+const toIcsDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); // 20240105T093000Z
+const toIcsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, ''); // 20240105
+
+// iCalendar to-do status for a workflow status: the first status has not been started, the done status is complete,
+// everything in between is in progress
+const toIcsStatus = (status, workflow) => {
+    if (isDoneStatus(workflow, status)) return 'COMPLETED';
+    return status === initialStatus(workflow) ? 'NEEDS-ACTION' : 'IN-PROCESS';
+};
+
+// Every task becomes a VTODO (due date, status, priority, tags as categories).
+// Tasks with a due date also get an all-day VEVENT, since many calendar apps ignore to-dos.
+// workflow: the owner's workflow, for the to-do status
+const toIcs = (tasks, workflow, { now = new Date() } = {}) => {
+    const stamp = toIcsDateTime(now);
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Taskify//Tasks Export//EN', 'CALSCALE:GREGORIAN'];
+
+    tasks.forEach(task => {
+        const common = [
+            `DTSTAMP:${stamp}`,
+            `SUMMARY:${escapeIcsText(task.title)}`,
+            `DESCRIPTION:${escapeIcsText(task.description)}`,
+        ];
+        if (task.tags && task.tags.length > 0) common.push(`CATEGORIES:${task.tags.map(escapeIcsText).join(',')}`);
+
+        lines.push('BEGIN:VTODO', `UID:${task._id}-todo@taskify`, ...common);
+        lines.push(`STATUS:${toIcsStatus(task.status, workflow)}`);
+        lines.push(`PRIORITY:${ICS_PRIORITY[task.priority] || ICS_PRIORITY.medium}`);
+        if (task.dueDate) lines.push(`DUE;VALUE=DATE:${toIcsDate(task.dueDate)}`);
+        if (task.createdAt) lines.push(`CREATED:${toIcsDateTime(task.createdAt)}`);
+        lines.push('END:VTODO');
+
+        if (task.dueDate) {
+            const nextDay = new Date(task.dueDate.getTime() + 24 * 60 * 60 * 1000);
+            lines.push('BEGIN:VEVENT', `UID:${task._id}-due@taskify`, ...common);
+            lines.push(`DTSTART;VALUE=DATE:${toIcsDate(task.dueDate)}`, `DTEND;VALUE=DATE:${toIcsDate(nextDay)}`);
+            lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+        }
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { CSV_COLUMNS, toCsv, parseCsvRecords, toIcs };
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const TaskHistory = require('../models/taskHistoryModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { logger } = require('./logger');
+
+// Task fields whose changes are recorded. position is left out on purpose: board reordering would flood the log.
+const TRACKED_FIELDS = ['title', 'description', 'status', 'priority', 'project', 'dueDate', 'tags', 'reminderOffsets', 'checklist', 'completeWhenChecklistDone', 'recurrence', 'blockedBy', 'assignees', 'deletedAt'];
+
+// Convert a field value into plain JSON so before/after values compare and store cleanly
+const normalize = (value) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (Array.isArray(value)) return value.map(normalize);
+    if (typeof value === 'object') {
+        const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+        // Embedded documents: keep their content, drop bookkeeping fields
+        const { _id, createdAt, ...rest } = plain;
+        return Object.fromEntries(Object.entries(rest).map(([key, nested]) => [key, normalize(nested)]));
+    }
+    return value;
+};
+
+// Field-by-field diff between two versions of a task (either side may be null)
+const diffTasks = (before, after) => TRACKED_FIELDS
+    .map(field => ({
+        field,
+        before: before ? normalize(before[field]) : null,
+        after: after ? normalize(after[field]) : null,
+    }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+// Record one history entry. Never throws: a failed audit write must not fail the user's request.
+// actor is the authenticated user (omit for background jobs). Updates without tracked changes are skipped.
+const recordTaskHistory = async ({ action, before = null, after = null, actor = null }) => {
+    try {
+        const task = after || before;
+        const changes = diffTasks(before, after);
+        if (action === 'updated' && changes.length === 0) return null;
+
+        return await getRepository(TaskHistory).create({
+            task: task._id,
+            taskTitle: task.title,
+            owner: task.owner,
+            actor: actor ? actor._id : null,
+            actorName: actor ? actor.name : 'System',
+            action,
+            changes,
+        });
+    } catch (error) {
+        logger.error('Failed to record task history', { taskId: (after || before)?._id, error: error.message });
+        return null;
+    }
+};
+
+// Record one entry per task for multi-task writes (bulk actions, board moves)
+const recordManyTaskHistory = async ({ action, beforeTasks, afterTasks, actor }) => {
+    const beforeById = new Map(beforeTasks.map(task => [task._id.toString(), task]));
+    await Promise.all(afterTasks.map(after => recordTaskHistory({
+        action,
+        before: beforeById.get(after._id.toString()),
+        after,
+        actor,
+    })));
+};
+
+module.exports = { recordTaskHistory, recordManyTaskHistory, diffTasks, TRACKED_FIELDS };
@@ -0,0 +1,32 @@
+const Comment = require('../models/commentModel');
+const Attachment = require('../models/attachmentModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { getAttachmentStorage } = require('./attachmentStorage');
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { TASK_EVENTS, publishTaskEvents } = require('./taskEvents');
+
+// Remove what belongs to permanently deleted tasks: comments, attachment records and the stored files,
+// and the tasks' places in other tasks' blockedBy lists.
+// Called by DELETE /api/tasks/trash/:id and the trash purge job; trashed tasks keep theirs so a restore brings them back.
+const deleteTaskRelations = async (taskIds) => {
+    const attachments = await getRepository(Attachment).find({ task: { $in: taskIds } }, { select: '+storageKey' });
+    await Promise.all(attachments.map(attachment => getAttachmentStorage().remove(attachment.storageKey)));
+    await Promise.all([
+        getRepository(Attachment).deleteMany({ task: { $in: taskIds } }),
+        getRepository(Comment).deleteMany({ task: { $in: taskIds } }),
+    ]);
+
+    const taskRepository = getTaskRepository();
+    const purgedIds = new Set(taskIds.map(String));
+    const dependents = await taskRepository.find({ blockedBy: taskIds, trashed: 'any' });
+    if (dependents.length > 0) {
+        const result = await taskRepository.updateEach(dependents.map(task => ({
+            id: task._id,
+            changes: { blockedBy: task.blockedBy.filter(id => !purgedIds.has(String(id))) },
+        })), { trashed: 'any' });
+        // Open boards drop the "Blocked by" links (trashed dependents are not on them)
+        if (result) publishTaskEvents(TASK_EVENTS.updated, result.after.filter(task => !task.deletedAt));
+    }
+};
+
+module.exports = { deleteTaskRelations };
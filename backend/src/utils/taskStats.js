@@ -0,0 +1,59 @@
+const { getTaskRepository } = require('../repositories/taskRepository');
+const { BUCKET_DAYS, isValidTimezone, listBucketKeys } = require('./dateBuckets');
+const { getWorkflow, statusNames } = require('./workflows');
+
+// GET /api/tasks/stats: counts by status, overdue count, completion rate,
+// average time to completion and created-vs-completed counts per day or week.
+// Buckets are calendar days/weeks (weeks start on Monday) in the caller's timezone.
+// "Completed" means in the owner's workflow done status.
+// The counting itself is done by the task store (summarizeTasks), e.g. with a MongoDB aggregation.
+
+const STATS_INTERVALS = BUCKET_DAYS;
+const DEFAULT_PERIODS = { day: 30, week: 12 };
+const MAX_PERIODS = 366;
+const MAX_UTC_OFFSET_MS = 14 * 60 * 60 * 1000; // Widest timezone offset, used for the coarse date prefilter
+
+// Stats for one owner's tasks (trash excluded).
+// options: interval ('day' | 'week'), periods (number of buckets), timezone (IANA name), project (id or 'none')
+// byStatus has every workflow status in board order, then any status tasks still have but the workflow no longer lists.
+// Tasks completed before completedAt was recorded count as done but are left out of the average and the series.
+const getTaskStats = async (owner, { interval = 'day', periods, timezone = 'UTC', project } = {}) => {
+    const workflow = await getWorkflow(owner);
+    const now = new Date();
+    const keys = listBucketKeys(interval, Math.min(periods || DEFAULT_PERIODS[interval], MAX_PERIODS), timezone, now);
+    const since = new Date(Date.parse(`${keys[0]}T00:00:00Z`) - MAX_UTC_OFFSET_MS); // Exact bucket membership is by key
+
+    const summary = await getTaskRepository().summarizeTasks(owner, {
+        project: project === 'none' ? null : project,
+        doneStatus: workflow.doneStatus,
+        interval,
+        timezone,
+        since,
+        now,
+    });
+
+    const byStatus = Object.fromEntries(statusNames(workflow).map(status => [status, summary.byStatus[status] || 0]));
+    Object.entries(summary.byStatus).forEach(([status, count]) => {
+        if (byStatus[status] === undefined) byStatus[status] = count;
+    });
+    const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+
+    return {
+        total,
+        byStatus,
+        overdue: summary.overdue,
+        completionRate: total > 0 ? Math.round((byStatus[workflow.doneStatus] / total) * 1000) / 1000 : null,
+        averageCompletionMs: summary.averageCompletionMs === null ? null : Math.round(summary.averageCompletionMs),
+        series: {
+            interval,
+            timezone,
+            buckets: keys.map(start => ({
+                start,
+                created: summary.created.get(start) || 0,
+                completed: summary.completed.get(start) || 0,
+            })),
+        },
+    };
+};
+
+module.exports = { getTaskStats, isValidTimezone, STATS_INTERVALS, MAX_PERIODS };
@@ -0,0 +1,94 @@
+const dns = require('dns');
+const net = require('net');
+
+// Where webhooks may be sent. The server makes these requests from inside its own network, so a URL must never lead
+// to loopback, private networks, link-local addresses (cloud metadata services live at 169.254.169.254 and
+// fd00:ec2::254), carrier-grade NAT, multicast or reserved ranges. URLs are checked when a webhook is saved, and the
+// resolved address is checked again on every delivery (DNS answers can change after registration).
+// WEBHOOK_ALLOW_PRIVATE_URLS=true turns the checks off, for trying webhooks against a receiver on localhost.
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const allowPrivate = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:127.0.0.1 or ::ffff:7f00:1), or null
+const mappedIpv4 = (address) => {
+    const match = /^\[::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})\]$/i.exec(new URL(`http://[${address}]`).hostname);
+    if (!match) return null;
+    const [high, low] = [parseInt(match[1], 16), parseInt(match[2], 16)];
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+// Whether an IP address is one webhooks must not reach
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+    if (family === 6) {
+        const ipv4 = mappedIpv4(address);
+        return ipv4 ? BLOCKED_ADDRESSES.check(ipv4, 'ipv4') : BLOCKED_ADDRESSES.check(address, 'ipv6');
+    }
+    return false;
+};
+
+// Names that only mean something inside a network: localhost, single-label names, .internal and .local
+const isInternalHostname = (hostname) => !hostname.includes('.') || /(^|\.)(localhost|internal|local)\.?$/i.test(hostname);
+
+// Problem with a webhook URL that shows without DNS (scheme, internal names, private IP literals), or null
+const checkUrlSyntax = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return 'Webhook URL must be a valid http(s) URL.';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'Webhook URL must be a valid http(s) URL.';
+    if (allowPrivate()) return null;
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) ? isPrivateAddress(hostname) : isInternalHostname(hostname)) {
+        return 'Webhook URL must point to a public address.';
+    }
+    return null;
+};
+
+// For the schema: a valid http(s) URL that does not name a private destination outright
+const isPublicHttpUrl = (value) => checkUrlSyntax(value) === null;
+
+// Problem with a webhook URL, also resolving its host name: null when every address it resolves to is public
+const checkWebhookUrl = async (value) => {
+    const problem = checkUrlSyntax(value);
+    if (problem || allowPrivate()) return problem;
+
+    const hostname = new URL(value).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) return null;
+    try {
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+        return addresses.some(({ address }) => isPrivateAddress(address)) ? 'Webhook URL must point to a public address.' : null;
+    } catch {
+        return `Webhook URL host ${hostname} could not be resolved.`;
+    }
+};
+
+// dns.lookup for http(s).request: resolves as usual but fails when the name points at a private address, so a
+// delivery connects only to an address that was just checked
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = allowPrivate() ? null : addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return callback(Object.assign(new Error(`${hostname} resolves to a private address (${blocked.address})`), { code: 'EPRIVATEADDRESS' }));
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+module.exports = { isPrivateAddress, isPublicHttpUrl, checkWebhookUrl, publicLookup };
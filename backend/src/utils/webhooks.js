@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const mongoose = require('mongoose');
+const Webhook = require('../models/webhookModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { TASK_EVENTS } = require('./taskEvents');
+const { diffTasks } = require('./taskHistory');
+const { logger } = require('./logger');
+const { isPublicHttpUrl, publicLookup } = require('./webhookTargets');
+
+// Outgoing webhooks: task changes are queued as WebhookDelivery documents and POSTed by processDueDeliveries,
+// which runs right after each enqueue and on an interval (jobs/webhookDeliveries.js) to pick up retries.
+// Webhooks belong to a workspace (owner is the workspace owner, like on tasks) and receive events for all of its tasks.
+// Deliveries only go to public addresses (utils/webhookTargets.js); only the response status code is recorded.
+//
+// Each request carries:
+//   X-Taskify-Event      event name, e.g. task.status_changed
+//   X-Taskify-Delivery   delivery id (the same across retries, so receivers can dedupe)
+//   X-Taskify-Timestamp  Unix seconds when the attempt was signed
+//   X-Taskify-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the webhook secret>
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m between attempts
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLAIM_LEASE_MS = 60 * 1000; // A claimed delivery is retried by others if its attempt never finishes
+
+const signPayload = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+// Retry delay after a failed attempt (attempts = number of attempts made so far)
+const getRetryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// --- Enqueueing ---
+
+// Webhook events produced by one task change. Updates that only touch untracked fields (e.g. board position) produce none.
+const toWebhookEvents = (type, after, before) => {
+    const task = after || before;
+    if (type === TASK_EVENTS.created) return [{ event: 'task.created', data: { task } }];
+    if (type === TASK_EVENTS.deleted) return [{ event: 'task.deleted', data: { task, permanent: !after } }];
+
+    const changes = diffTasks(before, after);
+    if (before && changes.length === 0) return [];
+    const events = [{ event: 'task.updated', data: { task, changes } }];
+    if (before && before.status !== after.status) {
+        events.push({ event: 'task.status_changed', data: { task, previousStatus: before.status } });
+    }
+    return events;
+};
+
+// Queue deliveries for task changes to every matching active webhook of the workspace. Never throws:
+// a failed enqueue must not fail the user's request. changes: [{ after, before }] (after is null for purged tasks).
+const enqueueTaskChanges = async (type, changes) => {
+    try {
+        const events = changes.flatMap(({ after, before }) => toWebhookEvents(type, after, before));
+        if (events.length === 0) return;
+
+        const owner = (changes[0].after || changes[0].before).owner;
+        const webhooks = await getRepository(Webhook).find({ owner, active: true, events: { $in: events.map(entry => entry.event) } });
+        if (webhooks.length === 0) return;
+
+        const deliveries = [];
+        events.forEach(({ event, data }) => {
+            webhooks.filter(webhook => webhook.events.includes(event)).forEach(webhook => {
+                const _id = new mongoose.Types.ObjectId();
+                // Plain JSON so the stored payload serializes byte-for-byte the same on every retry
+                const payload = JSON.parse(JSON.stringify({ id: _id, event, createdAt: new Date(), data }));
+                deliveries.push({ _id, webhook: webhook._id, owner, event, payload });
+            });
+        });
+        if (deliveries.length === 0) return;
+
+        await getRepository(WebhookDelivery).insertMany(deliveries);
+        processDueDeliveries().catch(err => logger.error('Webhook delivery failed', { error: err.message }));
+    } catch (error) {
+        logger.error('Failed to enqueue webhooks', { error: error.message });
+    }
+};
+
+// One task: before is the previous copy for updates, after is null for purged tasks
+const enqueueTaskWebhooks = (type, after, before = null) => enqueueTaskChanges(type, [{ after, before }]);
+
+// Multi-task writes (bulk actions, board moves); all tasks belong to one owner
+const enqueueManyTaskWebhooks = (type, afterTasks, beforeTasks = []) => {
+    const beforeById = new Map(beforeTasks.map(task => [task._id.toString(), task]));
+    return afterTasks.length === 0 ? Promise.resolve() : enqueueTaskChanges(type, afterTasks.map(after => ({
+        after,
+        before: beforeById.get(after._id.toString()) || null,
+    })));
+};
+
+// --- Delivery ---
+
+// POST a body and resolve with the response status code. Redirects are not followed, and the response body is
+// discarded unread. The host name is resolved through publicLookup, so the connection only goes to a checked address
+// (IP literals skip the lookup and are checked up front).
+const postToWebhook = (url, headers, body, signal) => new Promise((resolve, reject) => {
+    if (!isPublicHttpUrl(url)) {
+        reject(new Error('Webhook URL points to a private address'));
+        return;
+    }
+    const target = new URL(url);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicLookup,
+        signal,
+    }, (response) => {
+        resolve(response.statusCode);
+        response.destroy();
+    });
+    request.once('error', reject);
+    request.end(body);
+});
+
+// Make one HTTP attempt and record its outcome: succeeded on 2xx, otherwise retry later or give up
+const attemptDelivery = async (delivery) => {
+    const webhook = await getRepository(Webhook).findOne({ _id: delivery.webhook }, { select: '+secret' });
+    const attempt = { at: new Date() };
+
+    if (!webhook || !webhook.active) {
+        attempt.error = webhook ? 'Webhook is inactive' : 'Webhook was deleted';
+    } else {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const signal = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+        try {
+            attempt.statusCode = await postToWebhook(webhook.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Taskify-Webhooks/1.0',
+                'X-Taskify-Event': delivery.event,
+                'X-Taskify-Delivery': delivery._id.toString(),
+                'X-Taskify-Timestamp': String(timestamp),
+                'X-Taskify-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+            }, body, signal);
+            // A redirect is not a successful delivery
+            if (attempt.statusCode < 200 || attempt.statusCode >= 300) attempt.error = `HTTP ${attempt.statusCode}`;
+        } catch (error) {
+            attempt.error = signal.aborted ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+        }
+    }
+    attempt.durationMs = Date.now() - attempt.at.getTime();
+
+    const attempts = delivery.attempts + 1;
+    const changes = { attempts, lastStatusCode: attempt.statusCode || null };
+    if (!attempt.error) {
+        Object.assign(changes, { status: 'succeeded', deliveredAt: new Date() });
+    } else if (attempts >= MAX_ATTEMPTS || !webhook || !webhook.active) {
+        changes.status = 'failed';
+    } else {
+        changes.nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts));
+    }
+    await getRepository(WebhookDelivery).updateOne({ _id: delivery._id }, { $set: changes, $push: { log: attempt } });
+};
+
+let isProcessing = false;
+let runAgain = false;
+
+// Send every pending delivery that is due. Deliveries are claimed one at a time by pushing nextAttemptAt
+// forward, so several API instances can run this side by side. Returns the number of attempts made.
+const processDueDeliveries = async () => {
+    if (isProcessing) {
+        runAgain = true; // Deliveries queued during this run are picked up before it ends
+        return 0;
+    }
+    isProcessing = true;
+    let attemptCount = 0;
+    try {
+        do {
+            runAgain = false;
+            for (;;) {
+                const delivery = await getRepository(WebhookDelivery).updateOne(
+                    { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+                    { nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS) },
+                    { sort: { nextAttemptAt: 1 } }
+                );
+                if (!delivery) break;
+                await attemptDelivery(delivery);
+                attemptCount += 1;
+            }
+        } while (runAgain);
+    } finally {
+        isProcessing = false;
+    }
+    return attemptCount;
+};
+
+module.exports = { enqueueTaskWebhooks, enqueueManyTaskWebhooks, processDueDeliveries, signPayload, MAX_ATTEMPTS };
@@ -0,0 +1,88 @@
+const Workflow = require('../models/workflowModel');
+const { getRepository } = require('../repositories/documentRepository');
+
+// The workflow every user starts with: Taskify's original three statuses, each reachable from the others
+const DEFAULT_STATUSES = [
+    { name: 'Pending', color: '#dc2626' },
+    { name: 'In Progress', color: '#ca8a04' },
+    { name: 'Completed', color: '#16a34a' },
+];
+const DEFAULT_WORKFLOW = {
+    name: 'Default',
+    statuses: DEFAULT_STATUSES.map(status => ({
+        ...status,
+        next: DEFAULT_STATUSES.map(other => other.name).filter(name => name !== status.name),
+    })),
+    doneStatus: 'Completed',
+};
+
+// A workspace's workflow (by the workspace owner's id), created from the default on first use
+const getWorkflow = async (owner) => {
+    const workflowRepository = getRepository(Workflow);
+    const workflow = await workflowRepository.findOne({ owner });
+    if (workflow) return workflow;
+    try {
+        return await workflowRepository.create({ ...DEFAULT_WORKFLOW, owner });
+    } catch (error) {
+        if (error.code === 11000) return workflowRepository.findOne({ owner }); // Created by a concurrent request
+        throw error;
+    }
+};
+
+// Workflows of several users (for background jobs), as a Map of owner id -> workflow.
+// Users who never customized theirs get the default without one being saved.
+const getWorkflows = async (owners) => {
+    const workflows = await getRepository(Workflow).find({ owner: { $in: owners } });
+    const byOwner = new Map(workflows.map(workflow => [workflow.owner.toString(), workflow]));
+    return new Map(owners.map(owner => [owner.toString(), byOwner.get(owner.toString()) || DEFAULT_WORKFLOW]));
+};
+
+const statusNames = (workflow) => workflow.statuses.map(status => status.name);
+
+// Status new tasks (and new occurrences of recurring ones) start in
+const initialStatus = (workflow) => workflow.statuses[0].name;
+
+const isDoneStatus = (workflow, status) => status === workflow.doneStatus;
+
+// The workflow's spelling of a status name typed in any case, or null (e.g. "completed" in a CSV import)
+const matchStatusName = (workflow, name) => statusNames(workflow).find(status => status.toLowerCase() === String(name).toLowerCase()) || null;
+
+// Problems are { code, message } for the validation error envelope, or null when there is none
+
+// Whether a task may be given this status at all
+const checkStatus = (workflow, status) => {
+    if (statusNames(workflow).includes(status)) return null;
+    return { code: 'invalid_value', message: `status must be one of: ${statusNames(workflow).join(', ')}.` };
+};
+
+// Whether a task may move from one status to another. Staying put is always allowed, and so is leaving
+// a status the workflow no longer has.
+const checkTransition = (workflow, from, to) => {
+    const statusProblem = checkStatus(workflow, to);
+    if (statusProblem || from === to) return statusProblem;
+
+    const current = workflow.statuses.find(status => status.name === from);
+    if (!current || current.next.includes(to)) return null;
+    const allowed = current.next.length > 0 ? `Allowed: ${current.next.join(', ')}.` : 'It is a final status.';
+    return { code: 'invalid_transition', message: `A task cannot move from "${from}" to "${to}". ${allowed}` };
+};
+
+// completedAt for a task moving to a status (task is null for new tasks): stamped when it reaches the done status,
+// cleared when it leaves it. Nothing changes when the status stays the same.
+const completionFields = (workflow, task, status) => {
+    if (task && task.status === status) return {};
+    return { completedAt: isDoneStatus(workflow, status) ? new Date() : null };
+};
+
+module.exports = {
+    DEFAULT_WORKFLOW,
+    getWorkflow,
+    getWorkflows,
+    statusNames,
+    initialStatus,
+    isDoneStatus,
+    matchStatusName,
+    checkStatus,
+    checkTransition,
+    completionFields,
+};
@@ -0,0 +1,87 @@
+const Workspace = require('../models/workspaceModel');
+const User = require('../models/userModel');
+const { getRepository } = require('../repositories/documentRepository');
+const { deliverNotification } = require('./notificationChannels');
+const { logger } = require('./logger');
+
+// Workspaces: every user owns one (their tasks, projects and workflow) and can invite others into it as editors
+// or viewers. Routes act on the workspace picked by the X-Workspace-Id header (middleware/workspaceMiddleware.js)
+// and scope everything by its owner, so a user's own workspace behaves exactly like their account did before.
+
+// The user's own workspace, created on first use
+const getOwnWorkspace = async (user) => {
+    const workspaceRepository = getRepository(Workspace);
+    const workspace = await workspaceRepository.findOne({ owner: user._id });
+    if (workspace) return workspace;
+    try {
+        return await workspaceRepository.create({ name: `${user.name}'s workspace`, owner: user._id });
+    } catch (error) {
+        if (error.code === 11000) return workspaceRepository.findOne({ owner: user._id }); // Created by a concurrent request
+        throw error;
+    }
+};
+
+// Every workspace the user can open: their own first, then the ones they were invited to (by name)
+const listWorkspaces = async (user) => {
+    const [own, shared] = await Promise.all([
+        getOwnWorkspace(user),
+        getRepository(Workspace).find({ 'members.user': user._id }, { sort: { name: 1 } }),
+    ]);
+    return [own, ...shared];
+};
+
+// A workspace the user owns or is a member of, or null
+const findWorkspace = (id, userId) => getRepository(Workspace).findOne({ _id: id, $or: [{ owner: userId }, { 'members.user': userId }] });
+
+// The user's role in a workspace ('owner', 'editor' or 'viewer'), or null when they are not part of it
+const roleOf = (workspace, userId) => {
+    if (workspace.owner.equals(userId)) return 'owner';
+    const member = workspace.members.find(entry => entry.user.equals(userId));
+    return member ? member.role : null;
+};
+
+// Whether a role grants at least the access of `minimum` (owner > editor > viewer)
+const hasRole = (role, minimum) => role !== null && Workspace.WORKSPACE_ROLES.indexOf(role) <= Workspace.WORKSPACE_ROLES.indexOf(minimum);
+
+// Ids of everyone in the workspace, owner first
+const memberIds = (workspace) => [workspace.owner, ...workspace.members.map(member => member.user)];
+
+// Problem ({ code, message }) when someone who is not in the workspace is assigned, or null
+const checkAssignees = (workspace, assignees) => {
+    const members = new Set(memberIds(workspace).map(String));
+    const outsider = assignees.find(id => !members.has(String(id)));
+    return outsider ? { code: 'invalid_value', message: `User ${outsider} is not a member of this workspace.` } : null;
+};
+
+// Notify the users a task was just assigned to (before is null for new tasks), except the one who assigned them.
+// Failures are logged, never thrown: the assignment itself has been saved.
+const notifyNewAssignees = async (before, after, actor) => {
+    const previous = new Set((before ? before.assignees : []).map(String));
+    const added = after.assignees.filter(id => !previous.has(String(id)) && !actor._id.equals(id));
+    if (added.length === 0) return;
+
+    try {
+        const users = await getRepository(User).find({ _id: { $in: added } }, { select: 'name email' });
+        for (const user of users) {
+            await deliverNotification(user, {
+                type: 'assigned',
+                task: after,
+                title: `Assigned: ${after.title}`,
+                message: `${actor.name} assigned "${after.title}" to you.`,
+            });
+        }
+    } catch (error) {
+        logger.error('Assignment notifications failed', { taskId: after._id, error: error.message });
+    }
+};
+
+module.exports = {
+    getOwnWorkspace,
+    listWorkspaces,
+    findWorkspace,
+    roleOf,
+    hasRole,
+    memberIds,
+    checkAssignees,
+    notifyNewAssignees,
+};
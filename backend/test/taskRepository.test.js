@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { createMemoryTaskRepository } = require('../src/repositories/memoryTaskRepository');
+const { createJsonTaskRepository } = require('../src/repositories/jsonTaskRepository');
+
+// The task repository contract (see src/repositories/taskRepository.js), run against the stores that need no
+// database. The MongoDB store follows the same contract on a replica set.
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskify-tasks-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const STORES = {
+    memory: () => createMemoryTaskRepository(),
+    json: () => createJsonTaskRepository(path.join(tempDir, `${new mongoose.Types.ObjectId()}.json`)),
+};
+
+const owner = new mongoose.Types.ObjectId();
+const taskFields = (title, fields = {}) => ({ owner, title, description: `${title} description`, status: 'Pending', ...fields });
+
+for (const [storeName, createStore] of Object.entries(STORES)) {
+    describe(`${storeName} task repository`, () => {
+        let tasks;
+        beforeEach(() => {
+            tasks = createStore();
+        });
+
+        it('creates tasks at version 0 and bumps the version on every update', async () => {
+            const task = await tasks.create(taskFields('Write tests'));
+            assert.equal(task.version, 0);
+
+            const { before, after: updated } = await tasks.update(task._id, { title: 'Write more tests' });
+            assert.equal(before.title, 'Write tests');
+            assert.equal(updated.title, 'Write more tests');
+            assert.equal(updated.version, 1);
+        });
+
+        it('only updates a task still at the expected version', async () => {
+            const task = await tasks.create(taskFields('Pinned'));
+            await tasks.update(task._id, { title: 'Changed elsewhere' });
+
+            assert.equal(await tasks.update(task._id, { title: 'Stale write' }, { version: task.version }), null);
+            assert.equal((await tasks.findById(task._id)).title, 'Changed elsewhere');
+        });
+
+        it('rejects changes the Task schema does not allow', async () => {
+            const task = await tasks.create(taskFields('Valid'));
+            await assert.rejects(tasks.update(task._id, { priority: 'whenever' }), mongoose.Error.ValidationError);
+            assert.equal((await tasks.findById(task._id)).version, 0);
+        });
+
+        it('keeps soft-deleted tasks out of the default criteria', async () => {
+            const kept = await tasks.create(taskFields('Kept'));
+            const trashed = await tasks.create(taskFields('Trashed'));
+            await tasks.update(trashed._id, { deletedAt: new Date() });
+
+            assert.deepEqual((await tasks.find({ owner })).map(task => task.title), ['Kept']);
+            assert.deepEqual((await tasks.find({ owner, trashed: true })).map(task => task.title), ['Trashed']);
+            assert.equal(await tasks.count({ owner, trashed: 'any' }), 2);
+            assert.equal(await tasks.findById(trashed._id, { owner }), null);
+            assert.equal((await tasks.findById(kept._id, { owner })).title, 'Kept');
+        });
+
+        it('applies updateEach to every task, each with its own changes', async () => {
+            const first = await tasks.create(taskFields('First'));
+            const second = await tasks.create(taskFields('Second'));
+
+            const result = await tasks.updateEach([
+                { id: first._id, version: first.version, changes: { position: 1 } },
+                { id: second._id, version: second.version, changes: { position: 0 } },
+            ], { owner });
+
+            assert.deepEqual(result.after.map(task => [task.title, task.position, task.version]), [['First', 1, 1], ['Second', 0, 1]]);
+        });
+
+        it('writes nothing in updateEach when one task does not match', async () => {
+            const first = await tasks.create(taskFields('First'));
+            const second = await tasks.create(taskFields('Second'));
+            await tasks.update(second._id, { title: 'Second, changed' });
+
+            const result = await tasks.updateEach([
+                { id: first._id, version: first.version, changes: { status: 'Completed' } },
+                { id: second._id, version: second.version, changes: { status: 'Completed' } },
+            ], { owner });
+
+            assert.equal(result, null);
+            assert.equal((await tasks.findById(first._id)).status, 'Pending');
+            assert.equal((await tasks.findById(first._id)).version, 0);
+        });
+
+        it('stores none of the tasks in createMany when one fails validation', async () => {
+            await assert.rejects(
+                tasks.createMany([taskFields('Valid'), taskFields('No description', { description: '' })]),
+                mongoose.Error.ValidationError
+            );
+            assert.equal(await tasks.count({ owner, trashed: 'any' }), 0);
+
+            const created = await tasks.createMany([taskFields('One'), taskFields('Two')]);
+            assert.deepEqual(created.map(task => task.version), [0, 0]);
+            assert.equal(await tasks.count({ owner }), 2);
+        });
+    });
+}
+
+describe('json task repository file', () => {
+    it('loads the tasks saved by an earlier instance', async () => {
+        const filePath = path.join(tempDir, 'reload.json');
+        const task = await createJsonTaskRepository(filePath).create(taskFields('Saved'));
+
+        const reloaded = await createJsonTaskRepository(filePath).findById(task._id);
+        assert.equal(reloaded.title, 'Saved');
+        assert.equal(reloaded.version, 0);
+    });
+});
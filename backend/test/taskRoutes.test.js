@@ -0,0 +1,191 @@
+// Stores and secret must be set before the routes load them
+process.env.TASK_STORE = 'memory';
+process.env.DATA_STORE = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const authRoutes = require('../src/routes/authRoutes');
+const taskRoutes = require('../src/routes/taskRoutes');
+const { protect } = require('../src/middleware/authMiddleware');
+const { loadWorkspace } = require('../src/middleware/workspaceMiddleware');
+const { notFound, errorHandler } = require('../src/middleware/errorHandler');
+const { setTaskRepository } = require('../src/repositories/taskRepository');
+const { createMemoryTaskRepository } = require('../src/repositories/memoryTaskRepository');
+
+// /api/tasks behind the real authentication and workspace middleware, with a fresh in-memory task store per test
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/tasks', protect, loadWorkspace, taskRoutes);
+app.use(notFound);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+let token;
+
+// Send a request as the test user; resolves to { status, headers, body }
+const request = async (method, path, { body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+};
+
+const createTask = async (fields = {}) => {
+    const { status, body } = await request('POST', '/api/tasks', { body: { title: 'Task', description: 'Details', ...fields } });
+    assert.equal(status, 201);
+    return body;
+};
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const registered = await request('POST', '/api/auth/register', { body: { name: 'Tess', email: 'tess@example.com', password: 'secret1' } });
+    assert.equal(registered.status, 201);
+    token = registered.body.token;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    setTaskRepository(createMemoryTaskRepository());
+});
+
+describe('POST /api/tasks', () => {
+    it('creates a task in the first workflow status', async () => {
+        const { status, body } = await request('POST', '/api/tasks', { body: { title: 'Plan sprint', description: 'Pick the stories' } });
+        assert.equal(status, 201);
+        assert.equal(body.status, 'Pending');
+        assert.equal(body.version, 0);
+
+        const fetched = await request('GET', `/api/tasks/${body._id}`);
+        assert.equal(fetched.body.title, 'Plan sprint');
+        assert.equal(fetched.headers.get('ETag'), '"0"');
+    });
+
+    it('reports missing fields in the validation envelope', async () => {
+        const { status, body } = await request('POST', '/api/tasks', { body: { title: 'No description' } });
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_FAILED');
+        assert.deepEqual(body.errors.map(error => [error.location, error.field, error.code]), [['body', 'description', 'required']]);
+    });
+
+    it('requires a token', async () => {
+        const response = await fetch(`${baseUrl}/api/tasks`);
+        assert.equal(response.status, 401);
+    });
+});
+
+describe('GET /api/tasks/:id', () => {
+    it('rejects malformed ids and answers 404 for unknown ones', async () => {
+        const malformed = await request('GET', '/api/tasks/not-an-id');
+        assert.equal(malformed.status, 400);
+        assert.equal(malformed.body.errors[0].location, 'params');
+
+        const unknown = await request('GET', `/api/tasks/${new mongoose.Types.ObjectId()}`);
+        assert.equal(unknown.status, 404);
+    });
+});
+
+describe('PATCH /api/tasks/:id', () => {
+    it('updates the task when If-Match names its current version', async () => {
+        const task = await createTask();
+        const { status, headers, body } = await request('PATCH', `/api/tasks/${task._id}`, { body: { title: 'Renamed' }, headers: { 'If-Match': '"0"' } });
+        assert.equal(status, 200);
+        assert.equal(body.title, 'Renamed');
+        assert.equal(headers.get('ETag'), '"1"');
+    });
+
+    it('answers 412 with the current copy when the task changed since If-Match', async () => {
+        const task = await createTask();
+        await request('PATCH', `/api/tasks/${task._id}`, { body: { title: 'First edit' } });
+
+        const { status, body } = await request('PATCH', `/api/tasks/${task._id}`, { body: { title: 'Second edit' }, headers: { 'If-Match': '"0"' } });
+        assert.equal(status, 412);
+        assert.equal(body.currentTask.title, 'First edit');
+    });
+
+    it('rejects a malformed If-Match header', async () => {
+        const task = await createTask();
+        const { status, body } = await request('PATCH', `/api/tasks/${task._id}`, { body: { title: 'Renamed' }, headers: { 'If-Match': 'latest' } });
+        assert.equal(status, 400);
+        assert.deepEqual([body.errors[0].location, body.errors[0].field], ['header', 'If-Match']);
+    });
+});
+
+describe('DELETE /api/tasks/:id', () => {
+    it('moves the task to the trash, from where it can be restored', async () => {
+        const task = await createTask();
+        assert.equal((await request('DELETE', `/api/tasks/${task._id}`)).status, 204);
+        assert.equal((await request('GET', `/api/tasks/${task._id}`)).status, 404);
+        assert.deepEqual((await request('GET', '/api/tasks/trash')).body.map(trashed => trashed._id), [task._id]);
+
+        const restored = await request('POST', `/api/tasks/${task._id}/restore`);
+        assert.equal(restored.status, 200);
+        assert.equal((await request('GET', '/api/tasks')).body.total, 1);
+    });
+});
+
+describe('PUT /api/tasks/reorder', () => {
+    it('moves tasks between columns', async () => {
+        const task = await createTask();
+        const { status, body } = await request('PUT', '/api/tasks/reorder', {
+            body: { moves: [{ _id: task._id, status: 'In Progress', position: 0, version: task.version }] },
+        });
+        assert.equal(status, 200);
+        assert.deepEqual([body[0].status, body[0].version], ['In Progress', 1]);
+    });
+
+    it('moves nothing and answers 409 when a task changed since the client read it', async () => {
+        const first = await createTask({ title: 'First' });
+        const second = await createTask({ title: 'Second' });
+        await request('PATCH', `/api/tasks/${second._id}`, { body: { title: 'Second, edited' } });
+
+        const { status, body } = await request('PUT', '/api/tasks/reorder', {
+            body: {
+                moves: [
+                    { _id: first._id, status: 'In Progress', position: 0, version: first.version },
+                    { _id: second._id, status: 'In Progress', position: 1, version: second.version },
+                ],
+            },
+        });
+        assert.equal(status, 409);
+        assert.deepEqual(body.currentTasks.map(task => task._id), [second._id]);
+        assert.equal((await request('GET', `/api/tasks/${first._id}`)).body.status, 'Pending');
+    });
+});
+
+describe('POST /api/tasks/bulk', () => {
+    it('changes nothing by default when one id cannot be processed', async () => {
+        const task = await createTask();
+        const { status, body } = await request('POST', '/api/tasks/bulk', { body: { ids: [task._id, 'bad'], action: 'addTag', value: 'urgent' } });
+        assert.equal(status, 400);
+        assert.deepEqual(body.results.map(result => [result.ok, Boolean(result.skipped)]), [[false, true], [false, false]]);
+        assert.deepEqual((await request('GET', `/api/tasks/${task._id}`)).body.tags, []);
+    });
+
+    it('applies the rest with atomic: false', async () => {
+        const task = await createTask();
+        const { status, body } = await request('POST', '/api/tasks/bulk', { body: { ids: [task._id, 'bad'], action: 'addTag', value: 'Urgent', atomic: false } });
+        assert.equal(status, 200);
+        assert.equal(body.succeeded, 1);
+        assert.deepEqual((await request('GET', `/api/tasks/${task._id}`)).body.tags, ['urgent']);
+    });
+
+    it('checks addTag values against the task tag rule', async () => {
+        const task = await createTask();
+        const { status, body } = await request('POST', '/api/tasks/bulk', { body: { ids: [task._id], action: 'addTag', value: 'x'.repeat(51) } });
+        assert.equal(status, 400);
+        assert.deepEqual([body.errors[0].field, body.errors[0].code], ['value', 'too_long']);
+    });
+});
@@ -0,0 +1,67 @@
+// --- Taskify Service Worker ---
+// Caches the built app shell so the UI still loads when the network or the API is down.
+// Task data is not handled here: App keeps it in IndexedDB (see src/offlineStore.js).
+// Registered from src/main.jsx in production builds only.
+
+const CACHE_NAME = 'taskify-shell-v1';
+const SHELL_URL = '/';
+
+// Precache index.html plus the hashed bundles it references (Vite emits them under /assets/)
+const precacheShell = async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const response = await fetch(SHELL_URL, { cache: 'no-cache' });
+    const html = await response.clone().text();
+    const assetUrls = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+
+    await cache.put(SHELL_URL, response);
+    await cache.addAll(['/vite.svg', ...assetUrls]);
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+// Drop caches from older service worker versions and take over open tabs right away
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Only same-origin GETs are ours; API calls (another port) always go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Page loads: network first so new deployments show up, cached shell when offline
+    if (request.mode === 'navigate') {
+        event.respondWith((async () => {
+            try {
+                const response = await fetch(request);
+                const cache = await caches.open(CACHE_NAME);
+                await cache.put(SHELL_URL, response.clone());
+                return response;
+            } catch {
+                return (await caches.match(SHELL_URL)) || Response.error();
+            }
+        })());
+        return;
+    }
+
+    // Static files: cache first (bundle names are content-hashed), filling the cache as new files are requested
+    event.respondWith((async () => {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    })());
+});
@@ -1,9 +1,173 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { Twitter, Linkedin, Github, CheckCircle, Clock, XCircle, ChevronDown, ListTodo, Trash2, Calendar, Zap } from 'lucide-react'; 
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { createTaskApi } from './taskApi';
+import { LOCAL_ID_PREFIX, isLocalTask, isNetworkError, isRetryableStatus, saveTaskList, loadTaskList, getOutbox, removeFromOutbox, queueMutation, createLocalTask, applyOutbox, clearOfflineData } from './offlineStore';
+import { Twitter, Linkedin, Github, CheckCircle, Clock, XCircle, ChevronDown, ListTodo, Trash2, Folder, FolderPlus, Flag, Calendar, Zap, LogOut, Search, ChevronLeft, ChevronRight, Pencil, ArrowUp, ArrowDown, X, ListChecks, LayoutGrid, Kanban, GripVertical, CheckSquare, Square, Tag, RotateCcw, History, Repeat, Wifi, WifiOff, Download, Upload, Bell, ChartColumn, MessageSquare, Paperclip, Lock, Link2, Users, UserPlus } from 'lucide-react'; 
 
 // --- Configuration for MERN Backend ---
 // NOTE: For this to work, your Express server MUST be running on port 5000.
-const API_BASE_URL = 'http://localhost:5000/api/tasks';
+const API_ORIGIN = 'http://localhost:5000'; // Task routes are called through the generated client in taskApi.js
+const AUTH_BASE_URL = `${API_ORIGIN}/api/auth`;
+const PROJECTS_BASE_URL = `${API_ORIGIN}/api/projects`;
+const EVENTS_URL = `${API_ORIGIN}/api/events`;
+const NOTIFICATIONS_URL = `${API_ORIGIN}/api/notifications`;
+const WORKSPACES_URL = `${API_ORIGIN}/api/workspaces`;
+
+// Requests to /api/tasks, /api/projects and /api/workflows act on the workspace named in this header (own workspace without it)
+const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+// Real-time sync (Server-Sent Events): event types, reconnect backoff and refetch coalescing
+const TASK_EVENT_TYPES = ['task.created', 'task.updated', 'task.deleted'];
+const NOTIFICATION_EVENT_TYPE = 'notification.created';
+const LIVE_RETRY_BASE_MS = 1000;
+const LIVE_RETRY_MAX_MS = 30000;
+const LIVE_REFRESH_DELAY_MS = 500;
+
+// Header badge per connection state
+const LIVE_STATUS_STYLES = {
+    live: { label: 'Live', className: 'bg-green-100 text-green-800' },
+    connecting: { label: 'Connecting', className: 'bg-yellow-100 text-yellow-800' },
+    offline: { label: 'Offline', className: 'bg-red-100 text-red-800' },
+};
+
+// Page size requested from GET /api/tasks
+const PAGE_SIZE = 12;
+
+// Statuses come from the user's workflow (GET /api/workflows): names and colors in board order, the allowed
+// moves between them and which one counts as done. Mirrors the backend default, used until the workflow loads.
+const DEFAULT_WORKFLOW = {
+    statuses: [
+        { name: 'Pending', color: '#dc2626', next: ['In Progress', 'Completed'] },
+        { name: 'In Progress', color: '#ca8a04', next: ['Pending', 'Completed'] },
+        { name: 'Completed', color: '#16a34a', next: ['Pending', 'In Progress'] },
+    ],
+    doneStatus: 'Completed',
+};
+const UNKNOWN_STATUS_COLOR = '#6b7280'; // Statuses the workflow no longer lists
+
+// Dashboard (GET /api/tasks/stats): how many days/weeks the chart covers
+const STATS_PERIODS = { day: 14, week: 12 };
+
+// Mirrors PRIORITY_LEVELS in the backend taskModel.js (lowest to highest)
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+// Chip colors per priority
+const PRIORITY_COLORS = {
+    low: 'bg-gray-100 text-gray-700',
+    medium: 'bg-blue-100 text-blue-800',
+    high: 'bg-orange-100 text-orange-800',
+    urgent: 'bg-red-100 text-red-800',
+};
+
+// Reminder choices in the task form, in minutes before the due date (the backend default is one day before)
+const REMINDER_OPTIONS = [
+    { value: 0, label: 'On the due date' },
+    { value: 60, label: '1 hour before' },
+    { value: 24 * 60, label: '1 day before' },
+    { value: 2 * 24 * 60, label: '2 days before' },
+    { value: 7 * 24 * 60, label: '1 week before' },
+];
+const DEFAULT_REMINDER_OFFSETS = [24 * 60];
+
+// Default color offered for new projects (matches the backend default)
+const DEFAULT_PROJECT_COLOR = '#6366f1';
+
+// The board loads every task ordered by manual position, in pages of the server's largest page size
+const BOARD_PAGE_SIZE = 100;
+
+// Sort options understood by the backend (prefix "-" = descending)
+const SORT_OPTIONS = [
+    { value: 'position', label: 'Board order' },
+    { value: '-createdAt', label: 'Newest first' },
+    { value: 'createdAt', label: 'Oldest first' },
+    { value: 'dueDate', label: 'Due date (soonest)' },
+    { value: '-dueDate', label: 'Due date (latest)' },
+    { value: 'title', label: 'Title (A-Z)' },
+    { value: '-title', label: 'Title (Z-A)' },
+    { value: 'status', label: 'Status (A-Z)' },
+    { value: '-status', label: 'Status (Z-A)' },
+    { value: '-priority', label: 'Priority (urgent first)' },
+    { value: 'priority', label: 'Priority (low first)' },
+];
+
+// Key under which the signed-in user and token are persisted
+const AUTH_STORAGE_KEY = 'taskify_auth';
+
+// Key under which the last opened workspace is remembered (absent for the user's own workspace)
+const WORKSPACE_STORAGE_KEY = 'taskify_workspace';
+
+// Restore a previous session from localStorage (if any)
+const loadStoredAuth = () => {
+    try {
+        return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+    } catch {
+        return null;
+    }
+};
+
+// Client-side check of the project/priority/tag/assignee filters (the board filters locally so it can keep whole columns in order)
+const matchesTaskFilters = (task, { project, priority, tag, assignee }) => (
+    (project === 'all' || (project === 'none' ? !task.project : task.project === project))
+    && (priority === 'all' || task.priority === priority)
+    && (!tag || (task.tags || []).includes(tag))
+    && (!assignee || (task.assignees || []).includes(assignee))
+);
+
+// --- Workflow helpers (mirror backend/src/utils/workflows.js) ---
+const statusNames = (workflow) => workflow.statuses.map(status => status.name);
+
+const statusColor = (workflow, name) => workflow.statuses.find(status => status.name === name)?.color || UNKNOWN_STATUS_COLOR;
+
+// Badge style for a status, tinted like project chips
+const statusBadgeStyle = (workflow, name) => {
+    const color = statusColor(workflow, name);
+    return { backgroundColor: `${color}1a`, color };
+};
+
+// Whether the workflow lets a task move between two statuses (leaving a status it no longer lists is always allowed)
+const canMoveTo = (workflow, from, to) => {
+    const current = workflow.statuses.find(status => status.name === from);
+    return from === to || !current || current.next.includes(to);
+};
+
+// Status offered by a task card's status button: the next allowed one in board order, wrapping around
+// (null for a final status)
+const nextStatusFor = (workflow, status) => {
+    const names = statusNames(workflow);
+    const current = workflow.statuses.find(entry => entry.name === status);
+    if (!current) return names[0];
+    const index = names.indexOf(status);
+    const ordered = [...names.slice(index + 1), ...names.slice(0, index)];
+    return ordered.find(name => current.next.includes(name)) || null;
+};
+
+// Parse the comma-separated tags input into the normalized list the backend stores
+const parseTags = (value) => [...new Set(value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+// Key for validation errors that do not belong to a single form field
+const FORM_ERROR_KEY = '_form';
+
+// Turn the backend's validation envelope ({ code: 'VALIDATION_FAILED', errors: [{ field, message }] }) into
+// { fieldName: message } for inline form errors. Nested fields (recurrence.interval, tags[2]) map to their top-level field.
+// Returns null for any other error response.
+const toFieldErrors = (data) => {
+    if (data?.code !== 'VALIDATION_FAILED' || !Array.isArray(data.errors)) return null;
+    return data.errors.reduce((fieldErrors, { field, message }) => {
+        const name = field ? field.split(/[.[]/)[0] : FORM_ERROR_KEY;
+        return fieldErrors[name] ? fieldErrors : { ...fieldErrors, [name]: message };
+    }, {});
+};
+
+// Optimistic concurrency: send the task version a change is based on (no header when it is unknown)
+const toIfMatchHeaders = (version) => (version !== undefined ? { 'If-Match': `"${version}"` } : {});
+
+// A status change refused because the task waits for unfinished tasks (retry with ignoreBlockers to move it anyway)
+const isBlockedError = (data) => data?.code === 'VALIDATION_FAILED' && Boolean(data.errors?.some(error => error.code === 'blocked'));
+
+// Error thrown for a rejected request, carrying the field errors when the backend reported any
+const toRequestError = (data, fallbackMessage) => Object.assign(
+    new Error(data?.error || data?.message || fallbackMessage),
+    { fieldErrors: toFieldErrors(data), blocked: isBlockedError(data) }
+);
 
 // Helper to handle date formatting
 const formatDate = (dateString) => {
@@ -19,7 +183,7 @@ const formatDate = (dateString) => {
 const ToastNotification = ({ notification, onClose }) => {
     if (!notification) return null;
 
-    const { message, type } = notification;
+    const { message, type, action } = notification;
 
     const baseStyle = "fixed bottom-5 right-5 p-4 rounded-xl shadow-2xl z-50 transform transition-all duration-500 ease-out flex items-center space-x-3 max-w-sm";
     
@@ -34,6 +198,15 @@ const ToastNotification = ({ notification, onClose }) => {
             {type === 'success' && <CheckCircle size={20} className="flex-shrink-0" />}
             {type === 'error' && <XCircle size={20} className="flex-shrink-0" />}
             <p className="text-sm font-medium flex-grow">{message}</p>
+            {/* Optional action (e.g. "Undo" after a delete) */}
+            {action && (
+                <button
+                    onClick={() => { action.onClick(); onClose(); }}
+                    className="px-3 py-1 text-xs font-bold uppercase tracking-wide bg-white text-gray-900 rounded-lg hover:bg-gray-200 transition duration-150"
+                >
+                    {action.label}
+                </button>
+            )}
             <button onClick={onClose} className="p-1 rounded-full hover:bg-white hover:bg-opacity-20 transition duration-150 ml-2">
                 <XCircle size={16} />
             </button>
@@ -41,30 +214,433 @@ const ToastNotification = ({ notification, onClose }) => {
     );
 };
 
+// --- NotificationBell Component ---
+// Header bell with the unread count; opens the inbox of reminders and overdue notices.
+const NotificationBell = ({ notifications, unreadCount, onMarkRead, onMarkAllRead }) => {
+    const [isOpen, setIsOpen] = useState(false);
 
-// --- TaskForm Component ---
-const TaskForm = ({ isModalOpen, closeModal, onSave }) => {
-    const [title, setTitle] = useState('');
-    const [description, setDescription] = useState('');
-    const [dueDate, setDueDate] = useState('');
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="relative p-2 text-gray-500 hover:text-indigo-700 hover:bg-indigo-50 rounded-full transition duration-200"
+                title="Notifications"
+                aria-label={`Notifications (${unreadCount} unread)`}
+                aria-expanded={isOpen}
+            >
+                <Bell size={18} />
+                {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <>
+                    {/* Invisible backdrop: clicking anywhere else closes the inbox */}
+                    <div className="fixed inset-0 z-20" onClick={() => setIsOpen(false)} />
+                    <div className="absolute right-0 mt-2 w-80 max-w-[90vw] bg-white rounded-xl shadow-2xl border z-30" role="dialog" aria-label="Notifications">
+                        <div className="flex justify-between items-center px-4 py-3 border-b">
+                            <h2 className="text-sm font-bold text-gray-800">Notifications</h2>
+                            <button
+                                onClick={onMarkAllRead}
+                                disabled={unreadCount === 0}
+                                className="text-xs text-indigo-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                            >
+                                Mark all read
+                            </button>
+                        </div>
+                        <ul className="max-h-96 overflow-y-auto divide-y">
+                            {notifications.length === 0 && (
+                                <li className="px-4 py-6 text-sm text-center text-gray-500">No notifications yet.</li>
+                            )}
+                            {notifications.map(notification => (
+                                <li key={notification._id}>
+                                    <button
+                                        onClick={() => { if (!notification.readAt) onMarkRead(notification); }}
+                                        className={`w-full text-left px-4 py-3 flex space-x-3 hover:bg-gray-50 ${notification.readAt ? '' : 'bg-indigo-50'}`}
+                                    >
+                                        {notification.type === 'overdue' && <XCircle size={16} className="mt-0.5 flex-shrink-0 text-red-500" />}
+                                        {notification.type === 'reminder' && <Clock size={16} className="mt-0.5 flex-shrink-0 text-indigo-500" />}
+                                        {(notification.type === 'assigned' || notification.type === 'invited') && <UserPlus size={16} className="mt-0.5 flex-shrink-0 text-indigo-500" />}
+                                        <span className="text-xs">
+                                            <span className={`block text-sm text-gray-800 ${notification.readAt ? '' : 'font-semibold'}`}>{notification.title}</span>
+                                            <span className="block text-gray-600">{notification.message}</span>
+                                            <span className="block text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</span>
+                                        </span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+
+// --- AuthScreen Component (Login / Signup) ---
+const AuthScreen = ({ onAuthenticated }) => {
+    const [mode, setMode] = useState('login'); // 'login' | 'register'
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [authError, setAuthError] = useState(null);
+
+    const isRegister = mode === 'register';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setAuthError(null);
+
+        const body = isRegister
+            ? { name: name.trim(), email: email.trim(), password }
+            : { email: email.trim(), password };
+
+        try {
+            const response = await fetch(`${AUTH_BASE_URL}/${isRegister ? 'register' : 'login'}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || data.message || 'Authentication failed.');
+            }
+
+            onAuthenticated(data);
+        } catch (e) {
+            console.error("Auth error:", e);
+            setAuthError(e.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const inputClass = "mt-1 block w-full rounded-lg border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-3 border";
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 font-sans p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6">
+                <div className="flex items-center space-x-2 mb-6">
+                    <ListTodo className="h-7 w-7 text-indigo-600" />
+                    <h1 className="text-2xl font-extrabold text-gray-800 tracking-tight">Taskify</h1>
+                </div>
+                <h2 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">
+                    {isRegister ? 'Create an Account' : 'Sign In'}
+                </h2>
+
+                {authError && (
+                    <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-4 text-sm" role="alert">
+                        {authError}
+                    </div>
+                )}
+
+                <form onSubmit={handleSubmit}>
+                    {isRegister && (
+                        <div className="mb-4">
+                            <label htmlFor="name" className="block text-sm font-medium text-gray-700">Name</label>
+                            <input type="text" id="name" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} required />
+                        </div>
+                    )}
+                    <div className="mb-4">
+                        <label htmlFor="email" className="block text-sm font-medium text-gray-700">Email</label>
+                        <input type="email" id="email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} required autoComplete="email" />
+                    </div>
+                    <div className="mb-6">
+                        <label htmlFor="password" className="block text-sm font-medium text-gray-700">Password</label>
+                        <input
+                            type="password"
+                            id="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            className={inputClass}
+                            required
+                            minLength={6}
+                            autoComplete={isRegister ? 'new-password' : 'current-password'}
+                        />
+                    </div>
+
+                    <button
+                        type="submit"
+                        className="w-full px-4 py-3 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md disabled:opacity-50"
+                        disabled={submitting}
+                    >
+                        {submitting ? 'Please wait...' : (isRegister ? 'Sign Up' : 'Log In')}
+                    </button>
+                </form>
+
+                <p className="mt-4 text-sm text-center text-gray-600">
+                    {isRegister ? 'Already have an account?' : "Don't have an account?"}{' '}
+                    <button
+                        type="button"
+                        onClick={() => { setMode(isRegister ? 'login' : 'register'); setAuthError(null); }}
+                        className="text-indigo-600 font-semibold hover:underline"
+                    >
+                        {isRegister ? 'Log in' : 'Sign up'}
+                    </button>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+// Convert a stored ISO date into the YYYY-MM-DD value a date input expects
+const toDateInputValue = (dateString) => (dateString ? new Date(dateString).toISOString().split('T')[0] : '');
+
+// --- Recurrence Helpers ---
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FREQUENCY_UNITS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+
+// Form state for the recurrence controls, built from a saved rule (or defaults)
+const toRepeatState = (rule) => ({
+    frequency: rule?.frequency || '', // '' = does not repeat
+    interval: rule?.interval || 1,
+    byWeekday: rule?.byWeekday || [],
+    endType: rule?.count ? 'count' : (rule?.until ? 'until' : 'never'),
+    count: rule?.count || 5,
+    until: toDateInputValue(rule?.until),
+});
+
+// Rule payload for the API (null = does not repeat)
+const toRecurrenceRule = (repeat) => {
+    if (!repeat.frequency) return null;
+    return {
+        frequency: repeat.frequency,
+        interval: Number(repeat.interval) || 1,
+        byWeekday: repeat.frequency === 'weekly' ? repeat.byWeekday : [],
+        count: repeat.endType === 'count' ? Number(repeat.count) || 1 : null,
+        until: repeat.endType === 'until' && repeat.until ? new Date(repeat.until).toISOString() : null,
+    };
+};
+
+// Short description of a rule, e.g. "Every 2 weeks on Mon, Wed"
+const describeRecurrence = (rule) => {
+    if (!rule?.frequency) return '';
+    const unit = FREQUENCY_UNITS[rule.frequency];
+    let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+    if (rule.frequency === 'weekly' && rule.byWeekday?.length) {
+        text += ` on ${[...rule.byWeekday].sort().map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+    }
+    if (rule.count) text += `, ${rule.count} times`;
+    if (rule.until) text += `, until ${formatDate(rule.until)}`;
+    return text;
+};
+
+// --- RecurrenceFields Component (Repeat controls inside the TaskForm) ---
+const RecurrenceFields = ({ repeat, onChange, dueDate, onPreview }) => {
+    const [preview, setPreview] = useState([]);
+    const update = (changes) => onChange({ ...repeat, ...changes });
+
+    // Fetch a preview of upcoming dates whenever the rule or due date changes (debounced)
+    const rule = toRecurrenceRule(repeat);
+    const ruleKey = JSON.stringify(rule);
+    useEffect(() => {
+        if (!ruleKey || ruleKey === 'null') return;
+        const timer = setTimeout(async () => {
+            try {
+                setPreview(await onPreview(JSON.parse(ruleKey), dueDate ? new Date(dueDate).toISOString() : null));
+            } catch (e) {
+                console.error("Error previewing recurrence:", e);
+                setPreview([]);
+            }
+        }, 400);
+        return () => clearTimeout(timer);
+    }, [ruleKey, dueDate, onPreview]);
+
+    const inputClass = "rounded-lg border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border text-sm";
+
+    return (
+        <div className="mb-6 space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+                <label htmlFor="frequency" className="text-sm font-medium text-gray-700">Repeat</label>
+                <select id="frequency" value={repeat.frequency} onChange={(e) => update({ frequency: e.target.value })} className={inputClass}>
+                    <option value="">Does not repeat</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                    <option value="yearly">Yearly</option>
+                </select>
+                {repeat.frequency && (
+                    <>
+                        <span className="text-sm text-gray-600">every</span>
+                        <input
+                            type="number"
+                            min={1}
+                            max={365}
+                            value={repeat.interval}
+                            onChange={(e) => update({ interval: e.target.value })}
+                            aria-label="Repeat interval"
+                            className={`${inputClass} w-20`}
+                        />
+                        <span className="text-sm text-gray-600">{FREQUENCY_UNITS[repeat.frequency]}(s)</span>
+                    </>
+                )}
+            </div>
+
+            {/* Weekday picker (weekly only) */}
+            {repeat.frequency === 'weekly' && (
+                <div className="flex flex-wrap gap-1" role="group" aria-label="Repeat on weekdays">
+                    {WEEKDAY_LABELS.map((label, day) => {
+                        const active = repeat.byWeekday.includes(day);
+                        return (
+                            <button
+                                key={label}
+                                type="button"
+                                aria-pressed={active}
+                                onClick={() => update({ byWeekday: active ? repeat.byWeekday.filter(d => d !== day) : [...repeat.byWeekday, day] })}
+                                className={`px-2 py-1 text-xs font-semibold rounded-full border transition duration-150 ${active ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                            >
+                                {label}
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+
+            {/* End condition */}
+            {repeat.frequency && (
+                <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                    <label htmlFor="endType">Ends</label>
+                    <select id="endType" value={repeat.endType} onChange={(e) => update({ endType: e.target.value })} className={inputClass}>
+                        <option value="never">Never</option>
+                        <option value="count">After</option>
+                        <option value="until">On date</option>
+                    </select>
+                    {repeat.endType === 'count' && (
+                        <>
+                            <input type="number" min={1} value={repeat.count} onChange={(e) => update({ count: e.target.value })} aria-label="Number of occurrences" className={`${inputClass} w-20`} />
+                            <span>occurrences</span>
+                        </>
+                    )}
+                    {repeat.endType === 'until' && (
+                        <input type="date" value={repeat.until} onChange={(e) => update({ until: e.target.value })} aria-label="Repeat until" className={inputClass} />
+                    )}
+                </div>
+            )}
+
+            {/* Upcoming dates preview (from POST /api/tasks/recurrence/preview) */}
+            {rule && preview.length > 0 && (
+                <p className="text-xs text-gray-500">
+                    Upcoming: {preview.map(date => formatDate(date)).join(', ')}
+                </p>
+            )}
+        </div>
+    );
+};
+
+// --- TaskForm Component (Create and Edit) ---
+// When taskToEdit is provided the form is pre-filled and saves only the changed fields.
+// Inline validation message under a form field
+const FieldError = ({ id, message }) => (message ? (
+    <p id={id} className="mt-1 text-xs text-red-600" role="alert">{message}</p>
+) : null);
+
+// Form fields that show their own errors; anything else is listed at the top of the form
+const TASK_FORM_FIELDS = ['title', 'description', 'dueDate', 'priority', 'project', 'tags', 'assignees', 'reminderOffsets', 'recurrence'];
+
+// members: everyone in the current workspace, offered as assignees
+const TaskForm = ({ isModalOpen, closeModal, onSave, taskToEdit, onPreviewRecurrence, projects, members = [], defaultProject }) => {
+    const isEditing = Boolean(taskToEdit);
+    const [title, setTitle] = useState(taskToEdit?.title || '');
+    const [description, setDescription] = useState(taskToEdit?.description || '');
+    const [dueDate, setDueDate] = useState(toDateInputValue(taskToEdit?.dueDate));
+    const [priority, setPriority] = useState(taskToEdit?.priority || 'medium');
+    const [project, setProject] = useState(taskToEdit ? (taskToEdit.project || '') : (defaultProject || ''));
+    const [tagsInput, setTagsInput] = useState((taskToEdit?.tags || []).join(', '));
+    const [assignees, setAssignees] = useState(taskToEdit?.assignees || []);
+    const [reminderOffsets, setReminderOffsets] = useState(taskToEdit?.reminderOffsets || DEFAULT_REMINDER_OFFSETS);
+    const [completeWhenChecklistDone, setCompleteWhenChecklistDone] = useState(Boolean(taskToEdit?.completeWhenChecklistDone));
+    const [repeat, setRepeat] = useState(() => toRepeatState(taskToEdit?.recurrence));
+    const [fieldErrors, setFieldErrors] = useState({}); // From the backend's validation response
+    const [saving, setSaving] = useState(false);
+
+    // Errors for fields the form does not show (or for the request as a whole)
+    const otherErrors = Object.entries(fieldErrors).filter(([field]) => !TASK_FORM_FIELDS.includes(field));
 
     // Calculate today's date to enforce a minimum due date
     const today = useMemo(() => new Date().toISOString().split('T')[0], []);
 
-    const handleSubmit = (e) => {
+    const toggleAssignee = (memberId) => {
+        setAssignees(prev => (prev.includes(memberId) ? prev.filter(id => id !== memberId) : [...prev, memberId]));
+    };
+
+    const toggleReminder = (offset) => {
+        setReminderOffsets(prev => (prev.includes(offset)
+            ? prev.filter(value => value !== offset)
+            : [...prev, offset].sort((a, b) => a - b)));
+    };
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
 
-        onSave({
+        const taskData = {
             title: title.trim(),
             description: description.trim(),
             // Ensure dueDate is formatted as an ISO string or null for Mongoose
             dueDate: dueDate ? new Date(dueDate).toISOString() : null, 
-        });
+            priority,
+            project: project || null,
+            tags: parseTags(tagsInput),
+            assignees,
+            reminderOffsets,
+            completeWhenChecklistDone,
+            recurrence: toRecurrenceRule(repeat),
+        };
+
+        const save = async (request) => {
+            setSaving(true);
+            setFieldErrors({});
+            try {
+                return await request();
+            } finally {
+                setSaving(false);
+            }
+        };
+
+        let result = null;
+        if (isEditing) {
+            // PATCH semantics: only send the fields that actually changed
+            const changes = {};
+            if (taskData.title !== taskToEdit.title) changes.title = taskData.title;
+            if (taskData.description !== taskToEdit.description) changes.description = taskData.description;
+            if (dueDate !== toDateInputValue(taskToEdit.dueDate)) changes.dueDate = taskData.dueDate;
+            if (priority !== (taskToEdit.priority || 'medium')) changes.priority = priority;
+            if (project !== (taskToEdit.project || '')) changes.project = taskData.project;
+            if (JSON.stringify(taskData.tags) !== JSON.stringify(taskToEdit.tags || [])) changes.tags = taskData.tags;
+            if (JSON.stringify([...assignees].sort()) !== JSON.stringify([...(taskToEdit.assignees || [])].sort())) changes.assignees = assignees;
+            if (JSON.stringify(reminderOffsets) !== JSON.stringify(taskToEdit.reminderOffsets || DEFAULT_REMINDER_OFFSETS)) changes.reminderOffsets = reminderOffsets;
+            if (completeWhenChecklistDone !== Boolean(taskToEdit.completeWhenChecklistDone)) changes.completeWhenChecklistDone = completeWhenChecklistDone;
+            if (JSON.stringify(taskData.recurrence) !== JSON.stringify(toRecurrenceRule(toRepeatState(taskToEdit.recurrence)))) {
+                changes.recurrence = taskData.recurrence;
+            }
+
+            if (Object.keys(changes).length > 0) result = await save(() => onSave(taskToEdit._id, changes, taskToEdit.version));
+        } else {
+            result = await save(() => onSave(taskData));
+        }
+
+        // Invalid input: keep the form open and show the messages next to the fields
+        if (result?.fieldErrors) {
+            setFieldErrors(result.fieldErrors);
+            return;
+        }
 
         // Reset form and close modal
         setTitle('');
         setDescription('');
         setDueDate('');
+        setPriority('medium');
+        setProject('');
+        setTagsInput('');
+        setAssignees([]);
+        setReminderOffsets(DEFAULT_REMINDER_OFFSETS);
+        setRepeat(toRepeatState(null));
         closeModal();
     };
 
@@ -74,20 +650,30 @@ const TaskForm = ({ isModalOpen, closeModal, onSave }) => {
         // Mobile optimization: Added flex-col and overflow for small screens
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900 bg-opacity-70 backdrop-blur-sm p-4 overflow-y-auto">
             <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 transform transition-all my-auto">
-                <h2 className="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">Create New Task</h2>
+                <h2 className="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">{isEditing ? 'Edit Task' : 'Create New Task'}</h2>
                 <form onSubmit={handleSubmit}>
+                    {/* Errors that do not belong to a field shown below */}
+                    {otherErrors.length > 0 && (
+                        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700" role="alert">
+                            {otherErrors.map(([field, message]) => <p key={field}>{message}</p>)}
+                        </div>
+                    )}
+
                     {/* Title Input (Mandatory) */}
                     <div className="mb-4">
                         <label htmlFor="title" className="block text-sm font-medium text-gray-700">Title <span className="text-red-500">*</span></label>
                         <input
                             type="text"
                             id="title"
+                            aria-invalid={Boolean(fieldErrors.title)}
+                            aria-describedby={fieldErrors.title ? 'title-error' : undefined}
                             value={title}
                             onChange={(e) => setTitle(e.target.value)}
                             className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-3 border"
                             required
                             placeholder="Task title (e.g., Implement POST /api/tasks)"
                         />
+                        <FieldError id="title-error" message={fieldErrors.title} />
                     </div>
 
                     {/* Description Input (Mandatory) */}
@@ -95,6 +681,8 @@ const TaskForm = ({ isModalOpen, closeModal, onSave }) => {
                         <label htmlFor="description" className="block text-sm font-medium text-gray-700">Description <span className="text-red-500">*</span></label>
                         <textarea
                             id="description"
+                            aria-invalid={Boolean(fieldErrors.description)}
+                            aria-describedby={fieldErrors.description ? 'description-error' : undefined}
                             value={description}
                             onChange={(e) => setDescription(e.target.value)}
                             rows="3"
@@ -102,6 +690,7 @@ const TaskForm = ({ isModalOpen, closeModal, onSave }) => {
                             required
                             placeholder="Detailed steps or notes for the task..."
                         />
+                        <FieldError id="description-error" message={fieldErrors.description} />
                     </div>
 
                     {/* Due Date Input */}
@@ -110,11 +699,132 @@ const TaskForm = ({ isModalOpen, closeModal, onSave }) => {
                         <input
                             type="date"
                             id="dueDate"
+                            aria-invalid={Boolean(fieldErrors.dueDate)}
+                            aria-describedby={fieldErrors.dueDate ? 'dueDate-error' : undefined}
                             value={dueDate}
                             onChange={(e) => setDueDate(e.target.value)}
                             className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-3 border"
-                            min={today}
+                            min={isEditing ? undefined : today} // Existing (possibly overdue) dates stay valid while editing
+                        />
+                        <FieldError id="dueDate-error" message={fieldErrors.dueDate} />
+                    </div>
+
+                    {/* Priority and Project */}
+                    <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="priority" className="block text-sm font-medium text-gray-700">Priority</label>
+                            <select
+                                id="priority"
+                                aria-invalid={Boolean(fieldErrors.priority)}
+                                aria-describedby={fieldErrors.priority ? 'priority-error' : undefined}
+                                value={priority}
+                                onChange={(e) => setPriority(e.target.value)}
+                                className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-3 border bg-white capitalize"
+                            >
+                                {PRIORITY_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                            </select>
+                            <FieldError id="priority-error" message={fieldErrors.priority} />
+                        </div>
+                        <div>
+                            <label htmlFor="project" className="block text-sm font-medium text-gray-700">Project</label>
+                            <select
+                                id="project"
+                                aria-invalid={Boolean(fieldErrors.project)}
+                                aria-describedby={fieldErrors.project ? 'project-error' : undefined}
+                                value={project}
+                                onChange={(e) => setProject(e.target.value)}
+                                className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-3 border bg-white"
+                            >
+                                <option value="">No project</option>
+                                {projects.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+                            </select>
+                            <FieldError id="project-error" message={fieldErrors.project} />
+                        </div>
+                    </div>
+
+                    {/* Tags Input (comma-separated) */}
+                    <div className="mb-4">
+                        <label htmlFor="tags" className="block text-sm font-medium text-gray-700">Tags (Optional)</label>
+                        <input
+                            type="text"
+                            id="tags"
+                            aria-invalid={Boolean(fieldErrors.tags)}
+                            aria-describedby={fieldErrors.tags ? 'tags-error' : undefined}
+                            value={tagsInput}
+                            onChange={(e) => setTagsInput(e.target.value)}
+                            className="mt-1 block w-full rounded-lg border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-3 border"
+                            placeholder="Comma-separated, e.g. backend, bug"
+                        />
+                        <FieldError id="tags-error" message={fieldErrors.tags} />
+                    </div>
+
+                    {/* Assignees (members of the current workspace; shown once it has more than one) */}
+                    {members.length > 1 && (
+                        <fieldset className="mb-4">
+                            <legend className="block text-sm font-medium text-gray-700">Assignees</legend>
+                            <div className="mt-1 flex flex-wrap gap-2">
+                                {members.map(member => {
+                                    const isOn = assignees.includes(member._id);
+                                    return (
+                                        <button
+                                            key={member._id}
+                                            type="button"
+                                            onClick={() => toggleAssignee(member._id)}
+                                            aria-pressed={isOn}
+                                            className={`flex items-center space-x-1.5 pl-1 pr-3 py-1 text-xs font-medium rounded-full border transition duration-150 ${isOn ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                                        >
+                                            <MemberAvatar user={member} /> <span>{member.name}</span>
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                            <FieldError id="assignees-error" message={fieldErrors.assignees} />
+                        </fieldset>
+                    )}
+
+                    {/* Reminder Offsets (sent in-app, and by email when the server has SMTP configured) */}
+                    <fieldset className="mb-4">
+                        <legend className="block text-sm font-medium text-gray-700">Reminders</legend>
+                        <div className="mt-1 flex flex-wrap gap-2">
+                            {REMINDER_OPTIONS.map(option => {
+                                const isOn = reminderOffsets.includes(option.value);
+                                return (
+                                    <button
+                                        key={option.value}
+                                        type="button"
+                                        onClick={() => toggleReminder(option.value)}
+                                        aria-pressed={isOn}
+                                        className={`px-3 py-1 text-xs font-medium rounded-full border transition duration-150 ${isOn ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                                    >
+                                        {option.label}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                        <p className="mt-1 text-xs text-gray-500">
+                            {dueDate ? 'You are also notified once if the task becomes overdue.' : 'Reminders apply once the task has a due date.'}
+                        </p>
+                        <FieldError id="reminderOffsets-error" message={fieldErrors.reminderOffsets} />
+                    </fieldset>
+
+                    {/* Recurrence Controls */}
+                    <RecurrenceFields repeat={repeat} onChange={setRepeat} dueDate={dueDate} onPreview={onPreviewRecurrence} />
+                    {fieldErrors.recurrence && (
+                        <div className="-mt-2 mb-4"><FieldError id="recurrence-error" message={fieldErrors.recurrence} /></div>
+                    )}
+
+                    {/* Checklist Auto-Complete Option */}
+                    <div className="mb-6 flex items-center space-x-2">
+                        <input
+                            type="checkbox"
+                            id="completeWhenChecklistDone"
+                            checked={completeWhenChecklistDone}
+                            onChange={(e) => setCompleteWhenChecklistDone(e.target.checked)}
+                            className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
                         />
+                        <label htmlFor="completeWhenChecklistDone" className="text-sm text-gray-700">
+                            Mark task done when all checklist items are done
+                        </label>
                     </div>
 
                     {/* Action Buttons */}
@@ -129,9 +839,9 @@ const TaskForm = ({ isModalOpen, closeModal, onSave }) => {
                         <button
                             type="submit"
                             className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md disabled:opacity-50"
-                            disabled={!title.trim() || !description.trim()}
+                            disabled={saving || !title.trim() || !description.trim()}
                         >
-                            Create Task
+                            {saving ? 'Saving...' : isEditing ? 'Save Changes' : 'Create Task'}
                         </button>
                     </div>
                 </form>
@@ -140,79 +850,796 @@ const TaskForm = ({ isModalOpen, closeModal, onSave }) => {
     );
 };
 
-// --- TaskItem Component ---
-const TaskItem = ({ task, onUpdateStatus, onDelete }) => {
-    const statusColors = useMemo(() => ({
-        'Pending': 'bg-red-100 text-red-800',
-        'In Progress': 'bg-yellow-100 text-yellow-800',
-        'Completed': 'bg-green-100 text-green-800',
-    }), []);
-
-    const nextStatus = useMemo(() => {
-        switch (task.status) {
-            case 'Pending':
-                return 'In Progress';
-            case 'In Progress':
-                return 'Completed';
-            case 'Completed':
-                return 'Pending';
-            default:
-                return 'Pending';
-        }
-    }, [task.status]);
+// --- ChecklistSection Component (Subtasks inside a TaskItem) ---
+const ChecklistSection = ({ task, actions, readOnly = false }) => {
+    const [newItemText, setNewItemText] = useState('');
+    const items = task.checklist || [];
+    const progress = task.progress ?? 0;
 
-    const isCompleted = task.status === 'Completed';
-    const statusStyle = statusColors[task.status] || 'bg-gray-100 text-gray-800';
-    
-    // Check if the task is overdue (but not yet completed)
-    const isOverdue = useMemo(() => {
-        if (!task.dueDate || isCompleted) return false;
-        
-        // Convert Mongoose ISO string date to Date object
-        const dateToCheck = new Date(task.dueDate);
-        
-        // Use midnight of the due date for accurate comparison
-        const dueDateMidnight = new Date(dateToCheck.getFullYear(), dateToCheck.getMonth(), dateToCheck.getDate());
-        const nowMidnight = new Date();
-        nowMidnight.setHours(0, 0, 0, 0); // Set time to midnight for comparison
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (!newItemText.trim()) return;
+        actions.add(task, newItemText.trim());
+        setNewItemText('');
+    };
 
-        return dueDateMidnight < nowMidnight;
-    }, [task.dueDate, isCompleted]);
+    // Move an item one slot up (-1) or down (+1) and persist the new order
+    const moveItem = (index, offset) => {
+        const itemIds = items.map(item => item._id);
+        const [moved] = itemIds.splice(index, 1);
+        itemIds.splice(index + offset, 0, moved);
+        actions.reorder(task, itemIds);
+    };
 
-    // Conditional card styles
-    // IMPROVED: Consistent professional styling and vertical spacing (space-y-5)
-    let cardClass = "bg-white border border-gray-200 p-5 rounded-xl shadow-lg hover:shadow-2xl hover:shadow-indigo-300/50 transition-all duration-500 ease-in-out flex flex-col space-y-5 transform hover:scale-[1.01]";
-    
-    if (isCompleted) {
-        // Style for Completed Task
-        cardClass = "bg-green-50 border-green-300 border-2 p-5 rounded-xl shadow-md transition-all duration-500 ease-in-out flex flex-col space-y-5 opacity-90"; 
-    } else if (isOverdue) {
-        // Style for Overdue Task (High visual urgency)
-        cardClass = "bg-red-50 border-red-500 border-2 p-5 rounded-xl shadow-2xl shadow-red-500/50 transition-all duration-500 ease-in-out flex flex-col space-y-5 transform hover:scale-[1.02]"; 
+    return (
+        <div className="space-y-2">
+            {/* Progress Bar (computed server-side) */}
+            {items.length > 0 && (
+                <div>
+                    <div className="flex justify-between text-xs text-gray-500 mb-1">
+                        <span className="flex items-center space-x-1"><ListChecks size={12} /> <span>Checklist</span></span>
+                        <span className="font-semibold">{progress}%</span>
+                    </div>
+                    <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden" role="progressbar" aria-valuenow={progress} aria-valuemin={0} aria-valuemax={100}>
+                        <div className="h-full bg-indigo-500 transition-all duration-500" style={{ width: `${progress}%` }} />
+                    </div>
+                </div>
+            )}
+
+            {/* Checklist Items */}
+            <ul className="space-y-1">
+                {items.map((item, index) => (
+                    <li key={item._id} className="flex items-center space-x-2 text-sm group">
+                        <input
+                            type="checkbox"
+                            checked={item.done}
+                            onChange={(e) => actions.update(task, item._id, { done: e.target.checked })}
+                            disabled={readOnly}
+                            className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                            aria-label={`Mark "${item.text}" as ${item.done ? 'not done' : 'done'}`}
+                        />
+                        <span className={`flex-grow ${item.done ? 'line-through text-gray-400' : 'text-gray-700'}`}>{item.text}</span>
+                        {!readOnly && (
+                            <>
+                                <button onClick={() => moveItem(index, -1)} disabled={index === 0} className="p-1 text-gray-400 hover:text-indigo-600 disabled:opacity-30" title="Move up">
+                                    <ArrowUp size={12} />
+                                </button>
+                                <button onClick={() => moveItem(index, 1)} disabled={index === items.length - 1} className="p-1 text-gray-400 hover:text-indigo-600 disabled:opacity-30" title="Move down">
+                                    <ArrowDown size={12} />
+                                </button>
+                                <button onClick={() => actions.remove(task, item._id)} className="p-1 text-gray-400 hover:text-red-600" title="Remove item">
+                                    <X size={12} />
+                                </button>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {/* Add Item */}
+            {!readOnly && (
+                <form onSubmit={handleAdd} className="flex space-x-2">
+                    <input
+                        type="text"
+                        value={newItemText}
+                        onChange={(e) => setNewItemText(e.target.value)}
+                        placeholder="Add a checklist item..."
+                        aria-label="New checklist item"
+                        className="flex-grow text-sm rounded-lg border-gray-300 p-2 border focus:border-indigo-500 focus:ring-indigo-500"
+                    />
+                    <button
+                        type="submit"
+                        disabled={!newItemText.trim()}
+                        className="px-3 py-1 text-xs font-semibold text-indigo-700 bg-indigo-100 rounded-lg hover:bg-indigo-200 transition duration-150 disabled:opacity-50"
+                    >
+                        Add
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+// Human-readable summary of one field change from the task history
+const describeChange = ({ field, before, after }) => {
+    const show = (value) => {
+        if (value === null || value === undefined || value === '') return 'none';
+        if (field === 'dueDate') return formatDate(value);
+        if (field === 'recurrence') return describeRecurrence(value) || 'does not repeat';
+        if (Array.isArray(value)) return value.length ? value.join(', ') : 'none';
+        return String(value);
+    };
+
+    if (field === 'checklist') {
+        const doneCount = (after || []).filter(item => item.done).length;
+        return `Checklist updated (${doneCount}/${(after || []).length} done)`;
+    }
+    if (field === 'project') {
+        // History stores project ids only, so describe the move rather than naming projects
+        if (!after) return 'Removed from its project';
+        return before ? 'Moved to another project' : 'Added to a project';
     }
+    if (field === 'assignees') {
+        // User ids only, like projects
+        const count = (after || []).length;
+        return count ? `Assignees changed (${count} assigned)` : 'Unassigned';
+    }
+    return `${field}: ${show(before)} \u2192 ${show(after)}`;
+};
 
-    // Dynamic classes for content: bold title, smooth transitions
-    const titleClass = `text-xl font-bold text-gray-800 transition-all duration-500 ${isCompleted ? 'line-through text-gray-500' : ''}`;
-    const descriptionClass = `text-sm text-gray-600 flex-grow transition-all duration-500 ${isCompleted ? 'line-through text-gray-400' : ''}`;
+// --- HistoryPanel Component (Collapsible activity timeline inside a TaskItem) ---
+const HistoryPanel = ({ task, onLoadHistory }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [entries, setEntries] = useState(null);
+    const [historyError, setHistoryError] = useState(null);
+
+    // Reload on every open so the timeline reflects the latest changes
+    const toggle = async () => {
+        const opening = !isOpen;
+        setIsOpen(opening);
+        if (!opening) return;
 
+        setHistoryError(null);
+        try {
+            setEntries(await onLoadHistory(task._id));
+        } catch (e) {
+            console.error("Error loading history:", e);
+            setHistoryError(e.message);
+        }
+    };
 
     return (
-        <div className={cardClass}>
-            <div className="flex justify-between items-start">
-                {/* Title and Status Badge */}
-                <h3 className={titleClass}>
-                    {task.title}
-                </h3>
-                <span className={`px-3 py-1 text-xs font-semibold rounded-full ${statusStyle} transition-colors duration-500`}>
-                    {task.status}
-                </span>
-            </div>
+        <div className="text-xs">
+            <button
+                onClick={toggle}
+                aria-expanded={isOpen}
+                className="flex items-center space-x-1 text-gray-500 hover:text-indigo-700 transition duration-150"
+            >
+                <History size={12} />
+                <span>History</span>
+                <ChevronDown size={12} className={`transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+            </button>
 
-            {/* Description is given ample vertical space */}
-            <p className={descriptionClass}>
+            {isOpen && (
+                <div className="mt-2 border-l-2 border-indigo-100 pl-3 space-y-3 max-h-56 overflow-y-auto">
+                    {historyError && <p className="text-red-600">{historyError}</p>}
+                    {!historyError && entries === null && <p className="text-gray-400">Loading history...</p>}
+                    {entries?.length === 0 && <p className="text-gray-400">No history recorded yet.</p>}
+                    {entries?.map(entry => (
+                        <div key={entry._id} className="relative">
+                            <span className="absolute -left-[1.1rem] top-1 w-2 h-2 rounded-full bg-indigo-400" />
+                            <p className="text-gray-700">
+                                <span className="font-semibold">{entry.actorName}</span> {entry.action} this task
+                            </p>
+                            <p className="text-gray-400">{new Date(entry.createdAt).toLocaleString()}</p>
+                            {entry.action === 'updated' && (
+                                <ul className="mt-1 text-gray-600 space-y-0.5">
+                                    {entry.changes.map(change => <li key={change.field}>{describeChange(change)}</li>)}
+                                </ul>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- TaskDetailDrawer Component (Dependencies, comments and attachments, opened from a TaskItem) ---
+// Mirrors the upload limits in backend/src/routes/attachmentRoutes.js
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_TYPES = [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf',
+    'text/plain', 'text/csv', 'text/markdown', 'application/json',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Viewers (canEdit false) only read; the workspace owner may also delete other people's comments.
+const TaskDetailDrawer = ({ task, tasks, currentUserId, canEdit = true, isWorkspaceOwner = false, actions, onOpenTask, onClose }) => {
+    const [comments, setComments] = useState(null);
+    const [attachments, setAttachments] = useState(null);
+    const [dependencies, setDependencies] = useState(null); // { blockedBy, blocking } task summaries
+    const [newBlockerId, setNewBlockerId] = useState('');
+    const [loadError, setLoadError] = useState(null);
+    const [actionError, setActionError] = useState(null);
+    const [draft, setDraft] = useState('');
+    const [editing, setEditing] = useState(null); // { id, text } while a comment is being edited
+    const [busy, setBusy] = useState(false);
+    const fileInputRef = useRef(null);
+
+    // Load the thread, the file list and the dependencies when the drawer opens (it is keyed by task, so this runs once per task)
+    useEffect(() => {
+        let cancelled = false;
+        const load = async () => {
+            try {
+                const [loadedComments, loadedAttachments, loadedDependencies] = await Promise.all([
+                    actions.loadComments(task._id),
+                    actions.loadAttachments(task._id),
+                    actions.loadDependencies(task._id),
+                ]);
+                if (cancelled) return;
+                setComments(loadedComments);
+                setAttachments(loadedAttachments);
+                setDependencies(loadedDependencies);
+            } catch (e) {
+                console.error("Error loading task details:", e);
+                if (!cancelled) setLoadError(e.message);
+            }
+        };
+        load();
+        return () => { cancelled = true; };
+    }, [task._id, actions]);
+
+    // Escape closes the drawer
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    // Run one change, keeping the drawer open and showing the server's message if it fails
+    const run = async (change) => {
+        setBusy(true);
+        setActionError(null);
+        try {
+            await change();
+            return true;
+        } catch (e) {
+            console.error("Error updating task details:", e);
+            setActionError(e.message);
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const submitComment = async (e) => {
+        e.preventDefault();
+        const text = draft.trim();
+        if (!text) return;
+        const added = await run(async () => {
+            const comment = await actions.addComment(task._id, text);
+            setComments(prev => [...prev, comment]);
+        });
+        if (added) setDraft('');
+    };
+
+    const saveEdit = async () => {
+        const text = editing.text.trim();
+        if (!text) return;
+        const saved = await run(async () => {
+            const comment = await actions.updateComment(task._id, editing.id, text);
+            setComments(prev => prev.map(c => (c._id === comment._id ? comment : c)));
+        });
+        if (saved) setEditing(null);
+    };
+
+    const removeComment = (commentId) => run(async () => {
+        await actions.deleteComment(task._id, commentId);
+        setComments(prev => prev.filter(c => c._id !== commentId));
+    });
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Picking the same file again should still trigger a change
+        if (!file) return;
+
+        // Same checks as the server, so obviously bad files fail without uploading
+        if (!ATTACHMENT_TYPES.includes(file.type)) {
+            setActionError(`"${file.name}" is not an allowed file type.`);
+            return;
+        }
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+            setActionError(`"${file.name}" is larger than ${formatFileSize(MAX_ATTACHMENT_BYTES)}.`);
+            return;
+        }
+        run(async () => {
+            const attachment = await actions.uploadAttachment(task._id, file);
+            setAttachments(prev => [...prev, attachment]);
+        });
+    };
+
+    // Loaded tasks this one could be marked as blocked by (the server refuses ones that would close a cycle)
+    const blockerCandidates = useMemo(() => tasks.filter(candidate => (
+        candidate._id !== task._id && !isLocalTask(candidate) && !dependencies?.blockedBy.some(blocker => blocker._id === candidate._id)
+    )), [tasks, task._id, dependencies]);
+
+    const addBlocker = async (e) => {
+        e.preventDefault();
+        if (!newBlockerId) return;
+        const added = await run(async () => {
+            await actions.addDependency(task._id, newBlockerId);
+            setDependencies(await actions.loadDependencies(task._id));
+        });
+        if (added) setNewBlockerId('');
+    };
+
+    const removeBlocker = (blockerId) => run(async () => {
+        await actions.removeDependency(task._id, blockerId);
+        setDependencies(prev => ({ ...prev, blockedBy: prev.blockedBy.filter(blocker => blocker._id !== blockerId) }));
+    });
+
+    const removeAttachment = (attachment) => {
+        if (!window.confirm(`Delete "${attachment.fileName}"?`)) return;
+        run(async () => {
+            await actions.deleteAttachment(task._id, attachment._id);
+            setAttachments(prev => prev.filter(a => a._id !== attachment._id));
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 flex justify-end bg-gray-900 bg-opacity-50" onClick={onClose}>
+            <aside
+                className="w-full max-w-md h-full bg-white shadow-2xl flex flex-col"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="task-detail-title"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-start justify-between p-5 border-b">
+                    <div>
+                        <h2 id="task-detail-title" className="text-xl font-bold text-gray-800">{task.title}</h2>
+                        <p className="text-xs text-gray-500 mt-1">{task.status} &middot; Created {formatDate(task.createdAt)}</p>
+                    </div>
+                    <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-700 rounded-full" aria-label="Close details">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="flex-grow overflow-y-auto p-5 space-y-6">
+                    {loadError && <p className="text-sm text-red-600">Could not load details: {loadError}</p>}
+                    {actionError && <p className="text-sm text-red-600" role="alert">{actionError}</p>}
+
+                    {/* Dependencies: tasks this one waits for (removable) and tasks waiting for it */}
+                    <section>
+                        <h3 className="flex items-center space-x-1 text-sm font-semibold text-gray-700 mb-2">
+                            <Link2 size={14} /> <span>Dependencies</span>
+                        </h3>
+                        {dependencies === null && !loadError && <p className="text-xs text-gray-400">Loading dependencies...</p>}
+                        {dependencies && (
+                            <div className="space-y-3">
+                                <div>
+                                    <p className="text-xs font-medium text-gray-500 mb-1">Blocked by</p>
+                                    {dependencies.blockedBy.length === 0 && <p className="text-xs text-gray-400">Nothing. This task can start any time.</p>}
+                                    <ul className="space-y-1">
+                                        {dependencies.blockedBy.map(blocker => (
+                                            <li key={blocker._id} className="flex items-center justify-between bg-gray-50 border rounded-lg px-3 py-1.5 text-sm">
+                                                <button
+                                                    onClick={() => onOpenTask(blocker._id)}
+                                                    className={`flex items-center space-x-2 text-left hover:underline min-w-0 ${blocker.done ? 'text-gray-400 line-through' : 'text-indigo-700'}`}
+                                                    title={`Open "${blocker.title}"`}
+                                                >
+                                                    {blocker.done ? <CheckCircle size={14} className="flex-shrink-0" /> : <Lock size={14} className="flex-shrink-0" />}
+                                                    <span className="truncate">{blocker.title}</span>
+                                                </button>
+                                                <div className="flex items-center space-x-2 flex-shrink-0 ml-2">
+                                                    <span className="text-xs text-gray-400">{blocker.status}</span>
+                                                    {canEdit && (
+                                                        <button
+                                                            onClick={() => removeBlocker(blocker._id)}
+                                                            disabled={busy}
+                                                            className="p-1 text-gray-400 hover:text-red-700 rounded-full disabled:opacity-50"
+                                                            title="Remove dependency"
+                                                        >
+                                                            <X size={14} />
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                                {dependencies.blocking.length > 0 && (
+                                    <div>
+                                        <p className="text-xs font-medium text-gray-500 mb-1">Blocking</p>
+                                        <ul className="flex flex-wrap gap-1">
+                                            {dependencies.blocking.map(dependent => (
+                                                <li key={dependent._id}>
+                                                    <button
+                                                        onClick={() => onOpenTask(dependent._id)}
+                                                        className="px-2 py-0.5 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-full hover:bg-indigo-100 transition duration-150"
+                                                        title={`Open "${dependent.title}"`}
+                                                    >
+                                                        {dependent.title}
+                                                    </button>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+                                {canEdit && (
+                                    <form onSubmit={addBlocker} className="flex items-center space-x-2">
+                                        <select
+                                            value={newBlockerId}
+                                            onChange={(e) => setNewBlockerId(e.target.value)}
+                                            className="flex-grow min-w-0 p-1.5 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                                            aria-label="Task that blocks this one"
+                                        >
+                                            <option value="">Blocked by...</option>
+                                            {blockerCandidates.map(candidate => (
+                                                <option key={candidate._id} value={candidate._id}>{candidate.title}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            type="submit"
+                                            disabled={busy || !newBlockerId}
+                                            className="px-3 py-1.5 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100 transition duration-150 disabled:opacity-50"
+                                        >
+                                            Add
+                                        </button>
+                                    </form>
+                                )}
+                            </div>
+                        )}
+                    </section>
+
+                    {/* Attachments */}
+                    <section>
+                        <div className="flex items-center justify-between mb-2">
+                            <h3 className="flex items-center space-x-1 text-sm font-semibold text-gray-700">
+                                <Paperclip size={14} /> <span>Attachments</span>
+                            </h3>
+                            {canEdit && (
+                                <button
+                                    onClick={() => fileInputRef.current.click()}
+                                    disabled={busy || attachments === null}
+                                    className="flex items-center space-x-1 px-3 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100 transition duration-150 disabled:opacity-50"
+                                >
+                                    <Upload size={12} /> <span>Upload</span>
+                                </button>
+                            )}
+                            <input ref={fileInputRef} type="file" accept={ATTACHMENT_TYPES.join(',')} onChange={handleFile} className="hidden" />
+                        </div>
+                        {attachments === null && !loadError && <p className="text-xs text-gray-400">Loading attachments...</p>}
+                        {attachments?.length === 0 && <p className="text-xs text-gray-400">No files attached yet.</p>}
+                        <ul className="space-y-2">
+                            {attachments?.map(attachment => (
+                                <li key={attachment._id} className="flex items-center justify-between bg-gray-50 border rounded-lg px-3 py-2 text-sm">
+                                    <button
+                                        onClick={() => run(() => actions.downloadAttachment(task._id, attachment))}
+                                        className="flex items-center space-x-2 text-left text-indigo-700 hover:underline min-w-0"
+                                        title={`Download "${attachment.fileName}"`}
+                                    >
+                                        <Download size={14} className="flex-shrink-0" />
+                                        <span className="truncate">{attachment.fileName}</span>
+                                    </button>
+                                    <div className="flex items-center space-x-2 flex-shrink-0 ml-2">
+                                        <span className="text-xs text-gray-400">{formatFileSize(attachment.size)}</span>
+                                        {canEdit && (
+                                            <button
+                                                onClick={() => removeAttachment(attachment)}
+                                                disabled={busy}
+                                                className="p-1 text-gray-400 hover:text-red-700 rounded-full disabled:opacity-50"
+                                                title="Delete attachment"
+                                            >
+                                                <Trash2 size={14} />
+                                            </button>
+                                        )}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    </section>
+
+                    {/* Comments */}
+                    <section>
+                        <h3 className="flex items-center space-x-1 text-sm font-semibold text-gray-700 mb-2">
+                            <MessageSquare size={14} /> <span>Comments</span>
+                        </h3>
+                        {comments === null && !loadError && <p className="text-xs text-gray-400">Loading comments...</p>}
+                        {comments?.length === 0 && <p className="text-xs text-gray-400">No comments yet. Start the discussion below.</p>}
+                        <ul className="space-y-3">
+                            {comments?.map(comment => {
+                                const canChange = canEdit && comment.author === currentUserId;
+                                const canDelete = canChange || isWorkspaceOwner;
+                                const isEditing = editing?.id === comment._id;
+                                return (
+                                    <li key={comment._id} className="border-l-2 border-indigo-100 pl-3">
+                                        <div className="flex items-center justify-between">
+                                            <p className="text-xs text-gray-500">
+                                                <span className="font-semibold text-gray-700">{comment.authorName}</span>
+                                                {' '}&middot; {new Date(comment.createdAt).toLocaleString()}
+                                                {comment.editedAt && <span className="italic"> (edited)</span>}
+                                            </p>
+                                            {canDelete && !isEditing && (
+                                                <div className="flex items-center space-x-1">
+                                                    {canChange && (
+                                                        <button
+                                                            onClick={() => setEditing({ id: comment._id, text: comment.body })}
+                                                            className="p-1 text-gray-400 hover:text-indigo-700 rounded-full"
+                                                            title="Edit comment"
+                                                        >
+                                                            <Pencil size={12} />
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => removeComment(comment._id)}
+                                                        disabled={busy}
+                                                        className="p-1 text-gray-400 hover:text-red-700 rounded-full disabled:opacity-50"
+                                                        title="Delete comment"
+                                                    >
+                                                        <Trash2 size={12} />
+                                                    </button>
+                                                </div>
+                                            )}
+                                        </div>
+                                        {isEditing ? (
+                                            <div className="mt-1 space-y-2">
+                                                <textarea
+                                                    value={editing.text}
+                                                    onChange={(e) => setEditing(prev => ({ ...prev, text: e.target.value }))}
+                                                    rows="3"
+                                                    className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                                                    aria-label="Edit comment"
+                                                />
+                                                <div className="flex justify-end space-x-2">
+                                                    <button onClick={() => setEditing(null)} className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300">
+                                                        Cancel
+                                                    </button>
+                                                    <button onClick={saveEdit} disabled={busy} className="px-3 py-1 text-xs font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                                                        Save
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        ) : (
+                                            <p className="mt-1 text-sm text-gray-800 whitespace-pre-wrap break-words">{comment.body}</p>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </section>
+                </div>
+
+                {/* New Comment (viewers only read the discussion) */}
+                {canEdit && (
+                    <form onSubmit={submitComment} className="border-t p-4 space-y-2">
+                        <textarea
+                            value={draft}
+                            onChange={(e) => setDraft(e.target.value)}
+                            rows="3"
+                            placeholder="Write a comment..."
+                            className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                            aria-label="New comment"
+                        />
+                        <div className="flex justify-end">
+                            <button
+                                type="submit"
+                                disabled={busy || !draft.trim() || comments === null}
+                                className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md disabled:opacity-50"
+                            >
+                                Comment
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </aside>
+        </div>
+    );
+};
+
+// Colored chip naming the project a task belongs to
+const ProjectChip = ({ project }) => (
+    <span
+        className="flex items-center space-x-1 px-2 py-0.5 text-xs font-semibold rounded-full"
+        style={{ backgroundColor: `${project.color}1a`, color: project.color }}
+    >
+        <Folder size={10} /> <span>{project.name}</span>
+    </span>
+);
+
+// --- Member Avatars and AssigneePicker (assignees on a TaskItem) ---
+const AVATAR_COLORS = ['#6366f1', '#0ea5e9', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6'];
+
+// "Ada Lovelace" -> "AL"
+const initialsOf = (name = '') => name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('') || '?';
+
+// Same user, same color, on every card
+const avatarColor = (userId) => AVATAR_COLORS[[...String(userId)].reduce((sum, char) => sum + char.charCodeAt(0), 0) % AVATAR_COLORS.length];
+
+const MemberAvatar = ({ user }) => (
+    <span
+        className="inline-flex items-center justify-center w-6 h-6 rounded-full text-[10px] font-bold text-white ring-2 ring-white"
+        style={{ backgroundColor: avatarColor(user._id) }}
+        title={user.name}
+    >
+        {initialsOf(user.name)}
+    </span>
+);
+
+// Assignee avatars plus, for editors, a dropdown to assign or unassign workspace members
+const AssigneePicker = ({ task, members, canEdit, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const assignees = task.assignees || [];
+    const assigned = members.filter(member => assignees.includes(member._id));
+
+    const toggle = (memberId) => onChange(task, assignees.includes(memberId)
+        ? assignees.filter(id => id !== memberId)
+        : [...assignees, memberId]);
+
+    if (!canEdit && assigned.length === 0) return null;
+
+    return (
+        <div className="relative flex items-center space-x-2">
+            <div className="flex -space-x-1.5">
+                {assigned.map(member => <MemberAvatar key={member._id} user={member} />)}
+            </div>
+            {canEdit && (
+                <button
+                    onClick={() => setIsOpen(open => !open)}
+                    className="flex items-center space-x-1 text-xs text-gray-500 hover:text-indigo-700"
+                    aria-expanded={isOpen}
+                    title="Assign members"
+                >
+                    <UserPlus size={14} /> {assigned.length === 0 && <span>Assign</span>}
+                </button>
+            )}
+
+            {isOpen && (
+                <>
+                    {/* Invisible backdrop: clicking anywhere else closes the picker */}
+                    <div className="fixed inset-0 z-20" onClick={() => setIsOpen(false)} />
+                    <ul className="absolute left-0 top-8 w-56 max-h-64 overflow-y-auto bg-white rounded-lg shadow-xl border z-30 py-1" aria-label="Assignees">
+                        {members.map(member => (
+                            <li key={member._id}>
+                                <label className="flex items-center space-x-2 px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={assignees.includes(member._id)}
+                                        onChange={() => toggle(member._id)}
+                                        className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                                    />
+                                    <MemberAvatar user={member} />
+                                    <span className="truncate">{member.name}</span>
+                                </label>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+};
+
+// --- TaskItem Component ---
+// members: everyone in the workspace (for assignee avatars); canEdit is false for viewers, who only read
+const TaskItem = ({ task, project, workflow, blockers = [], members = [], canEdit = true, onUpdateStatus, onUpdateAssignees, onEdit, onDelete, onLoadHistory, onOpenDetails, onOpenTask, checklistActions, selectable, selected, onToggleSelect, onFilterTag }) => {
+    const nextStatus = useMemo(() => nextStatusFor(workflow, task.status), [workflow, task.status]);
+    const openBlockers = blockers.filter(blocker => !blocker.done); // Tasks that must be done before this one can start
+
+    const isCompleted = task.status === workflow.doneStatus;
+    const isLocal = isLocalTask(task);
+    
+    // Check if the task is overdue (but not yet completed)
+    const isOverdue = useMemo(() => {
+        if (!task.dueDate || isCompleted) return false;
+        
+        // Convert Mongoose ISO string date to Date object
+        const dateToCheck = new Date(task.dueDate);
+        
+        // Use midnight of the due date for accurate comparison
+        const dueDateMidnight = new Date(dateToCheck.getFullYear(), dateToCheck.getMonth(), dateToCheck.getDate());
+        const nowMidnight = new Date();
+        nowMidnight.setHours(0, 0, 0, 0); // Set time to midnight for comparison
+
+        return dueDateMidnight < nowMidnight;
+    }, [task.dueDate, isCompleted]);
+
+    // Conditional card styles
+    // IMPROVED: Consistent professional styling and vertical spacing (space-y-5)
+    let cardClass = "bg-white border border-gray-200 p-5 rounded-xl shadow-lg hover:shadow-2xl hover:shadow-indigo-300/50 transition-all duration-500 ease-in-out flex flex-col space-y-5 transform hover:scale-[1.01]";
+    
+    if (isCompleted) {
+        // Style for Completed Task
+        cardClass = "bg-green-50 border-green-300 border-2 p-5 rounded-xl shadow-md transition-all duration-500 ease-in-out flex flex-col space-y-5 opacity-90"; 
+    } else if (isOverdue) {
+        // Style for Overdue Task (High visual urgency)
+        cardClass = "bg-red-50 border-red-500 border-2 p-5 rounded-xl shadow-2xl shadow-red-500/50 transition-all duration-500 ease-in-out flex flex-col space-y-5 transform hover:scale-[1.02]"; 
+    }
+
+    // Dynamic classes for content: bold title, smooth transitions
+    const titleClass = `text-xl font-bold text-gray-800 transition-all duration-500 ${isCompleted ? 'line-through text-gray-500' : ''}`;
+    const descriptionClass = `text-sm text-gray-600 flex-grow transition-all duration-500 ${isCompleted ? 'line-through text-gray-400' : ''}`;
+
+
+    return (
+        <div className={`${cardClass} ${selected ? 'ring-4 ring-indigo-400' : ''}`}>
+            <div className="flex justify-between items-start">
+                {/* Multi-select Checkbox (only in selection mode) */}
+                {selectable && (
+                    <button
+                        onClick={() => onToggleSelect(task._id)}
+                        className="mr-2 mt-1 text-indigo-600 flex-shrink-0"
+                        role="checkbox"
+                        aria-checked={selected}
+                        aria-label={`Select "${task.title}"`}
+                    >
+                        {selected ? <CheckSquare size={20} /> : <Square size={20} />}
+                    </button>
+                )}
+
+                {/* Title and Status Badge */}
+                <h3 className={`${titleClass} flex-grow`}>
+                    {task.title}
+                </h3>
+                <span className="px-3 py-1 text-xs font-semibold rounded-full transition-colors duration-500" style={statusBadgeStyle(workflow, task.status)}>
+                    {task.status}
+                </span>
+            </div>
+
+            {/* Description is given ample vertical space */}
+            <p className={descriptionClass}>
                 {task.description || 'No description provided.'}
             </p>
 
+            {/* Priority, Project and Tags (clicking a tag filters the list by it) */}
+            <div className="flex flex-wrap gap-1">
+                <span className={`flex items-center space-x-1 px-2 py-0.5 text-xs font-semibold rounded-full capitalize ${PRIORITY_COLORS[task.priority] || PRIORITY_COLORS.medium}`}>
+                    <Flag size={10} /> <span>{task.priority || 'medium'}</span>
+                </span>
+                {project && <ProjectChip project={project} />}
+                {task.tags?.map(tag => (
+                    <button
+                        key={tag}
+                        onClick={() => onFilterTag(tag)}
+                        className="flex items-center space-x-1 px-2 py-0.5 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-full hover:bg-indigo-100 transition duration-150"
+                        title={`Show tasks tagged "${tag}"`}
+                    >
+                        <Tag size={10} /> <span>{tag}</span>
+                    </button>
+                ))}
+            </div>
+
+            {/* Blocked by unfinished tasks (each links to that task's details) */}
+            {openBlockers.length > 0 && (
+                <div className="flex flex-wrap items-center gap-1 text-xs font-medium text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+                    <Lock size={12} className="flex-shrink-0" />
+                    <span>Blocked by</span>
+                    {openBlockers.map((blocker, index) => (
+                        <span key={blocker._id}>
+                            <button
+                                onClick={() => onOpenTask(blocker._id)}
+                                className="underline hover:text-amber-950"
+                                title={`Open "${blocker.title}" (${blocker.status})`}
+                            >
+                                {blocker.title}
+                            </button>
+                            {index < openBlockers.length - 1 && ','}
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {/* Assignees (offline tasks are assigned through the form until they sync) */}
+            {!isLocal && <AssigneePicker task={task} members={members} canEdit={canEdit} onChange={onUpdateAssignees} />}
+
+            {/* Tasks created offline only exist on this device until the outbox syncs them */}
+            {isLocal ? (
+                <p className="text-xs font-medium text-amber-700">Waiting to sync. Checklist, history, comments and editing are available once it reaches the server.</p>
+            ) : (
+                <>
+                    {/* Checklist / Subtasks */}
+                    <ChecklistSection task={task} actions={checklistActions} readOnly={!canEdit} />
+
+                    {/* Activity Timeline */}
+                    <HistoryPanel task={task} onLoadHistory={onLoadHistory} />
+                </>
+            )}
+
             {/* Date and Action Section */}
             {/* CRITICAL FIX: Changed flex behavior to ensure date info and actions arrange themselves neatly on all screen sizes */}
             <div className="text-xs text-gray-500 border-t pt-3 flex flex-col sm:flex-row justify-between sm:items-center space-y-3 sm:space-y-0">
@@ -235,208 +1662,2261 @@ const TaskItem = ({ task, onUpdateStatus, onDelete }) => {
                             <p>Due: {formatDate(task.dueDate)} {isOverdue && <span className='text-red-700'>(OVERDUE)</span>}</p>
                         </div>
                     }
+
+                    {/* Recurrence Rule */}
+                    {task.recurrence && (
+                        <div className="flex items-center space-x-1 mt-1 text-indigo-600" title="Recurring task">
+                            <Repeat size={12} />
+                            <p>{describeRecurrence(task.recurrence)}</p>
+                        </div>
+                    )}
                 </div>
 
                 {/* Action Buttons: Status Change and Delete */}
                 {/* Ensure buttons are grouped nicely, using full width on mobile for better touch targets */}
                 <div className="flex justify-end space-x-2 items-center w-full sm:w-auto">
-                    {/* Status Change Button (Uses more width on mobile for better readability/touch) */}
-                    <button
-                        onClick={() => onUpdateStatus(task._id, nextStatus)}
-                        className="flex items-center justify-center space-x-1 px-3 py-2 text-xs font-medium text-indigo-700 bg-indigo-100 rounded-full hover:bg-indigo-700 hover:text-white transition duration-300 shadow-md flex-grow sm:flex-grow-0"
-                        title={`Set status to "${nextStatus}"`}
-                    >
-                        {/* Icon changes based on status for clear action */}
-                        {isCompleted ? <Clock size={12} /> : (nextStatus === 'Completed' ? <CheckCircle size={12} /> : <ChevronDown size={12} />)}
-                        <span className="ml-1 text-sm sm:text-xs font-semibold">{isCompleted ? 'Re-open' : `Move to ${nextStatus}`}</span>
-                    </button>
+                    {/* Status Change Button (Uses more width on mobile for better readability/touch; none for a final status) */}
+                    {canEdit && nextStatus && (
+                        <button
+                            onClick={() => onUpdateStatus(task._id, nextStatus)}
+                            className="flex items-center justify-center space-x-1 px-3 py-2 text-xs font-medium text-indigo-700 bg-indigo-100 rounded-full hover:bg-indigo-700 hover:text-white transition duration-300 shadow-md flex-grow sm:flex-grow-0"
+                            title={`Set status to "${nextStatus}"`}
+                        >
+                            {/* Icon changes based on status for clear action */}
+                            {isCompleted ? <Clock size={12} /> : (nextStatus === workflow.doneStatus ? <CheckCircle size={12} /> : <ChevronDown size={12} />)}
+                            <span className="ml-1 text-sm sm:text-xs font-semibold">{isCompleted ? 'Re-open' : `Move to ${nextStatus}`}</span>
+                        </button>
+                    )}
                     
-                    {/* Delete Button (Symbol/Icon) */}
+                    {/* Details Button (Opens the comments and attachments drawer) */}
                     <button
-                        onClick={() => onDelete(task._id)}
-                        className="p-2 text-gray-400 hover:text-red-700 hover:bg-red-100 rounded-full transition duration-300"
-                        title="Delete Task"
+                        onClick={() => onOpenDetails(task)}
+                        disabled={isLocal}
+                        className="p-2 text-gray-400 hover:text-indigo-700 hover:bg-indigo-100 rounded-full transition duration-300 disabled:opacity-40 disabled:pointer-events-none"
+                        title="Comments and attachments"
                     >
-                        <Trash2 size={16} /> {/* Slightly smaller icon size for better balance */}
+                        <MessageSquare size={16} />
                     </button>
+
+                    {/* Edit and Delete Buttons (not for viewers) */}
+                    {canEdit && (
+                        <>
+                            {/* Edit Button (Opens the modal pre-filled with this task) */}
+                            <button
+                                onClick={() => onEdit(task)}
+                                disabled={isLocal}
+                                className="p-2 text-gray-400 hover:text-indigo-700 hover:bg-indigo-100 rounded-full transition duration-300 disabled:opacity-40 disabled:pointer-events-none"
+                                title="Edit Task"
+                            >
+                                <Pencil size={16} />
+                            </button>
+
+                            {/* Delete Button (Symbol/Icon) */}
+                            <button
+                                onClick={() => onDelete(task._id, task.version)}
+                                className="p-2 text-gray-400 hover:text-red-700 hover:bg-red-100 rounded-full transition duration-300"
+                                title="Delete Task"
+                            >
+                                <Trash2 size={16} /> {/* Slightly smaller icon size for better balance */}
+                            </button>
+                        </>
+                    )}
                 </div>
             </div>
         </div>
     );
 };
 
-// --- Footer Component ---
-const Footer = ({ showNotification }) => (
-    <footer className="bg-gray-900 text-white mt-8">
-        <div className="max-w-6xl mx-auto p-6 flex flex-col sm:flex-row justify-between items-center border-t border-gray-700/50">
-            <p className="text-sm text-gray-400 mb-4 sm:mb-0">
-                &copy; {new Date().getFullYear()} Taskify App. All rights reserved.
-            </p>
-            
-            {/* Social Media Icons */}
-            <div className="flex space-x-6">
-                <a 
-                    href="#" // Preventing default navigation
-                    onClick={(e) => {
-                        e.preventDefault();
-                        showNotification('For contact, please use the LinkedIn link.', 'info');
-                    }}
-                    rel="noopener noreferrer" 
-                    className="text-gray-400 hover:text-indigo-400 transition duration-200 transform hover:scale-110"
-                    aria-label="Twitter"
-                >
-                    <Twitter size={20} />
-                </a>
-                <a 
-                    href="https://www.linkedin.com/in/arun-suresh-" // Updated link
-                    target="_blank" 
-                    rel="noopener noreferrer" 
-                    className="text-gray-400 hover:text-indigo-400 transition duration-200 transform hover:scale-110"
-                    aria-label="LinkedIn"
-                >
-                    <Linkedin size={20} />
-                </a>
-                <a 
-                    href="#" // Preventing default navigation
-                    onClick={(e) => {
-                        e.preventDefault();
-                        showNotification('For contact, please use the LinkedIn link.', 'info');
-                    }}
-                    rel="noopener noreferrer" 
-                    className="text-gray-400 hover:text-indigo-400 transition duration-200 transform hover:scale-110"
-                    aria-label="GitHub"
-                >
-                    <Github size={20} />
-                </a>
+// --- ConflictDialog Component ---
+// Shown when a write was rejected because someone else changed the task first.
+const ConflictDialog = ({ conflict, onRetry, onDiscard }) => {
+    if (!conflict) return null;
+
+    const { serverTask, changes, action } = conflict;
+    const isDelete = action === 'delete';
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900 bg-opacity-70 backdrop-blur-sm p-4 overflow-y-auto">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 my-auto" role="alertdialog" aria-labelledby="conflict-title">
+                <h2 id="conflict-title" className="text-2xl font-bold text-gray-800 mb-2 border-b pb-2">Task Changed by Someone Else</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    This task was updated after you loaded it. Review the latest version below, then retry your change or discard it.
+                </p>
+
+                {/* Latest server copy */}
+                <div className="bg-gray-50 border rounded-lg p-4 mb-4 text-sm space-y-1">
+                    <p className="text-xs font-semibold uppercase text-gray-500 mb-1">Latest version</p>
+                    <p><span className="font-semibold">Title:</span> {serverTask.title}</p>
+                    <p><span className="font-semibold">Description:</span> {serverTask.description}</p>
+                    <p><span className="font-semibold">Status:</span> {serverTask.status}</p>
+                    <p><span className="font-semibold">Due:</span> {formatDate(serverTask.dueDate)}</p>
+                    <p className="text-xs text-gray-500">Updated: {formatDate(serverTask.updatedAt)}</p>
+                </div>
+
+                {/* The change the user tried to make */}
+                <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4 mb-6 text-sm space-y-1">
+                    <p className="text-xs font-semibold uppercase text-indigo-500 mb-1">Your change</p>
+                    {isDelete
+                        ? <p>Delete this task</p>
+                        : Object.entries(changes).map(([field, value]) => (
+                            <p key={field}>
+                                <span className="font-semibold capitalize">{field}:</span> {field === 'dueDate' ? formatDate(value) : (field === 'recurrence' ? (describeRecurrence(value) || 'Does not repeat') : String(value))}
+                            </p>
+                        ))
+                    }
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                    <button
+                        type="button"
+                        onClick={onDiscard}
+                        className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition duration-150 shadow"
+                    >
+                        Discard My Change
+                    </button>
+                    <button
+                        type="button"
+                        onClick={onRetry}
+                        className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md"
+                    >
+                        {isDelete ? 'Delete Anyway' : 'Retry My Change'}
+                    </button>
+                </div>
             </div>
         </div>
-    </footer>
-);
+    );
+};
 
-// --- Main App Component ---
-export default function App() {
-    const [tasks, setTasks] = useState([]);
-    const [loading, setLoading] = useState(false);
-    const [error, setError] = useState(null);
-    const [filterStatus, setFilterStatus] = useState('All'); 
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [isFilterDropdownOpen, setIsFilterDropdownOpen] = useState(false);
-    const [refreshTrigger, setRefreshTrigger] = useState(0); 
-    
-    // Notification state
+// --- ImportDialog Component ---
+// Shows the dry-run result of an import (valid rows and per-row errors) before anything is created.
+const ImportDialog = ({ preview, busy, onConfirm, onCancel }) => {
+    if (!preview) return null;
+
+    const { fileName, result } = preview;
+    const failedRows = result.results.filter(row => !row.ok);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900 bg-opacity-70 backdrop-blur-sm p-4 overflow-y-auto">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 my-auto" role="dialog" aria-labelledby="import-title">
+                <h2 id="import-title" className="text-2xl font-bold text-gray-800 mb-2 border-b pb-2">Import Tasks</h2>
+                <p className="text-sm text-gray-600 mb-4 break-all">{fileName}</p>
+
+                <div className="flex gap-3 mb-4 text-sm">
+                    <span className="flex items-center px-3 py-1 rounded-full bg-green-100 text-green-800 font-semibold">
+                        <CheckCircle size={14} className="mr-1" /> {result.valid} ready
+                    </span>
+                    {result.failed > 0 && (
+                        <span className="flex items-center px-3 py-1 rounded-full bg-red-100 text-red-800 font-semibold">
+                            <XCircle size={14} className="mr-1" /> {result.failed} with errors
+                        </span>
+                    )}
+                </div>
+
+                {/* Rows that will be skipped */}
+                {failedRows.length > 0 && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4 text-sm max-h-60 overflow-y-auto">
+                        <p className="text-xs font-semibold uppercase text-red-500 mb-2">Rows that will be skipped</p>
+                        <ul className="space-y-1">
+                            {failedRows.map(row => (
+                                <li key={row.row}>
+                                    <span className="font-semibold">Row {row.row}:</span>{' '}
+                                    {row.errors.map(err => (err.field ? `${err.field}: ${err.message}` : err.message)).join('; ')}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                <div className="flex justify-end space-x-3">
+                    <button
+                        type="button"
+                        onClick={onCancel}
+                        disabled={busy}
+                        className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition duration-150 shadow disabled:opacity-50"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        onClick={onConfirm}
+                        disabled={busy || result.valid === 0}
+                        className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition duration-150 shadow-md disabled:opacity-50"
+                    >
+                        {busy ? 'Importing...' : `Import ${result.valid} Task(s)`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- BoardView Component (Kanban) ---
+// One column per status, ordered by each task's position. Cards move with the mouse (drag and drop)
+// or the keyboard: focus a card, Space/Enter to pick it up, arrow keys to move, Space/Enter to drop, Escape to cancel.
+const BoardView = ({ tasks, workflow, onMove, onEdit, projectsById, membersById, readOnly = false }) => {
+    const [draggedId, setDraggedId] = useState(null); // Card being moved (mouse or keyboard)
+    const [dropTarget, setDropTarget] = useState(null); // { status, index } where the card would land
+    const [isKeyboardDrag, setIsKeyboardDrag] = useState(false);
+    const [announcement, setAnnouncement] = useState(''); // Screen reader live region text
+
+    // Tasks grouped per workflow status, ordered by position
+    const columns = useMemo(() => {
+        const grouped = Object.fromEntries(statusNames(workflow).map(status => [status, []]));
+        tasks.forEach(task => grouped[task.status]?.push(task));
+        Object.values(grouped).forEach(column => column.sort((a, b) => a.position - b.position));
+        return grouped;
+    }, [tasks, workflow]);
+
+    // Column contents without the moving card (drop indexes are relative to this list)
+    const othersIn = (status) => columns[status].filter(task => task._id !== draggedId);
+
+    // Columns the moving card may be dropped in: its own and those the workflow allows it to move to
+    const canDropIn = (status) => {
+        const movingTask = tasks.find(task => task._id === draggedId);
+        return !movingTask || canMoveTo(workflow, movingTask.status, status);
+    };
+
+    const resetDrag = () => {
+        setDraggedId(null);
+        setDropTarget(null);
+        setIsKeyboardDrag(false);
+    };
+
+    const commitDrop = () => {
+        if (draggedId && dropTarget) onMove(draggedId, dropTarget.status, dropTarget.index);
+        resetDrag();
+    };
+
+    // Keep focus on the picked-up card as it moves between columns
+    useEffect(() => {
+        if (isKeyboardDrag && draggedId) {
+            document.querySelector(`[data-board-task="${draggedId}"]`)?.focus();
+        }
+    }, [isKeyboardDrag, draggedId, dropTarget]);
+
+    // --- Mouse (HTML5 drag and drop) ---
+    const handleDragStart = (e, task) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', task._id);
+        setDraggedId(task._id);
+        setIsKeyboardDrag(false);
+    };
+
+    // Over a card: land before or after it depending on the pointer's vertical position
+    const handleCardDragOver = (e, status, index) => {
+        if (!canDropIn(status)) return; // Without preventDefault the browser refuses the drop
+        e.preventDefault();
+        e.stopPropagation();
+        const rect = e.currentTarget.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        setDropTarget({ status, index: index + (after ? 1 : 0) });
+    };
+
+    // Over empty column space: land at the end
+    const handleColumnDragOver = (e, status) => {
+        if (!canDropIn(status)) return;
+        e.preventDefault();
+        if (dropTarget?.status !== status) setDropTarget({ status, index: othersIn(status).length });
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        commitDrop();
+    };
+
+    // --- Keyboard ---
+    const handleCardKeyDown = (e, task) => {
+        if (e.target !== e.currentTarget) return; // Let buttons inside the card handle their own keys
+        if (!isKeyboardDrag) {
+            if (e.key === ' ' || e.key === 'Enter') {
+                e.preventDefault();
+                setDraggedId(task._id);
+                setIsKeyboardDrag(true);
+                setDropTarget({ status: task.status, index: columns[task.status].indexOf(task) });
+                setAnnouncement(`Picked up "${task.title}". Use the arrow keys to move it, Space to drop, Escape to cancel.`);
+            }
+            return;
+        }
+        if (task._id !== draggedId) return;
+
+        const { status, index } = dropTarget;
+        let next = null;
+        switch (e.key) {
+            case 'ArrowUp':
+                next = { status, index: Math.max(0, index - 1) };
+                break;
+            case 'ArrowDown':
+                next = { status, index: Math.min(othersIn(status).length, index + 1) };
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                // Nearest column in that direction the card may move to
+                const names = statusNames(workflow);
+                const position = names.indexOf(status);
+                const candidates = e.key === 'ArrowLeft' ? names.slice(0, position).reverse() : names.slice(position + 1);
+                const target = candidates.find(canDropIn);
+                if (target) next = { status: target, index: Math.min(index, othersIn(target).length) };
+                break;
+            }
+            case ' ':
+            case 'Enter':
+                e.preventDefault();
+                setAnnouncement(`Dropped "${task.title}" in ${status} at position ${index + 1}.`);
+                commitDrop();
+                return;
+            case 'Escape':
+                setAnnouncement(`Move of "${task.title}" cancelled.`);
+                resetDrag();
+                return;
+            default:
+                return;
+        }
+        e.preventDefault();
+        if (next) {
+            setDropTarget(next);
+            setAnnouncement(`${next.status}, position ${next.index + 1}.`);
+        }
+    };
+
+    const renderCard = (task, status, index) => {
+        const isMoving = task._id === draggedId;
+        return (
+            <div
+                key={task._id}
+                data-board-task={task._id}
+                draggable={!readOnly}
+                tabIndex={0}
+                aria-roledescription={readOnly ? undefined : 'draggable task'}
+                aria-describedby={readOnly ? undefined : 'board-instructions'}
+                onDragStart={(e) => handleDragStart(e, task)}
+                onDragEnd={resetDrag}
+                onDragOver={(e) => handleCardDragOver(e, status, index)}
+                onKeyDown={readOnly ? undefined : (e) => handleCardKeyDown(e, task)}
+                className={`bg-white border border-gray-200 p-3 rounded-lg shadow-sm ${readOnly ? '' : 'cursor-grab'} focus:outline-none focus:ring-2 focus:ring-indigo-500 transition duration-150 ${
+                    isMoving ? (isKeyboardDrag ? 'ring-2 ring-indigo-500 shadow-lg' : 'opacity-40') : 'hover:shadow-md'
+                }`}
+            >
+                <div className="flex items-start space-x-2">
+                    {!readOnly && <GripVertical size={14} className="text-gray-300 mt-1 flex-shrink-0" />}
+                    <div className="flex-grow min-w-0">
+                        <p className={`text-sm font-semibold text-gray-800 break-words ${task.status === workflow.doneStatus ? 'line-through text-gray-500' : ''}`}>{task.title}</p>
+                        <div className="flex flex-wrap gap-1 mt-1">
+                            <span className={`px-2 py-0.5 text-[10px] font-semibold rounded-full capitalize ${PRIORITY_COLORS[task.priority] || PRIORITY_COLORS.medium}`}>{task.priority || 'medium'}</span>
+                            {projectsById.get(task.project) && <ProjectChip project={projectsById.get(task.project)} />}
+                        </div>
+                        {task.dueDate && (
+                            <p className="text-xs text-orange-500 mt-1 flex items-center space-x-1">
+                                <Clock size={10} /> <span>Due: {formatDate(task.dueDate)}</span>
+                            </p>
+                        )}
+                        {task.progress !== null && task.progress !== undefined && (
+                            <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden mt-2">
+                                <div className="h-full bg-indigo-500" style={{ width: `${task.progress}%` }} />
+                            </div>
+                        )}
+                        {task.assignees?.length > 0 && (
+                            <div className="flex -space-x-1 mt-2">
+                                {task.assignees.map(id => membersById.get(id)).filter(Boolean).map(user => <MemberAvatar key={user._id} user={user} />)}
+                            </div>
+                        )}
+                    </div>
+                    {!readOnly && (
+                        <button
+                            onClick={() => onEdit(task)}
+                            disabled={isLocalTask(task)}
+                            className="p-1 text-gray-400 hover:text-indigo-700 rounded-full flex-shrink-0 disabled:opacity-40"
+                            title="Edit Task"
+                        >
+                            <Pencil size={12} />
+                        </button>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    const placeholder = <div key="drop-placeholder" className="h-2 rounded-full bg-indigo-400" aria-hidden="true" />;
+
+    // Keyboard moves preview the card itself at its target slot; mouse drags show a placeholder line
+    const renderColumn = (status) => {
+        const isTarget = dropTarget?.status === status;
+        const nodes = [];
+
+        if (isKeyboardDrag) {
+            const movingTask = tasks.find(task => task._id === draggedId);
+            const others = othersIn(status);
+            others.forEach((task, index) => {
+                if (isTarget && dropTarget.index === index) nodes.push(renderCard(movingTask, status, index));
+                nodes.push(renderCard(task, status, index));
+            });
+            if (isTarget && dropTarget.index === others.length) nodes.push(renderCard(movingTask, status, others.length));
+            return nodes;
+        }
+
+        let othersCount = 0;
+        columns[status].forEach(task => {
+            const isMoving = task._id === draggedId;
+            if (isTarget && !isMoving && dropTarget.index === othersCount) nodes.push(placeholder);
+            nodes.push(renderCard(task, status, othersCount));
+            if (!isMoving) othersCount += 1;
+        });
+        if (isTarget && draggedId && dropTarget.index === othersCount) nodes.push(placeholder);
+        return nodes;
+    };
+
+    return (
+        <div>
+            <p id="board-instructions" className="sr-only">
+                Press Space or Enter to pick up a task, use the arrow keys to move it between columns, Space or Enter to drop it, Escape to cancel.
+            </p>
+            <div className="sr-only" aria-live="assertive">{announcement}</div>
+
+            <div className="grid grid-cols-1 md:grid-cols-none md:grid-flow-col md:auto-cols-fr gap-6">
+                {statusNames(workflow).map(status => (
+                    <section
+                        key={status}
+                        aria-label={`${status} column`}
+                        onDragOver={(e) => handleColumnDragOver(e, status)}
+                        onDrop={handleDrop}
+                        className={`bg-gray-100 rounded-xl p-4 min-h-[12rem] flex flex-col transition duration-150 ${dropTarget?.status === status ? 'ring-2 ring-indigo-300' : ''}`}
+                    >
+                        <div className="flex justify-between items-center mb-3">
+                            <span className="px-3 py-1 text-xs font-semibold rounded-full" style={statusBadgeStyle(workflow, status)}>{status}</span>
+                            <span className="text-xs font-semibold text-gray-500">{columns[status].length}</span>
+                        </div>
+                        <div className="space-y-3 flex-grow">
+                            {renderColumn(status)}
+                        </div>
+                    </section>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// --- TrashView Component ---
+// canRestore is false for viewers; only the workspace owner may purge (canPurge)
+const TrashView = ({ tasks, loading, onRestore, onPurge, canRestore = true, canPurge = true }) => {
+    if (!loading && tasks.length === 0) {
+        return (
+            <div className="text-center p-12 text-gray-500 bg-white rounded-xl shadow-lg">
+                <p className="text-xl font-medium">The trash is empty.</p>
+                <p className="mt-2 text-sm">Deleted tasks appear here and can be restored until they are purged.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg divide-y">
+            <p className="px-5 py-3 text-sm text-gray-500">Deleted tasks are permanently removed after the retention period.</p>
+            {tasks.map(task => (
+                <div key={task._id} className="flex flex-col sm:flex-row justify-between sm:items-center px-5 py-4 gap-3">
+                    <div>
+                        <p className="font-semibold text-gray-800">{task.title}</p>
+                        <p className="text-xs text-gray-500">Deleted: {formatDate(task.deletedAt)} &middot; Status: {task.status}</p>
+                    </div>
+                    <div className="flex space-x-2">
+                        {canRestore && (
+                            <button
+                                onClick={() => onRestore(task._id)}
+                                className="flex items-center space-x-1 px-3 py-2 text-xs font-semibold text-indigo-700 bg-indigo-100 rounded-full hover:bg-indigo-700 hover:text-white transition duration-300"
+                            >
+                                <RotateCcw size={12} /> <span>Restore</span>
+                            </button>
+                        )}
+                        {canPurge && (
+                            <button
+                                onClick={() => onPurge(task._id)}
+                                className="flex items-center space-x-1 px-3 py-2 text-xs font-semibold text-red-700 bg-red-100 rounded-full hover:bg-red-700 hover:text-white transition duration-300"
+                            >
+                                <Trash2 size={12} /> <span>Delete Forever</span>
+                            </button>
+                        )}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// --- DashboardView Component (GET /api/tasks/stats) ---
+// Format a duration in milliseconds as e.g. "2d 5h", "3h 20m" or "12m"
+const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return 'N/A';
+    const minutes = Math.round(ms / 60000);
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor((minutes % (24 * 60)) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+};
+
+// Bucket start (YYYY-MM-DD, as returned by the server) as a short axis label
+const formatBucketLabel = (key) => new Date(`${key}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const StatCard = ({ label, value, hint, accent = 'text-gray-800' }) => (
+    <div className="bg-white rounded-xl shadow-lg p-5">
+        <p className="text-sm font-medium text-gray-500">{label}</p>
+        <p className={`mt-1 text-3xl font-bold ${accent}`}>{value}</p>
+        {hint && <p className="mt-1 text-xs text-gray-400">{hint}</p>}
+    </div>
+);
+
+// One stacked bar showing the share of each status, with a legend
+// byStatus arrives in board order (workflow statuses first), so it is listed as is
+const StatusBreakdown = ({ byStatus, total, workflow }) => (
+    <div className="bg-white rounded-xl shadow-lg p-5">
+        <h3 className="text-sm font-semibold text-gray-700 mb-3">Tasks by status</h3>
+        <div className="flex h-4 rounded-full overflow-hidden bg-gray-100" role="img" aria-label={Object.entries(byStatus).map(([status, count]) => `${status}: ${count}`).join(', ')}>
+            {total > 0 && Object.entries(byStatus).map(([status, count]) => (
+                <div key={status} style={{ width: `${(count / total) * 100}%`, backgroundColor: statusColor(workflow, status) }} />
+            ))}
+        </div>
+        <ul className="mt-3 flex flex-wrap gap-4 text-sm text-gray-600">
+            {Object.entries(byStatus).map(([status, count]) => (
+                <li key={status} className="flex items-center space-x-2">
+                    <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: statusColor(workflow, status) }} />
+                    <span>{status}: <span className="font-semibold text-gray-800">{count}</span></span>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+// Created vs completed per bucket as paired bars (SVG, scaled to the busiest bucket)
+const TrendChart = ({ buckets, interval }) => {
+    const height = 160;
+    const slot = 28; // Width per bucket: two bars and a gap
+    const barWidth = 10;
+    const max = Math.max(1, ...buckets.flatMap(bucket => [bucket.created, bucket.completed]));
+    const labelEvery = Math.ceil(buckets.length / 7); // Keep axis labels readable
+    const toHeight = (count) => (count / max) * (height - 20);
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg p-5">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-semibold text-gray-700">Created vs completed per {interval}</h3>
+                <div className="flex items-center space-x-4 text-xs text-gray-600">
+                    <span className="flex items-center space-x-1"><span className="inline-block w-3 h-3 rounded-sm bg-indigo-500" /><span>Created</span></span>
+                    <span className="flex items-center space-x-1"><span className="inline-block w-3 h-3 rounded-sm bg-green-500" /><span>Completed</span></span>
+                </div>
+            </div>
+            <div className="overflow-x-auto">
+                <svg width={buckets.length * slot} height={height + 20} role="img" aria-label={`Tasks created and completed per ${interval}`}>
+                    <line x1="0" y1={height} x2={buckets.length * slot} y2={height} className="stroke-gray-200" />
+                    <text x="0" y="10" className="fill-gray-400 text-[10px]">{max}</text>
+                    {buckets.map((bucket, index) => {
+                        const x = index * slot + 4;
+                        return (
+                            <g key={bucket.start}>
+                                <title>{`${interval === 'week' ? 'Week of ' : ''}${formatBucketLabel(bucket.start)}: ${bucket.created} created, ${bucket.completed} completed`}</title>
+                                <rect x={x} y={height - toHeight(bucket.created)} width={barWidth} height={toHeight(bucket.created)} className="fill-indigo-500" rx="2" />
+                                <rect x={x + barWidth} y={height - toHeight(bucket.completed)} width={barWidth} height={toHeight(bucket.completed)} className="fill-green-500" rx="2" />
+                                {index % labelEvery === 0 && (
+                                    <text x={x} y={height + 14} className="fill-gray-500 text-[10px]">{formatBucketLabel(bucket.start)}</text>
+                                )}
+                            </g>
+                        );
+                    })}
+                </svg>
+            </div>
+        </div>
+    );
+};
+
+const DashboardView = ({ stats, workflow, loading, interval, onIntervalChange }) => {
+    if (!stats) {
+        return loading ? null : (
+            <div className="text-center p-12 text-gray-500 bg-white rounded-xl shadow-lg">
+                <p className="text-xl font-medium">Statistics are not available right now.</p>
+            </div>
+        );
+    }
+
+    const currentBucket = stats.series.buckets[stats.series.buckets.length - 1];
+    const openCount = stats.total - (stats.byStatus[workflow.doneStatus] || 0);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-end">
+                <div className="flex bg-white rounded-xl shadow-md border overflow-hidden" role="group" aria-label="Chart interval">
+                    {Object.keys(STATS_PERIODS).map(option => (
+                        <button
+                            key={option}
+                            onClick={() => onIntervalChange(option)}
+                            aria-pressed={interval === option}
+                            className={`px-3 py-2 text-sm font-semibold capitalize transition duration-150 ${
+                                interval === option ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'
+                            }`}
+                        >
+                            {option === 'day' ? 'Daily' : 'Weekly'}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+                <StatCard label="Open tasks" value={openCount} hint={`${stats.total} in total`} />
+                <StatCard
+                    label={interval === 'week' ? 'Completed this week' : 'Completed today'}
+                    value={currentBucket ? currentBucket.completed : 0}
+                    hint={currentBucket ? `${currentBucket.created} created` : undefined}
+                    accent="text-green-600"
+                />
+                <StatCard label="Overdue" value={stats.overdue} accent={stats.overdue > 0 ? 'text-red-600' : 'text-gray-800'} />
+                <StatCard
+                    label="Completion rate"
+                    value={stats.completionRate === null ? 'N/A' : `${Math.round(stats.completionRate * 100)}%`}
+                />
+                <StatCard label="Avg. time to complete" value={formatDuration(stats.averageCompletionMs)} hint="From creation to completion" />
+            </div>
+
+            <StatusBreakdown byStatus={stats.byStatus} total={stats.total} workflow={workflow} />
+            <TrendChart buckets={stats.series.buckets} interval={stats.series.interval} />
+        </div>
+    );
+};
+
+// --- BulkActionBar Component ---
+// Floating bar shown while tasks are selected in the grid.
+const BulkActionBar = ({ selectedCount, statuses, onSelectAll, onClear, onAction, busy }) => {
+    const [dueDate, setDueDate] = useState('');
+    const [tag, setTag] = useState('');
+
+    const disabled = busy || selectedCount === 0;
+    const controlClass = "px-2 py-1 text-sm text-gray-800 rounded-lg border border-gray-300";
+
+    return (
+        <div className="fixed bottom-5 left-1/2 -translate-x-1/2 z-40 bg-gray-900 text-white rounded-xl shadow-2xl px-4 py-3 flex flex-wrap items-center gap-3 max-w-[95vw]" role="toolbar" aria-label="Bulk actions">
+            <span className="text-sm font-semibold">{selectedCount} selected</span>
+            <button onClick={onSelectAll} className="text-xs text-indigo-300 hover:underline">Select page</button>
+            <button onClick={onClear} className="text-xs text-gray-400 hover:underline">Clear</button>
+
+            {/* Set Status */}
+            <select
+                defaultValue=""
+                onChange={(e) => { if (e.target.value) onAction('setStatus', e.target.value); e.target.value = ''; }}
+                disabled={disabled}
+                aria-label="Set status of selected tasks"
+                className={`${controlClass} bg-white`}
+            >
+                <option value="" disabled>Set status...</option>
+                {statuses.map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+
+            {/* Set Due Date */}
+            <div className="flex items-center space-x-1">
+                <input type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} aria-label="Due date for selected tasks" className={`${controlClass} bg-white`} />
+                <button
+                    onClick={() => onAction('setDueDate', dueDate ? new Date(dueDate).toISOString() : null)}
+                    disabled={disabled}
+                    className="px-2 py-1 text-xs font-semibold bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                >
+                    {dueDate ? 'Set due' : 'Clear due'}
+                </button>
+            </div>
+
+            {/* Add Tag */}
+            <form
+                onSubmit={(e) => { e.preventDefault(); if (tag.trim()) { onAction('addTag', tag.trim()); setTag(''); } }}
+                className="flex items-center space-x-1"
+            >
+                <input type="text" value={tag} onChange={(e) => setTag(e.target.value)} placeholder="Tag" aria-label="Tag to add" className={`${controlClass} bg-white w-24`} />
+                <button type="submit" disabled={disabled || !tag.trim()} className="px-2 py-1 text-xs font-semibold bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+                    Add tag
+                </button>
+            </form>
+
+            {/* Delete */}
+            <button
+                onClick={() => onAction('delete')}
+                disabled={disabled}
+                className="flex items-center space-x-1 px-3 py-1 text-xs font-semibold bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+                <Trash2 size={14} /> <span>Delete</span>
+            </button>
+        </div>
+    );
+};
+
+// --- ProjectSidebar Component (Project filter plus create/rename/delete) ---
+const ProjectSidebar = ({ projects, selected, onSelect, onCreate, onRename, onDelete, readOnly = false }) => {
+    const [newName, setNewName] = useState('');
+    const [newColor, setNewColor] = useState(DEFAULT_PROJECT_COLOR);
+    const [editingId, setEditingId] = useState(null);
+    const [editName, setEditName] = useState('');
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        if (await onCreate({ name: newName.trim(), color: newColor })) {
+            setNewName('');
+            setNewColor(DEFAULT_PROJECT_COLOR);
+        }
+    };
+
+    const startRename = (project) => {
+        setEditingId(project._id);
+        setEditName(project.name);
+    };
+
+    const handleRename = async (e, project) => {
+        e.preventDefault();
+        const name = editName.trim();
+        if (name && name !== project.name) await onRename(project._id, { name });
+        setEditingId(null);
+    };
+
+    const itemClass = (value) => `flex items-center w-full space-x-2 px-3 py-2 text-sm rounded-lg text-left transition duration-150 ${
+        selected === value ? 'bg-indigo-50 text-indigo-700 font-semibold' : 'text-gray-700 hover:bg-gray-100'
+    }`;
+
+    return (
+        <aside className="w-full md:w-56 flex-shrink-0 bg-white rounded-xl shadow-md border p-3 self-start" aria-label="Projects">
+            <h2 className="px-3 mb-2 text-xs font-bold uppercase tracking-wider text-gray-400">Projects</h2>
+            <nav className="space-y-1">
+                <button onClick={() => onSelect('all')} aria-pressed={selected === 'all'} className={itemClass('all')}>
+                    <ListTodo size={14} /> <span>All tasks</span>
+                </button>
+                <button onClick={() => onSelect('none')} aria-pressed={selected === 'none'} className={itemClass('none')}>
+                    <Folder size={14} className="text-gray-400" /> <span>No project</span>
+                </button>
+
+                {projects.map(project => (
+                    <div key={project._id} className="group flex items-center">
+                        {editingId === project._id ? (
+                            <form onSubmit={(e) => handleRename(e, project)} className="flex-grow px-1">
+                                <input
+                                    type="text"
+                                    value={editName}
+                                    onChange={(e) => setEditName(e.target.value)}
+                                    onBlur={() => setEditingId(null)}
+                                    onKeyDown={(e) => { if (e.key === 'Escape') setEditingId(null); }}
+                                    aria-label={`Rename project ${project.name}`}
+                                    maxLength={60}
+                                    autoFocus
+                                    className="w-full px-2 py-1 text-sm rounded-lg border border-indigo-300 focus:ring-indigo-500"
+                                />
+                            </form>
+                        ) : (
+                            <>
+                                <button onClick={() => onSelect(project._id)} aria-pressed={selected === project._id} className={`${itemClass(project._id)} min-w-0`}>
+                                    <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: project.color }} />
+                                    <span className="truncate flex-grow">{project.name}</span>
+                                    <span className="text-xs text-gray-400">{project.taskCount}</span>
+                                </button>
+                                {!readOnly && (
+                                    <>
+                                        <button
+                                            onClick={() => startRename(project)}
+                                            className="p-1 text-gray-300 hover:text-indigo-700 opacity-0 group-hover:opacity-100 focus:opacity-100 transition duration-150"
+                                            title="Rename project"
+                                        >
+                                            <Pencil size={12} />
+                                        </button>
+                                        <button
+                                            onClick={() => onDelete(project)}
+                                            className="p-1 text-gray-300 hover:text-red-700 opacity-0 group-hover:opacity-100 focus:opacity-100 transition duration-150"
+                                            title="Delete project"
+                                        >
+                                            <Trash2 size={12} />
+                                        </button>
+                                    </>
+                                )}
+                            </>
+                        )}
+                    </div>
+                ))}
+            </nav>
+
+            {/* New Project (not for viewers) */}
+            {!readOnly && (
+                <form onSubmit={handleCreate} className="mt-3 pt-3 border-t flex items-center space-x-1">
+                    <input
+                        type="color"
+                        value={newColor}
+                        onChange={(e) => setNewColor(e.target.value)}
+                        aria-label="New project color"
+                        className="w-7 h-7 p-0 border-0 rounded cursor-pointer flex-shrink-0"
+                    />
+                    <input
+                        type="text"
+                        value={newName}
+                        onChange={(e) => setNewName(e.target.value)}
+                        placeholder="New project"
+                        aria-label="New project name"
+                        maxLength={60}
+                        className="flex-grow min-w-0 px-2 py-1 text-sm rounded-lg border border-gray-300 focus:border-indigo-500 focus:ring-indigo-500"
+                    />
+                    <button type="submit" disabled={!newName.trim()} className="p-1 text-indigo-600 hover:text-indigo-800 disabled:opacity-40" title="Create project">
+                        <FolderPlus size={18} />
+                    </button>
+                </form>
+            )}
+        </aside>
+    );
+};
+
+// --- WorkspaceDialog Component (/api/workspaces/:id and its members) ---
+// Everyone sees who is in the workspace; the owner renames it, invites users by email and changes or removes members.
+// Members can leave. Each action resolves to true on success (the list is then refetched by the parent).
+const WorkspaceDialog = ({ workspace, currentUserId, onRename, onInvite, onChangeRole, onRemove, onClose }) => {
+    const [name, setName] = useState(workspace.name);
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('editor');
+    const [busy, setBusy] = useState(false);
+    const isOwner = workspace.role === 'owner';
+
+    // Run one action at a time so the buttons cannot fire twice
+    const run = async (action) => {
+        setBusy(true);
+        try {
+            return await action();
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRename = async (e) => {
+        e.preventDefault();
+        if (name.trim() && name.trim() !== workspace.name) await run(() => onRename(name.trim()));
+    };
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        if (!email.trim()) return;
+        if (await run(() => onInvite(email.trim(), role))) setEmail('');
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900 bg-opacity-70 backdrop-blur-sm p-4 overflow-y-auto">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 my-auto" role="dialog" aria-labelledby="workspace-title">
+                <div className="flex justify-between items-center mb-4 border-b pb-2">
+                    <h2 id="workspace-title" className="text-2xl font-bold text-gray-800 flex items-center space-x-2">
+                        <Users size={22} className="text-indigo-600" /> <span>Workspace</span>
+                    </h2>
+                    <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-700 rounded-full" title="Close">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {/* Name (editable by the owner) */}
+                {isOwner ? (
+                    <form onSubmit={handleRename} className="flex items-center space-x-2 mb-5">
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            aria-label="Workspace name"
+                            maxLength={60}
+                            className="flex-grow px-3 py-2 text-sm rounded-lg border border-gray-300 focus:border-indigo-500 focus:ring-indigo-500"
+                        />
+                        <button
+                            type="submit"
+                            disabled={busy || !name.trim() || name.trim() === workspace.name}
+                            className="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                            Rename
+                        </button>
+                    </form>
+                ) : (
+                    <p className="text-lg font-semibold text-gray-800 mb-5">{workspace.name}</p>
+                )}
+
+                {/* Members, owner first */}
+                <h3 className="text-xs font-bold uppercase tracking-wider text-gray-400 mb-2">Members</h3>
+                <ul className="divide-y border rounded-lg mb-5 max-h-72 overflow-y-auto">
+                    <li className="flex items-center space-x-3 px-3 py-2">
+                        <MemberAvatar user={workspace.owner} />
+                        <div className="flex-grow min-w-0">
+                            <p className="text-sm font-medium text-gray-800 truncate">{workspace.owner.name}</p>
+                            <p className="text-xs text-gray-500 truncate">{workspace.owner.email}</p>
+                        </div>
+                        <span className="text-xs font-semibold text-gray-500">Owner</span>
+                    </li>
+                    {workspace.members.map(({ user, role: memberRole }) => (
+                        <li key={user._id} className="flex items-center space-x-3 px-3 py-2">
+                            <MemberAvatar user={user} />
+                            <div className="flex-grow min-w-0">
+                                <p className="text-sm font-medium text-gray-800 truncate">{user.name}</p>
+                                <p className="text-xs text-gray-500 truncate">{user.email}</p>
+                            </div>
+                            {isOwner ? (
+                                <select
+                                    value={memberRole}
+                                    onChange={(e) => run(() => onChangeRole(user._id, e.target.value))}
+                                    disabled={busy}
+                                    aria-label={`Role of ${user.name}`}
+                                    className="px-2 py-1 text-xs rounded-lg border border-gray-300"
+                                >
+                                    <option value="editor">Editor</option>
+                                    <option value="viewer">Viewer</option>
+                                </select>
+                            ) : (
+                                <span className="text-xs font-semibold text-gray-500 capitalize">{memberRole}</span>
+                            )}
+                            {(isOwner || user._id === currentUserId) && (
+                                <button
+                                    onClick={() => run(() => onRemove(user))}
+                                    disabled={busy}
+                                    className="px-2 py-1 text-xs font-semibold text-red-700 bg-red-50 rounded-lg hover:bg-red-100 disabled:opacity-50"
+                                >
+                                    {user._id === currentUserId ? 'Leave' : 'Remove'}
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+
+                {/* Invite (owner only): the user needs an account */}
+                {isOwner && (
+                    <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-2">
+                        <input
+                            type="email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            placeholder="Email of a Taskify user"
+                            aria-label="Email of the user to add"
+                            maxLength={254}
+                            className="flex-grow px-3 py-2 text-sm rounded-lg border border-gray-300 focus:border-indigo-500 focus:ring-indigo-500"
+                        />
+                        <select
+                            value={role}
+                            onChange={(e) => setRole(e.target.value)}
+                            aria-label="Role of the new member"
+                            className="px-2 py-2 text-sm rounded-lg border border-gray-300"
+                        >
+                            <option value="editor">Editor</option>
+                            <option value="viewer">Viewer</option>
+                        </select>
+                        <button
+                            type="submit"
+                            disabled={busy || !email.trim()}
+                            className="flex items-center justify-center space-x-1 px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                            <UserPlus size={14} /> <span>Add</span>
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// --- Footer Component ---
+const Footer = ({ showNotification }) => (
+    <footer className="bg-gray-900 text-white mt-8">
+        <div className="max-w-6xl mx-auto p-6 flex flex-col sm:flex-row justify-between items-center border-t border-gray-700/50">
+            <p className="text-sm text-gray-400 mb-4 sm:mb-0">
+                &copy; {new Date().getFullYear()} Taskify App. All rights reserved.
+            </p>
+            
+            {/* Social Media Icons */}
+            <div className="flex space-x-6">
+                <a 
+                    href="#" // Preventing default navigation
+                    onClick={(e) => {
+                        e.preventDefault();
+                        showNotification('For contact, please use the LinkedIn link.', 'info');
+                    }}
+                    rel="noopener noreferrer" 
+                    className="text-gray-400 hover:text-indigo-400 transition duration-200 transform hover:scale-110"
+                    aria-label="Twitter"
+                >
+                    <Twitter size={20} />
+                </a>
+                <a 
+                    href="https://www.linkedin.com/in/arun-suresh-" // Updated link
+                    target="_blank" 
+                    rel="noopener noreferrer" 
+                    className="text-gray-400 hover:text-indigo-400 transition duration-200 transform hover:scale-110"
+                    aria-label="LinkedIn"
+                >
+                    <Linkedin size={20} />
+                </a>
+                <a 
+                    href="#" // Preventing default navigation
+                    onClick={(e) => {
+                        e.preventDefault();
+                        showNotification('For contact, please use the LinkedIn link.', 'info');
+                    }}
+                    rel="noopener noreferrer" 
+                    className="text-gray-400 hover:text-indigo-400 transition duration-200 transform hover:scale-110"
+                    aria-label="GitHub"
+                >
+                    <Github size={20} />
+                </a>
+            </div>
+        </div>
+    </footer>
+);
+
+// --- Main App Component ---
+export default function App() {
+    const [auth, setAuth] = useState(loadStoredAuth); // { token, user } or null
+    const [tasks, setTasks] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [filterStatus, setFilterStatus] = useState('All'); 
+    const [filterProject, setFilterProject] = useState('all'); // 'all' | 'none' | project id
+    const [filterPriority, setFilterPriority] = useState('all');
+    const [filterTag, setFilterTag] = useState(''); // Set by clicking a tag chip
+    const [filterMine, setFilterMine] = useState(false); // Only tasks assigned to the signed-in user
+    const [projects, setProjects] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingTask, setEditingTask] = useState(null); // Task being edited in the modal (null = create mode)
+    const [viewMode, setViewMode] = useState('grid'); // 'grid' | 'board' | 'dashboard' | 'trash'
+    const isTaskListView = viewMode === 'grid' || viewMode === 'board';
+
+    // Multi-select state for bulk actions
+    const [selectionMode, setSelectionMode] = useState(false);
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [bulkBusy, setBulkBusy] = useState(false);
+    const [isFilterDropdownOpen, setIsFilterDropdownOpen] = useState(false);
+    const [refreshTrigger, setRefreshTrigger] = useState(0); 
+
+    // Search, sorting and pagination state
+    const [searchInput, setSearchInput] = useState('');
+    const [searchQuery, setSearchQuery] = useState(''); // Debounced copy of searchInput
+    const [sortOption, setSortOption] = useState('-createdAt');
+    const [page, setPage] = useState(1);
+    const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+    
+    // Notification state
     const [notification, setNotification] = useState(null); 
     
     // Central function to handle notifications
-    const showNotification = useCallback((msg, type) => {
-        setNotification({ message: msg, type: type });
-        // Automatically clear the notification after 4 seconds
-        setTimeout(() => setNotification(null), 4000);
+    // An optional action ({ label, onClick }) renders as a button inside the toast
+    const showNotification = useCallback((msg, type, action = null) => {
+        setNotification({ message: msg, type: type, action });
+        // Automatically clear the notification after 4 seconds (6 when there is an action to click)
+        setTimeout(() => setNotification(null), action ? 6000 : 4000);
+    }, []);
+
+    // Persist a successful login/signup
+    const handleAuthenticated = useCallback((data) => {
+        localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(data));
+        setAuth(data);
+    }, []);
+
+    // The workspace whose tasks are shown: null for the user's own, otherwise the id of one they were added to
+    const [workspaceId, setWorkspaceId] = useState(() => localStorage.getItem(WORKSPACE_STORAGE_KEY));
+
+    const switchWorkspace = useCallback((id) => {
+        if (id) localStorage.setItem(WORKSPACE_STORAGE_KEY, id);
+        else localStorage.removeItem(WORKSPACE_STORAGE_KEY);
+        setWorkspaceId(id);
+    }, []);
+
+    const logout = useCallback(() => {
+        localStorage.removeItem(AUTH_STORAGE_KEY);
+        setAuth(null);
+        setTasks([]);
+        switchWorkspace(null);
+    }, [switchWorkspace]);
+
+    const token = auth?.token;
+    const userId = auth?.user?._id;
+
+    // fetch() wrapper that attaches the bearer token and the selected workspace, and signs out on an expired/invalid session.
+    // A workspace header passed in options wins (queued offline changes go to the workspace they were made in).
+    const authFetch = useCallback(async (url, options = {}) => {
+        const response = await fetch(url, {
+            ...options,
+            headers: { ...(workspaceId && { [WORKSPACE_HEADER]: workspaceId }), ...options.headers, Authorization: `Bearer ${token}` },
+        });
+
+        if (response.status === 401) {
+            logout();
+            throw new Error('Your session has expired. Please log in again.');
+        }
+        return response;
+    }, [token, workspaceId, logout]);
+
+    // Typed client for /api/tasks (generated from the backend's OpenAPI document), sending requests through authFetch
+    const taskApi = useMemo(() => createTaskApi({ baseUrl: API_ORIGIN, fetch: authFetch }), [authFetch]);
+
+    // --- Workspaces ---
+    // GET /api/workspaces: the user's own workspace first, then the ones they were added to, each with the user's role
+    const [workspaces, setWorkspaces] = useState([]);
+    const [workspacesTrigger, setWorkspacesTrigger] = useState(0); // Bumped when membership may have changed
+    const [isWorkspaceDialogOpen, setIsWorkspaceDialogOpen] = useState(false);
+
+    useEffect(() => {
+        if (!token) return;
+
+        const fetchWorkspaces = async () => {
+            try {
+                const response = await taskApi.listWorkspaces();
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const data = await response.json();
+                setWorkspaces(data);
+                // A workspace the user was removed from falls back to their own
+                if (workspaceId && !data.some(workspace => workspace._id === workspaceId)) switchWorkspace(null);
+            } catch (e) {
+                console.error("MERN API workspaces fetch error:", e);
+            }
+        };
+
+        fetchWorkspaces();
+    }, [token, taskApi, workspaceId, switchWorkspace, workspacesTrigger]);
+
+    // Until the list has loaded, assume the user's own workspace (full access) or, for a shared one, read-only access
+    const currentWorkspace = (workspaceId ? workspaces.find(workspace => workspace._id === workspaceId) : workspaces[0]) || null;
+    const workspaceRole = currentWorkspace?.role || (workspaceId ? 'viewer' : 'owner');
+    const canEdit = workspaceRole !== 'viewer';
+    const isWorkspaceOwner = workspaceRole === 'owner';
+
+    // Everyone who can be assigned a task: the owner, then the members
+    const members = useMemo(
+        () => (currentWorkspace ? [currentWorkspace.owner, ...currentWorkspace.members.map(member => member.user)] : []),
+        [currentWorkspace]
+    );
+    const membersById = useMemo(() => new Map(members.map(member => [member._id, member])), [members]);
+
+    // --- Offline Support ---
+    // Task lists are cached in IndexedDB and mutations made while the server is unreachable wait in an outbox
+    const [pendingSyncCount, setPendingSyncCount] = useState(0); // Queued offline changes
+    const [showingCachedTasks, setShowingCachedTasks] = useState(false); // Task list came from the local cache
+
+    // The signed-in user's queued changes, oldest first (empty when IndexedDB is unavailable)
+    const loadOutbox = useCallback(async () => {
+        const entries = await getOutbox().catch(() => []);
+        return entries.filter(entry => entry.userId === userId);
+    }, [userId]);
+
+    // The queued changes made in the open workspace, which are shown on top of its task list
+    const loadWorkspaceOutbox = useCallback(async () => (
+        (await loadOutbox()).filter(entry => (entry.workspaceId ?? null) === workspaceId)
+    ), [loadOutbox, workspaceId]);
+
+    const refreshPendingCount = useCallback(async () => {
+        setPendingSyncCount((await loadOutbox()).length);
+    }, [loadOutbox]);
+
+    // Entries remember their workspace so they are replayed there even if the user switches meanwhile
+    const queueOffline = useCallback(async (entry) => {
+        await queueMutation({ ...entry, userId, workspaceId });
+        await refreshPendingCount();
+    }, [userId, workspaceId, refreshPendingCount]);
+
+    useEffect(() => {
+        if (userId) refreshPendingCount();
+    }, [userId, refreshPendingCount]);
+
+    // Explicit sign-out also forgets this device's cached tasks and queued changes
+    const handleLogout = async () => {
+        if (pendingSyncCount > 0 && !window.confirm(`${pendingSyncCount} offline change(s) have not been synced yet and will be lost. Log out anyway?`)) return;
+        await clearOfflineData().catch(e => console.error("Error clearing offline data:", e));
+        setPendingSyncCount(0);
+        logout();
+    };
+
+    // Debounce the search box so we don't hit the API on every keystroke
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setSearchQuery(searchInput.trim());
+            setPage(1);
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [searchInput]);
+
+    // 1. Data Fetching (GET /api/tasks with status, search, sort and page parameters)
+    useEffect(() => {
+        if (!token || !isTaskListView) return; // Nothing to fetch until the user signs in; the trash and dashboard have their own fetch
+
+        const fetchTasks = async () => {
+            setLoading(true);
+            setError(null);
+            
+            // Construct URL with optional status filter, search query, sort and page.
+            // The board shows every status column in manual order, so it ignores the status filter, sort and pager.
+            // It loads whole columns and applies the project/priority/tag filters locally (see boardTasks).
+            const isBoard = viewMode === 'board';
+            const params = isBoard
+                ? new URLSearchParams({ sort: 'position', page: 1, limit: BOARD_PAGE_SIZE })
+                : new URLSearchParams({ sort: sortOption, page, limit: PAGE_SIZE });
+            if (!isBoard && filterStatus !== 'All') params.set('status', filterStatus);
+            if (!isBoard && filterProject !== 'all') params.set('project', filterProject);
+            if (!isBoard && filterPriority !== 'all') params.set('priority', filterPriority);
+            if (!isBoard && filterTag) params.set('tags', filterTag);
+            if (!isBoard && filterMine) params.set('assignee', 'me');
+            if (searchQuery) params.set('q', searchQuery);
+            const cacheKey = `${userId}:${workspaceId || 'own'}:${params}`;
+
+            try {
+                const response = await taskApi.listTasks({ query: params });
+                
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                
+                const data = await response.json();
+
+                // Board moves renumber whole columns, so the board needs every task, not just the first page
+                for (let boardPage = 2; isBoard && boardPage <= data.totalPages; boardPage++) {
+                    params.set('page', boardPage);
+                    const pageResponse = await taskApi.listTasks({ query: params });
+                    if (!pageResponse.ok) {
+                        throw new Error(`HTTP error! status: ${pageResponse.status}`);
+                    }
+                    data.tasks.push(...(await pageResponse.json()).tasks);
+                }
+                saveTaskList(cacheKey, data).catch(e => console.error("Error caching tasks:", e));
+                setTasks(applyOutbox(data.tasks, await loadWorkspaceOutbox())); // Changes still waiting to sync stay visible
+                setPagination({ total: data.total, totalPages: data.totalPages });
+                setShowingCachedTasks(false);
+            } catch (e) {
+                // Server unreachable: fall back to the copy saved the last time this view was loaded
+                const cached = isNetworkError(e) && await loadTaskList(cacheKey).catch(() => null);
+                if (cached) {
+                    setTasks(applyOutbox(cached.tasks, await loadWorkspaceOutbox()));
+                    setPagination({ total: cached.total, totalPages: cached.totalPages });
+                    setShowingCachedTasks(true);
+                    return;
+                }
+                console.error("MERN API fetch error:", e);
+                setError(`Failed to load tasks from MERN backend. Is Express server running on port 5000? Error: ${e.message}`);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchTasks();
+    }, [filterStatus, filterProject, filterPriority, filterTag, filterMine, searchQuery, sortOption, page, viewMode, isTaskListView, refreshTrigger, token, userId, workspaceId, taskApi, loadWorkspaceOutbox]); // Re-run when a query parameter changes or a CRUD operation triggers a refresh
+
+    // Project Fetching (GET /api/projects). Re-runs on refresh so the per-project task counts stay current.
+    useEffect(() => {
+        if (!token) return;
+
+        const fetchProjects = async () => {
+            try {
+                const response = await authFetch(PROJECTS_BASE_URL);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                setProjects(await response.json());
+            } catch (e) {
+                console.error("MERN API projects fetch error:", e);
+            }
+        };
+
+        fetchProjects();
+    }, [refreshTrigger, token, authFetch]);
+
+    const projectsById = useMemo(() => new Map(projects.map(project => [project._id, project])), [projects]);
+
+    // Workflow Fetching (GET /api/workflows): statuses, their colors and allowed moves for badges, the board and filters
+    const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
+
+    useEffect(() => {
+        if (!token) return;
+
+        const fetchWorkflow = async () => {
+            try {
+                const response = await taskApi.listWorkflows();
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const [userWorkflow] = await response.json();
+                if (userWorkflow) setWorkflow(userWorkflow);
+            } catch (e) {
+                console.error("MERN API workflow fetch error:", e);
+            }
+        };
+
+        fetchWorkflow();
+    }, [token, taskApi]);
+
+    // Dependency Fetching (GET /api/tasks/dependencies): the blockers of the loaded tasks that have any, so cards can
+    // show "Blocked by ..." with links. Re-runs whenever the loaded tasks change, since a blocker may have been finished.
+    const [dependencyNodes, setDependencyNodes] = useState(() => new Map()); // Task id -> graph node (summary + blocked)
+    const blockedTaskIds = useMemo(
+        () => tasks.filter(task => task.blockedBy?.length > 0 && !isLocalTask(task)).map(task => task._id),
+        [tasks]
+    );
+
+    useEffect(() => {
+        if (!token || blockedTaskIds.length === 0) return;
+        let cancelled = false;
+
+        const fetchDependencies = async () => {
+            try {
+                const response = await taskApi.getDependencyGraph({ query: { ids: blockedTaskIds.join(',') } });
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const graph = await response.json();
+                if (!cancelled) setDependencyNodes(new Map(graph.nodes.map(node => [node._id, node])));
+            } catch (e) {
+                console.error("MERN API dependency fetch error:", e);
+            }
+        };
+
+        fetchDependencies();
+        return () => { cancelled = true; };
+    }, [blockedTaskIds, token, taskApi]);
+
+    const blockersOf = useCallback(
+        (task) => (task.blockedBy || []).map(id => dependencyNodes.get(id)).filter(Boolean),
+        [dependencyNodes]
+    );
+
+    // Tasks shown on the board after the project/priority/tag/assignee filters
+    const boardTasks = useMemo(
+        () => tasks.filter(task => matchesTaskFilters(task, {
+            project: filterProject,
+            priority: filterPriority,
+            tag: filterTag,
+            assignee: filterMine ? userId : null,
+        })),
+        [tasks, filterProject, filterPriority, filterTag, filterMine, userId]
+    );
+
+    // Notification Inbox (GET /api/notifications). New notifications arrive over the event stream below.
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+
+    useEffect(() => {
+        if (!token) return;
+
+        const fetchNotifications = async () => {
+            try {
+                const response = await authFetch(NOTIFICATIONS_URL);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const data = await response.json();
+                setNotifications(data.notifications);
+                setUnreadCount(data.unreadCount);
+            } catch (e) {
+                console.error("MERN API notifications fetch error:", e);
+            }
+        };
+
+        fetchNotifications();
+    }, [token, authFetch]);
+
+    const applyNotificationEvent = useCallback(({ notification }) => {
+        setNotifications(prev => [notification, ...prev.filter(entry => entry._id !== notification._id)]);
+        setUnreadCount(prev => prev + 1);
+        if (notification.type === 'invited') setWorkspacesTrigger(prev => prev + 1); // Show the new workspace in the switcher
+        showNotification(notification.title, notification.type === 'overdue' ? 'error' : 'info');
+    }, [showNotification]);
+
+    // PATCH /api/notifications/:id/read
+    const markNotificationRead = useCallback(async (notification) => {
+        try {
+            const response = await authFetch(`${NOTIFICATIONS_URL}/${notification._id}/read`, { method: 'PATCH' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const updated = await response.json();
+            setNotifications(prev => prev.map(entry => (entry._id === updated._id ? updated : entry)));
+            setUnreadCount(prev => Math.max(prev - 1, 0));
+        } catch (e) {
+            console.error("Error marking notification read:", e);
+        }
+    }, [authFetch]);
+
+    // POST /api/notifications/read-all
+    const markAllNotificationsRead = useCallback(async () => {
+        try {
+            const response = await authFetch(`${NOTIFICATIONS_URL}/read-all`, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const readAt = new Date().toISOString();
+            setNotifications(prev => prev.map(entry => (entry.readAt ? entry : { ...entry, readAt })));
+            setUnreadCount(0);
+        } catch (e) {
+            console.error("Error marking notifications read:", e);
+        }
+    }, [authFetch]);
+
+    // 1b. Real-time Sync (GET /api/events): other tabs' and devices' changes are merged into `tasks`
+    const [liveStatus, setLiveStatus] = useState('connecting'); // 'connecting' | 'live' | 'offline'
+
+    // Latest values for the event handlers, which outlive individual renders
+    const tasksRef = useRef(tasks);
+    const liveViewRef = useRef({ viewMode, searchQuery, workspaceOwnerId: null });
+    const workspaceOwnerId = currentWorkspace?.owner._id ?? null;
+    useEffect(() => {
+        tasksRef.current = tasks;
+        liveViewRef.current = { viewMode, searchQuery, workspaceOwnerId };
+    }, [tasks, viewMode, searchQuery, workspaceOwnerId]);
+
+    // Coalesce bursts of events (e.g. from a bulk action) into a single refetch
+    const refreshTimerRef = useRef(null);
+    const scheduleRefresh = useCallback(() => {
+        clearTimeout(refreshTimerRef.current);
+        refreshTimerRef.current = setTimeout(() => setRefreshTrigger(prev => prev + 1), LIVE_REFRESH_DELAY_MS);
+    }, []);
+
+    const applyTaskEvent = useCallback((type, data) => {
+        const { viewMode: currentView, searchQuery: currentSearch, workspaceOwnerId: currentOwnerId } = liveViewRef.current;
+
+        // The stream carries every workspace the user is in; only the open one is shown
+        if (data.task && currentOwnerId && data.task.owner !== currentOwnerId) return;
+
+        // Events do not carry trashed tasks and stats are computed by the server, so these views simply reload
+        if (currentView === 'trash' || currentView === 'dashboard') {
+            scheduleRefresh();
+            return;
+        }
+        if (type === 'task.deleted') {
+            setTasks(prevTasks => prevTasks.filter(task => task._id !== data.taskId));
+            return;
+        }
+
+        const incoming = data.task;
+        const current = tasksRef.current.find(task => task._id === incoming._id);
+        if (current) {
+            // Skip copies older than ours (e.g. an echo of our own write that arrived after the response)
+            if (incoming.version >= current.version) {
+                setTasks(prevTasks => prevTasks.map(task => (task._id === incoming._id ? incoming : task)));
+            }
+        } else if (currentView === 'board' && !currentSearch) {
+            // The board holds whole columns and filters locally, so new tasks can be merged in directly
+            setTasks(prevTasks => (prevTasks.some(task => task._id === incoming._id) ? prevTasks : [...prevTasks, incoming]));
+        } else {
+            // Grid order, paging and search are decided by the server
+            scheduleRefresh();
+        }
+    }, [scheduleRefresh]);
+
+    useEffect(() => {
+        if (!token) return;
+
+        let source = null;
+        let retryTimer = null;
+        let attempt = 0;
+        let hasConnected = false;
+        let stopped = false;
+
+        // EventSource cannot send headers, so the token goes in the query string (accepted only by /api/events)
+        const connect = () => {
+            source = new EventSource(`${EVENTS_URL}?token=${encodeURIComponent(token)}`);
+
+            source.onopen = () => {
+                // There is no replay, so catch up on anything missed while disconnected
+                if (hasConnected) scheduleRefresh();
+                hasConnected = true;
+                attempt = 0;
+                setLiveStatus('live');
+            };
+
+            // Reconnect ourselves with exponential backoff (EventSource gives up for good on HTTP errors)
+            source.onerror = () => {
+                source.close();
+                setLiveStatus('offline');
+                if (stopped) return;
+                const delay = Math.min(LIVE_RETRY_BASE_MS * 2 ** attempt, LIVE_RETRY_MAX_MS);
+                attempt += 1;
+                retryTimer = setTimeout(() => {
+                    setLiveStatus('connecting');
+                    connect();
+                }, delay);
+            };
+
+            TASK_EVENT_TYPES.forEach(type => {
+                source.addEventListener(type, (e) => applyTaskEvent(type, JSON.parse(e.data)));
+            });
+            source.addEventListener(NOTIFICATION_EVENT_TYPE, (e) => applyNotificationEvent(JSON.parse(e.data)));
+        };
+
+        connect();
+        return () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            source?.close();
+        };
+    }, [token, applyTaskEvent, applyNotificationEvent, scheduleRefresh]);
+
+    // Trash Fetching (GET /api/tasks/trash), only while the Trash view is open
+    const [trashTasks, setTrashTasks] = useState([]);
+    useEffect(() => {
+        if (!token || viewMode !== 'trash') return;
+
+        const fetchTrash = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const response = await taskApi.listTrash();
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                setTrashTasks(await response.json());
+            } catch (e) {
+                console.error("MERN API trash fetch error:", e);
+                setError(`Failed to load trash. ${e.message}`);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchTrash();
+    }, [viewMode, refreshTrigger, token, taskApi]);
+
+    // GET /api/tasks/stats (Dashboard), counted in the browser's timezone so "today" and "this week" match the user's calendar
+    const [stats, setStats] = useState(null);
+    const [statsInterval, setStatsInterval] = useState('week'); // 'day' | 'week'
+
+    useEffect(() => {
+        if (!token || viewMode !== 'dashboard') return;
+
+        const fetchStats = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const response = await taskApi.getTaskStats({
+                    query: {
+                        interval: statsInterval,
+                        periods: STATS_PERIODS[statsInterval],
+                        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                    },
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                setStats(await response.json());
+            } catch (e) {
+                console.error("MERN API stats fetch error:", e);
+                setError(`Failed to load statistics. ${e.message}`);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchStats();
+    }, [viewMode, statsInterval, refreshTrigger, token, taskApi]);
+
+    // 2. CRUD Operations (MERN API calls)
+
+    // POST /api/tasks (Updated for notification)
+    // Offline (or while older offline changes are still queued) the task is kept locally and sent later
+    const createTask = useCallback(async (taskData) => {
+        setLoading(true);
+        setError(null);
+        try {
+            let response = null;
+            if (pendingSyncCount === 0) {
+                response = await taskApi.createTask({ body: taskData }).catch(e => {
+                    if (!isNetworkError(e)) throw e;
+                    return null;
+                });
+            }
+
+            if (!response) {
+                const localTask = createLocalTask(taskData, workflow.statuses[0].name);
+                await queueOffline({ type: 'create', taskId: localTask._id, task: localTask, data: taskData });
+                setTasks(prevTasks => [localTask, ...prevTasks]);
+                showNotification(`Offline: "${taskData.title}" will be created once the server is reachable.`, 'info');
+                return;
+            }
+            
+            if (!response.ok) {
+                throw toRequestError(await response.json(), 'Failed to create task.');
+            }
+            
+            // Trigger a data refresh and show success message
+            setRefreshTrigger(prev => prev + 1);
+            showNotification(`Task "${taskData.title}" created successfully!`, 'success');
+
+        } catch (e) {
+            // Invalid input is shown next to the form fields instead
+            if (e.fieldErrors) return { fieldErrors: e.fieldErrors };
+            console.error("Error creating task:", e);
+            setError(`Failed to create task. ${e.message}`);
+            showNotification(`Error creating task. Check console.`, 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [showNotification, taskApi, pendingSyncCount, queueOffline, workflow]);
+
+    // Conflict state: set when the server rejects a write with 412 because the task changed meanwhile
+    // { serverTask, changes } for updates, { serverTask, action: 'delete' } for deletions
+    const [conflict, setConflict] = useState(null);
+
+    // Show the latest server copy in place and open the conflict dialog
+    const handleConflict = useCallback((serverTask, pendingChange) => {
+        setTasks(prevTasks => prevTasks.map(task => (task._id === serverTask._id ? serverTask : task)));
+        setConflict({ serverTask, ...pendingChange });
+        showNotification('This task was changed by someone else.', 'error');
+    }, [showNotification]);
+
+    // Shared PATCH request with an If-Match precondition on the task version (query: e.g. { ignoreBlockers: true }).
+    // Resolves to { task } on success or { conflict: serverTask } on 412; rejections carry fieldErrors for invalid input.
+    const sendTaskUpdate = useCallback(async (id, changes, version, query) => {
+        const response = await taskApi.updateTask({ id, query, body: changes, headers: toIfMatchHeaders(version) });
+        const data = await response.json();
+
+        if (response.status === 412) {
+            return { conflict: data.currentTask };
+        }
+        if (!response.ok) {
+            throw toRequestError(data, 'Failed to update task.');
+        }
+        return { task: data };
+    }, [taskApi]);
+
+    // PATCH /api/tasks/:id (CRITICAL: Added Optimistic Update for smooth status change)
+    const updateTaskStatus = useCallback(async (id, newStatus) => {
+        setError(null);
+        
+        // 1. Optimistic UI Update: Update the UI immediately for smoothness
+        const tempOriginalTasks = tasks; // Capture current state for simple rollback on failure
+        const originalTask = tasks.find(task => task._id === id);
+        setTasks(prevTasks => prevTasks.map(task => 
+            task._id === id ? { ...task, status: newStatus } : task
+        ));
+
+        // Offline (or the task itself is not on the server yet): keep the optimistic change and queue it
+        const queueStatusChange = async () => {
+            await queueOffline({ type: 'update', taskId: id, changes: { status: newStatus }, version: originalTask?.version });
+            showNotification(`Offline: status change to "${newStatus}" will sync later.`, 'info');
+        };
+        if (isLocalTask(originalTask) || pendingSyncCount > 0) {
+            await queueStatusChange();
+            return;
+        }
+        
+        try {
+            // A task blocked by unfinished tasks is only moved if the user confirms (the server then ignores the blockers)
+            const result = await sendTaskUpdate(id, { status: newStatus }, originalTask?.version).catch(e => {
+                if (!e.blocked || !window.confirm(`${e.fieldErrors?.status || e.message}\n\nMove it to "${newStatus}" anyway?`)) throw e;
+                return sendTaskUpdate(id, { status: newStatus }, originalTask?.version, { ignoreBlockers: true });
+            });
+
+            // 2. Conflict: someone else changed the task first. Show their copy and let the user retry or discard.
+            if (result.conflict) {
+                handleConflict(result.conflict, { changes: { status: newStatus } });
+                return;
+            }
+
+            // 3. Success: keep the server copy (it carries the new version)
+            setTasks(prevTasks => prevTasks.map(task => (task._id === id ? result.task : task)));
+            if (result.task.recurrence?.nextTaskId && !originalTask?.recurrence?.nextTaskId) {
+                // Completing a recurring task created its next occurrence on the server
+                setRefreshTrigger(prev => prev + 1);
+                showNotification(`Completed! The next occurrence of "${result.task.title}" was created.`, 'success');
+            } else {
+                showNotification(`Status updated to "${newStatus}"!`, 'info');
+            }
+            
+        } catch (e) {
+            if (isNetworkError(e)) {
+                await queueStatusChange();
+                return;
+            }
+            if (e.blocked) {
+                // The user chose to leave the blocked task where it is
+                setTasks(tempOriginalTasks);
+                return;
+            }
+            console.error("Error updating status:", e);
+            setError(`Failed to update task status. ${e.fieldErrors?.status || e.message}`); // e.g. a move the workflow does not allow
+            showNotification(`Error updating status. Reverting change.`, 'error');
+            
+            // 4. Rollback on Failure: Restore the previous state and force a refresh.
+            setTasks(tempOriginalTasks);
+            setRefreshTrigger(prev => prev + 1);
+        }
+    }, [showNotification, tasks, sendTaskUpdate, handleConflict, pendingSyncCount, queueOffline]); // DEPENDS ON TASKS for accurate optimistic rollback
+
+    // PATCH /api/tasks/:id (Edit title, description or due date from the modal)
+    const updateTask = useCallback(async (id, changes, version) => {
+        setError(null);
+        try {
+            const result = await sendTaskUpdate(id, changes, version);
+
+            if (result.conflict) {
+                handleConflict(result.conflict, { changes });
+                return;
+            }
+
+            // Replace the edited task in place with the server copy
+            setTasks(prevTasks => prevTasks.map(task => (task._id === id ? result.task : task)));
+            showNotification(`Task "${result.task.title}" updated.`, 'success');
+        } catch (e) {
+            if (e.fieldErrors) return { fieldErrors: e.fieldErrors };
+            console.error("Error updating task:", e);
+            setError(`Failed to update task. ${e.message}`);
+            showNotification(`Error updating task. Check console.`, 'error');
+        }
+    }, [showNotification, sendTaskUpdate, handleConflict]);
+
+    // PATCH /api/tasks/:id (Assign or unassign workspace members from a card; the assignees are notified by the server)
+    const updateTaskAssignees = useCallback(async (task, assignees) => {
+        setError(null);
+        try {
+            const result = await sendTaskUpdate(task._id, { assignees }, task.version);
+
+            if (result.conflict) {
+                handleConflict(result.conflict, { changes: { assignees } });
+                return;
+            }
+            setTasks(prevTasks => prevTasks.map(t => (t._id === task._id ? result.task : t)));
+        } catch (e) {
+            console.error("Error updating assignees:", e);
+            setError(`Failed to update assignees. ${e.fieldErrors?.assignees || e.message}`);
+            showNotification(`Error updating assignees. Check console.`, 'error');
+        }
+    }, [showNotification, sendTaskUpdate, handleConflict]);
+
+    // PUT /api/tasks/reorder (Board drag-and-drop: move a task to a column slot and renumber the affected columns)
+    const moveTask = useCallback(async (taskId, toStatus, toIndex) => {
+        const movedTask = tasks.find(task => task._id === taskId);
+        if (!movedTask || isLocalTask(movedTask)) return; // Tasks created offline can be moved once they have synced
+
+        // Rebuild the source and target columns in their new order
+        const columnOf = (status) => tasks
+            .filter(task => task.status === status && task._id !== taskId)
+            .sort((a, b) => a.position - b.position);
+        const targetColumn = columnOf(toStatus);
+        targetColumn.splice(toIndex, 0, { ...movedTask, status: toStatus });
+        const affectedColumns = movedTask.status === toStatus ? [targetColumn] : [columnOf(movedTask.status), targetColumn];
+
+        // Only send tasks whose status or position actually changes, each pinned to the version shown on the board
+        const moves = affectedColumns
+            .flatMap(column => column.map((task, position) => ({ _id: task._id, status: task.status, position, version: task.version })))
+            .filter(move => {
+                const current = tasks.find(task => task._id === move._id);
+                return current.status !== move.status || current.position !== move.position;
+            });
+        if (moves.length === 0) return;
+
+        // Optimistic UI Update with rollback on failure (same approach as updateTaskStatus)
+        const tempOriginalTasks = tasks;
+        const movesById = new Map(moves.map(move => [move._id, move]));
+        setTasks(prevTasks => prevTasks.map(task => (movesById.has(task._id) ? { ...task, ...movesById.get(task._id) } : task)));
+
+        try {
+            let response = await taskApi.reorderTasks({ body: { moves } });
+            let data = await response.json();
+
+            // Dropping a blocked task past the first column needs the user's confirmation (as in updateTaskStatus)
+            if (isBlockedError(data)) {
+                if (!window.confirm(`${data.errors.find(error => error.code === 'blocked').message}\n\nMove it to "${toStatus}" anyway?`)) {
+                    setTasks(tempOriginalTasks);
+                    return;
+                }
+                response = await taskApi.reorderTasks({ query: { ignoreBlockers: true }, body: { moves } });
+                data = await response.json();
+            }
+
+            // Someone else changed one of the tasks meanwhile: nothing was moved, so show the board as it is now
+            if (response.status === 409) {
+                setTasks(tempOriginalTasks);
+                setRefreshTrigger(prev => prev + 1);
+                showNotification(data.message, 'error');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(data.errors?.[0]?.message || data.error || data.message || 'Failed to move task.');
+            }
+
+            // Keep the server copies (they carry the new versions)
+            const updatedById = new Map(data.map(task => [task._id, task]));
+            setTasks(prevTasks => prevTasks.map(task => updatedById.get(task._id) || task));
+
+            // Dropping a recurring task into the done status creates its next occurrence on the server
+            if (updatedById.get(taskId)?.recurrence?.nextTaskId && !movedTask.recurrence?.nextTaskId) {
+                setRefreshTrigger(prev => prev + 1);
+            }
+            if (movedTask.status !== toStatus) {
+                showNotification(`Moved "${movedTask.title}" to ${toStatus}.`, 'info');
+            }
+        } catch (e) {
+            console.error("Error moving task:", e);
+            setError(`Failed to move task. ${e.message}`);
+            showNotification(`Error moving task. Reverting change.`, 'error');
+            setTasks(tempOriginalTasks);
+            setRefreshTrigger(prev => prev + 1);
+        }
+    }, [showNotification, tasks, taskApi]);
+
+    // Board drops are indexed among the visible (filtered) cards; translate that to a slot in the full column
+    // so hidden tasks keep their relative order.
+    const moveBoardTask = useCallback((taskId, toStatus, visibleIndex) => {
+        const columnOf = (list) => list
+            .filter(task => task.status === toStatus && task._id !== taskId)
+            .sort((a, b) => a.position - b.position);
+        const visibleColumn = columnOf(boardTasks);
+        const fullColumn = columnOf(tasks);
+
+        const anchor = visibleColumn[visibleIndex];
+        let index = fullColumn.length;
+        if (anchor) {
+            index = fullColumn.indexOf(anchor);
+        } else if (visibleColumn.length > 0) {
+            index = fullColumn.indexOf(visibleColumn[visibleColumn.length - 1]) + 1;
+        }
+        moveTask(taskId, toStatus, index);
+    }, [tasks, boardTasks, moveTask]);
+
+    // GET /api/tasks/:id/history (Loaded on demand by each TaskItem's history panel)
+    const loadTaskHistory = useCallback(async (id) => {
+        const response = await taskApi.getTaskHistory({ id });
+        if (!response.ok) {
+            throw new Error(`Failed to load history (status ${response.status})`);
+        }
+        return response.json();
+    }, [taskApi]);
+
+    // POST /api/tasks/recurrence/preview (Upcoming dates for a rule that is still being edited)
+    const previewRecurrence = useCallback(async (recurrence, startDate) => {
+        const response = await taskApi.previewRecurrence({ body: { recurrence, startDate, count: 5 } });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || data.message || 'Failed to preview recurrence.');
+        }
+        return data.occurrences;
+    }, [taskApi]);
+
+    // Multi-select helpers
+    const toggleSelect = useCallback((id) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id); else next.add(id);
+            return next;
+        });
     }, []);
 
-    // 1. Data Fetching (GET /api/tasks and GET /api/tasks?status=...)
-    useEffect(() => {
-        const fetchTasks = async () => {
-            setLoading(true);
-            setError(null);
-            
-            // Construct URL with optional status filter
-            const statusParam = filterStatus !== 'All' ? `?status=${encodeURIComponent(filterStatus)}` : '';
-            const url = `${API_BASE_URL}${statusParam}`;
+    const exitSelectionMode = () => {
+        setSelectionMode(false);
+        setSelectedIds(new Set());
+    };
 
-            try {
-                const response = await fetch(url);
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                
+    // POST /api/tasks/bulk (Apply one action to every selected task, all or nothing)
+    const runBulkAction = useCallback(async (action, value) => {
+        const ids = [...selectedIds];
+        if (action === 'delete' && !window.confirm(`Delete ${ids.length} task(s)?`)) return;
+
+        setBulkBusy(true);
+        setError(null);
+        try {
+            const response = await taskApi.bulkTasks({ body: { ids, action, value } });
+            const data = await response.json();
+
+            // Some tasks could not take the action, so none were changed: deselect those so the rest can be retried
+            if (response.status === 400 && data.results) {
+                const failed = data.results.filter(result => !result.skipped);
+                setSelectedIds(new Set(ids.filter(id => !failed.some(result => result.id === id))));
+                showNotification(`No tasks were changed. ${failed.length} could not be: ${failed[0].error}. They were deselected; run the action again for the rest.`, 'error');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(data.error || data.message || 'Bulk action failed.');
+            }
+
+            setSelectedIds(new Set());
+            setRefreshTrigger(prev => prev + 1);
+            showNotification(`${data.succeeded} task(s) updated.`, 'success');
+        } catch (e) {
+            console.error("Error running bulk action:", e);
+            setError(`Failed to apply bulk action. ${e.message}`);
+            showNotification(`Error applying bulk action. Check console.`, 'error');
+        } finally {
+            setBulkBusy(false);
+        }
+    }, [selectedIds, taskApi, showNotification]);
+
+    // GET /api/tasks/export (Download the grid's current filter and sort as a CSV, JSON or iCalendar file)
+    const exportTasks = useCallback(async (format) => {
+        setError(null);
+        try {
+            const params = new URLSearchParams({ format, sort: sortOption });
+            if (filterStatus !== 'All') params.set('status', filterStatus);
+            if (filterProject !== 'all') params.set('project', filterProject);
+            if (filterPriority !== 'all') params.set('priority', filterPriority);
+            if (filterTag) params.set('tags', filterTag);
+            if (filterMine) params.set('assignee', 'me');
+            if (searchQuery) params.set('q', searchQuery);
+
+            const response = await taskApi.exportTasks({ query: params });
+            if (!response.ok) {
                 const data = await response.json();
-                setTasks(data);
-            } catch (e) {
-                console.error("MERN API fetch error:", e);
-                setError(`Failed to load tasks from MERN backend. Is Express server running on port 5000? Error: ${e.message}`);
-            } finally {
-                setLoading(false);
+                throw new Error(data.error || data.message || 'Export failed.');
             }
-        };
 
-        fetchTasks();
-    }, [filterStatus, refreshTrigger]); // Re-run when filter changes or a CRUD operation triggers a refresh
+            // Save the response through a temporary link, using the server's file name
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `taskify-tasks.${format}`;
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            console.error("Error exporting tasks:", e);
+            setError(`Failed to export tasks. ${e.message}`);
+            showNotification(`Error exporting tasks. Check console.`, 'error');
+        }
+    }, [taskApi, showNotification, sortOption, filterStatus, filterProject, filterPriority, filterTag, filterMine, searchQuery]);
 
-    // 2. CRUD Operations (MERN API calls)
+    // POST /api/tasks/import (A file is first sent as a dry run; the user confirms the preview to create the tasks)
+    const [importPreview, setImportPreview] = useState(null); // { fileName, format, content, result }
+    const [importBusy, setImportBusy] = useState(false);
+    const importInputRef = useRef(null);
 
-    // POST /api/tasks (Updated for notification)
-    const createTask = useCallback(async (taskData) => {
-        setLoading(true);
+    const sendImport = useCallback(async (format, content, dryRun) => {
+        const response = await taskApi.importTasks({ body: { format, content, dryRun } });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || data.message || 'Import failed.');
+        }
+        return data;
+    }, [taskApi]);
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Picking the same file again should still trigger a change
+        if (!file) return;
+
+        const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
         setError(null);
+        setImportBusy(true);
         try {
-            const response = await fetch(API_BASE_URL, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(taskData),
-            });
-            
+            const content = await file.text();
+            const result = await sendImport(format, content, true);
+            setImportPreview({ fileName: file.name, format, content, result });
+        } catch (err) {
+            console.error("Error reading import file:", err);
+            showNotification(`Could not import "${file.name}": ${err.message}`, 'error');
+        } finally {
+            setImportBusy(false);
+        }
+    };
+
+    const confirmImport = async () => {
+        const { format, content } = importPreview;
+        setImportBusy(true);
+        try {
+            const result = await sendImport(format, content, false);
+            setImportPreview(null);
+            setRefreshTrigger(prev => prev + 1);
+            if (result.failed === 0) {
+                showNotification(`${result.imported} task(s) imported.`, 'success');
+            } else {
+                showNotification(`${result.imported} task(s) imported, ${result.failed} row(s) skipped.`, 'info');
+            }
+        } catch (e) {
+            console.error("Error importing tasks:", e);
+            showNotification(`Error importing tasks. ${e.message}`, 'error');
+        } finally {
+            setImportBusy(false);
+        }
+    };
+
+    // Checklist requests (/api/tasks/:id/items...) respond with the whole task, which replaces the local copy.
+    // request() sends one of the taskApi checklist calls.
+    const sendChecklistRequest = useCallback(async (task, request) => {
+        setError(null);
+        try {
+            const response = await request();
+            const data = await response.json();
+
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.message || 'Failed to create task.');
+                throw new Error(data.error || data.message || 'Failed to update checklist.');
             }
-            
-            // Trigger a data refresh and show success message
+
+            setTasks(prevTasks => prevTasks.map(t => (t._id === task._id ? data : t)));
+
+            // The server may auto-advance the task once every item is done (and then create the next occurrence)
+            if (data.recurrence?.nextTaskId && !task.recurrence?.nextTaskId) {
+                setRefreshTrigger(prev => prev + 1);
+            }
+            if (task.status !== workflow.doneStatus && data.status === workflow.doneStatus) {
+                showNotification(`All items done. "${data.title}" marked ${data.status}!`, 'success');
+            }
+        } catch (e) {
+            console.error("Error updating checklist:", e);
+            setError(`Failed to update checklist. ${e.message}`);
+            showNotification(`Error updating checklist. Check console.`, 'error');
+        }
+    }, [showNotification, workflow]);
+
+    const checklistActions = useMemo(() => ({
+        add: (task, text) => sendChecklistRequest(task, () => taskApi.addChecklistItem({ id: task._id, body: { text } })),
+        update: (task, itemId, changes) => sendChecklistRequest(task, () => taskApi.updateChecklistItem({ id: task._id, itemId, body: changes })),
+        remove: (task, itemId) => sendChecklistRequest(task, () => taskApi.deleteChecklistItem({ id: task._id, itemId })),
+        reorder: (task, itemIds) => sendChecklistRequest(task, () => taskApi.reorderChecklistItems({ id: task._id, body: { itemIds } })),
+    }), [sendChecklistRequest, taskApi]);
+
+    // Comments, attachments and dependencies (/api/tasks/:id/comments, .../attachments, .../dependencies), shown in the detail drawer.
+    // Each action resolves to the parsed body (null for 204) or throws with the server's message.
+    const [detailTask, setDetailTask] = useState(null);
+    const openDetails = useCallback((task) => setDetailTask(task), []);
+    const closeDetails = useCallback(() => setDetailTask(null), []);
+
+    // Dependency links name tasks that may not be loaded (another page, status or project), so fetch those first
+    const openTaskById = useCallback(async (id) => {
+        const loaded = tasks.find(task => task._id === id);
+        if (loaded) {
+            openDetails(loaded);
+            return;
+        }
+        try {
+            const response = await taskApi.getTask({ id });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || data.message || 'Failed to load task.');
+            }
+            openDetails(data);
+        } catch (e) {
+            console.error("Error opening task:", e);
+            showNotification(`Could not open the task. ${e.message}`, 'error');
+        }
+    }, [tasks, taskApi, openDetails, showNotification]);
+
+    const sendDiscussionRequest = useCallback(async (request) => {
+        const response = await request();
+        const data = response.status === 204 ? null : await response.json();
+        if (!response.ok) {
+            throw new Error(data?.errors?.[0]?.message || data?.error || data?.message || 'Request failed.');
+        }
+        return data;
+    }, []);
+
+    const discussionActions = useMemo(() => ({
+        loadComments: (id) => sendDiscussionRequest(() => taskApi.listComments({ id })),
+        addComment: (id, body) => sendDiscussionRequest(() => taskApi.addComment({ id, body: { body } })),
+        updateComment: (id, commentId, body) => sendDiscussionRequest(() => taskApi.updateComment({ id, commentId, body: { body } })),
+        deleteComment: (id, commentId) => sendDiscussionRequest(() => taskApi.deleteComment({ id, commentId })),
+        loadAttachments: (id) => sendDiscussionRequest(() => taskApi.listAttachments({ id })),
+        uploadAttachment: (id, file) => {
+            const body = new FormData();
+            body.append('file', file);
+            return sendDiscussionRequest(() => taskApi.uploadAttachment({ id, body }));
+        },
+        deleteAttachment: (id, attachmentId) => sendDiscussionRequest(() => taskApi.deleteAttachment({ id, attachmentId })),
+        // Dependency changes return the updated task, which replaces the listed copy (the cards' indicators follow)
+        loadDependencies: (id) => sendDiscussionRequest(() => taskApi.listDependencies({ id })),
+        addDependency: async (id, taskId) => {
+            const task = await sendDiscussionRequest(() => taskApi.addDependency({ id, body: { taskId } }));
+            setTasks(prevTasks => prevTasks.map(t => (t._id === id ? task : t)));
+        },
+        removeDependency: async (id, blockerId) => {
+            const task = await sendDiscussionRequest(() => taskApi.removeDependency({ id, blockerId }));
+            setTasks(prevTasks => prevTasks.map(t => (t._id === id ? task : t)));
+        },
+        // Downloads need the auth header, so fetch the file and save it through a temporary link (like exports)
+        downloadAttachment: async (id, attachment) => {
+            const response = await taskApi.downloadAttachment({ id, attachmentId: attachment._id });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || data.message || 'Download failed.');
+            }
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.fileName;
+            link.click();
+            URL.revokeObjectURL(url);
+        },
+    }), [sendDiscussionRequest, taskApi]);
+
+    // Shared request for the project endpoints; resolves to the parsed body (null for 204)
+    const sendProjectRequest = useCallback(async (path, method, body) => {
+        const response = await authFetch(`${PROJECTS_BASE_URL}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        const data = response.status === 204 ? null : await response.json();
+        if (!response.ok) {
+            throw new Error(data?.error || data?.message || 'Project request failed.');
+        }
+        return data;
+    }, [authFetch]);
+
+    // POST /api/projects (Resolves to true so the sidebar can clear its form)
+    const createProject = useCallback(async (fields) => {
+        try {
+            const project = await sendProjectRequest('', 'POST', fields);
+            setProjects(prev => [...prev, { ...project, taskCount: 0 }].sort((a, b) => a.name.localeCompare(b.name)));
+            showNotification(`Project "${project.name}" created.`, 'success');
+            return true;
+        } catch (e) {
+            console.error("Error creating project:", e);
+            showNotification(e.message, 'error');
+            return false;
+        }
+    }, [sendProjectRequest, showNotification]);
+
+    // PATCH /api/projects/:id (Rename or recolor)
+    const updateProject = useCallback(async (id, changes) => {
+        try {
+            const project = await sendProjectRequest(`/${id}`, 'PATCH', changes);
+            setProjects(prev => prev
+                .map(p => (p._id === id ? { ...p, ...project } : p))
+                .sort((a, b) => a.name.localeCompare(b.name)));
+        } catch (e) {
+            console.error("Error updating project:", e);
+            showNotification(e.message, 'error');
+        }
+    }, [sendProjectRequest, showNotification]);
+
+    // DELETE /api/projects/:id (Its tasks are kept and become unassigned)
+    const deleteProject = useCallback(async (project) => {
+        if (!window.confirm(`Delete project "${project.name}"? Its tasks will be kept without a project.`)) return;
+        try {
+            await sendProjectRequest(`/${project._id}`, 'DELETE');
+            if (filterProject === project._id) setFilterProject('all');
             setRefreshTrigger(prev => prev + 1);
-            showNotification(`Task "${taskData.title}" created successfully!`, 'success');
+            showNotification(`Project "${project.name}" deleted.`, 'error');
+        } catch (e) {
+            console.error("Error deleting project:", e);
+            showNotification(e.message, 'error');
+        }
+    }, [sendProjectRequest, showNotification, filterProject]);
+
+    // Filters reset to the first page of results
+    const selectProject = (value) => {
+        setFilterProject(value);
+        setPage(1);
+    };
+
+    const filterByTag = useCallback((tag) => {
+        setFilterTag(tag);
+        setPage(1);
+    }, []);
+
+    // Switching workspaces starts from its first page without the previous workspace's project filter or selection
+    const selectWorkspace = (id) => {
+        switchWorkspace(id === workspaces[0]?._id ? null : id);
+        setFilterProject('all');
+        setFilterMine(false);
+        setPage(1);
+        exitSelectionMode();
+        setDetailTask(null);
+    };
 
+    // Workspace dialog actions (/api/workspaces/:id...). Resolve to true on success; errors are shown as toasts.
+    const sendWorkspaceRequest = useCallback(async (request, successMessage) => {
+        try {
+            const response = await request();
+            const data = response.status === 204 ? null : await response.json();
+            if (!response.ok) {
+                throw new Error(data?.errors?.[0]?.message || data?.error || data?.message || 'Workspace request failed.');
+            }
+            setWorkspacesTrigger(prev => prev + 1);
+            if (successMessage) showNotification(successMessage, 'success');
+            return true;
         } catch (e) {
-            console.error("Error creating task:", e);
-            setError(`Failed to create task. ${e.message}`);
-            showNotification(`Error creating task. Check console.`, 'error');
-        } finally {
-            setLoading(false);
+            console.error("Error updating workspace:", e);
+            showNotification(e.message, 'error');
+            return false;
         }
     }, [showNotification]);
 
-    // PUT /api/tasks/:id (CRITICAL: Added Optimistic Update for smooth status change)
-    const updateTaskStatus = useCallback(async (id, newStatus) => {
+    const workspaceActions = useMemo(() => ({
+        rename: (id, name) => sendWorkspaceRequest(() => taskApi.renameWorkspace({ id, body: { name } }), 'Workspace renamed.'),
+        invite: (id, email, role) => sendWorkspaceRequest(() => taskApi.addWorkspaceMember({ id, body: { email, role } }), `${email} was added to the workspace.`),
+        changeRole: (id, memberId, role) => sendWorkspaceRequest(() => taskApi.updateWorkspaceMember({ id, userId: memberId, body: { role } })),
+        remove: (id, memberId, message) => sendWorkspaceRequest(() => taskApi.removeWorkspaceMember({ id, userId: memberId }), message),
+    }), [sendWorkspaceRequest, taskApi]);
+
+    // Removing a member asks first; leaving also switches back to the user's own workspace
+    const removeWorkspaceMember = async (member) => {
+        const isSelf = member._id === userId;
+        const question = isSelf
+            ? `Leave "${currentWorkspace.name}"? You will be unassigned from its tasks.`
+            : `Remove ${member.name} from "${currentWorkspace.name}"? They will be unassigned from its tasks.`;
+        if (!window.confirm(question)) return false;
+
+        const removed = await workspaceActions.remove(currentWorkspace._id, member._id, isSelf ? `You left "${currentWorkspace.name}".` : `${member.name} was removed.`);
+        if (removed && isSelf) {
+            setIsWorkspaceDialogOpen(false);
+            selectWorkspace(null);
+        } else if (removed) {
+            setRefreshTrigger(prev => prev + 1); // Their assignments are gone
+        }
+        return removed;
+    };
+
+    // Open the modal in create or edit mode
+    const openCreateModal = () => {
+        setEditingTask(null);
+        setIsModalOpen(true);
+    };
+
+    const openEditModal = useCallback((task) => {
+        setEditingTask(task);
+        setIsModalOpen(true);
+    }, []);
+
+    // POST /api/tasks/:id/restore (Undo a delete or restore from the Trash view)
+    const restoreTask = useCallback(async (id) => {
         setError(null);
-        
-        // 1. Optimistic UI Update: Update the UI immediately for smoothness
-        const tempOriginalTasks = tasks; // Capture current state for simple rollback on failure
-        setTasks(prevTasks => prevTasks.map(task => 
-            task._id === id ? { ...task, status: newStatus } : task
-        ));
-        
         try {
-            const response = await fetch(`${API_BASE_URL}/${id}`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ status: newStatus }),
-            });
-            
+            const response = await taskApi.restoreTask({ id });
+            const data = await response.json();
+
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.message || 'Failed to update task status.');
+                throw new Error(data.message || 'Failed to restore task.');
             }
-            
-            showNotification(`Status updated to "${newStatus}"!`, 'info');
-            
-        } catch (e) {
-            console.error("Error updating status:", e);
-            setError(`Failed to update task status. ${e.message}`);
-            showNotification(`Error updating status. Reverting change.`, 'error');
-            
-            // 4. Rollback on Failure: Restore the previous state and force a refresh.
-            setTasks(tempOriginalTasks);
+
             setRefreshTrigger(prev => prev + 1);
+            showNotification(`Task "${data.title}" restored.`, 'success');
+        } catch (e) {
+            console.error("Error restoring task:", e);
+            setError(`Failed to restore task. ${e.message}`);
+            showNotification(`Error restoring task. Check console.`, 'error');
+        }
+    }, [showNotification, taskApi]);
+
+    // DELETE /api/tasks/trash/:id (Permanently delete from the Trash view)
+    const purgeTask = useCallback(async (id) => {
+        if (!window.confirm('Permanently delete this task? This cannot be undone.')) return;
+
+        setError(null);
+        try {
+            const response = await taskApi.purgeTask({ id });
+
+            if (response.status !== 204 && response.status !== 404) {
+                const errorText = await response.text();
+                throw new Error(errorText || 'Failed to permanently delete task.');
+            }
+
+            setTrashTasks(prevTasks => prevTasks.filter(task => task._id !== id));
+            showNotification('Task permanently deleted.', 'error');
+        } catch (e) {
+            console.error("Error purging task:", e);
+            setError(`Failed to permanently delete task. ${e.message}`);
+            showNotification(`Error deleting task. Check console.`, 'error');
         }
-    }, [showNotification, tasks]); // DEPENDS ON TASKS for accurate optimistic rollback
+    }, [showNotification, taskApi]);
 
-    // DELETE /api/tasks/:id (Updated for notification)
-    const deleteTask = useCallback(async (id) => {
+    // DELETE /api/tasks/:id (Moves the task to the trash; the toast offers an Undo. Guarded by If-Match on the task version)
+    const deleteTask = useCallback(async (id, version) => {
         setLoading(true);
         setError(null);
+
+        // Offline: hide the task now and send the delete once the server is reachable
+        const queueDelete = async () => {
+            await queueOffline({ type: 'delete', taskId: id, version });
+            setTasks(prevTasks => prevTasks.filter(task => task._id !== id));
+            showNotification('Offline: the task will be moved to trash once the server is reachable.', 'info');
+        };
+
         try {
-            const response = await fetch(`${API_BASE_URL}/${id}`, {
-                method: 'DELETE',
-            });
+            if (id.startsWith(LOCAL_ID_PREFIX) || pendingSyncCount > 0) {
+                await queueDelete();
+                return;
+            }
+
+            const response = await taskApi.deleteTask({ id, headers: toIfMatchHeaders(version) });
+
+            if (response.status === 412) {
+                const data = await response.json();
+                handleConflict(data.currentTask, { action: 'delete' });
+                return;
+            }
             
             if (response.status !== 204) { 
                 if (response.status !== 404) {
@@ -447,15 +3927,101 @@ export default function App() {
             
             // Trigger a data refresh and show success message
             setRefreshTrigger(prev => prev + 1);
-            showNotification('Task deleted successfully.', 'error'); // Use 'error' type for delete confirmation (red color)
+            showNotification('Task moved to trash.', 'error', { label: 'Undo', onClick: () => restoreTask(id) }); // Use 'error' type for delete confirmation (red color)
         } catch (e) {
+            if (isNetworkError(e)) {
+                await queueDelete();
+                return;
+            }
             console.error("Error deleting task:", e);
             setError(`Failed to delete task. ${e.message}`);
             showNotification(`Error deleting task. Check console.`, 'error');
         } finally {
             setLoading(false);
         }
-    }, [showNotification]);
+    }, [showNotification, taskApi, handleConflict, restoreTask, pendingSyncCount, queueOffline]);
+
+    // Replay queued offline changes in order once the server is reachable again.
+    // Stops at the first network failure (the rest stay queued) or conflict (resumes once the dialog is closed).
+    const isFlushingRef = useRef(false);
+    const flushOutbox = useCallback(async () => {
+        if (!token || isFlushingRef.current) return;
+        isFlushingRef.current = true;
+        let processedCount = 0;
+        let syncedCount = 0;
+
+        try {
+            for (const entry of await loadOutbox()) {
+                let response;
+                const workspaceHeaders = entry.workspaceId ? { [WORKSPACE_HEADER]: entry.workspaceId } : {};
+                const headers = { ...toIfMatchHeaders(entry.version), ...workspaceHeaders };
+                if (entry.type === 'create') {
+                    response = await taskApi.createTask({ body: entry.data, headers: workspaceHeaders });
+                } else if (entry.type === 'update') {
+                    response = await taskApi.updateTask({ id: entry.taskId, body: entry.changes, headers });
+                } else {
+                    response = await taskApi.deleteTask({ id: entry.taskId, headers });
+                }
+
+                if (response.status === 412) {
+                    // The server copy changed while we were offline: the conflict dialog lets the user decide
+                    const data = await response.json();
+                    await removeFromOutbox(entry.id);
+                    handleConflict(data.currentTask, entry.type === 'delete' ? { action: 'delete' } : { changes: entry.changes });
+                    processedCount += 1;
+                    break;
+                }
+                if (isRetryableStatus(response.status)) {
+                    // The server cannot take it right now: keep this and the later entries queued, in order, for the next sync
+                    break;
+                }
+                if (response.ok || response.status === 404) {
+                    syncedCount += 1; // A task that is already gone needs no further changes
+                } else {
+                    const data = await response.json().catch(() => ({}));
+                    showNotification(`A change made offline was rejected: ${data.message || `status ${response.status}`}`, 'error');
+                }
+                await removeFromOutbox(entry.id);
+                processedCount += 1;
+            }
+        } catch (e) {
+            // Network errors mean we are still offline; anything else is logged. Either way the rest stays queued.
+            if (!isNetworkError(e)) console.error("Error syncing offline changes:", e);
+        } finally {
+            isFlushingRef.current = false;
+            await refreshPendingCount();
+        }
+
+        if (processedCount > 0) {
+            setRefreshTrigger(prev => prev + 1);
+        }
+        if (syncedCount > 0) {
+            showNotification(`Synced ${syncedCount} change(s) made offline.`, 'success');
+        }
+    }, [token, loadOutbox, taskApi, handleConflict, showNotification, refreshPendingCount]);
+
+    // Sync whenever the server is reachable (live stream connected) and nothing is waiting on the conflict dialog
+    useEffect(() => {
+        if (liveStatus === 'live' && pendingSyncCount > 0 && !conflict) flushOutbox();
+    }, [liveStatus, pendingSyncCount, conflict, flushOutbox]);
+
+    useEffect(() => {
+        window.addEventListener('online', flushOutbox);
+        return () => window.removeEventListener('online', flushOutbox);
+    }, [flushOutbox]);
+
+    // Conflict dialog actions: retry re-applies the user's change on top of the latest version
+    const retryConflict = useCallback(() => {
+        const { serverTask, changes, action } = conflict;
+        setConflict(null);
+        if (action === 'delete') {
+            deleteTask(serverTask._id, serverTask.version);
+        } else {
+            updateTask(serverTask._id, changes, serverTask.version);
+        }
+    }, [conflict, deleteTask, updateTask]);
+
+    const discardConflict = () => setConflict(null);
     
     // Close dropdown when clicking outside
     const handleMainClick = (e) => {
@@ -465,6 +4031,11 @@ export default function App() {
         }
     };
 
+    // Unauthenticated users only see the login/signup screen
+    if (!auth) {
+        return <AuthScreen onAuthenticated={handleAuthenticated} />;
+    }
+
 
     return (
         // Main container ensures footer is always at the bottom
@@ -481,10 +4052,67 @@ export default function App() {
                             <span className="text-base font-medium text-indigo-500 ml-2 hidden sm:inline">| MERN Manager</span>
                         </h1>
                     </div>
-                    {/* Backend Status: Less intrusive and smaller */}
-                    <p className="text-xs text-gray-500 text-right">
-                        <span className="hidden md:inline">Backend Status:</span> <span className="font-mono text-gray-700 font-semibold bg-gray-100 px-2 py-1 rounded-md">M/E</span>
-                    </p>
+                    <div className="flex items-center space-x-4">
+                        {/* Real-time Sync Status: Less intrusive and smaller */}
+                        <p className="text-xs text-gray-500 text-right" aria-live="polite">
+                            <span className="hidden md:inline">Sync:</span>{' '}
+                            <span
+                                className={`inline-flex items-center space-x-1 font-semibold px-2 py-1 rounded-md ${LIVE_STATUS_STYLES[liveStatus].className}`}
+                                title={liveStatus === 'live' ? 'Changes from other tabs and devices appear instantly' : 'Not receiving live updates'}
+                            >
+                                {liveStatus === 'offline' ? <WifiOff size={12} /> : <Wifi size={12} />}
+                                <span>{LIVE_STATUS_STYLES[liveStatus].label}</span>
+                            </span>
+                            {pendingSyncCount > 0 && (
+                                <span className="ml-1 font-semibold px-2 py-1 rounded-md bg-amber-100 text-amber-800" title="Changes made offline, waiting to be sent">
+                                    {pendingSyncCount} pending
+                                </span>
+                            )}
+                        </p>
+                        {/* Workspace Switcher and Members */}
+                        {workspaces.length > 0 && (
+                            <div className="flex items-center space-x-1">
+                                <select
+                                    value={currentWorkspace?._id || ''}
+                                    onChange={(e) => selectWorkspace(e.target.value)}
+                                    aria-label="Workspace"
+                                    className="max-w-[10rem] sm:max-w-[14rem] px-2 py-1.5 text-sm text-gray-700 font-medium bg-white rounded-lg border hover:bg-gray-50"
+                                >
+                                    {workspaces.map(workspace => (
+                                        <option key={workspace._id} value={workspace._id}>
+                                            {workspace.name}{workspace.role === 'owner' ? '' : ` (${workspace.role})`}
+                                        </option>
+                                    ))}
+                                </select>
+                                {currentWorkspace && (
+                                    <button
+                                        onClick={() => setIsWorkspaceDialogOpen(true)}
+                                        className="flex items-center space-x-1 p-2 text-gray-500 hover:text-indigo-700 hover:bg-indigo-50 rounded-full transition duration-200"
+                                        title="Workspace members"
+                                    >
+                                        <Users size={18} />
+                                        {currentWorkspace.members.length > 0 && <span className="text-xs font-semibold">{currentWorkspace.members.length + 1}</span>}
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                        {/* Reminders, overdue notices, assignments and invitations */}
+                        <NotificationBell
+                            notifications={notifications}
+                            unreadCount={unreadCount}
+                            onMarkRead={markNotificationRead}
+                            onMarkAllRead={markAllNotificationsRead}
+                        />
+                        {/* Signed-in user and logout */}
+                        <span className="hidden sm:inline text-sm font-medium text-gray-700">{auth.user?.name}</span>
+                        <button
+                            onClick={handleLogout}
+                            className="p-2 text-gray-500 hover:text-indigo-700 hover:bg-indigo-50 rounded-full transition duration-200"
+                            title="Log out"
+                        >
+                            <LogOut size={18} />
+                        </button>
+                    </div>
                 </div>
             </header>
 
@@ -494,51 +4122,196 @@ export default function App() {
                     
                     {/* Action Bar and Filters (Responsive Stacking for Mobile) */}
                     <div className="flex flex-col md:flex-row justify-between items-center mb-8 space-y-4 md:space-y-0">
-                        <button
-                            onClick={() => setIsModalOpen(true)}
-                            className="w-full md:w-auto px-6 py-3 bg-indigo-600 text-white font-semibold rounded-xl shadow-lg hover:bg-indigo-700 transition duration-200 transform hover:scale-[1.02]"
-                        >
-                            + Create New Task
-                        </button>
+                        <div className="flex flex-wrap items-center gap-3 w-full md:w-auto">
+                            {/* Viewers can only read, so creating and importing are hidden for them */}
+                            {canEdit && (
+                                <>
+                                    <button
+                                        onClick={openCreateModal}
+                                        className="w-full md:w-auto px-6 py-3 bg-indigo-600 text-white font-semibold rounded-xl shadow-lg hover:bg-indigo-700 transition duration-200 transform hover:scale-[1.02]"
+                                    >
+                                        + Create New Task
+                                    </button>
 
-                        {/* Filter UI - Professional Dropdown */}
-                        <div className="relative filter-dropdown-container w-full md:w-auto">
-                            <button
-                                onClick={(e) => { 
-                                    e.stopPropagation(); // Prevent main click from immediately closing it
-                                    setIsFilterDropdownOpen(!isFilterDropdownOpen);
-                                }}
-                                className="flex items-center justify-between w-full space-x-2 px-4 py-2 bg-white text-gray-700 font-semibold rounded-xl shadow-md border hover:bg-gray-100 transition duration-200"
-                            >
-                                <span className="text-sm">Filter by: </span>
-                                <span className="text-indigo-600 font-bold">{filterStatus}</span>
-                                <ChevronDown className={`w-4 h-4 transition-transform ${isFilterDropdownOpen ? 'transform rotate-180' : ''}`} />
-                            </button>
-                            
-                            {/* Dropdown Menu (Full width on mobile, fixed width on desktop) */}
-                            {isFilterDropdownOpen && (
-                                <div className="absolute right-0 mt-2 w-full md:w-48 bg-white rounded-xl shadow-2xl z-20 border overflow-hidden">
-                                    {['All', 'Pending', 'In Progress', 'Completed'].map((status) => (
+                                    {/* Import (CSV/JSON file, previewed before anything is created) */}
+                                    <input
+                                        ref={importInputRef}
+                                        type="file"
+                                        accept=".csv,.json,text/csv,application/json"
+                                        onChange={handleImportFile}
+                                        className="hidden"
+                                    />
+                                    <button
+                                        onClick={() => importInputRef.current?.click()}
+                                        disabled={importBusy}
+                                        className="flex items-center px-4 py-3 bg-white text-gray-700 font-medium rounded-xl shadow-md border hover:bg-gray-50 transition duration-150 disabled:opacity-50"
+                                        title="Import tasks from a CSV or JSON file"
+                                    >
+                                        <Upload size={16} className="mr-2" /> Import
+                                    </button>
+                                </>
+                            )}
+
+                            {/* Export (current filters and sort) */}
+                            <div className="relative">
+                                <Download size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500 pointer-events-none" />
+                                <select
+                                    defaultValue=""
+                                    onChange={(e) => { if (e.target.value) exportTasks(e.target.value); e.target.value = ''; }}
+                                    aria-label="Export tasks"
+                                    className="appearance-none pl-9 pr-4 py-3 bg-white text-gray-700 font-medium rounded-xl shadow-md border hover:bg-gray-50 cursor-pointer focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                                >
+                                    <option value="" disabled>Export</option>
+                                    <option value="csv">CSV</option>
+                                    <option value="json">JSON</option>
+                                    <option value="ics">Calendar (.ics)</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 w-full md:w-auto">
+                            {/* View Toggle: Grid / Board / Dashboard / Trash */}
+                            <div className="flex bg-white rounded-xl shadow-md border overflow-hidden" role="group" aria-label="Task view">
+                                {[
+                                    { mode: 'grid', label: 'Grid', icon: <LayoutGrid size={16} /> },
+                                    { mode: 'board', label: 'Board', icon: <Kanban size={16} /> },
+                                    { mode: 'dashboard', label: 'Dashboard', icon: <ChartColumn size={16} /> },
+                                    { mode: 'trash', label: 'Trash', icon: <Trash2 size={16} /> },
+                                ].map(({ mode, label, icon }) => (
+                                    <button
+                                        key={mode}
+                                        onClick={() => { setViewMode(mode); exitSelectionMode(); }}
+                                        aria-pressed={viewMode === mode}
+                                        className={`flex items-center space-x-1 px-3 py-2 text-sm font-semibold transition duration-150 ${
+                                            viewMode === mode ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-100'
+                                        }`}
+                                    >
+                                        {icon} <span>{label}</span>
+                                    </button>
+                                ))}
+                            </div>
+
+                            {/* Multi-select Toggle (grid only, not for viewers) */}
+                            {viewMode === 'grid' && canEdit && (
+                                <button
+                                    onClick={() => (selectionMode ? exitSelectionMode() : setSelectionMode(true))}
+                                    aria-pressed={selectionMode}
+                                    className={`flex items-center justify-center space-x-1 px-3 py-2 text-sm font-semibold rounded-xl shadow-md border transition duration-150 ${
+                                        selectionMode ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+                                    }`}
+                                >
+                                    <CheckSquare size={16} /> <span>{selectionMode ? 'Done' : 'Select'}</span>
+                                </button>
+                            )}
+
+                            {/* Search Box (full-text search over title and description; grid and board only) */}
+                            {isTaskListView && (
+                                <div className="relative w-full sm:w-64">
+                                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                                    <input
+                                        type="search"
+                                        value={searchInput}
+                                        onChange={(e) => setSearchInput(e.target.value)}
+                                        placeholder="Search tasks..."
+                                        aria-label="Search tasks"
+                                        className="w-full pl-9 pr-3 py-2 text-sm bg-white rounded-xl shadow-md border focus:border-indigo-500 focus:ring-indigo-500"
+                                    />
+                                </div>
+                            )}
+
+                            {/* Assigned-to-me Toggle (grid and board, in workspaces with members) */}
+                            {isTaskListView && members.length > 1 && (
+                                <button
+                                    onClick={() => { setFilterMine(prev => !prev); setPage(1); }}
+                                    aria-pressed={filterMine}
+                                    className={`flex items-center justify-center space-x-1 px-3 py-2 text-sm font-semibold rounded-xl shadow-md border transition duration-150 ${
+                                        filterMine ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+                                    }`}
+                                >
+                                    <Users size={16} /> <span>My tasks</span>
+                                </button>
+                            )}
+
+                            {/* Priority Filter (grid and board) */}
+                            {isTaskListView && (
+                                <select
+                                    value={filterPriority}
+                                    onChange={(e) => { setFilterPriority(e.target.value); setPage(1); }}
+                                    aria-label="Filter by priority"
+                                    className="px-3 py-2 text-sm bg-white text-gray-700 font-semibold rounded-xl shadow-md border hover:bg-gray-100 transition duration-200 capitalize"
+                                >
+                                    <option value="all">Any priority</option>
+                                    {PRIORITY_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                                </select>
+                            )}
+
+                            {/* Sort and status filter only apply to the grid; the board shows every status in manual order */}
+                            {viewMode === 'grid' && (
+                                <>
+                                    {/* Sort Control */}
+                                    <select
+                                        value={sortOption}
+                                        onChange={(e) => { setSortOption(e.target.value); setPage(1); }}
+                                        aria-label="Sort tasks"
+                                        className="px-3 py-2 text-sm bg-white text-gray-700 font-semibold rounded-xl shadow-md border hover:bg-gray-100 transition duration-200"
+                                    >
+                                        {SORT_OPTIONS.map(option => (
+                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))}
+                                    </select>
+
+                                    {/* Filter UI - Professional Dropdown */}
+                                    <div className="relative filter-dropdown-container w-full md:w-auto">
                                         <button
-                                            key={status}
-                                            onClick={() => {
-                                                setFilterStatus(status);
-                                                setIsFilterDropdownOpen(false);
+                                            onClick={(e) => { 
+                                                e.stopPropagation(); // Prevent main click from immediately closing it
+                                                setIsFilterDropdownOpen(!isFilterDropdownOpen);
                                             }}
-                                            className={`block w-full text-left px-4 py-2 text-sm transition duration-150 ${
-                                                filterStatus === status 
-                                                    ? 'bg-indigo-50 text-indigo-700 font-semibold' 
-                                                    : 'text-gray-700 hover:bg-gray-100'
-                                            }`}
+                                            className="flex items-center justify-between w-full space-x-2 px-4 py-2 bg-white text-gray-700 font-semibold rounded-xl shadow-md border hover:bg-gray-100 transition duration-200"
                                         >
-                                            {status}
+                                            <span className="text-sm">Filter by: </span>
+                                            <span className="text-indigo-600 font-bold">{filterStatus}</span>
+                                            <ChevronDown className={`w-4 h-4 transition-transform ${isFilterDropdownOpen ? 'transform rotate-180' : ''}`} />
                                         </button>
-                                    ))}
-                                </div>
+                            
+                                        {/* Dropdown Menu (Full width on mobile, fixed width on desktop) */}
+                                        {isFilterDropdownOpen && (
+                                            <div className="absolute right-0 mt-2 w-full md:w-48 bg-white rounded-xl shadow-2xl z-20 border overflow-hidden">
+                                                {['All', ...statusNames(workflow)].map((status) => (
+                                                    <button
+                                                        key={status}
+                                                        onClick={() => {
+                                                            setFilterStatus(status);
+                                                            setPage(1);
+                                                            setIsFilterDropdownOpen(false);
+                                                        }}
+                                                        className={`block w-full text-left px-4 py-2 text-sm transition duration-150 ${
+                                                            filterStatus === status 
+                                                                ? 'bg-indigo-50 text-indigo-700 font-semibold' 
+                                                                : 'text-gray-700 hover:bg-gray-100'
+                                                        }`}
+                                                    >
+                                                        {status}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                </>
                             )}
                         </div>
                     </div>
 
+                    {/* Offline Notice (task list restored from this device's cache) */}
+                    {showingCachedTasks && isTaskListView && (
+                        <div className="bg-amber-50 border border-amber-300 text-amber-800 px-4 py-3 rounded-xl mb-6 flex items-center space-x-2" role="status">
+                            <WifiOff size={16} className="flex-shrink-0" />
+                            <span className="text-sm">
+                                You are offline. Showing tasks saved on this device; new tasks, status changes and deletions will sync when the server is back.
+                            </span>
+                        </div>
+                    )}
+
                     {/* Loading and Error States */}
                     {loading && (
                         <div className="text-center p-12 text-lg text-indigo-500">Loading tasks...</div>
@@ -551,36 +4324,191 @@ export default function App() {
                         </div>
                     )}
 
-                    {/* Task List View (Responsive Grid - IMPROVED) */}
-                    {/* Changed xl:grid-cols-4 to xl:grid-cols-3 to guarantee wider cards on large screens. */}
-                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-3 gap-6">
-                        {!loading && tasks.length === 0 && (
-                            <div className="lg:col-span-3 text-center p-12 text-gray-500 bg-white rounded-xl shadow-lg">
-                                <p className="text-xl font-medium">No tasks found in the "{filterStatus}" category.</p>
-                                <p className="mt-2 text-sm">Click "Create New Task" to get started!</p>
-                            </div>
-                        )}
-
-                        {tasks.map(task => (
-                            <TaskItem
-                                key={task._id} 
-                                task={task}
-                                onUpdateStatus={updateTaskStatus}
-                                onDelete={deleteTask}
+                    {viewMode === 'trash' ? (
+                        /* Trash View (soft-deleted tasks) */
+                        <TrashView tasks={trashTasks} loading={loading} onRestore={restoreTask} onPurge={purgeTask} canRestore={canEdit} canPurge={isWorkspaceOwner} />
+                    ) : viewMode === 'dashboard' ? (
+                        /* Dashboard View (summary cards and charts) */
+                        <DashboardView stats={stats} workflow={workflow} loading={loading} interval={statsInterval} onIntervalChange={setStatsInterval} />
+                    ) : (
+                        <div className="flex flex-col md:flex-row gap-6">
+                            {/* Project Sidebar */}
+                            <ProjectSidebar
+                                projects={projects}
+                                selected={filterProject}
+                                onSelect={selectProject}
+                                onCreate={createProject}
+                                onRename={updateProject}
+                                onDelete={deleteProject}
+                                readOnly={!canEdit}
                             />
-                        ))}
-                    </div>
+
+                            <div className="flex-grow min-w-0">
+                                {/* Active Tag Filter */}
+                                {filterTag && (
+                                    <div className="mb-4 flex items-center space-x-2 text-sm text-gray-600">
+                                        <span>Tagged:</span>
+                                        <span className="flex items-center space-x-1 px-2 py-0.5 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-full">
+                                            <Tag size={10} /> <span>{filterTag}</span>
+                                            <button onClick={() => filterByTag('')} className="ml-1 hover:text-indigo-900" title="Clear tag filter">
+                                                <X size={12} />
+                                            </button>
+                                        </span>
+                                    </div>
+                                )}
+
+                                {viewMode === 'board' ? (
+                                    /* Kanban Board View */
+                                    <BoardView
+                                        tasks={boardTasks}
+                                        workflow={workflow}
+                                        onMove={moveBoardTask}
+                                        onEdit={openEditModal}
+                                        projectsById={projectsById}
+                                        membersById={membersById}
+                                        readOnly={!canEdit}
+                                    />
+                                ) : (
+                                    <>
+                                        {/* Task List View (Responsive Grid - IMPROVED) */}
+                                        {/* Changed xl:grid-cols-4 to xl:grid-cols-3 to guarantee wider cards on large screens. */}
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6">
+                                            {!loading && tasks.length === 0 && (
+                                                <div className="col-span-full text-center p-12 text-gray-500 bg-white rounded-xl shadow-lg">
+                                                    <p className="text-xl font-medium">
+                                                        {searchQuery
+                                                            ? `No tasks match "${searchQuery}" in the "${filterStatus}" category.`
+                                                            : `No tasks found in the "${filterStatus}" category.`}
+                                                    </p>
+                                                    {canEdit && <p className="mt-2 text-sm">Click "Create New Task" to get started!</p>}
+                                                </div>
+                                            )}
+
+                                            {tasks.map(task => (
+                                                <TaskItem
+                                                    key={task._id} 
+                                                    task={task}
+                                                    project={projectsById.get(task.project)}
+                                                    workflow={workflow}
+                                                    blockers={blockersOf(task)}
+                                                    members={members}
+                                                    canEdit={canEdit}
+                                                    onUpdateAssignees={updateTaskAssignees}
+                                                    onOpenTask={openTaskById}
+                                                    onFilterTag={filterByTag}
+                                                    onUpdateStatus={updateTaskStatus}
+                                                    onEdit={openEditModal}
+                                                    checklistActions={checklistActions}
+                                                    onLoadHistory={loadTaskHistory}
+                                                    onOpenDetails={openDetails}
+                                                    selectable={selectionMode}
+                                                    selected={selectedIds.has(task._id)}
+                                                    onToggleSelect={toggleSelect}
+                                                    onDelete={deleteTask}
+                                                />
+                                            ))}
+                                        </div>
+
+                                        {/* Pager */}
+                                        {pagination.totalPages > 1 && (
+                                            <div className="flex justify-center items-center space-x-4 mt-8">
+                                                <button
+                                                    onClick={() => setPage(prev => prev - 1)}
+                                                    disabled={page <= 1 || loading}
+                                                    className="flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white rounded-lg shadow border hover:bg-gray-100 transition duration-150 disabled:opacity-50"
+                                                >
+                                                    <ChevronLeft size={16} /> Previous
+                                                </button>
+                                                <span className="text-sm text-gray-600">
+                                                    Page <span className="font-semibold">{page}</span> of {pagination.totalPages} ({pagination.total} tasks)
+                                                </span>
+                                                <button
+                                                    onClick={() => setPage(prev => prev + 1)}
+                                                    disabled={page >= pagination.totalPages || loading}
+                                                    className="flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white rounded-lg shadow border hover:bg-gray-100 transition duration-150 disabled:opacity-50"
+                                                >
+                                                    Next <ChevronRight size={16} />
+                                                </button>
+                                            </div>
+                                        )}
+                                    </>
+                                )}
+                            </div>
+                        </div>
+                    )}
                 </div>
             </main>
 
             {/* Footer Component */}
             <Footer showNotification={showNotification} />
 
-            {/* Task Creation Modal */}
+            {/* Task Create/Edit Modal (keyed so it re-initialises for each task) */}
             <TaskForm
+                key={editingTask?._id || 'new'}
                 isModalOpen={isModalOpen}
-                closeModal={() => setIsModalOpen(false)}
-                onSave={createTask}
+                closeModal={() => { setIsModalOpen(false); setEditingTask(null); }}
+                onSave={editingTask ? updateTask : createTask}
+                taskToEdit={editingTask}
+                onPreviewRecurrence={previewRecurrence}
+                projects={projects}
+                members={members}
+                defaultProject={filterProject === 'all' || filterProject === 'none' ? '' : filterProject}
+            />
+
+            {/* Floating Bulk Action Bar */}
+            {selectionMode && (
+                <BulkActionBar
+                    selectedCount={selectedIds.size}
+                    statuses={statusNames(workflow)}
+                    onSelectAll={() => setSelectedIds(new Set(tasks.map(task => task._id)))}
+                    onClear={() => setSelectedIds(new Set())}
+                    onAction={runBulkAction}
+                    busy={bulkBusy}
+                />
+            )}
+
+            {/* Concurrent Edit Conflict Dialog */}
+            <ConflictDialog
+                conflict={conflict}
+                onRetry={retryConflict}
+                onDiscard={discardConflict}
+            />
+
+            {/* Task Detail Drawer (keyed so it reloads for each task) */}
+            {detailTask && (
+                <TaskDetailDrawer
+                    key={detailTask._id}
+                    task={detailTask}
+                    tasks={tasks}
+                    currentUserId={userId}
+                    canEdit={canEdit}
+                    isWorkspaceOwner={isWorkspaceOwner}
+                    actions={discussionActions}
+                    onOpenTask={openTaskById}
+                    onClose={closeDetails}
+                />
+            )}
+
+            {/* Workspace Members Dialog (keyed so the name field resets per workspace) */}
+            {isWorkspaceDialogOpen && currentWorkspace && (
+                <WorkspaceDialog
+                    key={currentWorkspace._id}
+                    workspace={currentWorkspace}
+                    currentUserId={userId}
+                    onRename={(name) => workspaceActions.rename(currentWorkspace._id, name)}
+                    onInvite={(email, role) => workspaceActions.invite(currentWorkspace._id, email, role)}
+                    onChangeRole={(memberId, role) => workspaceActions.changeRole(currentWorkspace._id, memberId, role)}
+                    onRemove={removeWorkspaceMember}
+                    onClose={() => setIsWorkspaceDialogOpen(false)}
+                />
+            )}
+
+            {/* Import Preview Dialog */}
+            <ImportDialog
+                preview={importPreview}
+                busy={importBusy}
+                onConfirm={confirmImport}
+                onCancel={() => setImportPreview(null)}
             />
 
             {/* Global Notification Popup */}
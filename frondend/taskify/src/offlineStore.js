@@ -0,0 +1,130 @@
+// --- Offline Storage (IndexedDB) ---
+// Keeps the last task lists fetched from the API and an outbox of mutations made while the server was unreachable.
+// The outbox is replayed in order by App once the backend is back.
+
+const DB_NAME = 'taskify-offline';
+const DB_VERSION = 1;
+const TASK_LISTS_STORE = 'taskLists'; // { key, tasks, total, totalPages, savedAt }
+const OUTBOX_STORE = 'outbox'; // { id, type: 'create' | 'update' | 'delete', taskId, ... }
+
+// Tasks created offline get a temporary id until the server assigns a real one
+export const LOCAL_ID_PREFIX = 'local-';
+export const isLocalTask = (task) => typeof task?._id === 'string' && task._id.startsWith(LOCAL_ID_PREFIX);
+
+// fetch() rejects with a TypeError when the server cannot be reached at all (as opposed to an HTTP error status)
+export const isNetworkError = (error) => error instanceof TypeError;
+
+// Responses worth replaying later: timeouts, rate limits and server errors. Other errors will not go away on a retry.
+export const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(TASK_LISTS_STORE, { keyPath: 'key' });
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null; // Allow a later retry
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+// Run one request against a store and resolve with its result once the transaction commits
+const runInStore = async (storeName, mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+// --- Cached task lists (keyed by user and query) ---
+
+export const saveTaskList = (key, { tasks, total, totalPages }) => runInStore(TASK_LISTS_STORE, 'readwrite',
+    store => store.put({ key, tasks, total, totalPages, savedAt: new Date().toISOString() }));
+
+export const loadTaskList = (key) => runInStore(TASK_LISTS_STORE, 'readonly', store => store.get(key));
+
+// --- Outbox ---
+
+// All queued mutations, oldest first
+export const getOutbox = () => runInStore(OUTBOX_STORE, 'readonly', store => store.getAll());
+
+export const removeFromOutbox = (id) => runInStore(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+
+// Build the placeholder shown for a task that was created offline (new tasks start in the workflow's first status)
+export const createLocalTask = (taskData, initialStatus) => ({
+    status: initialStatus,
+    priority: 'medium',
+    project: null,
+    tags: [],
+    recurrence: null,
+    ...taskData,
+    _id: `${LOCAL_ID_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    checklist: [],
+    progress: null,
+    position: 0,
+    version: 0,
+    createdAt: new Date().toISOString(),
+});
+
+// Queue a mutation, folding it into earlier entries for the same task where possible:
+// - changes to a task created offline are merged into its queued create
+// - repeated updates to one task become a single update against the version the server last had
+// - deleting a task created offline drops it from the outbox entirely
+// Entries: { type: 'create', taskId, task, data } | { type: 'update', taskId, changes, version } | { type: 'delete', taskId, version }
+export const queueMutation = async (entry) => {
+    const queued = (await getOutbox()).filter(existing => existing.taskId === entry.taskId);
+    const queuedCreate = queued.find(existing => existing.type === 'create');
+    const queuedUpdate = queued.find(existing => existing.type === 'update');
+
+    if (queuedCreate) {
+        if (entry.type === 'delete') {
+            return Promise.all(queued.map(existing => removeFromOutbox(existing.id)));
+        }
+        // task is the local placeholder, data the request body that will be sent
+        const task = { ...queuedCreate.task, ...entry.changes };
+        const data = { ...queuedCreate.data, ...entry.changes };
+        return runInStore(OUTBOX_STORE, 'readwrite', store => store.put({ ...queuedCreate, task, data }));
+    }
+
+    if (queuedUpdate) {
+        if (entry.type === 'delete') {
+            await removeFromOutbox(queuedUpdate.id);
+            return runInStore(OUTBOX_STORE, 'readwrite', store => store.add({ ...entry, version: queuedUpdate.version }));
+        }
+        const changes = { ...queuedUpdate.changes, ...entry.changes };
+        return runInStore(OUTBOX_STORE, 'readwrite', store => store.put({ ...queuedUpdate, changes }));
+    }
+
+    return runInStore(OUTBOX_STORE, 'readwrite', store => store.add({ ...entry, queuedAt: new Date().toISOString() }));
+};
+
+// Show queued changes on top of a task list from the server or the cache
+export const applyOutbox = (tasks, entries) => entries.reduce((result, entry) => {
+    if (entry.type === 'create') {
+        return result.some(task => task._id === entry.taskId) ? result : [entry.task, ...result];
+    }
+    if (entry.type === 'update') {
+        return result.map(task => (task._id === entry.taskId ? { ...task, ...entry.changes } : task));
+    }
+    return result.filter(task => task._id !== entry.taskId);
+}, tasks);
+
+// Forget everything stored on this device (on logout)
+export const clearOfflineData = async () => {
+    await runInStore(TASK_LISTS_STORE, 'readwrite', store => store.clear());
+    await runInStore(OUTBOX_STORE, 'readwrite', store => store.clear());
+};
@@ -0,0 +1,663 @@
+// Typed client for the Taskify Task API (version 1.0.0).
+// GENERATED by backend/scripts/generateApiClient.js from the OpenAPI document - do not edit by hand.
+// Regenerate with `npm run generate:client` in backend/. The interactive docs are served at /api/docs.
+
+/**
+ * @typedef {Object} Task
+ * @property {string} _id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} status - One of the workspace's workflow statuses (see listWorkflows)
+ * @property {(string|null)} [dueDate]
+ * @property {'low'|'medium'|'high'|'urgent'} priority
+ * @property {(string|null)} [project]
+ * @property {Array<string>} tags - Lower-cased labels
+ * @property {Array<string>} [assignees] - Workspace members the task is assigned to
+ * @property {Array<number>} reminderOffsets - Minutes before dueDate at which the assignees (or the workspace owner) are reminded (0 = when it falls due)
+ * @property {number} position - Order within the status column on the board
+ * @property {Array<ChecklistItem>} checklist
+ * @property {Array<string>} [blockedBy] - Tasks that must be done before this one can start (see the Dependencies operations)
+ * @property {(number|null)} [progress] - Percentage of checklist items done (null without a checklist)
+ * @property {boolean} [completeWhenChecklistDone]
+ * @property {(Recurrence|null)} [recurrence]
+ * @property {(string|null)} [completedAt] - When the task last moved to the workflow's done status
+ * @property {(string|null)} [deletedAt] - Set while the task is in the trash
+ * @property {string} owner - Owner of the task's workspace
+ * @property {string} createdAt
+ * @property {string} [updatedAt]
+ * @property {number} version - Incremented on every write; sent as the ETag
+ */
+
+/**
+ * @typedef {Object} ChecklistItem
+ * @property {string} _id
+ * @property {string} text
+ * @property {boolean} done
+ * @property {string} [createdAt]
+ */
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {'daily'|'weekly'|'monthly'|'yearly'} frequency
+ * @property {number} [interval]
+ * @property {Array<number>} [byWeekday]
+ * @property {(number|null)} [count]
+ * @property {(string|null)} [until]
+ * @property {(string|null)} [startDate] - Series anchor (server-managed)
+ * @property {(string|null)} [nextTaskId] - The generated next occurrence (server-managed)
+ */
+
+/**
+ * @typedef {Object} TaskCreate
+ * @property {string} title
+ * @property {string} description
+ * @property {string} [status]
+ * @property {'low'|'medium'|'high'|'urgent'} [priority]
+ * @property {(string|null)} [project]
+ * @property {(string|null)} [dueDate]
+ * @property {Array<string>} [tags]
+ * @property {Array<string>} [assignees]
+ * @property {Array<number>} [reminderOffsets]
+ * @property {boolean} [completeWhenChecklistDone]
+ * @property {({ frequency: 'daily'|'weekly'|'monthly'|'yearly', interval?: number, byWeekday?: Array<number>, count?: (number|null), until?: (string|null) }|null)} [recurrence]
+ */
+
+/**
+ * @typedef {Object} TaskUpdate
+ * @property {string} [title]
+ * @property {string} [description]
+ * @property {string} [status]
+ * @property {'low'|'medium'|'high'|'urgent'} [priority]
+ * @property {(string|null)} [project]
+ * @property {(string|null)} [dueDate]
+ * @property {Array<string>} [tags]
+ * @property {Array<string>} [assignees]
+ * @property {Array<number>} [reminderOffsets]
+ * @property {boolean} [completeWhenChecklistDone]
+ * @property {({ frequency: 'daily'|'weekly'|'monthly'|'yearly', interval?: number, byWeekday?: Array<number>, count?: (number|null), until?: (string|null) }|null)} [recurrence]
+ */
+
+/**
+ * @typedef {Object} TaskPage
+ * @property {Array<Task>} tasks
+ * @property {number} page
+ * @property {number} limit
+ * @property {number} total
+ * @property {number} totalPages
+ * @property {boolean} hasMore
+ */
+
+/**
+ * @typedef {Object} BulkResult
+ * @property {string} [action]
+ * @property {number} [succeeded]
+ * @property {number} [failed]
+ * @property {Array<{ id: string, ok: boolean, skipped?: boolean, error?: string }>} [results]
+ */
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {string} [format]
+ * @property {boolean} [dryRun]
+ * @property {number} [imported]
+ * @property {number} [valid]
+ * @property {number} [failed]
+ * @property {Array<{ row: number, ok: boolean, title?: string, taskId?: string, errors?: Array<{ field?: (string|null), message?: string }> }>} [results]
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} [_id]
+ * @property {string} [task]
+ * @property {string} [taskTitle]
+ * @property {(string|null)} [actor]
+ * @property {string} [actorName]
+ * @property {'created'|'updated'|'deleted'|'restored'|'purged'} [action]
+ * @property {Array<{ field?: string, before?: *, after?: * }>} [changes]
+ * @property {string} [createdAt]
+ */
+
+/**
+ * @typedef {Object} TaskStats
+ * @property {number} total - Tasks outside the trash
+ * @property {Object<string, number>} byStatus - Every workflow status in board order, then statuses tasks have that the workflow no longer lists
+ * @property {number} overdue - Due in the past and not in the done status
+ * @property {(number|null)} completionRate - Share of tasks in the done status (0-1; null without tasks)
+ * @property {(number|null)} averageCompletionMs - Average time from creation to completion
+ * @property {{ interval: 'day'|'week', timezone: string, buckets: Array<{ start: string, created: number, completed: number }> }} series
+ */
+
+/**
+ * @typedef {Object} Occurrences
+ * @property {Array<string>} [occurrences]
+ */
+
+/**
+ * @typedef {Object} Comment
+ * @property {string} _id
+ * @property {string} task
+ * @property {string} owner
+ * @property {string} author
+ * @property {string} authorName - Author name when the comment was written
+ * @property {string} body
+ * @property {(string|null)} [editedAt] - Set when the author changed the text
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string} _id
+ * @property {string} task
+ * @property {string} owner
+ * @property {string} uploadedBy
+ * @property {string} uploadedByName
+ * @property {string} fileName - Original file name
+ * @property {string} mimeType
+ * @property {number} size - Bytes
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} WorkflowStatus
+ * @property {string} name
+ * @property {string} color - Hex color, e.g. #16a34a
+ * @property {Array<string>} next - Statuses a task may move to from this one
+ */
+
+/**
+ * @typedef {Object} Workflow
+ * @property {string} _id
+ * @property {string} name
+ * @property {Array<WorkflowStatus>} statuses - In board order; new tasks start in the first one
+ * @property {string} doneStatus - The status that counts as done (stamps completedAt, completes recurring tasks)
+ * @property {string} owner
+ * @property {string} createdAt
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {Object} DependencySummary
+ * @property {string} _id
+ * @property {string} title
+ * @property {string} status
+ * @property {(string|null)} [dueDate]
+ * @property {boolean} done - In the workflow's done status
+ */
+
+/**
+ * @typedef {Object} Dependencies
+ * @property {Array<DependencySummary>} blockedBy - Tasks this one waits for, in the order they were added
+ * @property {Array<DependencySummary>} blocking - Tasks waiting for this one
+ */
+
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {Array<DependencySummary & { blockedBy: Array<string>, blocked: boolean, level: number }>} nodes
+ * @property {Array<{ from: string, to: string }>} edges
+ * @property {Array<string>} criticalPath - Longest chain of open tasks, first to do first
+ */
+
+/**
+ * @typedef {Object} DependencyCycle
+ * @property {string} message
+ * @property {Array<{ _id?: string, title?: string }>} cycle - The task, then each task blocking the previous one, back to the new blocker
+ */
+
+/**
+ * @typedef {Object} UserSummary
+ * @property {string} _id
+ * @property {string} name
+ * @property {string} email
+ */
+
+/**
+ * @typedef {Object} Workspace
+ * @property {string} _id
+ * @property {string} name
+ * @property {UserSummary} owner
+ * @property {Array<{ user: UserSummary, role: 'editor'|'viewer', addedAt: string }>} members
+ * @property {'owner'|'editor'|'viewer'} role - Your role: viewers read, editors also change tasks and projects, the owner manages members and the workflow
+ * @property {string} createdAt
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {string} message
+ * @property {string} [error] - Underlying error, when there is one
+ * @property {string} [requestId] - Id of the request in the server logs (unexpected errors), also sent as X-Request-Id
+ */
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} message
+ * @property {'VALIDATION_FAILED'} code
+ * @property {Array<{ location: 'params'|'query'|'body'|'header', field: (string|null), code: 'required'|'invalid_type'|'invalid_value'|'invalid_format'|'too_small'|'too_large'|'too_short'|'too_long'|'too_few_items'|'too_many_items'|'unknown_field'|'not_found'|'invalid_transition'|'blocked', message: string }>} errors
+ */
+
+/**
+ * @typedef {Object} PreconditionFailed
+ * @property {string} message
+ * @property {Task} currentTask
+ */
+
+/**
+ * Query parameters for listTasks
+ * @typedef {Object} ListTasksQuery
+ * @property {string} [status] - Exact status match
+ * @property {string} [q] - Full-text search over title and description
+ * @property {string} [dueBefore] - Due on or before this date
+ * @property {string} [dueAfter] - Due on or after this date
+ * @property {boolean} [overdue] - Only tasks due in the past that are not in the workflow's done status
+ * @property {string} [priority] - Any of these priority levels
+ * @property {string} [tags] - Tasks that have all of these tags
+ * @property {string|'none'} [project] - Project id, or "none" for tasks without a project
+ * @property {string|'me'|'none'} [assignee] - User id, "me" for tasks assigned to you, or "none" for unassigned tasks
+ * @property {'dueDate'|'-dueDate'|'title'|'-title'|'status'|'-status'|'priority'|'-priority'|'createdAt'|'-createdAt'|'position'|'-position'|'deletedAt'|'-deletedAt'} [sort] - Sort field, prefixed with "-" for descending (default: -createdAt)
+ * @property {number} [page] - 1-based page number
+ * @property {number} [limit] - Page size (default 20, max 100)
+ */
+
+/**
+ * Query parameters for reorderTasks
+ * @typedef {Object} ReorderTasksQuery
+ * @property {boolean} [ignoreBlockers] - Move tasks even if tasks they are blocked by are not done yet
+ */
+
+/**
+ * Query parameters for bulkTasks
+ * @typedef {Object} BulkTasksQuery
+ * @property {boolean} [ignoreBlockers] - Move tasks even if tasks they are blocked by are not done yet
+ */
+
+/**
+ * Query parameters for exportTasks
+ * @typedef {Object} ExportTasksQuery
+ * @property {string} [status] - Exact status match
+ * @property {string} [q] - Full-text search over title and description
+ * @property {string} [dueBefore] - Due on or before this date
+ * @property {string} [dueAfter] - Due on or after this date
+ * @property {boolean} [overdue] - Only tasks due in the past that are not in the workflow's done status
+ * @property {string} [priority] - Any of these priority levels
+ * @property {string} [tags] - Tasks that have all of these tags
+ * @property {string|'none'} [project] - Project id, or "none" for tasks without a project
+ * @property {string|'me'|'none'} [assignee] - User id, "me" for tasks assigned to you, or "none" for unassigned tasks
+ * @property {'dueDate'|'-dueDate'|'title'|'-title'|'status'|'-status'|'priority'|'-priority'|'createdAt'|'-createdAt'|'position'|'-position'|'deletedAt'|'-deletedAt'} [sort] - Sort field, prefixed with "-" for descending (default: -createdAt)
+ * @property {'csv'|'json'|'ics'} [format] - File format (default: json)
+ */
+
+/**
+ * Query parameters for getTaskStats
+ * @typedef {Object} GetTaskStatsQuery
+ * @property {'day'|'week'} [interval] - Bucket size of the created-vs-completed series (default: day)
+ * @property {number} [periods] - Number of buckets, ending with the current day or week (default 30 days / 12 weeks)
+ * @property {string} [timezone] - IANA timezone the days and weeks are counted in (default: UTC)
+ * @property {string|'none'} [project] - Project id, or "none" for tasks without a project
+ */
+
+/**
+ * Query parameters for getDependencyGraph
+ * @typedef {Object} GetDependencyGraphQuery
+ * @property {string} [ids] - Task ids (default: every task that has dependencies or dependents)
+ */
+
+/**
+ * Query parameters for updateTask
+ * @typedef {Object} UpdateTaskQuery
+ * @property {boolean} [ignoreBlockers] - Move tasks even if tasks they are blocked by are not done yet
+ */
+
+/**
+ * Query parameters for getTaskOccurrences
+ * @typedef {Object} GetTaskOccurrencesQuery
+ * @property {number} [count] - Number of occurrences to list (default 5, max 50)
+ */
+
+/**
+ * A fetch Response whose JSON body has a known shape
+ * @template T
+ * @typedef {Omit<Response, 'json'> & { json(): Promise<T> }} ApiResponse
+ */
+
+/**
+ * Build "?a=1&b=2" from an object (skipping empty values) or URLSearchParams
+ * @param {Object<string, *>|URLSearchParams} [query]
+ */
+const toQueryString = (query) => {
+    if (!query) return '';
+    const params = query instanceof URLSearchParams
+        ? query
+        : new URLSearchParams(Object.entries(query)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([name, value]) => [name, String(value)]));
+    const queryString = params.toString();
+    return queryString ? `?${queryString}` : '';
+};
+
+/**
+ * Create a task API client. Every method resolves to the raw Response (for status codes, ETags and
+ * non-JSON bodies) and rejects only when the request could not be sent.
+ * @param {{ baseUrl: string, fetch?: (url: string, options: RequestInit) => Promise<Response> }} options
+ *   baseUrl is the server origin, e.g. http://localhost:5000; pass a fetch wrapper to add auth headers
+ */
+export const createTaskApi = ({ baseUrl, fetch: fetchImpl = (url, options) => fetch(url, options) }) => {
+    /**
+     * @param {string} method
+     * @param {string} path
+     * @param {{ query?: Object<string, *>|URLSearchParams, body?: *, headers?: Object<string, string> }} [options]
+     */
+    const send = (method, path, { query, body, headers } = {}) => {
+        // FormData bodies go as-is: the browser sets the multipart Content-Type with its boundary
+        const isJson = body !== undefined && !(body instanceof FormData);
+        return fetchImpl(`${baseUrl}${path}${toQueryString(query)}`, {
+            method,
+            headers: isJson ? { 'Content-Type': 'application/json', ...headers } : headers,
+            ...(body !== undefined && { body: isJson ? JSON.stringify(body) : body }),
+        });
+    };
+
+    return {
+        /**
+         * GET /api/tasks - List tasks with filtering, search, sorting and pagination
+         * @param {{ query?: ListTasksQuery|URLSearchParams, headers?: Object<string, string> }} [request]
+         * @returns {Promise<ApiResponse<TaskPage>>}
+         */
+        listTasks: ({ query, headers } = {}) => send('GET', '/api/tasks', { query, headers }),
+
+        /**
+         * POST /api/tasks - Create a task
+         * Only editable fields are read; the task goes to the bottom of its board column.
+         * @param {{ body: TaskCreate, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Task>>}
+         */
+        createTask: ({ body, headers }) => send('POST', '/api/tasks', { body, headers }),
+
+        /**
+         * PUT /api/tasks/reorder - Move and reorder tasks on the board
+         * Typically sends every task in the affected columns. Moves carrying a version only apply while the task is still at that version (409 otherwise, and nothing is moved). Status changes must be allowed by the workflow, and blocked tasks may only move to its first status unless ignoreBlockers=true.
+         * @param {{ query?: ReorderTasksQuery|URLSearchParams, body: { moves: Array<{ _id: string, status: string, position: number, version?: number }> }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Array<Task>>>}
+         */
+        reorderTasks: ({ query, body, headers }) => send('PUT', '/api/tasks/reorder', { query, body, headers }),
+
+        /**
+         * POST /api/tasks/bulk - Apply one action to many tasks
+         * value is a status for setStatus, a date or null for setDueDate and a tag (up to 50 characters) for addTag. Every id gets a result entry (setStatus fails for tasks the workflow does not allow to move there, and for blocked tasks unless ignoreBlockers=true). Nothing is applied if any id fails (400), unless atomic is false; then the rest are applied. A task changed meanwhile fails the whole request (409).
+         * @param {{ query?: BulkTasksQuery|URLSearchParams, body: { ids: Array<string>, action: 'delete'|'setStatus'|'setDueDate'|'addTag', atomic?: boolean, value?: (*|null) }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<BulkResult>>}
+         */
+        bulkTasks: ({ query, body, headers }) => send('POST', '/api/tasks/bulk', { query, body, headers }),
+
+        /**
+         * GET /api/tasks/export - Download tasks as CSV, JSON or iCalendar
+         * Takes the same filters and sort as listTasks, without paging (up to 10000 tasks).
+         * @param {{ query?: ExportTasksQuery|URLSearchParams, headers?: Object<string, string> }} [request]
+         * @returns {Promise<ApiResponse<Array<Task>>>}
+         */
+        exportTasks: ({ query, headers } = {}) => send('GET', '/api/tasks/export', { query, headers }),
+
+        /**
+         * POST /api/tasks/import - Create tasks from a CSV or JSON file
+         * Every row is validated and gets a result entry. dryRun: true only validates; with atomic: true nothing is created if any row fails (400).
+         * @param {{ body: { format: 'csv'|'json', dryRun?: boolean, atomic?: boolean, content?: string, tasks?: Array<Object> }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<ImportResult>>}
+         */
+        importTasks: ({ body, headers }) => send('POST', '/api/tasks/import', { body, headers }),
+
+        /**
+         * GET /api/tasks/trash - List deleted tasks, most recently deleted first
+         * @param {{ headers?: Object<string, string> }} [request]
+         * @returns {Promise<ApiResponse<Array<Task>>>}
+         */
+        listTrash: ({ headers } = {}) => send('GET', '/api/tasks/trash', { headers }),
+
+        /**
+         * GET /api/tasks/stats - Dashboard statistics
+         * Counts by status, overdue count, completion rate, average time to completion and tasks created vs completed per day or week. Tasks in the trash are not counted.
+         * @param {{ query?: GetTaskStatsQuery|URLSearchParams, headers?: Object<string, string> }} [request]
+         * @returns {Promise<ApiResponse<TaskStats>>}
+         */
+        getTaskStats: ({ query, headers } = {}) => send('GET', '/api/tasks/stats', { query, headers }),
+
+        /**
+         * GET /api/tasks/dependencies - Dependency graph and critical path
+         * Covers the given tasks and every task they transitively depend on. The critical path is the longest chain of tasks that are not done yet, which bounds how soon the last of them can be finished.
+         * @param {{ query?: GetDependencyGraphQuery|URLSearchParams, headers?: Object<string, string> }} [request]
+         * @returns {Promise<ApiResponse<DependencyGraph>>}
+         */
+        getDependencyGraph: ({ query, headers } = {}) => send('GET', '/api/tasks/dependencies', { query, headers }),
+
+        /**
+         * DELETE /api/tasks/trash/{id} - Permanently delete a task that is in the trash (workspace owner only)
+         * @param {{ id: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        purgeTask: ({ id, headers }) => send('DELETE', `/api/tasks/trash/${encodeURIComponent(id)}`, { headers }),
+
+        /**
+         * POST /api/tasks/recurrence/preview - Preview the dates a recurrence rule produces
+         * @param {{ body: { recurrence: { frequency: 'daily'|'weekly'|'monthly'|'yearly', interval?: number, byWeekday?: Array<number>, count?: (number|null), until?: (string|null) }, startDate?: string, count?: number }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Occurrences>>}
+         */
+        previewRecurrence: ({ body, headers }) => send('POST', '/api/tasks/recurrence/preview', { body, headers }),
+
+        /**
+         * GET /api/tasks/{id} - Get one task
+         * @param {{ id: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Task>>}
+         */
+        getTask: ({ id, headers }) => send('GET', `/api/tasks/${encodeURIComponent(id)}`, { headers }),
+
+        /**
+         * PATCH /api/tasks/{id} - Update a task
+         * Send only the fields that change; unknown fields are rejected. PUT is accepted as a synonym. Status changes the workflow does not allow fail with code invalid_transition. A task blocked by unfinished tasks may only move to the workflow's first status; other moves fail with code blocked unless ignoreBlockers=true.
+         * @param {{ id: string, query?: UpdateTaskQuery|URLSearchParams, body: TaskUpdate, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Task>>}
+         */
+        updateTask: ({ id, query, body, headers }) => send('PATCH', `/api/tasks/${encodeURIComponent(id)}`, { query, body, headers }),
+
+        /**
+         * DELETE /api/tasks/{id} - Move a task to the trash
+         * @param {{ id: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deleteTask: ({ id, headers }) => send('DELETE', `/api/tasks/${encodeURIComponent(id)}`, { headers }),
+
+        /**
+         * POST /api/tasks/{id}/restore - Restore a task from the trash
+         * @param {{ id: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Task>>}
+         */
+        restoreTask: ({ id, headers }) => send('POST', `/api/tasks/${encodeURIComponent(id)}/restore`, { headers }),
+
+        /**
+         * GET /api/tasks/{id}/history - Audit trail for one task, newest first
+         * @param {{ id: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Array<HistoryEntry>>>}
+         */
+        getTaskHistory: ({ id, headers }) => send('GET', `/api/tasks/${encodeURIComponent(id)}/history`, { headers }),
+
+        /**
+         * GET /api/tasks/{id}/occurrences - Upcoming occurrences of a recurring task
+         * @param {{ id: string, query?: GetTaskOccurrencesQuery|URLSearchParams, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Occurrences>>}
+         */
+        getTaskOccurrences: ({ id, query, headers }) => send('GET', `/api/tasks/${encodeURIComponent(id)}/occurrences`, { query, headers }),
+
+        /**
+         * POST /api/tasks/{id}/items - Append a checklist item
+         * @param {{ id: string, body: { text: string }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Task>>}
+         */
+        addChecklistItem: ({ id, body, headers }) => send('POST', `/api/tasks/${encodeURIComponent(id)}/items`, { body, headers }),
+
+        /**
+         * PUT /api/tasks/{id}/items/order - Reorder checklist items
+         * itemIds must list every item id exactly once.
+         * @param {{ id: string, body: { itemIds: Array<string> }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Task>>}
+         */
+        reorderChecklistItems: ({ id, body, headers }) => send('PUT', `/api/tasks/${encodeURIComponent(id)}/items/order`, { body, headers }),
+
+        /**
+         * PATCH /api/tasks/{id}/items/{itemId} - Rename a checklist item or toggle it
+         * @param {{ id: string, itemId: string, body: { text?: string, done?: boolean }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Task>>}
+         */
+        updateChecklistItem: ({ id, itemId, body, headers }) => send('PATCH', `/api/tasks/${encodeURIComponent(id)}/items/${encodeURIComponent(itemId)}`, { body, headers }),
+
+        /**
+         * DELETE /api/tasks/{id}/items/{itemId} - Remove a checklist item
+         * @param {{ id: string, itemId: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Task>>}
+         */
+        deleteChecklistItem: ({ id, itemId, headers }) => send('DELETE', `/api/tasks/${encodeURIComponent(id)}/items/${encodeURIComponent(itemId)}`, { headers }),
+
+        /**
+         * GET /api/tasks/{id}/comments - The task's comments, oldest first
+         * @param {{ id: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Array<Comment>>>}
+         */
+        listComments: ({ id, headers }) => send('GET', `/api/tasks/${encodeURIComponent(id)}/comments`, { headers }),
+
+        /**
+         * POST /api/tasks/{id}/comments - Add a comment as the signed-in user
+         * @param {{ id: string, body: { body: string }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Comment>>}
+         */
+        addComment: ({ id, body, headers }) => send('POST', `/api/tasks/${encodeURIComponent(id)}/comments`, { body, headers }),
+
+        /**
+         * PATCH /api/tasks/{id}/comments/{commentId} - Edit a comment (author only)
+         * @param {{ id: string, commentId: string, body: { body: string }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Comment>>}
+         */
+        updateComment: ({ id, commentId, body, headers }) => send('PATCH', `/api/tasks/${encodeURIComponent(id)}/comments/${encodeURIComponent(commentId)}`, { body, headers }),
+
+        /**
+         * DELETE /api/tasks/{id}/comments/{commentId} - Delete a comment
+         * @param {{ id: string, commentId: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deleteComment: ({ id, commentId, headers }) => send('DELETE', `/api/tasks/${encodeURIComponent(id)}/comments/${encodeURIComponent(commentId)}`, { headers }),
+
+        /**
+         * GET /api/tasks/{id}/attachments - The task's attachments (metadata), oldest first
+         * @param {{ id: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Array<Attachment>>>}
+         */
+        listAttachments: ({ id, headers }) => send('GET', `/api/tasks/${encodeURIComponent(id)}/attachments`, { headers }),
+
+        /**
+         * POST /api/tasks/{id}/attachments - Upload a file
+         * One file in the "file" field, at most 10485760 bytes, of type: image/png, image/jpeg, image/gif, image/webp, application/pdf, text/plain, text/csv, text/markdown, application/json, application/zip, application/msword, application/vnd.openxmlformats-officedocument.wordprocessingml.document, application/vnd.ms-excel, application/vnd.openxmlformats-officedocument.spreadsheetml.sheet, application/vnd.openxmlformats-officedocument.presentationml.presentation.
+         * @param {{ id: string, body: FormData, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Attachment>>}
+         */
+        uploadAttachment: ({ id, body, headers }) => send('POST', `/api/tasks/${encodeURIComponent(id)}/attachments`, { body, headers }),
+
+        /**
+         * DELETE /api/tasks/{id}/attachments/{attachmentId} - Delete an attachment and its file
+         * @param {{ id: string, attachmentId: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deleteAttachment: ({ id, attachmentId, headers }) => send('DELETE', `/api/tasks/${encodeURIComponent(id)}/attachments/${encodeURIComponent(attachmentId)}`, { headers }),
+
+        /**
+         * GET /api/tasks/{id}/attachments/{attachmentId}/download - Download the file
+         * @param {{ id: string, attachmentId: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<string>>}
+         */
+        downloadAttachment: ({ id, attachmentId, headers }) => send('GET', `/api/tasks/${encodeURIComponent(id)}/attachments/${encodeURIComponent(attachmentId)}/download`, { headers }),
+
+        /**
+         * GET /api/tasks/{id}/dependencies - Tasks this one is blocked by and tasks it blocks
+         * @param {{ id: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Dependencies>>}
+         */
+        listDependencies: ({ id, headers }) => send('GET', `/api/tasks/${encodeURIComponent(id)}/dependencies`, { headers }),
+
+        /**
+         * POST /api/tasks/{id}/dependencies - Mark the task as blocked by another task
+         * Adding a dependency that already exists returns the task unchanged (200).
+         * @param {{ id: string, body: { taskId: string }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Task>>}
+         */
+        addDependency: ({ id, body, headers }) => send('POST', `/api/tasks/${encodeURIComponent(id)}/dependencies`, { body, headers }),
+
+        /**
+         * DELETE /api/tasks/{id}/dependencies/{blockerId} - Remove a dependency
+         * @param {{ id: string, blockerId: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Task>>}
+         */
+        removeDependency: ({ id, blockerId, headers }) => send('DELETE', `/api/tasks/${encodeURIComponent(id)}/dependencies/${encodeURIComponent(blockerId)}`, { headers }),
+
+        /**
+         * GET /api/workflows - The workspace's workflows
+         * Every workspace has one, created from the default (Pending, In Progress, Completed) on first use.
+         * @param {{ headers?: Object<string, string> }} [request]
+         * @returns {Promise<ApiResponse<Array<Workflow>>>}
+         */
+        listWorkflows: ({ headers } = {}) => send('GET', '/api/workflows', { headers }),
+
+        /**
+         * GET /api/workflows/{id} - Retrieve a workflow
+         * @param {{ id: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Workflow>>}
+         */
+        getWorkflow: ({ id, headers }) => send('GET', `/api/workflows/${encodeURIComponent(id)}`, { headers }),
+
+        /**
+         * PUT /api/workflows/{id} - Replace the statuses, transitions and done status
+         * Workspace owner only. A status sent with previousName renames that status, and its tasks move along. Statuses left out are removed, which fails with 409 while tasks (trash included) still have them. It also fails with 409 if a task being renamed changes meanwhile.
+         * @param {{ id: string, body: { name?: string, statuses: Array<{ name: string, color?: string, next?: Array<string>, previousName?: string }>, doneStatus: string }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Workflow>>}
+         */
+        replaceWorkflow: ({ id, body, headers }) => send('PUT', `/api/workflows/${encodeURIComponent(id)}`, { body, headers }),
+
+        /**
+         * GET /api/workspaces - Your own workspace, then the ones you were added to
+         * Your own workspace is created on first use. Send a workspace id as the X-Workspace-Id header to work in it.
+         * @param {{ headers?: Object<string, string> }} [request]
+         * @returns {Promise<ApiResponse<Array<Workspace>>>}
+         */
+        listWorkspaces: ({ headers } = {}) => send('GET', '/api/workspaces', { headers }),
+
+        /**
+         * GET /api/workspaces/{id} - Retrieve a workspace with its members
+         * @param {{ id: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Workspace>>}
+         */
+        getWorkspace: ({ id, headers }) => send('GET', `/api/workspaces/${encodeURIComponent(id)}`, { headers }),
+
+        /**
+         * PATCH /api/workspaces/{id} - Rename the workspace (owner only)
+         * @param {{ id: string, body: { name: string }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Workspace>>}
+         */
+        renameWorkspace: ({ id, body, headers }) => send('PATCH', `/api/workspaces/${encodeURIComponent(id)}`, { body, headers }),
+
+        /**
+         * POST /api/workspaces/{id}/members - Add a user to the workspace by their email (owner only)
+         * The role defaults to editor. The new member gets a notification.
+         * @param {{ id: string, body: { email: string, role?: 'editor'|'viewer' }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Workspace>>}
+         */
+        addWorkspaceMember: ({ id, body, headers }) => send('POST', `/api/workspaces/${encodeURIComponent(id)}/members`, { body, headers }),
+
+        /**
+         * PATCH /api/workspaces/{id}/members/{userId} - Change a member's role (owner only)
+         * @param {{ id: string, userId: string, body: { role: 'editor'|'viewer' }, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<Workspace>>}
+         */
+        updateWorkspaceMember: ({ id, userId, body, headers }) => send('PATCH', `/api/workspaces/${encodeURIComponent(id)}/members/${encodeURIComponent(userId)}`, { body, headers }),
+
+        /**
+         * DELETE /api/workspaces/{id}/members/{userId} - Remove a member, or leave the workspace
+         * The owner can remove anyone; members can remove themselves. The member is unassigned from the workspace's tasks.
+         * @param {{ id: string, userId: string, headers?: Object<string, string> }} request
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        removeWorkspaceMember: ({ id, userId, headers }) => send('DELETE', `/api/workspaces/${encodeURIComponent(id)}/members/${encodeURIComponent(userId)}`, { headers }),
+    };
+};